@@ -6,6 +6,8 @@ const view = require("./cli/view");
 const build = require("./cli/build");
 const develop = require("./cli/develop");
 const convert = require("./cli/convert");
+const validate = require("./cli/validate");
+const exportStatic = require("./cli/exportStatic");
 
 const parser = new argparse.ArgumentParser({
   version: version,
@@ -24,6 +26,8 @@ view.addParser(subparsers);
 build.addParser(subparsers);
 develop.addParser(subparsers);
 convert.addParser(subparsers);
+validate.addParser(subparsers);
+exportStatic.addParser(subparsers);
 
 const args = parser.parseArgs();
 
@@ -37,6 +41,10 @@ if (args.subcommand === "build") {
   develop.run(args);
 } else if (args.subcommand === "convert") {
   convert.run(args);
+} else if (args.subcommand === "validate") {
+  validate.run(args);
+} else if (args.subcommand === "export-static") {
+  exportStatic.run(args);
 }
 
 // console.dir(args);
@@ -9,7 +9,8 @@ const utils = require('./cli/utils');
 module.exports = function babelConfig(api) {
   utils.verbose(`Generating Babel Config`);
   const presets = [
-    "@babel/env",
+    /* unit tests (see `npm test`) run directly in node, so needn't be transpiled for browsers */
+    api.env("test") ? ["@babel/env", {targets: {node: "current"}}] : "@babel/env",
     "@babel/preset-react"
   ];
   const plugins = [
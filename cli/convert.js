@@ -10,7 +10,7 @@ const addParser = (parser) => {
   `;
 
   const subparser = parser.addParser('convert', {addHelp: true, description});
-  subparser.addArgument('--v1', {action: "store", nargs: 2, metavar: ["META", "TREE"], help: "v1 dataset JSONs"});
+  subparser.addArgument('--v1', {action: "store", nargs: 2, metavar: ["META", "TREE"], help: "v1 dataset JSONs (these may be gzip or brotli compressed)"});
   subparser.addArgument('--output', {action: "store", metavar: "JSON", required: true, help: "File to write output to"});
   subparser.addArgument('--minify-json', {action: "storeTrue", help: "export JSONs without indentation or line returns"});
 };
@@ -20,18 +20,23 @@ const addParser = (parser) => {
  * this utility function will increase in scope over time
  * but currently it only converts v1 meta + tree jsons -> v2
  */
-const run = (args) => {
+const run = async (args) => {
   if (!args.v1) {
     utils.error("Currently v1 JSON inputs must be specified.");
   }
-  if (!args.v1[0].endsWith("_meta.json") || !args.v1[1].endsWith("_tree.json")) {
-    utils.error("v1 JSON inputs must be specified as *_meta.json and *_tree.json");
+  const [metaPath, treePath] = args.v1.map((p) => utils.stripCompressionSuffix(p));
+  if (!metaPath.endsWith("_meta.json") || !treePath.endsWith("_tree.json")) {
+    utils.error("v1 JSON inputs must be specified as *_meta.json and *_tree.json (optionally gzip or brotli compressed)");
   }
 
-  const v2 = convertFromV1({
-    meta: JSON.parse(fs.readFileSync(args.v1[0], 'utf8')),
-    tree: JSON.parse(fs.readFileSync(args.v1[1], 'utf8'))
-  });
+  let meta, tree;
+  try {
+    meta = await utils.readFilePromise(args.v1[0]);
+    tree = await utils.readFilePromise(args.v1[1]);
+  } catch (err) {
+    utils.error(`Couldn't read v1 JSONs -- ${err.message}`);
+  }
+  const v2 = convertFromV1({meta, tree});
   fs.writeFileSync(args.output, JSON.stringify(v2, null, args.minify_json ? 0 : 2));
 };
 
@@ -0,0 +1,150 @@
+const fs = require("fs");
+const path = require("path");
+const utils = require("./utils");
+const { getAuspiceBuild } = require("./view");
+const { getAvailableDatasets, getAvailableNarratives } = require("./server/getAvailable");
+const { makeFetchAddresses, readDataset, findFileVariants } = require("./server/getDatasetHelpers");
+const { findNarrativeFile } = require("./server/getNarrative");
+const parseNarrative = require("./server/parseNarrative").default;
+
+const additionalDataTypes = ["tip-frequencies", "root-sequence"];
+
+const addParser = (parser) => {
+  const description = `Export auspice, together with the datasets & narratives available to "auspice view", as a static website.
+  The output directory can be served by any static file host (e.g. GitHub pages or an S3 bucket), including under a sub-path,
+  as every page uses relative links and the data is written as pre-computed JSON files (rather than being served via the "/charon" API).
+  Note that the static site has no server to complete partial URLs or to load tanglegrams (i.e. "a:b" URLs),
+  so only the datasets & narratives exported here are viewable.
+  `;
+
+  const subparser = parser.addParser('export-static', {addHelp: true, description});
+  subparser.addArgument('--output', {action: "store", metavar: "DIR", required: true, help: "Directory to write the static site to"});
+  subparser.addArgument('--datasetDir', {metavar: "PATH", help: "Directory where datasets (JSONs) are sourced."});
+  subparser.addArgument('--narrativeDir', {metavar: "PATH", help: "Directory where narratives (Markdown files) are sourced."});
+  subparser.addArgument('--verbose', {action: "storeTrue", help: "Print more verbose logging messages."});
+};
+
+/* `fs.mkdirSync`'s `recursive` option isn't available in node 10.8 */
+const makeDirectory = (dir) => {
+  if (fs.existsSync(dir)) return;
+  makeDirectory(path.dirname(dir));
+  fs.mkdirSync(dir);
+};
+
+const writeFile = (filePath, data) => {
+  utils.verbose(`Writing ${filePath}`);
+  makeDirectory(path.dirname(filePath));
+  fs.writeFileSync(filePath, data);
+};
+
+const copyDirectory = (source, destination) => {
+  makeDirectory(destination);
+  fs.readdirSync(source).forEach((name) => {
+    const sourcePath = path.join(source, name);
+    const destinationPath = path.join(destination, name);
+    if (fs.statSync(sourcePath).isDirectory()) {
+      copyDirectory(sourcePath, destinationPath);
+    } else {
+      fs.copyFileSync(sourcePath, destinationPath);
+    }
+  });
+};
+
+/**
+ * Write an index.html for the page at `pagePath` (e.g. "flu/seasonal/h3n2/ha/2y").
+ * Links are made relative to the site root, and the root is recorded in
+ * `window.AUSPICE_STATIC_SITE` which tells the client it's a static site (see `src/util/staticSite.js`)
+ */
+const writeIndexDotHtml = (outputDir, pagePath, indexDotHtml) => {
+  const depth = pagePath ? pagePath.split("/").length : 0;
+  const root = depth ? "../".repeat(depth) : "./";
+  const html = indexDotHtml
+    .replace(/"\/favicon/g, `"${root}favicon`)
+    .replace(
+      /<script async src="\/dist\/auspice\.bundle\.js"><\/script>/,
+      `<script>window.AUSPICE_STATIC_SITE = {root: "${root}"};</script>\n    <script async src="${root}dist/auspice.bundle.js"></script>`
+    );
+  writeFile(path.join(outputDir, pagePath, "index.html"), html);
+};
+
+const exportDataset = async ({outputDir, datasetsPath, availableDatasets, dataset}) => {
+  const parts = dataset.request.split("/");
+  const info = {parts, dataType: "dataset"};
+  makeFetchAddresses(info, datasetsPath, availableDatasets);
+  const json = await readDataset(info);
+  writeFile(path.join(outputDir, "charon", "getDataset", `${dataset.request}.json`), JSON.stringify(json));
+  for (const dataType of additionalDataTypes) {
+    const additionalInfo = {parts, dataType};
+    makeFetchAddresses(additionalInfo, datasetsPath, availableDatasets);
+    if (Object.keys(findFileVariants(additionalInfo.address)).length) {
+      const additionalJson = await readDataset(additionalInfo); // eslint-disable-line no-await-in-loop
+      writeFile(path.join(outputDir, "charon", "getDataset", `${dataset.request}_${dataType}.json`), JSON.stringify(additionalJson));
+    }
+  }
+};
+
+const exportNarrative = ({outputDir, narrativesPath, narrative}) => {
+  const fileContents = fs.readFileSync(findNarrativeFile(narrativesPath, narrative.request), 'utf8');
+  const blocks = parseNarrative(fileContents);
+  writeFile(
+    path.join(outputDir, "charon", "getNarrative", `${narrative.request}.json`),
+    JSON.stringify(blocks).replace(/</g, '\\u003c')
+  );
+};
+
+const run = async (args) => {
+  const outputDir = path.resolve(args.output);
+  const datasetsPath = utils.resolveLocalDirectory(args.datasetDir, false);
+  const narrativesPath = utils.resolveLocalDirectory(args.narrativeDir, true);
+  const auspiceBuild = getAuspiceBuild();
+  if (!fs.existsSync(path.join(auspiceBuild.distDir, "auspice.bundle.js"))) {
+    utils.error(`Couldn't find an auspice build in ${auspiceBuild.distDir}. Please run "auspice build" first.`);
+  }
+  utils.log(`Exporting a static site to ${outputDir}`);
+  utils.verbose(`Datasets sourced from "${datasetsPath}"`);
+  utils.verbose(`Narratives sourced from "${narrativesPath}"`);
+
+  const availableDatasets = await getAvailableDatasets(datasetsPath);
+  const availableNarratives = await getAvailableNarratives(narrativesPath);
+  const indexDotHtml = fs.readFileSync(path.join(auspiceBuild.baseDir, "index.html"), {encoding: "utf8"});
+
+  const exportedDatasets = [];
+  for (const dataset of availableDatasets) {
+    try {
+      await exportDataset({outputDir, datasetsPath, availableDatasets, dataset}); // eslint-disable-line no-await-in-loop
+      writeIndexDotHtml(outputDir, dataset.request, indexDotHtml);
+      exportedDatasets.push(dataset);
+    } catch (err) {
+      utils.warn(`Failed to export dataset ${dataset.request} -- ${err.message}`);
+    }
+  }
+  const exportedNarratives = [];
+  for (const narrative of availableNarratives) {
+    try {
+      exportNarrative({outputDir, narrativesPath, narrative});
+      writeIndexDotHtml(outputDir, narrative.request, indexDotHtml);
+      exportedNarratives.push(narrative);
+    } catch (err) {
+      utils.warn(`Failed to export narrative ${narrative.request} -- ${err.message}`);
+    }
+  }
+
+  /* second trees are only available if they were themselves exported */
+  const exportedRequests = new Set(exportedDatasets.map((d) => d.request));
+  const datasets = exportedDatasets.map((d) => ({
+    ...d,
+    secondTreeOptions: d.secondTreeOptions.filter((r) => exportedRequests.has(r))
+  }));
+  writeFile(path.join(outputDir, "charon", "getAvailable.json"), JSON.stringify({datasets, narratives: exportedNarratives}));
+
+  writeIndexDotHtml(outputDir, "", indexDotHtml);
+  copyDirectory(auspiceBuild.distDir, path.join(outputDir, "dist"));
+  fs.copyFileSync(path.join(auspiceBuild.baseDir, "favicon.png"), path.join(outputDir, "favicon.png"));
+
+  utils.log(`Exported ${datasets.length} dataset(s) and ${exportedNarratives.length} narrative(s).`);
+};
+
+module.exports = {
+  addParser,
+  run
+};
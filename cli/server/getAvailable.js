@@ -1,9 +1,17 @@
 const utils = require("../utils");
-const fs = require('fs');
-const { promisify } = require('util');
-const { findAvailableSecondTreeOptions } = require('./getDatasetHelpers');
+const path = require("path");
+const { findAvailableSecondTreeOptions, datasetDefaultsFilename } = require('./getDatasetHelpers');
 
-const readdir = promisify(fs.readdir);
+/**
+ * Convert a file path (relative to the dataset / narrative directory, minus its
+ * suffix) into the request auspice uses. Files in subdirectories map directly
+ * (`flu/seasonal/h3n2/ha/2y` -> `flu/seasonal/h3n2/ha/2y`), whereas files in the
+ * top-level directory use underscores to encode the hierarchy
+ * (`flu_seasonal_h3n2_ha_2y` -> `flu/seasonal/h3n2/ha/2y`).
+ */
+const filePathToRequest = (filePath) => filePath.includes("/") ?
+  filePath :
+  filePath.split("_").join("/");
 
 const getAvailableDatasets = async (localDataPath) => {
   const datasets = [];
@@ -12,46 +20,49 @@ const getAvailableDatasets = async (localDataPath) => {
    * `zika_tree.json` exist then only `zika.json` is viewable in auspice.
    */
   try {
-    const files = await readdir(localDataPath);
+    /* files may be (pre-)compressed, e.g. `zika.json.gz`, in which case we treat
+    them as if they were uncompressed. If multiple versions of the same file exist
+    then the appropriate one is chosen when the dataset is requested. */
+    const files = [...new Set(
+      (await utils.readdirRecursive(localDataPath)).map((file) => utils.stripCompressionSuffix(file))
+    )];
     /* v2 files -- match JSONs not ending with `_tree.json`, `_meta.json`,
     `_tip-frequencies.json`, `_seq.json` */
-    const v2Files = files.filter((file) => (
-      file.endsWith(".json") &&
-      !file.includes("manifest") &&
-      !file.endsWith("_tree.json") &&
-      !file.endsWith("_meta.json") &&
-      !file.endsWith("_tip-frequencies.json") &&
-      !file.endsWith("_root-sequence.json") &&
-      !file.endsWith("_seq.json")
-    ))
-    .map((file) => file
-      .replace(".json", "")
-      .split("_")
-      .join("/")
-    );
+    const v2Files = files.filter((file) => {
+      const basename = path.posix.basename(file);
+      return (
+        file.endsWith(".json") &&
+        !basename.includes("manifest") &&
+        basename !== datasetDefaultsFilename &&
+        !file.endsWith("_tree.json") &&
+        !file.endsWith("_meta.json") &&
+        !file.endsWith("_tip-frequencies.json") &&
+        !file.endsWith("_root-sequence.json") &&
+        !file.endsWith("_seq.json")
+      );
+    });
+    const v2Requests = v2Files.map((file) => filePathToRequest(file.replace(/\.json$/, "")));
 
-    v2Files.forEach((filepath) => {
+    v2Requests.forEach((filepath, i) => {
       datasets.push({
         request: filepath,
         v2: true,
-        secondTreeOptions: findAvailableSecondTreeOptions(filepath, v2Files)
+        secondTreeOptions: findAvailableSecondTreeOptions(filepath, v2Requests),
+        /* the client only requests the root-sequence sidecar if it exists */
+        hasRootSequence: files.includes(v2Files[i].replace(/\.json$/, "_root-sequence.json"))
       });
     });
 
     /* v1 files -- match files ending with `_tree.json` */
-    const v1Files = files
-      .filter((file) => file.endsWith("_tree.json"))
-      .map((file) => file
-        .replace("_tree.json", "")
-        .split("_")
-        .join("/")
-      );
+    const v1Files = files.filter((file) => file.endsWith("_tree.json"));
+    const v1Requests = v1Files.map((file) => filePathToRequest(file.replace(/_tree\.json$/, "")));
 
-    v1Files.forEach((filepath) => {
+    v1Requests.forEach((filepath, i) => {
       datasets.push({
         request: filepath,
         v2: false,
-        secondTreeOptions: findAvailableSecondTreeOptions(filepath, v1Files)
+        secondTreeOptions: findAvailableSecondTreeOptions(filepath, v1Requests),
+        hasRootSequence: files.includes(v1Files[i].replace(/_tree\.json$/, "_root-sequence.json"))
       });
     });
   } catch (err) {
@@ -64,11 +75,11 @@ const getAvailableDatasets = async (localDataPath) => {
 const getAvailableNarratives = async (localNarrativesPath) => {
   let narratives = [];
   try {
-    narratives = await readdir(localNarrativesPath);
+    narratives = await utils.readdirRecursive(localNarrativesPath);
     narratives = narratives
-      .filter((file) => file.endsWith(".md") && file!=="README.md")
-      .map((file) => file.replace(".md", ""))
-      .map((file) => file.split("_").join("/"))
+      .filter((file) => file.endsWith(".md") && path.posix.basename(file)!=="README.md")
+      .map((file) => file.replace(/\.md$/, ""))
+      .map((file) => filePathToRequest(file))
       .map((filepath) => `narratives/${filepath}`)
       .map((filepath) => ({request: filepath}));
   } catch (err) {
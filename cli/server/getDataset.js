@@ -6,7 +6,11 @@ const setUpGetDatasetHandler = ({datasetsPath}) => {
     try {
       const availableDatasets = await getAvailable.getAvailableDatasets(datasetsPath);
       const info = helpers.interpretRequest(req, datasetsPath);
-      helpers.extendDataPathsToMatchAvailable(info, availableDatasets);
+      const defaults = await helpers.getDatasetDefaults(datasetsPath);
+      helpers.extendDataPathsToMatchAvailable(info, availableDatasets, defaults);
+      if (info.extended) {
+        return helpers.redirectToExtendedRequest(req, res, info);
+      }
       helpers.makeFetchAddresses(info, datasetsPath, availableDatasets);
       await helpers.sendJson(res, info);
     } catch (err) {
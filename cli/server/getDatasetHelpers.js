@@ -13,6 +13,7 @@ const queryString = require("query-string");
 const path = require("path");
 const convertFromV1 = require("./convertJsonSchemas").convertFromV1;
 const fs = require("fs");
+const zlib = require("zlib");
 
 const handleError = (res, clientMsg, serverMsg="") => {
   res.statusMessage = clientMsg;
@@ -45,20 +46,173 @@ const interpretRequest = (req) => {
   return info;
 };
 
+/**
+ * The name of the (optional) file(s), within the dataset directory (or any
+ * subdirectory), which define the default dataset to display for partial requests.
+ * It should be a JSON mapping a partial request to the dataset (or a more
+ * complete partial request) which should be displayed instead. E.g.
+ * `{"flu": "flu/seasonal/h3n2/ha/2y", "flu/seasonal/h1n1pdm": "flu/seasonal/h1n1pdm/ha/2y"}`
+ * Requests in a file within a subdirectory are relative to that subdirectory,
+ * with `""` referring to the subdirectory itself. E.g. `flu/defaults.json` may
+ * contain `{"": "seasonal/h3n2/ha/2y"}`.
+ */
+const datasetDefaultsFilename = "defaults.json";
+
+/* the defaults are cached (per dataset directory) for this long, as reading them walks the
+entire directory. Changes to the defaults files are therefore picked up after (at most) this time */
+const datasetDefaultsCacheDuration = 10000; /* ms */
+const datasetDefaultsCache = new Map();
+
+/**
+ * Read the defaults files (see above) from the dataset directory, if any exist.
+ * @returns {Object} mapping of partial request -> preferred request. Empty if no (valid) files exist.
+ */
+const readDatasetDefaults = async (datasetsPath) => {
+  const defaults = {};
+  let defaultsFiles;
+  try {
+    defaultsFiles = (await utils.readdirRecursive(datasetsPath))
+      .filter((file) => path.posix.basename(file) === datasetDefaultsFilename);
+  } catch (err) {
+    return defaults;
+  }
+  for (const file of defaultsFiles) {
+    const dirParts = path.posix.dirname(file) === "." ? [] : path.posix.dirname(file).split("/");
+    const toRequest = (relativeRequest) => dirParts
+      .concat(splitPrefixIntoParts(relativeRequest))
+      .filter((part) => !!part)
+      .join("/");
+    try {
+      const fileDefaults = await utils.readFilePromise(path.join(datasetsPath, file)); // eslint-disable-line no-await-in-loop
+      for (const [partial, preferred] of Object.entries(fileDefaults)) {
+        if (typeof preferred !== "string") {
+          utils.warn(`Ignoring default for "${partial}" in ${file} as it is not a string`);
+          continue;
+        }
+        defaults[toRequest(partial)] = toRequest(preferred);
+      }
+    } catch (err) {
+      utils.warn(`Couldn't parse dataset defaults file ${file} -- ${err.message}`);
+    }
+  }
+  return defaults;
+};
+
+/**
+ * As per `readDatasetDefaults`, but cached (see `datasetDefaultsCacheDuration`).
+ * @returns {Promise} resolves to the defaults
+ */
+const getDatasetDefaults = (datasetsPath) => {
+  const cached = datasetDefaultsCache.get(datasetsPath);
+  if (cached && Date.now() - cached.time < datasetDefaultsCacheDuration) return cached.defaults;
+  const defaults = readDatasetDefaults(datasetsPath);
+  datasetDefaultsCache.set(datasetsPath, {defaults, time: Date.now()});
+  return defaults;
+};
+
 /**
  * Given a request, does the dataset exist?
- * In the future, if there is no exact match but a partial one we
- * should extend this. E.g. `["flu"]` -> `["flu", "h3n2", "ha", "3y"]`
- * In that case, we should utilise `res.redirect` as we do in the nextstrain.org server
+ * If there is no exact match, but the request is a partial match, then we
+ * extend it to the "best" available dataset. E.g. `["flu"]` -> `["flu", "seasonal", "h3n2", "ha", "2y"]`.
+ * The dataset is chosen via (a) the defaults file, if one exists, and, failing that,
+ * (b) the available dataset with the fewest parts (ties are broken alphabetically).
+ * When this happens the caller should redirect the client (see `redirectToExtendedRequest`)
+ * as we do in the nextstrain.org server.
+ * @sideEffect modifies `info.parts`. Sets `info.extended` {bool}
  * @throws
  */
-const extendDataPathsToMatchAvailable = (info, availableDatasets) => {
-  const requestStrToMatch = info.parts.join("/"); // TO DO
-  /* TODO currently there must be an _exact_ match in the available datasets */
-  if (!availableDatasets.map((d) => d.request).includes(requestStrToMatch)) {
-    throw new Error(`${requestStrToMatch} not in available datasets`);
+const extendDataPathsToMatchAvailable = (info, availableDatasets, defaults={}) => {
+  const availableRequests = availableDatasets.map((d) => d.request);
+  const requestStr = info.parts.join("/");
+  let matchStr = requestStr;
+  const seen = new Set();
+  while (!availableRequests.includes(matchStr)) {
+    if (!matchStr || seen.has(matchStr)) {
+      throw new Error(`${requestStr} not in available datasets`);
+    }
+    seen.add(matchStr);
+    const prefix = `${matchStr}/`;
+    const candidates = availableRequests.filter((r) => r.startsWith(prefix));
+    if (!candidates.length) {
+      throw new Error(`${requestStr} not in available datasets`);
+    }
+    const preferred = defaults[matchStr];
+    if (preferred && (availableRequests.includes(preferred) || availableRequests.some((r) => r.startsWith(`${preferred}/`)))) {
+      matchStr = preferred;
+    } else {
+      if (preferred) utils.warn(`Default for "${matchStr}" ("${preferred}") doesn't match any available dataset`);
+      candidates.sort((a, b) => (a.split("/").length - b.split("/").length) || (a < b ? -1 : a > b ? 1 : 0));
+      matchStr = candidates[0];
+    }
+  }
+  info.extended = matchStr !== requestStr;
+  if (info.extended) {
+    utils.verbose(`Request for "${requestStr}" extended to "${matchStr}"`);
+    info.parts = matchStr.split("/");
   }
-  /* what we want to do is modify `info.parts` to match the available dataset, if possible */
+};
+
+/**
+ * Redirect the client to the same endpoint (& query) but with the (extended) prefix.
+ * The client uses the URL of the (redirected) response to update the displayed pathname.
+ */
+const redirectToExtendedRequest = (req, res, info) => {
+  const query = queryString.parse(req.url.split('?')[1]);
+  query.prefix = `/${info.parts.join("/")}`;
+  const redirectUrl = `${req.originalUrl.split('?')[0]}?${queryString.stringify(query)}`;
+  utils.log(`Redirecting to ${redirectUrl}`);
+  return res.redirect(redirectUrl);
+};
+
+/**
+ * Files may exist on disk uncompressed and/or (pre-)compressed, e.g. `zika.json`,
+ * `zika.json.gz` and `zika.json.br`.
+ * @param {string} filePath path of the uncompressed file (which need not exist)
+ * @returns {Object} keys: the encodings available ("identity", "gzip", "br"), values: the corresponding paths
+ */
+const findFileVariants = (filePath) => {
+  const variants = {};
+  if (fs.existsSync(filePath)) variants.identity = filePath;
+  for (const [suffix, encoding] of Object.entries(utils.compressionSuffixes)) {
+    if (fs.existsSync(`${filePath}${suffix}`)) variants[encoding] = `${filePath}${suffix}`;
+  }
+  return variants;
+};
+
+/**
+ * Choose which variant of a file (see `findFileVariants`) to send the client.
+ * A compressed file is sent as-is if the request's `Accept-Encoding` allows it.
+ * Otherwise the uncompressed file is sent, and, if that doesn't exist, a
+ * compressed file is sent after being decompressed on the fly.
+ * @returns {Object|undefined} keys: `path`, `encoding` (the `Content-Encoding`, if any),
+ * `decompress` (bool). `undefined` if no variant exists.
+ */
+const chooseFileVariant = (req, variants) => {
+  const acceptsEncoding = (encoding) => !!(req && req.headers && req.headers["accept-encoding"] && req.acceptsEncodings(encoding));
+  for (const encoding of ["br", "gzip"]) {
+    if (variants[encoding] && acceptsEncoding(encoding)) {
+      return {path: variants[encoding], encoding, decompress: false};
+    }
+  }
+  if (variants.identity) return {path: variants.identity, decompress: false};
+  if (variants.gzip) return {path: variants.gzip, decompress: true};
+  if (variants.br && zlib.createBrotliDecompress) return {path: variants.br, decompress: true};
+  return undefined;
+};
+
+/**
+ * Find the path (minus any suffix) of the file(s) on disk which represent the
+ * request. Datasets may either be in subdirectories (`flu/seasonal/h3n2/ha/2y.json`)
+ * or in the top-level directory, with underscores encoding the hierarchy
+ * (`flu_seasonal_h3n2_ha_2y.json`). The former is preferred if both exist.
+ * @param {string} suffix e.g. ".json" or "_tree.json"
+ */
+const findDatasetFileStem = (datasetsPath, parts, suffix) => {
+  const nestedStem = path.join(datasetsPath, ...parts);
+  if (parts.length > 1 && Object.keys(findFileVariants(`${nestedStem}${suffix}`)).length) {
+    return nestedStem;
+  }
+  return path.join(datasetsPath, parts.join("_"));
 };
 
 /**
@@ -66,40 +220,88 @@ const extendDataPathsToMatchAvailable = (info, availableDatasets) => {
  * if we need v1 datasets then `info.address` will be an object with `meta`
  * and `tree` keys. Otherwise `info.address` will be a string of the fetch
  * path.
+ * Additional files (e.g. tip-frequencies) are sourced alongside the main dataset file.
  * @sideEffect sets `info.address` {Object | string}
  * @throws
  */
 const makeFetchAddresses = (info, datasetsPath, availableDatasets) => {
+  const requestStr = info.parts.join("/");
+  const availableInfo = availableDatasets.filter((d) => d.request === requestStr)[0];
+  if (!availableInfo) {
+    throw new Error(`${requestStr} not in available datasets`);
+  }
+  const stem = findDatasetFileStem(datasetsPath, info.parts, availableInfo.v2 ? ".json" : "_tree.json");
   if (info.dataType !== "dataset") {
-    info.address = path.join(
-      datasetsPath,
-      `${info.parts.join("_")}_${info.dataType}.json`
-    );
+    info.address = `${stem}_${info.dataType}.json`;
+  } else if (availableInfo.v2) {
+    info.address = `${stem}.json`;
   } else {
-    const requestStr = info.parts.join("/"); // TO DO
-    const availableInfo = availableDatasets.filter((d) => d.request === requestStr)[0];
-    if (availableInfo.v2) {
-      info.address = path.join(datasetsPath, `${info.parts.join("_")}.json`);
-    } else {
-      info.address = {
-        meta: path.join(datasetsPath, `${info.parts.join("_")}_meta.json`),
-        tree: path.join(datasetsPath, `${info.parts.join("_")}_tree.json`)
-      };
-    }
+    info.address = {
+      meta: `${stem}_meta.json`,
+      tree: `${stem}_tree.json`
+    };
   }
 };
 
+/**
+ * Read (into memory) the file(s) represented by `info.address` (see `makeFetchAddresses`).
+ * Compressed files are decompressed and v1 datasets are converted to v2.
+ * @returns {Promise} resolves to the JSON
+ * @throws
+ */
+const readDataset = async (info) => {
+  const readFileVariant = (filePath) => {
+    const variants = findFileVariants(filePath);
+    return utils.readFilePromise(variants.identity || variants.gzip || variants.br || filePath);
+  };
+  if (typeof info.address === "string") {
+    return readFileVariant(info.address);
+  }
+  const meta = await readFileVariant(info.address.meta);
+  const tree = await readFileVariant(info.address.tree);
+  return convertFromV1({tree, meta});
+};
+
 const sendJson = async (res, info) => {
   if (typeof info.address === "string") {
     /* In general, JSONs are designed such that no server modifications
     are needed by the server. This allows us to read as a stream and
-    stream the response */
-    const readStream = fs.createReadStream(info.address);
+    stream the response. Pre-compressed JSONs are streamed without
+    modification if the client accepts the encoding */
+    const variant = chooseFileVariant(res.req, findFileVariants(info.address));
+    if (!variant) {
+      utils.warn(`Failed to find ${info.address} (or a compressed version of it)`);
+      return res.sendStatus(404);
+    }
+    /* validators allow clients to cache the dataset & subsequently revalidate it
+    via a conditional request (see `src/util/datasetCache.js`) */
+    const stats = fs.statSync(variant.path);
+    res.set("ETag", `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}${variant.decompress ? "-d" : ""}"`);
+    res.set("Last-Modified", stats.mtime.toUTCString());
+    res.vary("Accept-Encoding");
+    if (res.req.fresh) {
+      utils.verbose(`${variant.path} is unchanged -- sending 304`);
+      return res.sendStatus(304);
+    }
+    utils.verbose(`Sending ${variant.path}${variant.decompress ? " (decompressing)" : ""}`);
+    const readStream = fs.createReadStream(variant.path);
     readStream.on('open', () => {
-      readStream.pipe(res);
+      res.set("Content-Type", "application/json");
+      if (variant.encoding) res.set("Content-Encoding", variant.encoding);
+      if (variant.decompress) {
+        const decompressor = variant.path.endsWith(".br") ? zlib.createBrotliDecompress() : zlib.createGunzip();
+        decompressor.on('error', (err) => {
+          utils.warn(`Failed to decompress ${variant.path}`);
+          utils.verbose(err);
+          res.end();
+        });
+        readStream.pipe(decompressor).pipe(res);
+      } else {
+        readStream.pipe(res);
+      }
     });
     readStream.on('error', (err) => {
-      utils.warn(`Failed to read ${info.address}`);
+      utils.warn(`Failed to read ${variant.path}`);
       utils.verbose(err);
       res.sendStatus(404);
     });
@@ -107,9 +309,7 @@ const sendJson = async (res, info) => {
     /* v1 JSONs require modification to the JSON data (i.e. conversion
     into a v2 JSON!). This requires us to read both (v1) JSONs
     into memory */
-    const meta = await utils.readFilePromise(info.address.meta);
-    const tree = await utils.readFilePromise(info.address.tree);
-    const v2Json = convertFromV1({tree, meta});
+    const v2Json = await readDataset(info);
     return res.json(v2Json);
   }
 };
@@ -156,9 +356,14 @@ const findAvailableSecondTreeOptions = (currentDatasetUrl, availableDatasetUrls)
 
 module.exports = {
   interpretRequest,
+  datasetDefaultsFilename,
+  getDatasetDefaults,
   extendDataPathsToMatchAvailable,
+  redirectToExtendedRequest,
   makeFetchAddresses,
   handleError,
   sendJson,
+  readDataset,
+  findFileVariants,
   findAvailableSecondTreeOptions
 };
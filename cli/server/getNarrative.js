@@ -4,16 +4,28 @@ const path = require("path");
 const fs = require("fs");
 const utils = require("../utils");
 
+/**
+ * Find the path of the narrative file for a given request.
+ * Narratives may be in subdirectories (`a/b/c.md`) or in the top-level
+ * directory with underscores encoding the hierarchy (`a_b_c.md`).
+ * @param {string} prefix the request, e.g. "/narratives/a/b/c"
+ */
+const findNarrativeFile = (narrativesPath, prefix) => {
+  const request = prefix
+    .replace(/.*narratives\//, "")  // remove the URL up to (& including) "narratives/"
+    .replace(/\/$/, "");            // remove ending slash
+
+  const nestedPath = path.join(narrativesPath, `${request}.md`);
+  if (request.includes("/") && fs.existsSync(nestedPath) && nestedPath.startsWith(path.resolve(narrativesPath) + path.sep)) {
+    return nestedPath;
+  }
+  return path.join(narrativesPath, `${request.replace(/\//g, "_")}.md`);
+};
+
 const setUpGetNarrativeHandler = ({narrativesPath}) => {
   return async (req, res) => {
     const prefix = queryString.parse(req.url.split('?')[1]).prefix || "";
-    const filename = prefix
-      .replace(/.+narratives\//, "")  // remove the URL up to (& including) "narratives/"
-      .replace(/\/$/, "")             // remove ending slash
-      .replace(/\//g, "_")            // change slashes to underscores
-      .concat(".md");                 // add .md suffix
-
-    const pathName = path.join(narrativesPath, filename);
+    const pathName = findNarrativeFile(narrativesPath, prefix);
     utils.log("trying to access & parse local narrative file: " + pathName);
     try {
       const fileContents = fs.readFileSync(pathName, 'utf8');
@@ -29,5 +41,6 @@ const setUpGetNarrativeHandler = ({narrativesPath}) => {
 };
 
 module.exports = {
-  setUpGetNarrativeHandler
+  setUpGetNarrativeHandler,
+  findNarrativeFile
 };
@@ -0,0 +1,568 @@
+/**
+ * Validation of dataset JSONs (and their sidecar files) prior to them being
+ * served to the auspice client.
+ *
+ * There are two classes of checks here:
+ * (1) structural checks against the v2 JSON schema
+ *     (https://github.com/nextstrain/augur/blob/master/augur/data/schema-export-v2.json)
+ * (2) checks against assumptions made by the client at runtime (see
+ *     `createStateFromQueryOrJSONs` in `src/actions/recomputeReduxState.js`).
+ *     A dataset may conform to the schema but, for instance, request a
+ *     display default which the client will silently ignore.
+ *
+ * Problems are reported as either "errors" (the dataset will not load, or a
+ * requested feature will not be available) or "warnings" (the client will
+ * recover, but probably not in the way the dataset author intended).
+ */
+
+const panelsKnown = ["tree", "map", "frequencies", "entropy"];
+const coloringTypes = ["continuous", "ordinal", "categorical", "boolean"];
+const layoutsKnown = ["rect", "radial", "unrooted", "clock", "scatter", "explode"];
+const distanceMeasuresKnown = ["div", "num_date"];
+/* these should match `isValueValid` in src/util/globals.js */
+const invalidValues = ["unknown", "?", "nan", "na", "n/a", "", "unassigned"];
+
+const isObject = (x) => typeof x === "object" && x !== null && !Array.isArray(x);
+
+const isValueValid = (value) => {
+  if (typeof value !== "string" && typeof value !== "number" && typeof value !== "boolean") {
+    return false;
+  }
+  return !invalidValues.includes(String(value).toLowerCase());
+};
+
+/* Same semantics as `getTraitFromNode` in src/util/treeMiscHelpers.js */
+const getTraitFromNode = (node, trait) => {
+  if (!node.node_attrs || !node.node_attrs[trait]) return undefined;
+  const value = node.node_attrs[trait].value;
+  if (!isValueValid(value)) return undefined;
+  return value;
+};
+
+/**
+ * Create an (empty) report for a single dataset. The report is intended to be
+ * machine-readable, i.e. it is serialised as-is by `auspice validate --report`.
+ * @param {object} files keys: `main`, `tipFrequencies`, `rootSequence` (file paths, or undefined)
+ */
+const createReport = (files) => {
+  const report = {files, errors: [], warnings: []};
+  /* the following are non-enumerable so they're not included in the serialised report */
+  Object.defineProperty(report, "error", {value: (file, location, message) => {
+    report.errors.push({file, location, message});
+  }});
+  Object.defineProperty(report, "warn", {value: (file, location, message) => {
+    report.warnings.push({file, location, message});
+  }});
+  return report;
+};
+
+/**
+ * Pre-order traversal which doesn't rely on any auspice-specific properties.
+ * Unlike the client, we don't assume `children` is well-formed.
+ */
+const collectNodes = (root) => {
+  const nodes = [];
+  const stack = [{node: root, location: "tree"}];
+  while (stack.length) {
+    const {node, location} = stack.pop();
+    nodes.push({node, location});
+    if (isObject(node) && Array.isArray(node.children)) {
+      for (let i = node.children.length - 1; i >= 0; i--) {
+        stack.push({node: node.children[i], location: `${location}.children[${i}]`});
+      }
+    }
+  }
+  return nodes;
+};
+
+/* ----------------------------  SCHEMA CHECKS  ---------------------------- */
+
+const checkMetaSchema = (meta, report, file) => {
+  if (!isObject(meta)) {
+    report.error(file, "meta", "`meta` must be an object");
+    return;
+  }
+  if (typeof meta.updated !== "string") {
+    report.error(file, "meta.updated", "`updated` is required and must be a string");
+  }
+  if (meta.title !== undefined && typeof meta.title !== "string") {
+    report.error(file, "meta.title", "`title` must be a string");
+  }
+  if (meta.maintainers !== undefined) {
+    if (!Array.isArray(meta.maintainers)) {
+      report.error(file, "meta.maintainers", "`maintainers` must be an array");
+    } else {
+      meta.maintainers.forEach((m, i) => {
+        if (!isObject(m) || typeof m.name !== "string") {
+          report.error(file, `meta.maintainers[${i}]`, "each maintainer must be an object with a `name`");
+        }
+      });
+    }
+  }
+  if (meta.panels !== undefined) {
+    if (!Array.isArray(meta.panels)) {
+      report.error(file, "meta.panels", "`panels` must be an array");
+    } else {
+      meta.panels.forEach((p, i) => {
+        if (!panelsKnown.includes(p)) {
+          report.error(file, `meta.panels[${i}]`, `unknown panel "${p}" (must be one of ${panelsKnown.join(", ")})`);
+        }
+      });
+    }
+  }
+  if (meta.colorings !== undefined) {
+    if (!Array.isArray(meta.colorings)) {
+      report.error(file, "meta.colorings", "`colorings` must be an array (v2 JSONs no longer use a dictionary)");
+    } else {
+      meta.colorings.forEach((c, i) => {
+        const loc = `meta.colorings[${i}]`;
+        if (!isObject(c) || typeof c.key !== "string") {
+          report.error(file, loc, "each coloring must be an object with a `key`");
+          return;
+        }
+        if (!coloringTypes.includes(c.type)) {
+          report.error(file, `${loc}.type`, `coloring "${c.key}" has type "${c.type}" (must be one of ${coloringTypes.join(", ")})`);
+        }
+        if (c.title !== undefined && typeof c.title !== "string") {
+          report.error(file, `${loc}.title`, `coloring "${c.key}" has a non-string title`);
+        }
+        if (c.scale !== undefined) {
+          if (!Array.isArray(c.scale) || !c.scale.every((s) => Array.isArray(s) && s.length === 2 && typeof s[1] === "string")) {
+            report.error(file, `${loc}.scale`, `coloring "${c.key}" must define its scale as a list of [value, hex] pairs`);
+          } else if (!c.scale.every((s) => /^#[0-9A-Fa-f]{6}$/.test(s[1]))) {
+            report.warn(file, `${loc}.scale`, `coloring "${c.key}" has scale colours which aren't 6-digit hex strings`);
+          }
+        }
+      });
+      const keys = meta.colorings.filter((c) => isObject(c)).map((c) => c.key);
+      keys.filter((k, i) => keys.indexOf(k) !== i).forEach((k) => {
+        report.error(file, "meta.colorings", `coloring "${k}" is defined more than once`);
+      });
+    }
+  }
+  if (meta.filters !== undefined) {
+    if (!Array.isArray(meta.filters) || !meta.filters.every((f) => typeof f === "string")) {
+      report.error(file, "meta.filters", "`filters` must be an array of strings");
+    }
+  }
+  if (meta.geo_resolutions !== undefined) {
+    if (!Array.isArray(meta.geo_resolutions)) {
+      report.error(file, "meta.geo_resolutions", "`geo_resolutions` must be an array");
+    } else {
+      meta.geo_resolutions.forEach((g, i) => {
+        const loc = `meta.geo_resolutions[${i}]`;
+        if (!isObject(g) || typeof g.key !== "string" || !isObject(g.demes)) {
+          report.error(file, loc, "each geo resolution must be an object with `key` and `demes`");
+          return;
+        }
+        for (const [deme, coords] of Object.entries(g.demes)) {
+          if (!isObject(coords) || typeof coords.latitude !== "number" || typeof coords.longitude !== "number") {
+            report.error(file, `${loc}.demes`, `deme "${deme}" must have numeric \`latitude\` and \`longitude\``);
+          }
+        }
+      });
+    }
+  }
+  if (meta.genome_annotations !== undefined) {
+    if (!isObject(meta.genome_annotations)) {
+      report.error(file, "meta.genome_annotations", "`genome_annotations` must be an object");
+    } else {
+      for (const [gene, info] of Object.entries(meta.genome_annotations)) {
+        const loc = `meta.genome_annotations.${gene}`;
+        if (!isObject(info) || !Number.isInteger(info.start) || !Number.isInteger(info.end)) {
+          report.error(file, loc, `annotation "${gene}" must have integer \`start\` and \`end\``);
+        } else if (info.strand !== undefined && !["+", "-"].includes(info.strand)) {
+          report.error(file, `${loc}.strand`, `annotation "${gene}" has strand "${info.strand}" (must be "+" or "-")`);
+        }
+      }
+    }
+  }
+  if (meta.display_defaults !== undefined && !isObject(meta.display_defaults)) {
+    report.error(file, "meta.display_defaults", "`display_defaults` must be an object");
+  }
+};
+
+const checkTreeSchema = (tree, report, file) => {
+  if (!isObject(tree)) {
+    report.error(file, "tree", "`tree` must be an object representing the root node");
+    return [];
+  }
+  const nodes = collectNodes(tree);
+  const names = new Set();
+  nodes.forEach(({node, location}) => {
+    if (!isObject(node)) {
+      report.error(file, location, "nodes must be objects");
+      return;
+    }
+    if (typeof node.name !== "string") {
+      report.error(file, location, "node is missing a `name`");
+    } else if (names.has(node.name)) {
+      report.error(file, location, `node name "${node.name}" is not unique (the client will drop this node)`);
+    } else {
+      names.add(node.name);
+    }
+    if (node.children !== undefined && (!Array.isArray(node.children) || !node.children.length)) {
+      report.error(file, `${location}.children`, `node "${node.name}": \`children\` must be a non-empty array if defined`);
+    }
+    if (node.node_attrs !== undefined && !isObject(node.node_attrs)) {
+      report.error(file, `${location}.node_attrs`, `node "${node.name}": \`node_attrs\` must be an object`);
+    }
+    if (node.branch_attrs !== undefined) {
+      if (!isObject(node.branch_attrs)) {
+        report.error(file, `${location}.branch_attrs`, `node "${node.name}": \`branch_attrs\` must be an object`);
+        return;
+      }
+      const {mutations, labels} = node.branch_attrs;
+      if (mutations !== undefined) {
+        if (!isObject(mutations) || !Object.values(mutations).every((m) => Array.isArray(m))) {
+          report.error(file, `${location}.branch_attrs.mutations`, `node "${node.name}": mutations must map each gene to an array`);
+        }
+      }
+      if (labels !== undefined && !isObject(labels)) {
+        report.error(file, `${location}.branch_attrs.labels`, `node "${node.name}": \`labels\` must be an object`);
+      }
+    }
+    const extraKeys = Object.keys(node).filter((k) => !["name", "node_attrs", "branch_attrs", "children"].includes(k));
+    if (extraKeys.length) {
+      report.warn(file, location, `node "${node.name}" has unexpected properties: ${extraKeys.join(", ")}`);
+    }
+  });
+  return nodes.map((n) => n.node).filter((n) => isObject(n));
+};
+
+/* ----------------------------  RUNTIME CHECKS  ---------------------------- */
+
+/**
+ * Summarise the tree in the same way the client does upon loading, so that
+ * subsequent checks can compare what the JSON requests against what's available.
+ */
+const summariseTree = (nodes) => {
+  const summary = {
+    traits: new Map(), /* trait name -> set of (valid) values */
+    branchLabels: new Set(),
+    genesWithMutations: new Set(),
+    hasDivAtRoot: !!(nodes[0].node_attrs && nodes[0].node_attrs.div !== undefined),
+    hasNumDateAtRoot: getTraitFromNode(nodes[0], "num_date") !== undefined,
+    tipNames: new Set()
+  };
+  nodes.forEach((node) => {
+    if (!node.children) summary.tipNames.add(node.name);
+    if (isObject(node.node_attrs)) {
+      Object.keys(node.node_attrs).forEach((trait) => {
+        const value = getTraitFromNode(node, trait);
+        if (value === undefined) return;
+        if (!summary.traits.has(trait)) summary.traits.set(trait, new Set());
+        summary.traits.get(trait).add(value);
+      });
+    }
+    if (isObject(node.branch_attrs)) {
+      if (isObject(node.branch_attrs.labels)) {
+        Object.keys(node.branch_attrs.labels).forEach((l) => summary.branchLabels.add(l));
+      }
+      if (isObject(node.branch_attrs.mutations)) {
+        Object.keys(node.branch_attrs.mutations)
+          .filter((gene) => node.branch_attrs.mutations[gene].length)
+          .forEach((gene) => summary.genesWithMutations.add(gene));
+      }
+    }
+  });
+  return summary;
+};
+
+const checkColorings = (meta, summary, report, file) => {
+  if (!Array.isArray(meta.colorings)) return;
+  meta.colorings.forEach((c, i) => {
+    if (!isObject(c)) return;
+    if (c.key === "gt") {
+      if (!summary.genesWithMutations.size) {
+        report.error(file, `meta.colorings[${i}]`, `coloring "gt" is defined but there are no mutations on the tree`);
+      }
+      return;
+    }
+    if (!summary.traits.has(c.key)) {
+      report.error(file, `meta.colorings[${i}]`, `coloring "${c.key}" is not set (with a valid value) on any node in the tree`);
+      return;
+    }
+    if (c.type === "continuous") {
+      const nonNumeric = [...summary.traits.get(c.key)].filter((v) => typeof v !== "number");
+      if (nonNumeric.length) {
+        report.warn(file, `meta.colorings[${i}]`, `continuous coloring "${c.key}" has non-numeric values (e.g. "${nonNumeric[0]}")`);
+      }
+    }
+    if (Array.isArray(c.scale)) {
+      const values = summary.traits.get(c.key);
+      const unused = c.scale.filter((s) => Array.isArray(s) && !values.has(s[0])).map((s) => s[0]);
+      if (unused.length) {
+        report.warn(file, `meta.colorings[${i}].scale`, `coloring "${c.key}" defines colours for values not found on the tree: ${unused.join(", ")}`);
+      }
+    }
+  });
+  if (Array.isArray(meta.filters)) {
+    meta.filters.forEach((f, i) => {
+      if (!summary.traits.has(f)) {
+        report.warn(file, `meta.filters[${i}]`, `filter "${f}" is not set (with a valid value) on any node in the tree`);
+      }
+    });
+  }
+};
+
+const checkDisplayDefaults = (meta, summary, report, file) => {
+  const defaults = meta.display_defaults;
+  if (!isObject(defaults)) return;
+  const loc = (key) => `meta.display_defaults.${key}`;
+  const coloringKeys = Array.isArray(meta.colorings) ? meta.colorings.filter((c) => isObject(c)).map((c) => c.key) : [];
+  const geoKeys = Array.isArray(meta.geo_resolutions) ? meta.geo_resolutions.filter((g) => isObject(g)).map((g) => g.key) : [];
+
+  const expectedTypes = {
+    color_by: "string",
+    geo_resolution: "string",
+    distance_measure: "string",
+    layout: "string",
+    map_triplicate: "boolean",
+    branch_label: "string",
+    sidebar: "string"
+  };
+  for (const key of Object.keys(defaults)) {
+    if (!expectedTypes[key]) {
+      report.warn(file, loc(key), `unknown display default "${key}" will be ignored`);
+    } else if (typeof defaults[key] !== expectedTypes[key]) { // eslint-disable-line valid-typeof
+      report.error(file, loc(key), `"${key}" must be a ${expectedTypes[key]}`);
+    }
+  }
+
+  if (typeof defaults.color_by === "string" && !defaults.color_by.startsWith("gt-") && !coloringKeys.includes(defaults.color_by)) {
+    report.error(file, loc("color_by"), `"${defaults.color_by}" is not one of the defined colorings`);
+  }
+  if (typeof defaults.geo_resolution === "string" && !geoKeys.includes(defaults.geo_resolution)) {
+    report.error(file, loc("geo_resolution"), `"${defaults.geo_resolution}" is not one of the defined geo resolutions`);
+  }
+  if (typeof defaults.distance_measure === "string") {
+    if (!distanceMeasuresKnown.includes(defaults.distance_measure)) {
+      report.error(file, loc("distance_measure"), `"${defaults.distance_measure}" must be one of ${distanceMeasuresKnown.join(", ")}`);
+    } else if (defaults.distance_measure === "div" && !summary.hasDivAtRoot) {
+      report.error(file, loc("distance_measure"), "divergence requested but the root node has no `div`");
+    } else if (defaults.distance_measure === "num_date" && !summary.hasNumDateAtRoot) {
+      report.error(file, loc("distance_measure"), "time requested but the root node has no `num_date`");
+    }
+  }
+  if (typeof defaults.layout === "string") {
+    if (!layoutsKnown.includes(defaults.layout)) {
+      report.error(file, loc("layout"), `"${defaults.layout}" must be one of ${layoutsKnown.join(", ")}`);
+    } else if (defaults.layout === "clock" && !(summary.hasDivAtRoot && summary.hasNumDateAtRoot)) {
+      report.error(file, loc("layout"), "the clock layout requires both `div` and `num_date` on the tree");
+    }
+  }
+  if (typeof defaults.branch_label === "string" && defaults.branch_label !== "none" && !summary.branchLabels.has(defaults.branch_label)) {
+    report.error(file, loc("branch_label"), `"${defaults.branch_label}" is not a branch label present on the tree`);
+  }
+  if (typeof defaults.sidebar === "string" && !["open", "closed"].includes(defaults.sidebar)) {
+    report.error(file, loc("sidebar"), `"${defaults.sidebar}" must be "open" or "closed"`);
+  }
+};
+
+const checkGenomeAnnotations = (meta, summary, report, file) => {
+  const annotations = meta.genome_annotations;
+  if (!isObject(annotations)) {
+    if (summary.genesWithMutations.size) {
+      report.warn(file, "meta.genome_annotations", "the tree has mutations but there are no genome annotations, so the entropy panel & genotype colourings are unavailable");
+    }
+    return;
+  }
+  const nuc = annotations.nuc;
+  if (!isObject(nuc)) {
+    report.error(file, "meta.genome_annotations.nuc", "`nuc` is required (the entropy panel will not be shown)");
+  }
+  for (const [gene, info] of Object.entries(annotations)) {
+    if (!isObject(info) || !Number.isInteger(info.start) || !Number.isInteger(info.end)) continue; /* reported by the schema check */
+    const loc = `meta.genome_annotations.${gene}`;
+    if (info.start < 1 || info.end <= info.start) {
+      report.error(file, loc, `annotation "${gene}" must have 1 <= start < end (GFF coordinates)`);
+      continue;
+    }
+    if (gene === "nuc") continue;
+    if (isObject(nuc) && (info.start < nuc.start || info.end > nuc.end)) {
+      report.error(file, loc, `gene "${gene}" (${info.start}-${info.end}) extends beyond the genome (${nuc.start}-${nuc.end})`);
+    }
+    if ((info.end - info.start + 1) % 3 !== 0) {
+      report.warn(file, loc, `gene "${gene}" has a length which is not a multiple of 3`);
+    }
+  }
+  summary.genesWithMutations.forEach((gene) => {
+    if (!annotations[gene]) {
+      report.warn(file, "meta.genome_annotations", `mutations are present for "${gene}" which is not annotated`);
+    }
+  });
+};
+
+/**
+ * Mutation positions (e.g. "A123T") should fall within the annotated gene.
+ * Only the first out-of-range mutation per gene is reported.
+ */
+const checkMutationPositions = (meta, nodes, report, file) => {
+  if (!isObject(meta.genome_annotations)) return;
+  const lengths = {};
+  for (const [gene, info] of Object.entries(meta.genome_annotations)) {
+    if (!isObject(info) || !Number.isInteger(info.start) || !Number.isInteger(info.end)) continue;
+    lengths[gene] = gene === "nuc" ? info.end : Math.floor((info.end - info.start + 1) / 3);
+  }
+  const reported = new Set();
+  nodes.forEach((node) => {
+    if (!isObject(node.branch_attrs) || !isObject(node.branch_attrs.mutations)) return;
+    for (const [gene, muts] of Object.entries(node.branch_attrs.mutations)) {
+      if (reported.has(gene) || !lengths[gene] || !Array.isArray(muts)) continue;
+      for (const mut of muts) {
+        const pos = parseInt(String(mut).slice(1, -1), 10);
+        if (Number.isNaN(pos) || pos < 1 || pos > lengths[gene]) {
+          report.error(file, "tree", `mutation "${mut}" (gene "${gene}", node "${node.name}") is outside of the annotated range 1-${lengths[gene]}`);
+          reported.add(gene);
+          break;
+        }
+      }
+    }
+  });
+};
+
+const checkPanels = (meta, summary, sidecars, report, file) => {
+  const panels = Array.isArray(meta.panels) ? meta.panels : ["tree"];
+  if (!Array.isArray(meta.panels)) {
+    report.warn(file, "meta.panels", "`panels` not defined, so only the tree will be displayed");
+  }
+  if (panels.includes("map")) {
+    const geo = Array.isArray(meta.geo_resolutions) ? meta.geo_resolutions.filter((g) => isObject(g)) : [];
+    if (!geo.length) {
+      report.error(file, "meta.panels", "the map panel is requested but there are no `geo_resolutions`");
+    }
+    geo.forEach((g) => {
+      if (!summary.traits.has(g.key)) {
+        report.error(file, "meta.geo_resolutions", `geo resolution "${g.key}" is not set on any node in the tree`);
+        return;
+      }
+      if (!isObject(g.demes)) return;
+      const missing = [...summary.traits.get(g.key)].filter((v) => !g.demes[v]);
+      if (missing.length) {
+        report.warn(file, "meta.geo_resolutions", `geo resolution "${g.key}" has values on the tree without lat/longs (these won't be shown on the map): ${missing.join(", ")}`);
+      }
+    });
+  }
+  if (panels.includes("entropy")) {
+    if (!isObject(meta.genome_annotations) || !meta.genome_annotations.nuc) {
+      report.error(file, "meta.panels", "the entropy panel is requested but `genome_annotations.nuc` is missing");
+    }
+    if (!summary.genesWithMutations.size) {
+      report.error(file, "meta.panels", "the entropy panel is requested but there are no mutations on the tree");
+    }
+  }
+  if (panels.includes("frequencies") && !sidecars.tipFrequencies) {
+    report.error(file, "meta.panels", "the frequencies panel is requested but there is no tip-frequencies file");
+  }
+  if (!panels.includes("frequencies") && sidecars.tipFrequencies) {
+    report.warn(file, "meta.panels", "a tip-frequencies file exists but the frequencies panel is not requested, so it will never be fetched");
+  }
+};
+
+const checkTipFrequencies = (json, summary, report, file) => {
+  if (!isObject(json)) {
+    report.error(file, "", "tip frequencies must be an object");
+    return;
+  }
+  if (!Array.isArray(json.pivots) || !json.pivots.every((p) => typeof p === "number")) {
+    report.error(file, "pivots", "`pivots` must be an array of numbers");
+    return;
+  }
+  const nPivots = json.pivots.length;
+  const metaKeys = ["pivots", "projection_pivot", "generated_by"];
+  if (json.projection_pivot !== undefined && typeof json.projection_pivot !== "number") {
+    report.error(file, "projection_pivot", "`projection_pivot` must be a number");
+  }
+  let nTipsWithFrequencies = 0;
+  for (const [name, data] of Object.entries(json)) {
+    if (metaKeys.includes(name)) continue;
+    nTipsWithFrequencies++;
+    if (!summary.tipNames.has(name)) {
+      report.warn(file, name, `"${name}" is not a tip in the tree`);
+    }
+    if (!isObject(data) || !Array.isArray(data.frequencies) || data.frequencies.length !== nPivots) {
+      report.error(file, name, `"${name}" must have a \`frequencies\` array of length ${nPivots} (one per pivot)`);
+    }
+  }
+  const missing = [...summary.tipNames].filter((name) => !json[name]);
+  if (missing.length) {
+    report.warn(file, "", `${missing.length} (of ${summary.tipNames.size}) tips have no frequency information (e.g. "${missing[0]}")`);
+  }
+  if (!nTipsWithFrequencies) {
+    report.error(file, "", "no tips have frequency information");
+  }
+};
+
+const checkRootSequence = (json, meta, report, file) => {
+  if (!isObject(json)) {
+    report.error(file, "", "the root sequence must be an object of gene -> sequence");
+    return;
+  }
+  if (typeof json.nuc !== "string") {
+    report.error(file, "nuc", "the root sequence must include the nucleotide sequence (`nuc`)");
+  }
+  const annotations = isObject(meta.genome_annotations) ? meta.genome_annotations : {};
+  for (const [gene, seq] of Object.entries(json)) {
+    if (typeof seq !== "string") {
+      report.error(file, gene, `the sequence for "${gene}" must be a string`);
+      continue;
+    }
+    const info = annotations[gene];
+    if (!isObject(info) || !Number.isInteger(info.start) || !Number.isInteger(info.end)) {
+      report.warn(file, gene, `"${gene}" is not annotated in the dataset's \`genome_annotations\``);
+      continue;
+    }
+    const expectedLength = gene === "nuc" ? info.end : Math.floor((info.end - info.start + 1) / 3);
+    if (seq.length !== expectedLength && !(gene !== "nuc" && seq.length === expectedLength + 1)) {
+      report.warn(file, gene, `"${gene}" has length ${seq.length} but the annotation implies ${expectedLength}`);
+    }
+  }
+};
+
+/**
+ * Validate a dataset.
+ * @param {object} data keys: `main` (the dataset JSON), `tipFrequencies` & `rootSequence` (optional sidecar JSONs)
+ * @param {object} files keys: `main`, `tipFrequencies`, `rootSequence` -- the paths from which the data was read (used in the report)
+ * @returns {object} report with `files`, `errors` and `warnings` properties. Each error / warning has `file`, `location` and `message`.
+ */
+const validateDataset = (data, files) => {
+  const report = createReport(files);
+  const json = data.main;
+  const file = files.main;
+
+  if (!isObject(json)) {
+    report.error(file, "", "the dataset must be a JSON object");
+    return report;
+  }
+  if (json.version === undefined && json.nodes === undefined && (json.color_options || json.children)) {
+    report.error(file, "", "this looks like a v1 JSON. Please convert it using `auspice convert`");
+    return report;
+  }
+  if (json.version !== "v2") {
+    report.warn(file, "version", `version is "${json.version}" (expected "v2")`);
+  }
+  checkMetaSchema(json.meta, report, file);
+  const nodes = checkTreeSchema(json.tree, report, file);
+  if (!isObject(json.meta) || !nodes.length) {
+    return report; /* no point continuing */
+  }
+
+  const summary = summariseTree(nodes);
+  checkColorings(json.meta, summary, report, file);
+  checkDisplayDefaults(json.meta, summary, report, file);
+  checkGenomeAnnotations(json.meta, summary, report, file);
+  checkMutationPositions(json.meta, nodes, report, file);
+  checkPanels(json.meta, summary, {tipFrequencies: data.tipFrequencies}, report, file);
+  if (data.tipFrequencies) {
+    checkTipFrequencies(data.tipFrequencies, summary, report, files.tipFrequencies);
+  }
+  if (data.rootSequence) {
+    checkRootSequence(data.rootSequence, json.meta, report, files.rootSequence);
+  }
+  return report;
+};
+
+module.exports = {
+  validateDataset
+};
@@ -3,6 +3,13 @@ const fs = require('fs');
 const chalk = require('chalk');
 const path = require("path");
 const fetch = require('node-fetch');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const readdirPromise = promisify(fs.readdir);
+const statPromise = promisify(fs.stat);
+const lstatPromise = promisify(fs.lstat);
+const realpathPromise = promisify(fs.realpath);
 
 const verbose = (msg) => {
   if (global.AUSPICE_VERBOSE) {
@@ -75,14 +82,41 @@ const fetchJSON = (pathIn) => {
   return p;
 };
 
+/**
+ * Files may be stored pre-compressed, in which case they have one of these suffixes.
+ * The values are the corresponding HTTP `Content-Encoding`s.
+ */
+const compressionSuffixes = {".gz": "gzip", ".br": "br"};
+
+/* e.g. "zika.json.gz" -> "zika.json". Uncompressed filenames are returned unchanged */
+const stripCompressionSuffix = (fileName) => {
+  for (const suffix of Object.keys(compressionSuffixes)) {
+    if (fileName.endsWith(suffix)) return fileName.slice(0, -suffix.length);
+  }
+  return fileName;
+};
+
+/* Decompress the contents of a file according to its suffix (a no-op for uncompressed files) */
+const decompressBuffer = (fileName, buffer) => {
+  if (fileName.endsWith(".gz")) return zlib.gunzipSync(buffer);
+  if (fileName.endsWith(".br")) {
+    if (!zlib.brotliDecompressSync) throw new Error("This version of node cannot decompress brotli files");
+    return zlib.brotliDecompressSync(buffer);
+  }
+  return buffer;
+};
+
+/**
+ * Read & parse a JSON file, which may be (gzip or brotli) compressed.
+ */
 const readFilePromise = (fileName) => {
   return new Promise((resolve, reject) => {
-    fs.readFile(fileName, 'utf8', (err, data) => {
+    fs.readFile(fileName, (err, data) => {
       if (err) {
         return reject(err);
       }
       try {
-        return resolve(JSON.parse(data));
+        return resolve(JSON.parse(decompressBuffer(fileName, data).toString('utf8')));
       } catch (parseErr) {
         return reject(parseErr);
       }
@@ -90,6 +124,40 @@ const readFilePromise = (fileName) => {
   });
 };
 
+/**
+ * List all files within `dir`, including those in subdirectories.
+ * Hidden files & directories (starting with ".") are skipped and symlinks are followed.
+ * Each directory is only read once (so symlink loops are not followed) and entries
+ * which can't be read (e.g. dangling symlinks) are skipped.
+ * @returns {Promise} resolves to an array of paths relative to `dir`, always using "/"
+ * as the separator (i.e. they can be used to form a request) regardless of platform.
+ */
+const readdirRecursive = async (dir, relativeTo="", visited=new Set()) => {
+  visited.add(await realpathPromise(path.join(dir, relativeTo)));
+  const files = [];
+  const names = await readdirPromise(path.join(dir, relativeTo));
+  for (const name of names) {
+    if (name.startsWith(".")) continue;
+    const relativePath = relativeTo ? `${relativeTo}/${name}` : name;
+    const fullPath = path.join(dir, relativePath);
+    let stats;
+    try {
+      stats = await lstatPromise(fullPath); // eslint-disable-line no-await-in-loop
+      if (stats.isSymbolicLink()) stats = await statPromise(fullPath); // eslint-disable-line no-await-in-loop
+    } catch (err) {
+      verbose(`Skipping ${fullPath} as it can't be read (${err.message})`);
+      continue;
+    }
+    if (stats.isDirectory()) {
+      if (visited.has(await realpathPromise(fullPath))) continue; // eslint-disable-line no-await-in-loop
+      files.push(...await readdirRecursive(dir, relativePath, visited)); // eslint-disable-line no-await-in-loop
+    } else {
+      files.push(relativePath);
+    }
+  }
+  return files;
+};
+
 /* Where should the built files be saved? (or sourced??)
  * This may grow more complex over time
  */
@@ -114,7 +182,7 @@ const exportIndexDotHtml = ({relative=false}) => {
   if (relative) {
     data = data
       .replace(/\/favicon/g, "favicon")
-      .replace(/\/dist\/bundle.js/, "dist/bundle.js");
+      .replace(/\/dist\/auspice\.bundle\.js/, "dist/auspice.bundle.js");
   }
   fs.writeFileSync(outputFilePath, data);
 };
@@ -128,5 +196,8 @@ module.exports = {
   customOutputPath,
   fetchJSON,
   readFilePromise,
+  readdirRecursive,
+  compressionSuffixes,
+  stripCompressionSuffix,
   exportIndexDotHtml
 };
@@ -0,0 +1,124 @@
+/* eslint no-console: off */
+const fs = require("fs");
+const path = require("path");
+const chalk = require("chalk");
+const validateDataset = require("./server/validateDataset").validateDataset;
+const findFileVariants = require("./server/getDatasetHelpers").findFileVariants;
+const utils = require("./utils");
+
+
+const addParser = (parser) => {
+  const description = `Validate auspice dataset JSON file(s).
+  Each dataset is checked against the v2 JSON schema as well as against the assumptions the auspice client makes when loading a dataset
+  (e.g. that colorings are set on the nodes and that the requested panels are backed by data).
+  Sidecar files (_tip-frequencies.json and _root-sequence.json) found alongside a dataset are validated too,
+  so if these are given (e.g. via a glob) they're skipped.
+  The exit code is non-zero if any errors are found.
+  `;
+
+  const subparser = parser.addParser('validate', {addHelp: true, description});
+  subparser.addArgument('datasets', {action: "store", nargs: "+", metavar: "JSON", help: "v2 dataset JSON(s) to validate. These may be gzip or brotli compressed."});
+  subparser.addArgument('--report', {action: "store", metavar: "JSON", help: "Write a machine-readable report to this file"});
+  subparser.addArgument('--strict', {action: "storeTrue", help: "Treat warnings as errors (for the purposes of the exit code)"});
+  subparser.addArgument('--verbose', {action: "storeTrue", help: "Print more verbose logging messages."});
+};
+
+/* the key of each sidecar file (in the data passed to `validateDataset`) & its filename suffix */
+const sidecarTypes = [["tipFrequencies", "tip-frequencies"], ["rootSequence", "root-sequence"]];
+
+/**
+ * Given `flu_h3n2.json`, return the paths of sidecar files which exist
+ * alongside it, e.g. `flu_h3n2_tip-frequencies.json`
+ */
+const findSidecarFiles = (datasetPath) => {
+  const stem = utils.stripCompressionSuffix(datasetPath).replace(/\.json$/, "");
+  const sidecars = {};
+  sidecarTypes.forEach(([key, suffix]) => {
+    const variants = findFileVariants(`${stem}_${suffix}.json`);
+    const sidecarPath = variants.identity || variants.gzip || variants.br;
+    if (sidecarPath) sidecars[key] = sidecarPath;
+  });
+  return sidecars;
+};
+
+/**
+ * Given `flu_h3n2_tip-frequencies.json`, return the path of the dataset it belongs to
+ * (`flu_h3n2.json`), or `undefined` if it's not a sidecar file
+ */
+const datasetOfSidecar = (filePath) => {
+  const uncompressed = utils.stripCompressionSuffix(filePath);
+  const sidecar = sidecarTypes.find(([, suffix]) => uncompressed.endsWith(`_${suffix}.json`));
+  return sidecar ? uncompressed.replace(`_${sidecar[1]}.json`, ".json") : undefined;
+};
+
+const validateFile = async (datasetPath) => {
+  const files = {main: datasetPath, ...findSidecarFiles(datasetPath)};
+  const data = {};
+  const unreadable = [];
+  for (const [key, filePath] of Object.entries(files)) {
+    utils.verbose(`Reading ${filePath}`);
+    try {
+      data[key] = await utils.readFilePromise(filePath); // eslint-disable-line no-await-in-loop
+    } catch (err) {
+      unreadable.push({file: filePath, location: "", message: `couldn't read / parse JSON -- ${err.message}`});
+    }
+  }
+  if (unreadable.length) {
+    return {files, errors: unreadable, warnings: []};
+  }
+  return validateDataset(data, files);
+};
+
+const printReport = (report) => {
+  const name = path.basename(report.files.main);
+  const formatIssue = (issue) => `${path.basename(issue.file)}${issue.location ? ` [${issue.location}]` : ""}: ${issue.message}`;
+  if (!report.errors.length && !report.warnings.length) {
+    utils.log(`${name}: ${chalk.greenBright("valid")}`);
+    return;
+  }
+  utils.log(`${name}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+  report.errors.forEach((e) => console.log(chalk.redBright(`  [error]\t${formatIssue(e)}`)));
+  report.warnings.forEach((w) => console.log(chalk.yellowBright(`  [warning]\t${formatIssue(w)}`)));
+};
+
+const run = async (args) => {
+  const paths = args.datasets.map((d) => path.resolve(d));
+  paths.forEach((d) => {
+    if (!fs.existsSync(d)) utils.error(`${d} does not exist`);
+    if (utils.stripCompressionSuffix(d).endsWith("_meta.json") || utils.stripCompressionSuffix(d).endsWith("_tree.json")) {
+      utils.error(`${d} appears to be a v1 JSON. Please convert it to v2 first via "auspice convert".`);
+    }
+  });
+  /* sidecar files are validated alongside their dataset (see `findSidecarFiles`), not as datasets themselves */
+  const datasetPaths = paths.filter((d) => {
+    const dataset = datasetOfSidecar(d);
+    if (!dataset) return true;
+    if (paths.some((p) => utils.stripCompressionSuffix(p) === dataset)) {
+      utils.verbose(`Skipping ${d} as it's validated as a sidecar of ${dataset}`);
+    } else {
+      utils.warn(`Skipping ${d} as it's a sidecar file. Validate its dataset (${path.basename(dataset)}) instead.`);
+    }
+    return false;
+  });
+
+  const reports = [];
+  for (const d of datasetPaths) {
+    reports.push(await validateFile(d)); // eslint-disable-line no-await-in-loop
+  }
+  reports.forEach((r) => printReport(r));
+
+  const failed = reports.filter((r) => r.errors.length || (args.strict && r.warnings.length));
+  if (args.report) {
+    utils.verbose(`Writing report to ${args.report}`);
+    fs.writeFileSync(args.report, JSON.stringify({valid: !failed.length, datasets: reports}, null, 2));
+  }
+  if (failed.length) {
+    utils.warn(`${failed.length} (of ${reports.length}) dataset(s) failed validation`);
+    process.exitCode = 1;
+  }
+};
+
+module.exports = {
+  addParser,
+  run
+};
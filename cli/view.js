@@ -152,5 +152,6 @@ module.exports = {
   addParser,
   run,
   loadAndAddHandlers,
-  serveRelativeFilepaths
+  serveRelativeFilepaths,
+  getAuspiceBuild
 };
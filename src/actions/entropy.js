@@ -1,19 +1,36 @@
 import { debounce } from 'lodash';
-import { calcEntropyInView } from "../util/entropy";
+import { calcEntropyInViewAsync } from "../util/entropy";
 import * as types from "./types";
 
-/* debounce works better than throttle, as it _won't_ update while events are still coming in (e.g. dragging the date slider) */
-export const updateEntropyVisibility = debounce((dispatch, getState) => {
+/* compute the entropy of the tree (in view) & dispatch it, unless superseded by a subsequent computation */
+const computeAndDispatchEntropy = async (dispatch, getState) => {
   const { entropy, controls, tree } = getState();
-  if (!tree.nodes ||
-    !tree.visibility ||
-    !entropy.geneMap ||
-    controls.animationPlayPauseButton !== "Play"
-  ) {return;}
-  const [data, maxYVal] = calcEntropyInView(tree.nodes, tree.visibility, controls.mutType, entropy.geneMap, entropy.showCounts);
+  if (!tree.nodes || !tree.visibility || !entropy.geneMap) return;
+  const result = await calcEntropyInViewAsync(tree.nodes, tree.visibility, controls.mutType, entropy.geneMap, entropy.showCounts);
+  if (!result) return; /* superseded, as a more recent update was requested */
+  /* the tree may have changed (e.g. a new dataset was loaded) while the computation was running */
+  const { tree: currentTree } = getState();
+  if (currentTree.nodes !== tree.nodes || currentTree.visibility !== tree.visibility) return;
+  const [data, maxYVal] = result;
   dispatch({type: types.ENTROPY_DATA, data, maxYVal});
+};
+
+/* debounce works better than throttle, as it _won't_ update while events are still coming in (e.g. dragging the date slider).
+The computation itself happens in a web worker, and is superseded if a subsequent update is requested before it completes */
+export const updateEntropyVisibility = debounce((dispatch, getState) => {
+  if (getState().controls.animationPlayPauseButton !== "Play") return;
+  computeAndDispatchEntropy(dispatch, getState);
 }, 500, { leading: true, trailing: true });
 
+/**
+ * Compute the entropy for a newly created state (see `createStateFromQueryOrJSONs`).
+ * Dispatch this after the state has been dispatched, as the entropy of the
+ * created state is not computed synchronously.
+ */
+export const computeEntropyOfNewState = () => (dispatch, getState) => {
+  if (getState().entropy.loaded) computeAndDispatchEntropy(dispatch, getState);
+};
+
 export const changeMutType = (newMutType) => (dispatch, getState) => {
   dispatch({type: types.TOGGLE_MUT_TYPE, data: newMutType});
   updateEntropyVisibility(dispatch, getState);
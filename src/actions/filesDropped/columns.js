@@ -0,0 +1,189 @@
+import Papa from "papaparse";
+import { colors, isValueValid } from "../../util/globals";
+import { calendarToNumeric } from "../../util/dateHelpers";
+
+/**
+ * Helpers to interpret the columns of dropped metadata files.
+ * Columns are either traits (e.g. "country"), whose type is inferred from the values unless
+ * it's set by a header annotation (e.g. "age__continuous"), or colours for the values of a trait
+ * (e.g. "country__colour"), which define the color scale of that trait.
+ */
+
+/* dates are converted to numeric (decimal year) values & displayed as continuous colorings */
+export const columnTypes = ["categorical", "ordinal", "continuous", "boolean", "date"];
+
+const booleanStrings = ["true", "false", "yes", "no"];
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+const hexRegex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/* the file type isn't always set (e.g. for TSVs on some operating systems) so we fall back to the extension */
+export const getDelimiter = (file) =>
+  (file.type === "text/csv" || (!file.type && /\.csv$/i.test(file.name))) ? "," : "\t";
+
+const isNumeric = (value) => value.trim() !== "" && !Number.isNaN(Number(value));
+
+/**
+ * Interpret a header, which may be annotated with a type or as a colour column
+ * @param {string} field
+ * @returns {Object} `{field, key, type}` where `key` is the trait name & `type` is set only if
+ *  annotated, or `{field, key, isColour: true}` for colour columns
+ */
+export const parseHeader = (field) => {
+  const match = field.match(/^(.+)__([a-z]+)$/i);
+  if (match) {
+    const annotation = match[2].toLowerCase();
+    if (columnTypes.includes(annotation)) return {field, key: match[1], type: annotation};
+    if (annotation === "colour" || annotation === "color") return {field, key: match[1], isColour: true};
+  }
+  return {field, key: field};
+};
+
+/**
+ * Infer the type of a column from its (string) values, ignoring missing values.
+ * Integer columns with few distinct values are ordinal, other numeric columns continuous.
+ * @param {Array} values
+ * @returns {string} one of `columnTypes`
+ */
+export const inferColumnType = (values) => {
+  const valid = values.filter((v) => isValueValid(v));
+  if (!valid.length) return "categorical";
+  if (valid.every((v) => booleanStrings.includes(v.toLowerCase()))) return "boolean";
+  if (valid.every((v) => dateRegex.test(v))) return "date";
+  if (valid.every(isNumeric)) {
+    const allIntegers = valid.every((v) => Number.isInteger(Number(v)));
+    return (allIntegers && new Set(valid).size < colors.length) ? "ordinal" : "continuous";
+  }
+  return "categorical";
+};
+
+/**
+ * @param {string} value as read from the file
+ * @param {string} type one of `columnTypes`
+ * @returns {string|number|undefined} the value to store on the node, or `undefined` if missing or invalid
+ */
+export const parseValue = (value, type) => {
+  if (!isValueValid(value)) return undefined;
+  switch (type) {
+    case "continuous": /* fallthrough */
+    case "ordinal":
+      return isNumeric(value) ? Number(value) : undefined;
+    case "date":
+      return dateRegex.test(value) ? calendarToNumeric(value) : undefined;
+    default:
+      return value;
+  }
+};
+
+/* the type of the coloring (see `calcColorScale`) for a column type */
+export const coloringType = (type) => type === "date" ? "continuous" : type;
+
+/**
+ * Analyse the parsed metadata, i.e. the columns & the colours defined via colour columns
+ * @param {Array} data rows of the file (objects)
+ * @param {Array} fields (a subset of) the header of the file
+ * @returns {Object} `{columns, colours}` where `columns` is a list of `{field, key, type, annotated}`
+ *  and `colours` an object of `{[key]: {[value]: hex}}`
+ */
+export const analyseColumns = (data, fields) => {
+  const headers = fields.map(parseHeader);
+  const colours = {};
+  headers.filter((h) => h.isColour).forEach((h) => {
+    colours[h.key] = {};
+    const traitField = (headers.find((t) => !t.isColour && t.key === h.key) || {}).field;
+    if (!traitField) return;
+    data.forEach((row) => {
+      const value = row[traitField];
+      if (hexRegex.test(row[h.field]) && isValueValid(value) && !colours[h.key][value]) {
+        colours[h.key][value] = row[h.field];
+      }
+    });
+  });
+  const columns = headers.filter((h) => !h.isColour).map((h) => ({
+    field: h.field,
+    key: h.key,
+    type: h.type || inferColumnType(data.map((row) => row[h.field])),
+    annotated: !!h.type
+  }));
+  return {columns, colours};
+};
+
+/**
+ * Normalise a name or ID for matching rows of metadata to nodes of the tree, which may differ in case,
+ * surrounding whitespace, or the use of spaces vs underscores (e.g. spaces are often replaced in newick trees)
+ * @param {string|number} value
+ * @returns {string}
+ */
+export const normaliseKey = (value) => String(value)
+  .normalize("NFKC")
+  .trim()
+  .toLowerCase()
+  .replace(/[\s_]+/g, "_");
+
+/**
+ * The value of a node's property which rows of metadata may be matched against -- either the
+ * node's name or the value of one of its attributes (e.g. "accession" or "gisaid_epi_isl").
+ * @returns {string|number|undefined}
+ */
+export const getJoinValue = (node, property) => {
+  if (property === "name") return node.name;
+  const attr = node.node_attrs ? node.node_attrs[property] : undefined;
+  const value = (attr && typeof attr === "object") ? attr.value : attr;
+  return (typeof value === "string" || typeof value === "number") ? value : undefined;
+};
+
+/**
+ * A download link for rows of metadata (e.g. those which didn't match the tree), as a TSV.
+ * Used by notifications (see `warningNotification`).
+ * @param {Array} rows objects
+ * @param {Array} fields the header
+ * @param {string} filename
+ */
+export const rowsDownloadLink = (rows, fields, filename) => ({
+  label: `Download ${rows.length} row${rows.length > 1 ? "s" : ""} (TSV)`,
+  download: filename,
+  href: URL.createObjectURL(new Blob(
+    [Papa.unparse({fields, data: rows.map((row) => fields.map((field) => row[field]))}, {delimiter: "\t"})],
+    {type: "text/tab-separated-values;charset=utf-8;"}
+  ))
+});
+
+/**
+ * The color scale (see the `scale` property of colorings in the v2 JSON) for a trait,
+ * from the colours of its values. Continuous colorings can't (yet) use scales.
+ * @returns {Array|undefined} list of `[value, hex]`
+ */
+export const getScale = (valueToColour, type) => {
+  if (!valueToColour || coloringType(type) === "continuous") return undefined;
+  const scale = Object.keys(valueToColour)
+    .map((value) => [parseValue(value, type), valueToColour[value]])
+    .filter(([value]) => value !== undefined);
+  return scale.length ? scale : undefined;
+};
+
+/**
+ * Parse a colour map file -- rows of (trait, value, hex) without a header, as used by augur.
+ * @param {File} file
+ * @returns {Promise} resolves to `{[trait]: {[value]: hex}}`, or `undefined` if the file isn't a colour map
+ */
+export const parseColourMap = (file) => new Promise((resolve, reject) => {
+  Papa.parse(file, {
+    header: false,
+    complete: ({data}) => {
+      if (!data.length || !data.every((row) => row.length === 3 && hexRegex.test(row[2].trim()))) {
+        resolve(undefined);
+        return;
+      }
+      const colours = {};
+      data.forEach(([trait, value, hex]) => {
+        if (!colours[trait]) colours[trait] = {};
+        colours[trait][value] = hex.trim();
+      });
+      resolve(colours);
+    },
+    error: (error) => reject(error),
+    encoding: "UTF-8",
+    comments: "#",
+    delimiter: getDelimiter(file),
+    skipEmptyLines: true
+  });
+});
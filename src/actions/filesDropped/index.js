@@ -1,29 +1,57 @@
 import { warningNotification } from "../notifications";
-import handleMetadata from "./metadata";
+import handleMetadata, { isMetadataFile } from "./metadata";
+import handleTree, { isTreeFile } from "./tree";
+import { parseColourMap } from "./columns";
 
 
 /**
  * A thunk to handle dropped files and take the appropriate action.
+ * A CSV / TSV adds metadata to the currently displayed tree, whereas a Newick / Nexus
+ * tree (optionally with a CSV / TSV of metadata) is loaded as a new dataset.
+ * In both cases a colour map (a TSV of trait, value & hex colour) may also be dropped.
  * @param {*} files DataTransfer object's FileList
  */
-const handleFilesDropped = (files) => (dispatch, getState) => {
+const handleFilesDropped = (files) => async (dispatch, getState) => {
+  if (!files.length) return undefined; /* e.g. dragged text */
+  const treeFiles = Array.from(files).filter(isTreeFile);
+  const tabularFiles = Array.from(files).filter(isMetadataFile);
+  const others = Array.from(files).filter((file) => !isTreeFile(file) && !isMetadataFile(file));
 
-  if (files.length !== 1) {
+  if (others.length) {
     return dispatch(warningNotification({
-      message: "More than one file dropped",
-      details: "Currently we only allow a single CSV to be used"
+      message: `Cannot parse ${others.map((file) => file.name).join(", ")}`,
+      details: "Currently only CSV & TSV metadata files, and Newick & Nexus trees, are allowed"
     }));
   }
 
-  const file = files[0];
-  if (file.type === "text/csv" || file.type === "text/tab-separated-values") {
-    return handleMetadata(dispatch, getState, file);
+  /* a CSV / TSV is either metadata or a colour map, which is identified by its contents */
+  const colourMaps = await Promise.all(tabularFiles.map((file) => parseColourMap(file).catch(() => undefined)));
+  const metadataFiles = tabularFiles.filter((file, i) => !colourMaps[i]);
+  const colourMap = Object.assign({}, ...colourMaps.filter((colours) => !!colours));
+
+  if (treeFiles.length > 1 || metadataFiles.length > 1 || colourMaps.filter((colours) => !!colours).length > 1) {
+    return dispatch(warningNotification({
+      message: "Too many files dropped",
+      details: "Currently we only allow a single tree, a single CSV / TSV of metadata and a single colour map to be used"
+    }));
   }
 
-  return dispatch(warningNotification({
-    message: `Cannot parse ${file.name}`,
-    details: `Currently only CSV & TSV files are allowed, not ${file.type}`
-  }));
+  if (treeFiles.length) {
+    return handleTree(dispatch, getState, treeFiles[0], metadataFiles[0], colourMap);
+  }
+  if (!metadataFiles.length) {
+    return dispatch(warningNotification({
+      message: "Cannot use a colour map on its own",
+      details: "Please drop it together with the metadata (or tree) whose colours it defines"
+    }));
+  }
+  if (!getState().tree.loaded) {
+    return dispatch(warningNotification({
+      message: `Cannot add metadata from ${metadataFiles[0].name}`,
+      details: "Metadata may only be added to a tree. Drop it together with a Newick or Nexus tree file"
+    }));
+  }
+  return handleMetadata(dispatch, getState, metadataFiles[0], colourMap);
 };
 
 export default handleFilesDropped;
@@ -0,0 +1,131 @@
+import { coloringType, getJoinValue, getScale, normaliseKey, parseValue } from "./columns";
+
+/**
+ * Join dropped metadata to the nodes of the tree(s). This is used both when metadata is
+ * dropped (see `addMetadata`) and when previously dropped metadata is restored from
+ * browser storage (see `createStateFromQueryOrJSONs`), so it doesn't modify any state.
+ * @param {Object} entry the dropped metadata, `{fileName, join, columns, colours, rows}` where
+ *  `join` is `{field, property}` and `columns` a list of `{field, key, type, filter}`
+ * @param {Array} trees tree states (e.g. `[tree, treeToo]`), those without nodes are skipped
+ * @param {Object} colorings the existing colorings (used to keep their titles)
+ * @returns {Object} `{newColorings, strains, traits, filters, unmatchedRows}` where `strains`
+ *  (a set of node names) & `traits` (keyed by node name) are as expected by `ADD_COLOR_BYS`
+ */
+export const joinMetadataToTrees = (entry, trees, colorings = {}) => {
+  const {join, columns, colours, rows} = entry;
+
+  /* the names of the nodes (in any tree) for each (normalised) value of the joined property */
+  const namesByKey = new Map();
+  trees.filter((t) => t && t.nodes).forEach((t) => {
+    t.nodes.forEach((node) => {
+      const value = getJoinValue(node, join.property);
+      if (value === undefined || value === "") return;
+      const key = normaliseKey(value);
+      if (!namesByKey.has(key)) namesByKey.set(key, new Set());
+      namesByKey.get(key).add(node.name);
+    });
+  });
+
+  const strains = new Set();
+  const traits = {};
+  const unmatchedRows = [];
+  rows.forEach((row) => {
+    const names = row[join.field] ? namesByKey.get(normaliseKey(row[join.field])) : undefined;
+    if (!names) {
+      unmatchedRows.push(row);
+      return;
+    }
+    const nodeTraits = {};
+    columns.forEach((column) => {
+      const value = parseValue(row[column.field], column.type);
+      if (value !== undefined) {
+        nodeTraits[column.key] = {value};
+      }
+    });
+    names.forEach((name) => {
+      strains.add(name);
+      traits[name] = nodeTraits;
+    });
+  });
+
+  const newColorings = {};
+  columns.forEach((column) => {
+    const existing = colorings[column.key];
+    newColorings[column.key] = {title: existing ? existing.title : column.key, type: coloringType(column.type)};
+    const scale = getScale(colours[column.key], column.type);
+    if (scale) newColorings[column.key].scale = scale;
+  });
+  const filters = columns.filter((column) => column.filter).map((column) => column.key);
+  return {newColorings, strains, traits, filters, unmatchedRows};
+};
+
+/**
+ * Set the traits of joined metadata (see `joinMetadataToTrees`) on the nodes of the tree, modifying
+ * them in place. Existing values of these traits (i.e. those being replaced) are removed. The values
+ * of the dataset (`undefined` if absent) are kept in `node.originalNodeAttrs` the first time each trait
+ * is set, so that they may be restored when the metadata is removed (see `restoreOriginalTraitsOnNodes`).
+ * @param {Array} nodes
+ * @param {Object} joined `{newColorings, strains, traits}`
+ */
+export const setJoinedTraitsOnNodes = (nodes, {newColorings, strains, traits}) => {
+  const keys = Object.keys(newColorings);
+  nodes.forEach((node) => {
+    const unrecorded = keys.filter((key) => !node.originalNodeAttrs || !(key in node.originalNodeAttrs));
+    if (unrecorded.length) {
+      /* a new object, as re-rooted nodes share this with the nodes they were copied from */
+      node.originalNodeAttrs = {...node.originalNodeAttrs};
+      unrecorded.forEach((key) => {
+        node.originalNodeAttrs[key] = node.node_attrs ? node.node_attrs[key] : undefined;
+      });
+    }
+    if (node.node_attrs) keys.forEach((key) => delete node.node_attrs[key]);
+    if (strains.has(node.name)) {
+      if (!node.node_attrs) node.node_attrs = {};
+      for (const [trait, obj] of Object.entries(traits[node.name])) {
+        node.node_attrs[trait] = obj;
+      }
+    }
+  });
+};
+
+/**
+ * Restore the values of traits set by `setJoinedTraitsOnNodes` to those of the dataset, modifying the
+ * nodes in place. Traits which the dataset didn't have are removed.
+ * @param {Array} nodes
+ * @param {Array} keys the traits to restore
+ */
+export const restoreOriginalTraitsOnNodes = (nodes, keys) => {
+  nodes.forEach((node) => {
+    keys.forEach((key) => {
+      const original = node.originalNodeAttrs ? node.originalNodeAttrs[key] : undefined;
+      if (original !== undefined) {
+        if (!node.node_attrs) node.node_attrs = {};
+        node.node_attrs[key] = original;
+      } else if (node.node_attrs) {
+        delete node.node_attrs[key];
+      }
+    });
+  });
+};
+
+/**
+ * Join all the (active) dropped metadata of the dataset (`metadata.droppedMetadata`, in the order
+ * it was added) to the tree(s), modifying their nodes in place. This is needed when the metadata is
+ * restored from browser storage, when the tree is re-rooted (which creates new nodes), and when
+ * a second tree is loaded.
+ * @param {Object} metadata the metadata state
+ * @param {Array} trees tree states
+ * @returns {Object} `{colorings, filters}` of the metadata state, including those of the dropped metadata
+ */
+export const applyDroppedMetadata = (metadata, trees) => {
+  let colorings = metadata.colorings || {};
+  const filters = new Set(metadata.filters || []);
+  (metadata.droppedMetadata || []).filter((entry) => entry.active).forEach((entry) => {
+    const joined = joinMetadataToTrees(entry, trees, colorings);
+    if (!joined.strains.size) return;
+    trees.filter((t) => t && t.nodes).forEach((t) => setJoinedTraitsOnNodes(t.nodes, joined));
+    colorings = {...colorings, ...joined.newColorings};
+    joined.filters.forEach((trait) => filters.add(trait));
+  });
+  return {colorings, filters: Array.from(filters)};
+};
@@ -1,8 +1,20 @@
 import Papa from "papaparse";
 import { errorNotification, successNotification, warningNotification } from "../notifications";
-import { ADD_COLOR_BYS } from "../types";
+import { ADD_COLOR_BYS, REMOVE_COLOR_BYS, UPDATE_DROPPED_METADATA, TRIGGER_ADD_METADATA_MODAL, DISMISS_ADD_METADATA_MODAL } from "../types";
+import { changeColorBy } from "../colors";
+import { updateVisibleTipsAndBranchThicknesses } from "../tree";
+import { storeDroppedMetadata } from "../../util/droppedMetadataStore";
+import { analyseColumns, getDelimiter, getJoinValue, normaliseKey, rowsDownloadLink } from "./columns";
+import { joinMetadataToTrees } from "./joinMetadata";
 
 
+export const isMetadataFile = (file) =>
+  ["text/csv", "text/tab-separated-values"].includes(file.type) || /\.(csv|tsv)$/i.test(file.name);
+
+/* currently we cannot process metadata fields which are defined as properties on a node, rather than trait properties
+These could be included on a case-by-case basis */
+export const fieldsToIgnore = new Set(["name", "div", "num_date", "vaccine", "labels", "hidden", "mutations", "url", "authors", "accession", "traits", "children"]);
+
 /**
  * A promise-ified version of Papa.parse()
  * A note on encoding here: It will be common that people drop CSVs from microsoft excel
@@ -11,8 +23,8 @@ import { ADD_COLOR_BYS } from "../types";
  * to the config, which may work
  * @param {DataTransfer} file a DataTransfer object
  */
-const parseCsv = (file) => new Promise((resolve, reject) => {
-  if (!["text/csv", "text/tab-separated-values"].includes(file.type)) {
+export const parseCsv = (file) => new Promise((resolve, reject) => {
+  if (!isMetadataFile(file)) {
     reject(new Error("Cannot parse this filetype"));
   }
   Papa.parse(file, {
@@ -25,14 +37,35 @@ const parseCsv = (file) => new Promise((resolve, reject) => {
     },
     encoding: "UTF-8",
     comments: "#",
-    delimiter: file.type === "text/csv" ? "," : "\t",
+    delimiter: getDelimiter(file),
     skipEmptyLines: true,
     dynamicTyping: false
   });
 });
 
 
-const handleMetadata = async (dispatch, getState, file) => {
+/* the properties of the tree's nodes which rows may be matched against, i.e. names & string attributes (e.g. accessions) */
+const getJoinProperties = (nodes) => {
+  const properties = new Set(["name"]);
+  nodes.forEach((node) => {
+    if (node.hasChildren || !node.node_attrs) return;
+    Object.keys(node.node_attrs).forEach((key) => {
+      if (typeof getJoinValue(node, key) === "string") properties.add(key);
+    });
+  });
+  return Array.from(properties);
+};
+
+/**
+ * Parse a dropped metadata file & open the "add metadata" modal, where the user chooses
+ * how rows are matched to nodes, which columns to add (see `addMetadata`), their types,
+ * and whether they become filters.
+ * @param {function} dispatch
+ * @param {function} getState
+ * @param {File} file
+ * @param {Object} colourMap colours from a dropped colour map file, `{[trait]: {[value]: hex}}`
+ */
+const handleMetadata = async (dispatch, getState, file, colourMap = {}) => {
   let csvData, errors, csvMeta;
   try {
     ({data: csvData, errors, meta: csvMeta} = await parseCsv(file));
@@ -47,74 +80,208 @@ const handleMetadata = async (dispatch, getState, file) => {
     }));
   }
 
-  const strainKey = csvMeta.fields[0];
   const {controls, tree} = getState();
-  const newColorByNames = [];
-  const colorBysIgnored = [];
-  /* currently we cannot process metadata fields which are defined as properties on a node, rather than trait properties
-  These could be included on a case-by-case basis */
-  const fieldsToIgnore = new Set(["name", "div", "num_date", "vaccine", "labels", "hidden", "mutations", "url", "authors", "accession", "traits", "children"]);
-  csvMeta.fields.slice(1).forEach((colorBy) => {
-    if (controls.coloringsPresentOnTree.has(colorBy) || fieldsToIgnore.has(colorBy)) {
-      colorBysIgnored.push(colorBy);
-    } else {
-      newColorByNames.push(colorBy);
+  /* by default, the first column is matched against node names, or against the attribute of the same name (if any) */
+  const joinField = csvMeta.fields[0];
+  const joinProperties = getJoinProperties(tree.nodes);
+  const joinProperty = joinProperties.find((p) => p !== "name" && normaliseKey(p) === normaliseKey(joinField)) || "name";
+
+  const {columns, colours} = analyseColumns(csvData, csvMeta.fields);
+  const columnsIgnored = columns.filter((column) => fieldsToIgnore.has(column.key) && column.field !== joinField);
+  const columnsToOffer = columns.filter((column) => !fieldsToIgnore.has(column.key));
+
+  if (columnsToOffer.filter((column) => column.field !== joinField).length === 0) {
+    return dispatch(errorNotification({
+      message: `${file.name} had no (relevent) information`,
+      details: "No columns to add as colorings"
+    }));
+  }
+  if (columnsIgnored.length) {
+    dispatch(warningNotification({
+      message: `Ignoring ${columnsIgnored.length} CSV fields as they are "special" cases to be ignored`,
+      details: columnsIgnored.map((column) => column.field).join(", ")
+    }));
+  }
+
+  return dispatch({
+    type: TRIGGER_ADD_METADATA_MODAL,
+    data: {
+      fileName: file.name,
+      fields: csvMeta.fields,
+      rows: csvData,
+      columns: columnsToOffer.map((column) => ({...column, exists: controls.coloringsPresentOnTree.has(column.key)})),
+      colours: {...colourMap, ...colours},
+      joinField,
+      joinProperty,
+      joinProperties
     }
   });
-  const strainsToProcess = new Set();
-  const dataToProcess = {};
-  const taxaInCsvButNotInTree = [];
-  const allStrainNames = new Set(tree.nodes.map((n) => n.name)); // can be internal nodes
-  csvData.forEach((d) => {
-    const strain = d[strainKey];
-    if (allStrainNames.has(strain)) {
-      strainsToProcess.add(strain);
-      dataToProcess[strain] = {};
-      newColorByNames.forEach((colorBy) => {
-        if (d[colorBy]) {
-          dataToProcess[strain][colorBy] = {value: d[colorBy]};
-        }
-      });
-    } else {
-      taxaInCsvButNotInTree.push(strain);
-    }
+};
+
+/* the subset of the properties of an object */
+const pick = (obj, keys) => keys.reduce((picked, key) => {
+  if (obj[key] !== undefined) picked[key] = obj[key];
+  return picked;
+}, {});
+
+/* the colorings added by (active) dropped metadata, as opposed to those of the dataset which they replace */
+const getDroppedKeys = (droppedMetadata = []) => {
+  const keys = new Set();
+  droppedMetadata.filter((entry) => entry.active).forEach((entry) => {
+    entry.columns
+      .filter((column) => !entry.replaced.includes(column.key))
+      .forEach((column) => keys.add(column.key));
   });
+  return keys;
+};
+
+/**
+ * Update the list of metadata dropped onto the dataset (`metadata.droppedMetadata`) and store it in
+ * the browser, so that it's restored when the dataset is next loaded (see `createStateFromQueryOrJSONs`).
+ * Datasets without a key (e.g. dropped trees) aren't stored.
+ */
+const updateDroppedMetadata = (droppedMetadata) => (dispatch, getState) => {
+  dispatch({type: UPDATE_DROPPED_METADATA, droppedMetadata});
+  const {datasetKey} = getState().metadata;
+  if (datasetKey && !storeDroppedMetadata(datasetKey, droppedMetadata)) {
+    dispatch(warningNotification({
+      message: "The added metadata couldn't be saved in your browser",
+      details: "It will be lost when the page is reloaded (it may be too large to store, or the browser's storage full)"
+    }));
+  }
+};
+
+/* add the colorings of joined metadata (see `joinMetadataToTrees`), recomputing the colours if the current coloring changed */
+const addJoinedColorings = (dispatch, getState, {newColorings, strains, traits, filters}) => {
+  dispatch({type: ADD_COLOR_BYS, newColorings, strains, traits, filters});
+  if (newColorings[getState().controls.colorBy]) {
+    dispatch(changeColorBy()); /* the values of the current coloring have been replaced */
+  }
+};
+
+const summarise = (nColumns, nNodes) =>
+  `${nColumns} new field${nColumns > 1 ? "s" : ""} for ${nNodes} node${nNodes > 1 ? "s" : ""}`;
+
+/**
+ * Add the chosen columns of the metadata in the "add metadata" modal as colorings of both trees.
+ * Rows are matched to nodes by comparing the (normalised) values of `join.field` to those of
+ * `join.property` of the nodes. Columns which are already colorings replace the existing values.
+ * The metadata (reduced to the fields used) is stored in the browser, see `updateDroppedMetadata`.
+ * @param {Array} columns list of `{field, key, type, filter}` objects
+ * @param {Object} join `{field, property}`
+ */
+export const addMetadata = (columns, join) => (dispatch, getState) => {
+  const {controls, tree, treeToo, metadata} = getState();
+  const {fileName, fields, rows, colours} = controls.pendingMetadata;
+  dispatch({type: DISMISS_ADD_METADATA_MODAL});
+  if (!columns.length) return undefined;
+
+  const droppedKeys = getDroppedKeys(metadata.droppedMetadata);
+  const keys = columns.map((column) => column.key);
+  const entry = {
+    id: `${Date.now()}`,
+    fileName,
+    added: new Date().toISOString().split("T")[0],
+    active: true,
+    join,
+    columns: columns.map((column) => pick(column, ["field", "key", "type", "filter"])),
+    replaced: keys.filter((key) => metadata.colorings[key] && !droppedKeys.has(key)),
+    colours: pick(colours, keys),
+    rows
+  };
+  const joined = joinMetadataToTrees(entry, [tree, treeToo], metadata.colorings);
 
   /* CHECK FOR ERRORS */
-  if (strainsToProcess.size === 0 || newColorByNames.length === 0) {
+  if (joined.strains.size === 0) {
     return dispatch(errorNotification({
-      message: `${file.name} had no (relevent) information`,
-      details: newColorByNames.length === 0 ? "No columns to add as colorings" : "No taxa which match those in the tree"
+      message: `${fileName} had no (relevent) information`,
+      details: `No rows where "${join.field}" matches the ${join.property === "name" ? "names" : `"${join.property}"`} of nodes in the tree`
     }));
   }
 
   /* DISPATCH APPROPRIATE WARNINGS */
-  if (taxaInCsvButNotInTree.length) {
-    const n = taxaInCsvButNotInTree.length;
+  if (joined.unmatchedRows.length) {
+    const n = joined.unmatchedRows.length;
     dispatch(warningNotification({
-      message: `Ignoring ${n} taxa which ${n > 1 ? "don't" : "doesn't"} appear in the tree!`,
-      details: taxaInCsvButNotInTree.join(", ")
+      message: `Ignoring ${n} row${n > 1 ? "s" : ""} of ${fileName} which ${n > 1 ? "don't" : "doesn't"} match the tree`,
+      details: `e.g. ${joined.unmatchedRows.slice(0, 3).map((row) => row[join.field]).join(", ")}`,
+      link: rowsDownloadLink(joined.unmatchedRows, fields, `${fileName.replace(/\.[^.]+$/, "")}_unmatched.tsv`)
     }));
-    console.warn("Ignoring these taxa from the CSV as they don't appear in the tree:", taxaInCsvButNotInTree);
   }
-  if (colorBysIgnored.length) {
-    dispatch(warningNotification({
-      message: `Ignoring ${colorBysIgnored.length} CSV fields as they are already set as colorings or are "special" cases to be ignored`,
-      details: colorBysIgnored.join(", ")
-    }));
+
+  /* DISPATCH NEW COLORINGS, STORE THE METADATA & SUCCESS NOTIFICATION */
+  addJoinedColorings(dispatch, getState, joined);
+  const usedFields = [join.field, ...columns.map((column) => column.field)];
+  entry.rows = rows.map((row) => pick(row, usedFields));
+  dispatch(updateDroppedMetadata([...(metadata.droppedMetadata || []), entry]));
+  return dispatch(successNotification({
+    message: "Adding metadata from " + fileName,
+    details: summarise(columns.length, joined.strains.size)
+  }));
+};
+
+/**
+ * Remove the colorings added by dropped metadata. The metadata remains stored (as inactive) so it
+ * may be re-applied. Colorings of the dataset which it replaced have their original values restored
+ * (see `setJoinedTraitsOnNodes`), and other active metadata providing the same colorings is re-applied.
+ * @param {string} id of the `metadata.droppedMetadata` entry
+ */
+export const removeDroppedMetadata = (id) => (dispatch, getState) => {
+  const {controls, tree, treeToo, metadata} = getState();
+  const entry = metadata.droppedMetadata.find((e) => e.id === id);
+  if (!entry || !entry.active) return undefined;
+  const droppedMetadata = metadata.droppedMetadata.map((e) => (e.id === id ? {...e, active: false} : e));
+  const keys = entry.columns.map((column) => column.key);
+  const restoredKeys = keys.filter((key) => !!(metadata.datasetColorings || {})[key]);
+  const wasFiltered = keys.some((key) => controls.filters[key] && controls.filters[key].length);
+
+  dispatch({type: REMOVE_COLOR_BYS, keys, restoredKeys});
+  dispatch(updateDroppedMetadata(droppedMetadata));
+  droppedMetadata
+    .filter((e) => e.active && e.columns.some((column) => keys.includes(column.key)))
+    .forEach((e) => addJoinedColorings(dispatch, getState, joinMetadataToTrees(e, [tree, treeToo], getState().metadata.colorings)));
+  if (wasFiltered) dispatch(updateVisibleTipsAndBranchThicknesses());
+  if (!getState().metadata.colorings[controls.colorBy]) {
+    dispatch(changeColorBy(controls.defaults.colorBy));
+  } else if (keys.includes(controls.colorBy)) {
+    dispatch(changeColorBy());
   }
+  return dispatch(successNotification({
+    message: `Removed the metadata from ${entry.fileName}`,
+    details: restoredKeys.length ? `The original values of ${restoredKeys.join(", ")} have been restored` : ""
+  }));
+};
 
-  /* DISPATCH NEW COLORINGS & SUCCESS NOTIFICATION */
-  const newColorings = {};
-  newColorByNames.forEach((title) => {
-    // TODO -- let the CSV define the type
-    newColorings[title] = {title, type: "categorical"};
-  });
-  dispatch({type: ADD_COLOR_BYS, newColorings, strains: strainsToProcess, traits: dataToProcess});
+/**
+ * Re-apply (previously removed) dropped metadata, matching its rows to the current tree(s).
+ * @param {string} id of the `metadata.droppedMetadata` entry
+ */
+export const reapplyDroppedMetadata = (id) => (dispatch, getState) => {
+  const {tree, treeToo, metadata} = getState();
+  const entry = metadata.droppedMetadata.find((e) => e.id === id);
+  if (!entry) return undefined;
+  const joined = joinMetadataToTrees(entry, [tree, treeToo], metadata.colorings);
+  if (joined.strains.size === 0) {
+    return dispatch(errorNotification({
+      message: `${entry.fileName} couldn't be re-applied`,
+      details: "No rows match nodes in the tree"
+    }));
+  }
+  addJoinedColorings(dispatch, getState, joined);
+  dispatch(updateDroppedMetadata(metadata.droppedMetadata.map((e) => (e.id === id ? {...e, active: true} : e))));
   return dispatch(successNotification({
-    message: "Adding metadata from " + file.name,
-    details: `${newColorByNames.length} new field${newColorByNames.length > 1 ? "s" : ""} for ${strainsToProcess.size} node${strainsToProcess.size > 1 ? "s" : ""}`
+    message: `Re-applied the metadata from ${entry.fileName}`,
+    details: summarise(entry.columns.length, joined.strains.size)
   }));
 };
 
+/**
+ * Remove dropped metadata (if active) and delete it from the browser's storage.
+ * @param {string} id of the `metadata.droppedMetadata` entry
+ */
+export const forgetDroppedMetadata = (id) => (dispatch, getState) => {
+  dispatch(removeDroppedMetadata(id));
+  dispatch(updateDroppedMetadata(getState().metadata.droppedMetadata.filter((e) => e.id !== id)));
+};
+
 export default handleMetadata;
@@ -0,0 +1,173 @@
+import { errorNotification, successNotification, warningNotification } from "../notifications";
+import { CLEAN_START, PAGE_CHANGE, REMOVE_TREE_TOO } from "../types";
+import { createStateFromQueryOrJSONs } from "../recomputeReduxState";
+import { computeEntropyOfNewState } from "../entropy";
+import { parseNewick, parseNexus } from "../../util/parseTreeFile";
+import { parseCsv, fieldsToIgnore } from "./metadata";
+import { analyseColumns, coloringType, getScale, normaliseKey, parseValue, rowsDownloadLink } from "./columns";
+
+export const isTreeFile = (file) => /\.(nwk|newick|nexus|nex|tre|tree|trees)$/i.test(file.name);
+
+const readFileAsText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsText(file);
+});
+
+const forEachNode = (node, fn) => {
+  fn(node);
+  if (node.children) node.children.forEach((child) => forEachNode(child, fn));
+};
+
+/**
+ * Add the columns of the metadata table as node attributes, with types inferred
+ * (or annotated, see `analyseColumns`). The first column defines the name of the node
+ * (usually a tip) to which each row applies, and is matched using `normaliseKey`.
+ * @returns {Object} `{columns, colours, nMatched, unmatchedRows}`
+ */
+const addMetadataToTree = (tree, {data, meta}) => {
+  const strainKey = meta.fields[0];
+  const analysed = analyseColumns(data, meta.fields.slice(1));
+  const columns = analysed.columns.filter((column) => !fieldsToIgnore.has(column.key));
+  const rows = new Map();
+  data.forEach((row) => {
+    if (row[strainKey]) rows.set(normaliseKey(row[strainKey]), row);
+  });
+  const matched = new Set();
+  forEachNode(tree, (node) => {
+    const row = rows.get(normaliseKey(node.name));
+    if (!row) return;
+    matched.add(row);
+    columns.forEach((column) => {
+      const value = parseValue(row[column.field], column.type);
+      if (value !== undefined) node.node_attrs[column.key] = {value};
+    });
+  });
+  const unmatchedRows = data.filter((row) => !matched.has(row));
+  return {columns, colours: analysed.colours, nMatched: matched.size, unmatchedRows};
+};
+
+/**
+ * The colorings (& filters) of the dataset are the attributes present on the tree.
+ * Attributes from the tree file with only numeric values are continuous, all others categorical,
+ * whereas those from the metadata table have the type of their column.
+ */
+const getColorings = (tree, metadataColumns, colours) => {
+  const types = {};
+  forEachNode(tree, (node) => {
+    Object.keys(node.node_attrs).forEach((key) => {
+      if (key === "div") return;
+      const isNumber = typeof node.node_attrs[key].value === "number";
+      types[key] = (types[key] === "categorical" || !isNumber) ? "categorical" : "continuous";
+    });
+  });
+  metadataColumns.forEach((column) => {
+    if (types[column.key]) types[column.key] = column.type;
+  });
+  return Object.keys(types).map((key) => {
+    const coloring = {key, title: key, type: coloringType(types[key])};
+    const scale = getScale(colours[key], types[key]);
+    if (scale) coloring.scale = scale;
+    return coloring;
+  });
+};
+
+const parseTree = (text, dispatch, file) => {
+  if (!/^\s*#nexus/i.test(text)) return parseNewick(text);
+  const {tree, treeCount} = parseNexus(text);
+  if (treeCount > 1) {
+    dispatch(warningNotification({
+      message: `${file.name} contains ${treeCount} trees`,
+      details: "Only the first tree is displayed"
+    }));
+  }
+  return tree;
+};
+
+/**
+ * Load a dropped Newick or Nexus tree (optionally with a metadata CSV/TSV) as a new dataset,
+ * replacing any dataset currently displayed. Only the tree panel is shown.
+ * @param {function} dispatch
+ * @param {function} getState
+ * @param {File} treeFile
+ * @param {File|undefined} metadataFile
+ * @param {Object} colourMap colours from a dropped colour map file, `{[trait]: {[value]: hex}}`
+ */
+const handleTree = async (dispatch, getState, treeFile, metadataFile, colourMap = {}) => {
+  let tree;
+  try {
+    tree = parseTree(await readFileAsText(treeFile), dispatch, treeFile);
+  } catch (err) {
+    return dispatch(errorNotification({
+      message: `Parsing of ${treeFile.name} failed`,
+      details: err.message
+    }));
+  }
+
+  let metadataColumns = [];
+  let colours = colourMap;
+  if (metadataFile) {
+    try {
+      const results = await parseCsv(metadataFile);
+      if (results.errors.length) {
+        console.error(results.errors);
+        throw new Error(results.errors.map((e) => e.message).join(", "));
+      }
+      const added = addMetadataToTree(tree, results);
+      const {nMatched, unmatchedRows} = added;
+      metadataColumns = added.columns;
+      colours = {...colourMap, ...added.colours};
+      if (unmatchedRows.length) {
+        const n = unmatchedRows.length;
+        dispatch(warningNotification({
+          message: `Ignoring ${n} row${n > 1 ? "s" : ""} of ${metadataFile.name} which ${n > 1 ? "don't" : "doesn't"} match nodes in the tree`,
+          details: `e.g. ${unmatchedRows.slice(0, 3).map((row) => row[results.meta.fields[0]]).join(", ")}`,
+          link: rowsDownloadLink(unmatchedRows, results.meta.fields, `${metadataFile.name.replace(/\.[^.]+$/, "")}_unmatched.tsv`)
+        }));
+      }
+      if (!nMatched) throw new Error("No rows match nodes in the tree");
+    } catch (err) {
+      dispatch(errorNotification({
+        message: `Metadata from ${metadataFile.name} couldn't be added to the tree`,
+        details: err.message
+      }));
+    }
+  }
+
+  const colorings = getColorings(tree, metadataColumns, colours);
+  const json = {
+    version: "v2",
+    meta: {
+      title: treeFile.name,
+      updated: new Date(treeFile.lastModified).toISOString().split("T")[0],
+      panels: ["tree"],
+      colorings,
+      filters: colorings.filter((c) => c.type !== "continuous").map((c) => c.key)
+    },
+    tree
+  };
+
+  let state;
+  try {
+    state = createStateFromQueryOrJSONs({json, query: {}, dispatch});
+  } catch (err) {
+    console.error(err);
+    return dispatch(errorNotification({
+      message: `Couldn't display the tree from ${treeFile.name}`,
+      details: err.message
+    }));
+  }
+  if (getState().treeToo.loaded) dispatch({type: REMOVE_TREE_TOO});
+  dispatch({type: CLEAN_START, ...state});
+  dispatch(computeEntropyOfNewState());
+  if (getState().general.displayComponent !== "main") {
+    dispatch({type: PAGE_CHANGE, displayComponent: "main"});
+  }
+  return dispatch(successNotification({
+    message: `Loaded the tree from ${treeFile.name}`,
+    details: metadataFile ? `With metadata from ${metadataFile.name}` : ""
+  }));
+};
+
+export default handleTree;
@@ -4,13 +4,20 @@ import { getServerAddress } from "../util/globals";
 import { goTo404 } from "./navigation";
 import { createStateFromQueryOrJSONs, createTreeTooState } from "./recomputeReduxState";
 import { loadFrequencies } from "./frequencies";
-import { fetchJSON } from "../util/serverInteraction";
-import { warningNotification, errorNotification } from "./notifications";
+import { fetchJSON, getAvailableAddress } from "../util/serverInteraction";
+import { cachedFetch } from "../util/datasetCache";
+import { parseDatasetResponse } from "../util/parseDataset";
+import { isStaticSite, staticSiteDataAddress, getPathname } from "../util/staticSite";
+import { warningNotification, errorNotification, infoNotification } from "./notifications";
+import { computeEntropyOfNewState } from "./entropy";
 import { hasExtension, getExtension } from "../util/extensions";
 
 
 /**
  * Sends a GET request to the `/charon` web API endpoint requesting data.
+ * If auspice is being served as a static site, the request is instead for the
+ * corresponding (pre-computed) JSON file.
+ * Responses are cached in the browser & revalidated with the server (see `datasetCache.js`).
  * Throws an `Error` if the response is not successful or is not a redirect.
  *
  * Returns a `Promise` containing the `Response` object. JSON data must be
@@ -22,10 +29,15 @@ import { hasExtension, getExtension } from "../util/extensions";
  *  query string such as `type` (`String`) or `narrative` (`Boolean`).
  */
 const getDatasetFromCharon = (prefix, {type, narrative=false}={}) => {
-  let path = `${getServerAddress()}/${narrative?"getNarrative":"getDataset"}`;
-  path += `?prefix=${prefix}`;
-  if (type) path += `&type=${type}`;
-  const p = fetch(path)
+  let path;
+  if (isStaticSite()) {
+    path = staticSiteDataAddress(narrative ? "getNarrative" : "getDataset", prefix, type);
+  } else {
+    path = `${getServerAddress()}/${narrative?"getNarrative":"getDataset"}`;
+    path += `?prefix=${prefix}`;
+    if (type) path += `&type=${type}`;
+  }
+  const p = cachedFetch(path)
     .then((res) => {
       if (res.status !== 200) {
         throw new Error(res.statusText);
@@ -120,6 +132,33 @@ const collectDatasetFetchUrlsDeprecatedSyntax = (url) => {
   return [url, secondTreeUrl, treeName.concat(":", secondTreeName)];
 };
 
+/**
+ * Parse a dataset response (off the main thread where possible), reporting progress
+ * via redux so that it may be displayed by the loading spinner.
+ * @returns {Promise} resolves to `{json, nodes}` (see `parseDatasetResponse`)
+ */
+const parseDataset = (response, dispatch, name) => parseDatasetResponse(
+  response,
+  (progress) => dispatch({type: types.DATA_LOADING_PROGRESS, progress: {...progress, name}})
+);
+
+/**
+ * Does the dataset have a root-sequence sidecar file, according to the available datasets
+ * (see `getAvailableDatasets`)?
+ * @param {Object|undefined} availableDatasets the response of the getAvailable request
+ * @param {string} prefix the (pathname of the) dataset
+ * @returns {boolean|undefined} `undefined` if this isn't known
+ */
+const hasRootSequenceSidecar = (availableDatasets, prefix) => {
+  const request = prefix.replace(/^\/+|\/+$/g, "");
+  const dataset = availableDatasets && Array.isArray(availableDatasets.datasets) &&
+    availableDatasets.datasets.find((d) => d.request === request);
+  return dataset ? dataset.hasRootSequence : undefined;
+};
+
+/* datasets which take longer than this (ms) to load result in a notification summarising the load */
+const slowLoadThreshold = 5000;
+
 const fetchDataAndDispatch = async (dispatch, url, query, narrativeBlocks) => {
   /* Once upon a time one could specify a second tree via a `?tt=tree_name`.
   This is no longer supported, however we still display an error message. */
@@ -134,12 +173,13 @@ const fetchDataAndDispatch = async (dispatch, url, query, narrativeBlocks) => {
   let pathnameShouldBe = url; /* the pathname to display in the URL */
   let [mainDatasetUrl, secondTreeUrl] = collectDatasetFetchUrls(url);
   /* fetch the dataset JSON + the dataset JSON of a second tree if applicable */
-  let datasetJson;
+  let datasetJson, datasetNodes, secondTreeNodes;
   let secondTreeDataset = false;
+  const loadStart = Date.now();
   try {
     if (!secondTreeUrl) {
       const mainDatasetResponse = await getDataset(mainDatasetUrl);
-      datasetJson = await mainDatasetResponse.json();
+      ({json: datasetJson, nodes: datasetNodes} = await parseDataset(mainDatasetResponse, dispatch, mainDatasetUrl));
       pathnameShouldBe = queryString.parse(mainDatasetResponse.url.split("?")[1]).prefix;
     } else {
       try {
@@ -149,9 +189,9 @@ const fetchDataAndDispatch = async (dispatch, url, query, narrativeBlocks) => {
          * and make `recomputeReduxState` for the first tree followed by another
          * state recomputation? */
         const mainDatasetResponse = await getDataset(mainDatasetUrl);
-        datasetJson = await mainDatasetResponse.json();
-        secondTreeDataset = await getDataset(secondTreeUrl)
-          .then((res) => res.json());
+        ({json: datasetJson, nodes: datasetNodes} = await parseDataset(mainDatasetResponse, dispatch, mainDatasetUrl));
+        ({json: secondTreeDataset, nodes: secondTreeNodes} = await getDataset(secondTreeUrl)
+          .then((res) => parseDataset(res, dispatch, secondTreeUrl)));
       } catch (e) {
         /* If the url is in the old syntax (e.g. `ha:na`) then `collectDatasetFetchUrls`
          * will return incorrect dataset URLs (perhaps for both trees)
@@ -162,9 +202,9 @@ const fetchDataAndDispatch = async (dispatch, url, query, narrativeBlocks) => {
         [mainDatasetUrl, secondTreeUrl, oldSyntax] = collectDatasetFetchUrlsDeprecatedSyntax(url);
         pathnameShouldBe = `${mainDatasetUrl}:${secondTreeUrl}`
         const mainDatasetResponse = await getDataset(mainDatasetUrl);
-        datasetJson = await mainDatasetResponse.json();
-        secondTreeDataset = await getDataset(secondTreeUrl)
-          .then((res) => res.json());
+        ({json: datasetJson, nodes: datasetNodes} = await parseDataset(mainDatasetResponse, dispatch, mainDatasetUrl));
+        ({json: secondTreeDataset, nodes: secondTreeNodes} = await getDataset(secondTreeUrl)
+          .then((res) => parseDataset(res, dispatch, secondTreeUrl)));
         dispatch(warningNotification({
           message: `Specifing a second tree via "${oldSyntax}" is deprecated.`,
           details: "The url has been modified to reflect the new syntax."
@@ -178,13 +218,26 @@ const fetchDataAndDispatch = async (dispatch, url, query, narrativeBlocks) => {
       ...createStateFromQueryOrJSONs({
         json: datasetJson,
         secondTreeDataset,
+        treeNodes: datasetNodes,
+        secondTreeNodes,
         query,
         narrativeBlocks,
         mainTreeName: secondTreeUrl ? mainDatasetUrl : null,
         secondTreeName: secondTreeUrl ? secondTreeUrl : null,
+        datasetKey: secondTreeUrl ? mainDatasetUrl : (pathnameShouldBe || mainDatasetUrl),
         dispatch
       })
     });
+    dispatch(computeEntropyOfNewState());
+
+    const loadDuration = Date.now() - loadStart;
+    if (loadDuration > slowLoadThreshold) {
+      const nTips = datasetNodes ? datasetNodes.filter((n) => !n.hasChildren).length : undefined;
+      dispatch(infoNotification({
+        message: `Loaded ${mainDatasetUrl} in ${(loadDuration / 1000).toFixed(1)}s`,
+        details: nTips ? `The tree has ${nTips} tips.` : ""
+      }));
+    }
 
   } catch (err) {
     if (err.message === "No Content") { // status code 204
@@ -200,6 +253,19 @@ const fetchDataAndDispatch = async (dispatch, url, query, narrativeBlocks) => {
     return;
   }
 
+  /* Get available datasets -- this is needed for the sidebar dataset-change dropdowns etc.
+  We don't wait for this here, as it's only needed below to decide whether to fetch the root sequence */
+  const availableDatasetsPromise = fetchJSON(getAvailableAddress(), {cache: true})
+    .then((availableDatasets) => {
+      dispatch({type: types.SET_AVAILABLE, data: availableDatasets});
+      return availableDatasets;
+    })
+    .catch((err) => {
+      console.error("Failed to fetch available datasets", err.message)
+      dispatch(warningNotification({message: "Failed to fetch available datasets"}));
+      return undefined;
+    });
+
   /* do we have frequencies to display? */
   if (datasetJson.meta.panels && datasetJson.meta.panels.indexOf("frequencies") !== -1) {
     try {
@@ -212,34 +278,42 @@ const fetchDataAndDispatch = async (dispatch, url, query, narrativeBlocks) => {
     }
   }
 
-  /* Get available datasets -- this is needed for the sidebar dataset-change dropdowns etc */
-  try {
-    const availableDatasets = await fetchJSON(`${getServerAddress()}/getAvailable?prefix=${window.location.pathname}`)
-    dispatch({type: types.SET_AVAILABLE, data: availableDatasets});
-  } catch (err) {
-    console.error("Failed to fetch available datasets", err.message)
-    dispatch(warningNotification({message: "Failed to fetch available datasets"}));
+  /* the root sequence (used to reconstruct the sequences of nodes) is either included in the dataset
+  or is an optional sidecar file, which we fetch if the available datasets say it exists (or don't say). */
+  if (datasetJson.root_sequence) {
+    dispatch({type: types.LOAD_ROOT_SEQUENCE, rootSequence: datasetJson.root_sequence});
+  } else {
+    const availableDatasets = await availableDatasetsPromise;
+    const datasetPrefix = secondTreeUrl ? mainDatasetUrl : (pathnameShouldBe || mainDatasetUrl);
+    if (hasRootSequenceSidecar(availableDatasets, datasetPrefix) !== false) {
+      try {
+        const rootSequence = await getDataset(mainDatasetUrl, {type: "root-sequence"})
+          .then((res) => res.json());
+        dispatch({type: types.LOAD_ROOT_SEQUENCE, rootSequence});
+      } catch (err) {
+        console.warn("Failed to fetch the root sequence", err.message);
+      }
+    }
   }
-
 };
 
 export const loadSecondTree = (secondTreeUrl, firstTreeUrl) => async (dispatch, getState) => {
-  let secondJson;
+  let secondJson, secondNodes;
   try {
-    secondJson = await getDataset(secondTreeUrl)
-      .then((res) => res.json());
+    ({json: secondJson, nodes: secondNodes} = await getDataset(secondTreeUrl)
+      .then((res) => parseDatasetResponse(res)));
   } catch (err) {
     console.error("Failed to fetch additional tree", err.message);
     dispatch(warningNotification({message: "Failed to fetch second tree"}));
     return;
   }
   const oldState = getState();
-  const newState = createTreeTooState({treeTooJSON: secondJson.tree, oldState, originalTreeUrl: firstTreeUrl, secondTreeUrl: secondTreeUrl, dispatch});
+  const newState = createTreeTooState({treeTooJSON: secondJson.tree, treeTooNodes: secondNodes, oldState, originalTreeUrl: firstTreeUrl, secondTreeUrl: secondTreeUrl, dispatch});
   dispatch({type: types.TREE_TOO_DATA, ...newState});
 };
 
 
-export const loadJSONs = ({url = window.location.pathname, search = window.location.search} = {}) => {
+export const loadJSONs = ({url = getPathname(), search = window.location.search} = {}) => {
   return (dispatch, getState) => {
     const { tree } = getState();
     if (tree.loaded) {
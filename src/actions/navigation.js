@@ -1,6 +1,8 @@
 import queryString from "query-string";
 import { createStateFromQueryOrJSONs } from "./recomputeReduxState";
 import { PAGE_CHANGE, URL_QUERY_CHANGE_WITH_COMPUTED_STATE } from "./types";
+import { getPathname } from "../util/staticSite";
+import { computeEntropyOfNewState } from "./entropy";
 
 /* Given a URL, what "page" should be displayed?
  * "page" means the main app, splash page, status page etc
@@ -52,7 +54,7 @@ export const changePage = ({
   // console.warn("CHANGE PAGE!", path, query, queryToDisplay, push);
 
   /* set some defaults */
-  if (!path) path = window.location.pathname;  // eslint-disable-line
+  if (!path) path = getPathname();  // eslint-disable-line
   if (!query) query = queryString.parse(window.location.search);  // eslint-disable-line
   if (!queryToDisplay) queryToDisplay = query; // eslint-disable-line
   /* some booleans */
@@ -77,6 +79,7 @@ export const changePage = ({
     pushState: push,
     query: queryToDisplay
   });
+  dispatch(computeEntropyOfNewState());
 };
 
 /* a 404 uses the same machinery as changePage, but it's not a thunk.
@@ -100,4 +103,5 @@ export const EXPERIMENTAL_showMainDisplayMarkdown = ({query, queryToDisplay}) =>
       pushState: true,
       query: queryToDisplay
     });
+    dispatch(computeEntropyOfNewState());
   };
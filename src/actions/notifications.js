@@ -1,6 +1,10 @@
 import * as types from "./types";
 import { notificationDuration } from "../util/globals";
 
+/**
+ * Notifications may include a `link`, `{label, href, download}`, e.g. to download a file
+ * describing the problem in more detail than is possible in the notification itself.
+ */
 const triggerNotification = (data) => {
   return (dispatch, getState) => {
     const { notifications } = getState();
@@ -9,7 +13,8 @@ const triggerNotification = (data) => {
       type: types.ADD_NOTIFICATION,
       id
     }));
-    if (data.notificationType !== "error") {
+    /* errors, and notifications with a link, remain until closed by the user */
+    if (data.notificationType !== "error" && !data.link) {
       window.setTimeout(() => dispatch({
         type: types.REMOVE_NOTIFICATION,
         id
@@ -18,15 +23,15 @@ const triggerNotification = (data) => {
   };
 };
 
-export const infoNotification = ({message = "Info", details = ""} = {}) => {
-  return triggerNotification({notificationType: "info", message, details});
+export const infoNotification = ({message = "Info", details = "", link = undefined} = {}) => {
+  return triggerNotification({notificationType: "info", message, details, link});
 };
-export const errorNotification = ({message = "Error", details = ""} = {}) => {
-  return triggerNotification({notificationType: "error", message, details});
+export const errorNotification = ({message = "Error", details = "", link = undefined} = {}) => {
+  return triggerNotification({notificationType: "error", message, details, link});
 };
-export const successNotification = ({message = "Success!", details = ""} = {}) => {
-  return triggerNotification({notificationType: "success", message, details});
+export const successNotification = ({message = "Success!", details = "", link = undefined} = {}) => {
+  return triggerNotification({notificationType: "success", message, details, link});
 };
-export const warningNotification = ({message = "Warning", details = ""} = {}) => {
-  return triggerNotification({notificationType: "warning", message, details});
+export const warningNotification = ({message = "Warning", details = "", link = undefined} = {}) => {
+  return triggerNotification({notificationType: "warning", message, details, link});
 };
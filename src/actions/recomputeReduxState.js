@@ -7,15 +7,16 @@ import { constructVisibleTipLookupBetweenTrees } from "../util/treeTangleHelpers
 import { calcTipRadii } from "../util/tipRadiusHelpers";
 import { getDefaultControlsState } from "../reducers/controls";
 import { countTraitsAcrossTree, calcTotalTipsInTree } from "../util/treeCountingHelpers";
-import { calcEntropyInView } from "../util/entropy";
-import { treeJsonToState } from "../util/treeJsonProcessing";
+import { treeJsonToState, rerootTreeState } from "../util/treeJsonProcessing";
 import { entropyCreateState } from "../util/entropyCreateStateFromJsons";
 import { determineColorByGenotypeMutType, calcNodeColor } from "../util/colorHelpers";
 import { calcColorScale } from "../util/colorScale";
 import { computeMatrixFromRawData } from "../util/processFrequencies";
 import { applyInViewNodesToTree } from "../actions/tree";
 import { isColorByGenotype, decodeColorByGenotype } from "../util/getGenotype";
-import { getTraitFromNode, getDivFromNode } from "../util/treeMiscHelpers";
+import { getTraitFromNode, getDivFromNode, getExplodableTraits, getScatterVariables } from "../util/treeMiscHelpers";
+import { loadDroppedMetadata } from "../util/droppedMetadataStore";
+import { applyDroppedMetadata } from "./filesDropped/joinMetadata";
 
 
 export const doesColorByHaveConfidence = (controlsState, colorBy) =>
@@ -48,6 +49,16 @@ const modifyStateViaURLQuery = (state, query) => {
   if (query.l) {
     state["layout"] = query.l;
   }
+  if (query.explode) {
+    state.explodeAttr = query.explode;
+  }
+  if (query.scatterX || query.scatterY || query.branches || query.regression) {
+    state.scatterVariables = Object.assign({}, state.scatterVariables);
+    if (query.scatterX) state.scatterVariables.x = query.scatterX;
+    if (query.scatterY) state.scatterVariables.y = query.scatterY;
+    if (query.branches) state.scatterVariables.showBranches = query.branches !== "hide";
+    if (query.regression) state.scatterVariables.showRegression = query.regression !== "hide";
+  }
   if (query.gmin) {
     state["zoomMin"] = parseInt(query.gmin, 10);
   }
@@ -104,6 +115,15 @@ const modifyStateViaURLQuery = (state, query) => {
     state.selectedBranchLabel = query.branchLabel;
     // do not modify the default (only the JSON can do this)
   }
+  if (query.tipLabel) {
+    state.tipLabelKey = query.tipLabel;
+  }
+  if (query.strip) {
+    state.metadataStrip = query.strip.split(",");
+  }
+  if (query.aln) {
+    state.alignmentStrip = query.aln;
+  }
   if (query.sidebar) {
     if (query.sidebar === "open") {
       state.defaults.sidebarOpen = true;
@@ -250,6 +270,29 @@ const modifyStateViaMetadata = (state, metadata) => {
   return state;
 };
 
+/* set the controls which depend on the branch lengths (divergence and / or dates) available on the tree */
+const modifyControlsStateViaTreeBranchLengths = (state, tree) => {
+  /* does the tree have date information? if not, disable controls, modify view */
+  const numDateAtRoot = getTraitFromNode(tree.nodes[0], "num_date") !== undefined;
+  const divAtRoot = getDivFromNode(tree.nodes[0]) !== undefined;
+  /* the dates of a re-rooted tree are inconsistent with its topology, so it may only be displayed by divergence */
+  state.branchLengthsToDisplay = tree.reroot ? "divOnly" :
+    (numDateAtRoot && divAtRoot) ? "divAndDate" :
+      numDateAtRoot ? "dateOnly" :
+        "divOnly";
+
+  /* if branchLengthsToDisplay is "divOnly", force to display by divergence
+   * if branchLengthsToDisplay is "dateOnly", force to display by date
+   */
+  state.distanceMeasure = state.branchLengthsToDisplay === "divOnly" ? "div" :
+    state.branchLengthsToDisplay === "dateOnly" ? "num_date" : state.distanceMeasure;
+
+  state.temporalConfidence = getTraitFromNode(tree.nodes[0], "num_date", {confidence: true}) ?
+    {exists: true, display: true, on: false} :
+    {exists: false, display: false, on: false};
+  return state;
+};
+
 const modifyControlsStateViaTree = (state, tree, treeToo, colorings) => {
   state["dateMin"] = getMinCalDateViaTree(tree.nodes, state);
   state["dateMax"] = getMaxCalDateViaTree(tree.nodes);
@@ -326,18 +369,7 @@ const modifyControlsStateViaTree = (state, tree, treeToo, colorings) => {
     state.coloringsPresentOnTree.add("gt");
   }
 
-  /* does the tree have date information? if not, disable controls, modify view */
-  const numDateAtRoot = getTraitFromNode(tree.nodes[0], "num_date") !== undefined;
-  const divAtRoot = getDivFromNode(tree.nodes[0]) !== undefined;
-  state.branchLengthsToDisplay = (numDateAtRoot && divAtRoot) ? "divAndDate" :
-    numDateAtRoot ? "dateOnly" :
-      "divOnly";
-
-  /* if branchLengthsToDisplay is "divOnly", force to display by divergence
-   * if branchLengthsToDisplay is "dateOnly", force to display by date
-   */
-  state.distanceMeasure = state.branchLengthsToDisplay === "divOnly" ? "div" :
-    state.branchLengthsToDisplay === "dateOnly" ? "num_date" : state.distanceMeasure;
+  modifyControlsStateViaTreeBranchLengths(state, tree);
 
   /* if clade is available as a branch label, then set this as the "default". This
   is largely due to historical reasons. Note that it *can* and *will* be overridden
@@ -346,10 +378,6 @@ const modifyControlsStateViaTree = (state, tree, treeToo, colorings) => {
     state.defaults.selectedBranchLabel = "clade";
     state.selectedBranchLabel = "clade";
   }
-
-  state.temporalConfidence = getTraitFromNode(tree.nodes[0], "num_date", {confidence: true}) ?
-    {exists: true, display: true, on: false} :
-    {exists: false, display: false, on: false};
   return state;
 };
 
@@ -410,6 +438,11 @@ const checkAndCorrectErrorsInState = (state, metadata, query, tree, viewingNarra
     state["distanceMeasure"] = "num_date";
     console.error("Error detected. Setting distanceMeasure to ", state["distanceMeasure"]);
   }
+  if (state.branchLengthsToDisplay === "divOnly") {
+    state.distanceMeasure = "div";
+  } else if (state.branchLengthsToDisplay === "dateOnly") {
+    state.distanceMeasure = "num_date";
+  }
 
   /* geoResolutions */
   if (metadata.geoResolutions) {
@@ -437,6 +470,70 @@ const checkAndCorrectErrorsInState = (state, metadata, query, tree, viewingNarra
     state.defaults.selectedBranchLabel = "none";
   }
 
+  /* tip labels & the metadata strip may use any coloring (other than genotype) */
+  const labelColorings = Object.keys(metadata.colorings).filter((key) => !isColorByGenotype(key));
+  if (!["strain", "none", ...labelColorings].includes(state.tipLabelKey)) {
+    console.error("Can't set the tip labels to ", state.tipLabelKey);
+    state.tipLabelKey = state.defaults.tipLabelKey;
+    delete query.tipLabel;
+  }
+  if (state.metadataStrip.some((key) => !labelColorings.includes(key))) {
+    state.metadataStrip = state.metadataStrip.filter((key) => labelColorings.includes(key));
+    if (state.metadataStrip.length) query.strip = state.metadataStrip.join(",");
+    else delete query.strip;
+  }
+  if (state.alignmentStrip && !decodeColorByGenotype(state.alignmentStrip, state.geneLength)) {
+    console.error("Can't display the alignment strip for ", state.alignmentStrip);
+    state.alignmentStrip = "";
+    delete query.aln;
+  }
+
+  /* the exploded layout requires a discrete trait, which defaults to the first one available */
+  if (state.layout === "explode") {
+    const explodableTraits = getExplodableTraits(metadata.colorings);
+    if (!explodableTraits.includes(state.explodeAttr)) {
+      if (explodableTraits.length) {
+        state.explodeAttr = explodableTraits[0];
+        query.explode = state.explodeAttr;
+      } else {
+        console.error("Can't explode the tree as there are no discrete traits");
+        state.layout = "rect";
+        delete query.l;
+        delete query.explode;
+      }
+    }
+  } else if (query.explode) {
+    delete query.explode;
+  }
+
+  /* the clock layout requires both dates & divergence, the scatterplot layout requires two variables to plot */
+  const scatterVariables = getScatterVariables(metadata.colorings, state.branchLengthsToDisplay).map((v) => v.value);
+  if (
+    (state.layout === "clock" && state.branchLengthsToDisplay !== "divAndDate") ||
+    (state.layout === "scatter" && scatterVariables.length < 2)
+  ) {
+    console.error(`Can't display the ${state.layout} layout for this dataset`);
+    state.layout = "rect";
+    delete query.l;
+  }
+  if (state.layout === "scatter") {
+    const {x, y} = state.scatterVariables;
+    if (!scatterVariables.includes(x) || !scatterVariables.includes(y)) {
+      const newX = scatterVariables.includes(x) ? x : scatterVariables.filter((v) => v !== y)[0];
+      const newY = scatterVariables.includes(y) ? y : scatterVariables.filter((v) => v !== newX)[0];
+      state.scatterVariables = Object.assign({}, state.scatterVariables, {x: newX, y: newY});
+      query.scatterX = newX;
+      query.scatterY = newY;
+    }
+  } else {
+    delete query.scatterX;
+    delete query.scatterY;
+  }
+  if (state.layout !== "scatter" && state.layout !== "clock") {
+    delete query.branches;
+    delete query.regression;
+  }
+
   /* temporalConfidence */
   if (state.temporalConfidence.exists) {
     if (state.layout !== "rect") {
@@ -527,6 +624,33 @@ const modifyTreeStateVisAndBranchThickness = (oldState, tipSelected, zoomSelecte
   return newState;
 };
 
+/* re-root the main tree as defined by `query.reroot` (see `rerootTreeState`), removing the query if this isn't possible */
+const rerootMainTree = (tree, query) => {
+  const rerootedTree = rerootTreeState(tree, query.reroot);
+  if (rerootedTree) return rerootedTree;
+  console.error(`Can't re-root the tree on "${query.reroot}"`);
+  delete query.reroot;
+  return tree.reroot ? rerootTreeState(tree, undefined) : tree;
+};
+
+/**
+ * The names of the clades of the main tree which are collapsed, as defined by `query.collapse` (see
+ * `toggleCollapsedClade`). Only internal nodes (other than the root) may be collapsed, and the query
+ * is modified to remove any other names.
+ */
+const collapsedCladesFromQuery = (tree, query) => {
+  if (!query.collapse) return [];
+  const collapsible = new Set(tree.nodes.filter((n) => n.hasChildren && n.parent !== n).map((n) => n.name));
+  const names = [...new Set(String(query.collapse).split(","))];
+  const collapsedClades = names.filter((name) => collapsible.has(name));
+  if (collapsedClades.length !== names.length) {
+    console.error(`Can't collapse the clade(s) ${names.filter((name) => !collapsible.has(name)).join(", ")}`);
+    if (collapsedClades.length) query.collapse = collapsedClades.join(",");
+    else delete query.collapse;
+  }
+  return collapsedClades;
+};
+
 const removePanelIfPossible = (panels, name) => {
   const idx = panels.indexOf(name);
   if (idx !== -1) {
@@ -629,14 +753,18 @@ const createMetadataStateFromJSON = (json) => {
 export const createStateFromQueryOrJSONs = ({
   json = false, /* raw json data - completely nuke existing redux state */
   secondTreeDataset = false,
+  treeNodes = undefined, /* nodes of `json.tree`, if already prepared (see `parseDatasetResponse`) */
+  secondTreeNodes = undefined, /* as above, for `secondTreeDataset.tree` */
   oldState = false, /* existing redux state (instead of jsons) */
   narrativeBlocks = false,
   mainTreeName = false,
   secondTreeName = false,
+  datasetKey = undefined, /* identifies the (main) dataset, under which dropped metadata is stored */
   query,
   dispatch
 }) => {
   let tree, treeToo, entropy, controls, metadata, narrative, frequencies;
+  let treeRerooted = false;
   /* first task is to create metadata, entropy, controls & tree partial state */
   if (json) {
     /* create metadata state */
@@ -644,17 +772,27 @@ export const createStateFromQueryOrJSONs = ({
     /* entropy state */
     entropy = entropyCreateState(metadata.genomeAnnotations);
     /* new tree state(s) */
-    tree = treeJsonToState(json.tree);
+    tree = treeJsonToState(json.tree, treeNodes);
     tree.debug = "LEFT";
     tree.name = mainTreeName;
+    if (query.reroot) tree = rerootMainTree(tree, query);
     metadata.mainTreeNumTips = calcTotalTipsInTree(tree.nodes);
     if (secondTreeDataset) {
-      treeToo = treeJsonToState(secondTreeDataset.tree);
+      treeToo = treeJsonToState(secondTreeDataset.tree, secondTreeNodes);
       treeToo.debug = "RIGHT";
       treeToo.name = secondTreeName;
       /* TODO: calc & display num tips in 2nd tree */
       // metadata.secondTreeNumTips = calcTotalTipsInTree(treeToo.nodes);
     }
+    /* restore metadata previously dropped onto this dataset, before the query (e.g. `?c=`) is applied */
+    metadata.datasetKey = datasetKey;
+    metadata.droppedMetadata = datasetKey ? loadDroppedMetadata(datasetKey) : [];
+    /* the colorings & filters of the dataset, which are restored when dropped metadata replacing them is removed */
+    metadata.datasetColorings = metadata.colorings;
+    metadata.datasetFilters = metadata.filters;
+    if (metadata.droppedMetadata.length) {
+      Object.assign(metadata, applyDroppedMetadata(metadata, [tree, treeToo]));
+    }
 
     /* new controls state - don't apply query yet (or error check!) */
     controls = getDefaultControlsState();
@@ -670,6 +808,12 @@ export const createStateFromQueryOrJSONs = ({
     treeToo = {...oldState.treeToo};
     metadata = {...oldState.metadata};
     frequencies = {...oldState.frequencies};
+    if (query.reroot !== tree.reroot) {
+      tree = rerootMainTree(tree, query);
+      treeRerooted = true;
+      applyDroppedMetadata(metadata, [tree]); /* the re-rooted tree has new nodes */
+      controls = modifyControlsStateViaTreeBranchLengths(controls, tree);
+    }
     controls = restoreQueryableStateToDefaults(controls);
   }
 
@@ -688,6 +832,7 @@ export const createStateFromQueryOrJSONs = ({
       n=0;
     }
     controls = modifyStateViaURLQuery(controls, queryString.parse(narrative[n].query));
+    tree.collapsedClades = collapsedCladesFromQuery(tree, queryString.parse(narrative[n].query));
     query = n===0 ? {} : {n}; // eslint-disable-line
     /* If the narrative block in view defines a `mainDisplayMarkdown` section, we
     update `controls.panelsToDisplay` so this is displayed */
@@ -696,6 +841,7 @@ export const createStateFromQueryOrJSONs = ({
     }
   } else {
     controls = modifyStateViaURLQuery(controls, query);
+    tree.collapsedClades = collapsedCladesFromQuery(tree, query);
   }
 
   const viewingNarrative = (narrativeBlocks || (oldState && oldState.narrative.display));
@@ -703,7 +849,7 @@ export const createStateFromQueryOrJSONs = ({
 
 
   /* calculate colours if loading from JSONs or if the query demands change */
-  if (json || controls.colorBy !== oldState.controls.colorBy) {
+  if (json || treeRerooted || controls.colorBy !== oldState.controls.colorBy) {
     const colorScale = calcColorScale(controls.colorBy, controls, tree, treeToo, metadata);
     const nodeColors = calcNodeColor(tree, colorScale);
     controls.colorScale = colorScale;
@@ -741,11 +887,13 @@ export const createStateFromQueryOrJSONs = ({
     treeToo.tangleTipLookup = constructVisibleTipLookupBetweenTrees(tree.nodes, treeToo.nodes, tree.visibility, treeToo.visibility);
   }
 
-  /* calculate entropy in view */
+  /* the entropy in view is computed asynchronously, once this state has been dispatched (see `computeEntropyOfNewState`).
+  Until then the bars of the previous state (if any) are shown */
   if (entropy.loaded) {
-    const [entropyBars, entropyMaxYVal] = calcEntropyInView(tree.nodes, tree.visibility, controls.mutType, entropy.geneMap, entropy.showCounts);
-    entropy.bars = entropyBars;
-    entropy.maxYVal = entropyMaxYVal;
+    if (!entropy.bars) {
+      entropy.bars = [];
+      entropy.maxYVal = 1;
+    }
     entropy.zoomMax = controls["zoomMax"];
     entropy.zoomMin = controls["zoomMin"];
     entropy.zoomCoordinates = [controls["zoomMin"], controls["zoomMax"]];
@@ -769,6 +917,7 @@ export const createStateFromQueryOrJSONs = ({
 
 export const createTreeTooState = ({
   treeTooJSON, /* raw json data */
+  treeTooNodes = undefined, /* nodes of `treeTooJSON`, if already prepared (see `parseDatasetResponse`) */
   oldState,
   originalTreeUrl,
   secondTreeUrl, /* treeToo URL */
@@ -779,9 +928,10 @@ export const createTreeTooState = ({
   let controls = oldState.controls;
   const tree = Object.assign({}, oldState.tree);
   tree.name = originalTreeUrl;
-  let treeToo = treeJsonToState(treeTooJSON);
+  let treeToo = treeJsonToState(treeTooJSON, treeTooNodes);
   treeToo.name = secondTreeUrl;
   treeToo.debug = "RIGHT";
+  applyDroppedMetadata(oldState.metadata, [tree, treeToo]);
   controls = modifyControlsStateViaTree(controls, tree, treeToo, oldState.metadata.colorings);
   controls = modifyControlsViaTreeToo(controls, secondTreeUrl);
   treeToo = modifyTreeStateVisAndBranchThickness(treeToo, tree.selectedStrain, undefined, controls, dispatch);
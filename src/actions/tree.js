@@ -1,3 +1,4 @@
+import queryString from "query-string";
 import { calcTipRadii } from "../util/tipRadiusHelpers";
 import { strainNameToIdx, calculateVisiblityAndBranchThickness } from "../util/treeVisibilityHelpers";
 import * as types from "./types";
@@ -6,6 +7,8 @@ import { updateFrequencyDataDebounced } from "./frequencies";
 import { calendarToNumeric } from "../util/dateHelpers";
 import { applyToChildren } from "../components/tree/phyloTree/helpers";
 import { constructVisibleTipLookupBetweenTrees } from "../util/treeTangleHelpers";
+import { getOriginalRerootNodeName } from "../util/rerootTree";
+import { changePage } from "./navigation";
 
 
 export const applyInViewNodesToTree = (idx, tree) => {
@@ -279,3 +282,41 @@ export const applyFilter = (mode, trait, values) => {
 export const toggleTemporalConfidence = () => ({
   type: types.TOGGLE_TEMPORAL_CONF
 });
+
+/**
+ * Re-root the main tree on the branch leading to the node at `idx` (see `rerootTree`), or
+ * restore the original rooting if `idx` is undefined. The re-rooting is defined by the URL
+ * query (`reroot=<name>`), from which the state is recomputed, so that it may be shared.
+ * @param {int|undefined} idx
+ */
+export const rerootMainTree = (idx) => (dispatch, getState) => {
+  const { tree } = getState();
+  const query = queryString.parse(window.location.search);
+  if (idx === undefined) {
+    delete query.reroot;
+  } else {
+    const name = getOriginalRerootNodeName(tree.nodes[idx], tree.originalNodes || tree.nodes, tree.reroot);
+    if (name === tree.reroot) return; /* the rooting is unchanged */
+    query.reroot = name;
+  }
+  delete query.label; /* clades aren't preserved by re-rooting, so the zoom is reset */
+  dispatch(changePage({query, changeDataset: false}));
+};
+
+/**
+ * Collapse the clade of the main tree defined by the node at `idx` (i.e. draw it as a wedge),
+ * or expand it if it's already collapsed. If `idx` is undefined, all clades are expanded.
+ * The collapsed clades are stored (by name) in the URL query (`collapse=<name>,<name>`).
+ * @param {int|undefined} idx
+ */
+export const toggleCollapsedClade = (idx) => (dispatch, getState) => {
+  const { tree } = getState();
+  let collapsedClades = [];
+  if (idx !== undefined) {
+    const name = tree.nodes[idx].name;
+    collapsedClades = tree.collapsedClades.includes(name) ?
+      tree.collapsedClades.filter((n) => n !== name) :
+      [...tree.collapsedClades, name];
+  }
+  dispatch({type: types.UPDATE_COLLAPSED_CLADES, collapsedClades});
+};
@@ -1,6 +1,7 @@
 export const UPDATE_TIP_RADII = "UPDATE_TIP_RADII";
 export const NEW_COLORS = "NEW_COLORS";
 export const LOAD_FREQUENCIES = "LOAD_FREQUENCIES";
+export const LOAD_ROOT_SEQUENCE = "LOAD_ROOT_SEQUENCE";
 export const FREQUENCY_MATRIX = "FREQUENCY_MATRIX";
 export const BROWSER_DIMENSIONS = "BROWSER_DIMENSIONS";
 export const BRANCH_MOUSEENTER = "BRANCH_MOUSEENTER";
@@ -9,7 +10,12 @@ export const NODE_MOUSEENTER = "NODE_MOUSEENTER";
 export const NODE_MOUSELEAVE = "NODE_MOUSELEAVE";
 export const SEARCH_INPUT_CHANGE = "SEARCH_INPUT_CHANGE";
 export const CHANGE_LAYOUT = "CHANGE_LAYOUT";
+export const CHANGE_EXPLODE_ATTR = "CHANGE_EXPLODE_ATTR";
+export const CHANGE_SCATTER_VARIABLES = "CHANGE_SCATTER_VARIABLES";
 export const CHANGE_BRANCH_LABEL = "CHANGE_BRANCH_LABEL";
+export const CHANGE_TIP_LABEL = "CHANGE_TIP_LABEL";
+export const CHANGE_METADATA_STRIP = "CHANGE_METADATA_STRIP";
+export const CHANGE_ALIGNMENT_STRIP = "CHANGE_ALIGNMENT_STRIP";
 export const CHANGE_DISTANCE_MEASURE = "CHANGE_DISTANCE_MEASURE";
 export const CHANGE_DATES_VISIBILITY_THICKNESS = "CHANGE_DATES_VISIBILITY_THICKNESS";
 export const CHANGE_ABSOLUTE_DATE_MIN = "CHANGE_ABSOLUTE_DATE_MIN";
@@ -34,7 +40,14 @@ export const TOGGLE_PANEL_DISPLAY = "TOGGLE_PANEL_DISPLAY";
 export const TRIGGER_DOWNLOAD_MODAL = "TRIGGER_DOWNLOAD_MODAL";
 export const DISMISS_DOWNLOAD_MODAL = "DISMISS_DOWNLOAD_MODAL";
 export const ADD_COLOR_BYS = "ADD_COLOR_BYS";
+export const REMOVE_COLOR_BYS = "REMOVE_COLOR_BYS";
+export const UPDATE_DROPPED_METADATA = "UPDATE_DROPPED_METADATA";
+export const TRIGGER_ADD_METADATA_MODAL = "TRIGGER_ADD_METADATA_MODAL";
+export const DISMISS_ADD_METADATA_MODAL = "DISMISS_ADD_METADATA_MODAL";
+export const TRIGGER_MANAGE_METADATA_MODAL = "TRIGGER_MANAGE_METADATA_MODAL";
+export const DISMISS_MANAGE_METADATA_MODAL = "DISMISS_MANAGE_METADATA_MODAL";
 export const CHANGE_TREE_ROOT_IDX = "CHANGE_TREE_ROOT_IDX";
+export const UPDATE_COLLAPSED_CLADES = "UPDATE_COLLAPSED_CLADES";
 export const TOGGLE_NARRATIVE = "TOGGLE_NARRATIVE";
 export const ENTROPY_DATA = "ENTROPY_DATA";
 export const ENTROPY_COUNTS_TOGGLE = "ENTROPY_COUNTS_TOGGLE";
@@ -49,3 +62,4 @@ export const UPDATE_PATHNAME = "UPDATE_PATHNAME";
 export const CHANGE_ZOOM = "CHANGE_ZOOM";
 export const SET_AVAILABLE = "SET_AVAILABLE";
 export const TOGGLE_SIDEBAR = "TOGGLE_SIDEBAR";
+export const DATA_LOADING_PROGRESS = "DATA_LOADING_PROGRESS";
@@ -0,0 +1,187 @@
+import React from "react";
+import { connect } from "react-redux";
+import Select from "react-select";
+import { DISMISS_ADD_METADATA_MODAL } from "../../actions/types";
+import { addMetadata } from "../../actions/filesDropped/metadata";
+import { columnTypes, coloringType } from "../../actions/filesDropped/columns";
+import { materialButton, infoPanelStyles } from "../../globalStyles";
+import { stopProp } from "../tree/infoPanels/click";
+
+/* filters list each value as a button, so aren't available for continuous colorings */
+const canFilter = (type) => coloringType(type) !== "continuous";
+
+/**
+ * The initial choices for the dropped metadata. Existing colorings aren't replaced unless chosen,
+ * and the first column (usually the strain name) isn't added as a coloring.
+ */
+const initialChoices = (pendingMetadata) => ({
+  columns: pendingMetadata ?
+    pendingMetadata.columns.map((column) => ({
+      ...column,
+      add: !column.exists && column.field !== pendingMetadata.fields[0],
+      filter: false
+    })) :
+    [],
+  joinField: pendingMetadata ? pendingMetadata.joinField : undefined,
+  joinProperty: pendingMetadata ? pendingMetadata.joinProperty : undefined
+});
+
+/**
+ * A modal displayed when a metadata file is dropped onto the tree, where the user chooses how
+ * rows are matched to nodes of the tree(s), which columns are added as colorings, their types
+ * and whether they are added as filters.
+ */
+@connect((state) => ({
+  browserDimensions: state.browserDimensions.browserDimensions,
+  pendingMetadata: state.controls.pendingMetadata
+}))
+class AddMetadataModal extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = initialChoices(props.pendingMetadata);
+    this.dismissModal = this.dismissModal.bind(this);
+    this.addColumns = this.addColumns.bind(this);
+  }
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.pendingMetadata !== this.props.pendingMetadata) {
+      this.setState(initialChoices(nextProps.pendingMetadata));
+    }
+  }
+  updateColumn(idx, change) {
+    const columns = this.state.columns.slice();
+    columns[idx] = {...columns[idx], ...change};
+    if (!canFilter(columns[idx].type)) columns[idx].filter = false;
+    this.setState({columns});
+  }
+  dismissModal() {
+    this.props.dispatch({type: DISMISS_ADD_METADATA_MODAL});
+  }
+  columnsToDisplay() {
+    /* the column used to match rows to nodes can't itself be added */
+    return this.state.columns
+      .map((column, idx) => ({column, idx}))
+      .filter(({column}) => column.field !== this.state.joinField);
+  }
+  addColumns() {
+    const columns = this.columnsToDisplay().map(({column}) => column).filter((column) => column.add);
+    this.props.dispatch(addMetadata(columns, {field: this.state.joinField, property: this.state.joinProperty}));
+  }
+  renderJoin() {
+    const selectStyle = {display: "inline-block", width: 200, verticalAlign: "middle", margin: "0px 5px"};
+    return (
+      <div>
+        {"Match rows via the column"}
+        <div style={selectStyle}>
+          <Select
+            name="metadataJoinField"
+            value={this.state.joinField}
+            options={this.props.pendingMetadata.fields.map((field) => ({value: field, label: field}))}
+            clearable={false}
+            searchable={false}
+            multi={false}
+            onChange={(opt) => this.setState({joinField: opt.value})}
+          />
+        </div>
+        {"to the nodes'"}
+        <div style={selectStyle}>
+          <Select
+            name="metadataJoinProperty"
+            value={this.state.joinProperty}
+            options={this.props.pendingMetadata.joinProperties.map((p) => ({value: p, label: p}))}
+            clearable={false}
+            searchable={false}
+            multi={false}
+            onChange={(opt) => this.setState({joinProperty: opt.value})}
+          />
+        </div>
+        <div style={infoPanelStyles.comment}>
+          {"(matching ignores case, surrounding whitespace, and differences between spaces & underscores)"}
+        </div>
+      </div>
+    );
+  }
+  renderColumn(column, idx) {
+    return (
+      <tr key={column.field}>
+        <td>
+          <input
+            type="checkbox"
+            checked={column.add}
+            onChange={() => this.updateColumn(idx, {add: !column.add})}
+          />
+        </td>
+        <td style={{paddingRight: 10}}>
+          {column.key}
+          {column.exists ? (<span style={infoPanelStyles.comment}>{" (replaces the existing coloring)"}</span>) : null}
+        </td>
+        <td style={{width: 160, paddingRight: 10}}>
+          <Select
+            name={`metadataType-${column.field}`}
+            value={column.type}
+            options={columnTypes.map((type) => ({value: type, label: type}))}
+            clearable={false}
+            searchable={false}
+            multi={false}
+            disabled={!column.add}
+            onChange={(opt) => this.updateColumn(idx, {type: opt.value})}
+          />
+        </td>
+        <td>
+          <input
+            type="checkbox"
+            checked={column.filter}
+            disabled={!column.add || !canFilter(column.type)}
+            onChange={() => this.updateColumn(idx, {filter: !column.filter})}
+          />
+        </td>
+      </tr>
+    );
+  }
+  render() {
+    if (!this.props.pendingMetadata) return null;
+    const panelStyle = {...infoPanelStyles.panel};
+    panelStyle.width = this.props.browserDimensions.width * 0.5;
+    panelStyle.maxWidth = panelStyle.width;
+    panelStyle.maxHeight = this.props.browserDimensions.height * 0.66;
+    panelStyle.fontSize = 14;
+    panelStyle.lineHeight = 1.4;
+    const columnsToDisplay = this.columnsToDisplay();
+    const nToAdd = columnsToDisplay.filter(({column}) => column.add).length;
+    return (
+      <div style={infoPanelStyles.modalContainer} onClick={this.dismissModal}>
+        <div style={panelStyle} onClick={(e) => stopProp(e)}>
+          <p style={infoPanelStyles.topRightMessage}>
+            (click outside this box to cancel)
+          </p>
+          <div style={infoPanelStyles.modalSubheading}>
+            {`Add metadata from ${this.props.pendingMetadata.fileName}`}
+          </div>
+          {this.renderJoin()}
+          <div style={infoPanelStyles.break}/>
+          <table>
+            <thead>
+              <tr>
+                <th>Add</th>
+                <th>Coloring</th>
+                <th>Type</th>
+                <th>Filter</th>
+              </tr>
+            </thead>
+            <tbody>
+              {columnsToDisplay.map(({column, idx}) => this.renderColumn(column, idx))}
+            </tbody>
+          </table>
+          <div style={infoPanelStyles.break}/>
+          <button style={materialButton} onClick={this.addColumns} disabled={!nToAdd}>
+            {`Add ${nToAdd} coloring${nToAdd === 1 ? "" : "s"}`}
+          </button>
+          <button style={materialButton} onClick={this.dismissModal}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    );
+  }
+}
+
+export default AddMetadataModal;
@@ -0,0 +1,103 @@
+import React from "react";
+import { connect } from "react-redux";
+import { DISMISS_MANAGE_METADATA_MODAL } from "../../actions/types";
+import { removeDroppedMetadata, reapplyDroppedMetadata, forgetDroppedMetadata } from "../../actions/filesDropped/metadata";
+import { materialButton, infoPanelStyles } from "../../globalStyles";
+import { stopProp } from "../tree/infoPanels/click";
+
+/**
+ * A modal listing the metadata files dropped onto the dataset (see `addMetadata`), which are
+ * stored in the browser & restored when the dataset is loaded. Each may be removed from the
+ * tree (& later re-applied) or forgotten entirely.
+ */
+@connect((state) => ({
+  browserDimensions: state.browserDimensions.browserDimensions,
+  show: state.controls.showManageMetadata,
+  droppedMetadata: state.metadata.droppedMetadata,
+  isStored: !!state.metadata.datasetKey
+}))
+class ManageMetadataModal extends React.Component {
+  constructor(props) {
+    super(props);
+    this.dismissModal = this.dismissModal.bind(this);
+  }
+  dismissModal() {
+    this.props.dispatch({type: DISMISS_MANAGE_METADATA_MODAL});
+  }
+  renderEntry(entry) {
+    const join = `${entry.join.field} → ${entry.join.property}`;
+    return (
+      <tr key={entry.id}>
+        <td style={{paddingRight: 10}}>
+          {entry.fileName}
+          {entry.active ? null : (<span style={infoPanelStyles.comment}>{" (removed)"}</span>)}
+        </td>
+        <td style={{paddingRight: 10}}>{entry.added}</td>
+        <td style={{paddingRight: 10}}>{join}</td>
+        <td style={{paddingRight: 10}}>{entry.columns.map((column) => column.key).join(", ")}</td>
+        <td>
+          {entry.active ? (
+            <button style={materialButton} onClick={() => this.props.dispatch(removeDroppedMetadata(entry.id))}>
+              Remove
+            </button>
+          ) : (
+            <button style={materialButton} onClick={() => this.props.dispatch(reapplyDroppedMetadata(entry.id))}>
+              Re-apply
+            </button>
+          )}
+          <button style={materialButton} onClick={() => this.props.dispatch(forgetDroppedMetadata(entry.id))}>
+            Forget
+          </button>
+        </td>
+      </tr>
+    );
+  }
+  render() {
+    if (!this.props.show) return null;
+    const droppedMetadata = this.props.droppedMetadata || [];
+    const panelStyle = {...infoPanelStyles.panel};
+    panelStyle.width = this.props.browserDimensions.width * 0.66;
+    panelStyle.maxWidth = panelStyle.width;
+    panelStyle.maxHeight = this.props.browserDimensions.height * 0.66;
+    panelStyle.fontSize = 14;
+    panelStyle.lineHeight = 1.4;
+    return (
+      <div style={infoPanelStyles.modalContainer} onClick={this.dismissModal}>
+        <div style={panelStyle} onClick={(e) => stopProp(e)}>
+          <p style={infoPanelStyles.topRightMessage}>
+            (click outside this box to return to the app)
+          </p>
+          <div style={infoPanelStyles.modalSubheading}>
+            Added metadata
+          </div>
+          <div style={infoPanelStyles.comment}>
+            {this.props.isStored ?
+              "Metadata dropped onto this dataset is stored in your browser and added again whenever the dataset is loaded. Colorings from it may be used in URLs (e.g. ?c=...), but only in browsers where it's stored." :
+              "Metadata dropped onto this tree isn't stored, as the tree itself was dropped."}
+          </div>
+          <div style={infoPanelStyles.break}/>
+          {droppedMetadata.length ? (
+            <table>
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Added</th>
+                  <th>Matched via</th>
+                  <th>Colorings</th>
+                  <th/>
+                </tr>
+              </thead>
+              <tbody>
+                {droppedMetadata.map((entry) => this.renderEntry(entry))}
+              </tbody>
+            </table>
+          ) : (
+            <div>No metadata has been added</div>
+          )}
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ManageMetadataModal;
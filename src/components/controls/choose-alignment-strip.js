@@ -0,0 +1,85 @@
+import React from "react";
+import { connect } from "react-redux";
+import Select from "react-select";
+import { debounce } from "lodash";
+import { sidebarField } from "../../globalStyles";
+import { controlsWidth, nucleotide_gene } from "../../util/globals";
+import { CHANGE_ALIGNMENT_STRIP } from "../../actions/types";
+import { decodeColorByGenotype, encodeColorByGenotype, decodePositions } from "../../util/getGenotype";
+import { SidebarSubtitle } from "./styles";
+
+/**
+ * Choose the (nucleotide or amino acid) positions displayed in the alignment strip beside the
+ * (rectangular) tree. The positions are stored in redux encoded as per a genotype colorBy.
+ */
+@connect((state) => ({
+  alignmentStrip: state.controls.alignmentStrip,
+  geneLength: state.controls.geneLength,
+  geneMap: state.entropy.geneMap,
+  layout: state.controls.layout
+}))
+class ChooseAlignmentStrip extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = this.stateFromProps(props);
+  }
+  stateFromProps(props) {
+    const genotype = props.alignmentStrip ? decodeColorByGenotype(props.alignmentStrip) : null;
+    return genotype ?
+      {geneSelected: genotype.gene, positionSelected: genotype.positions.join(",")} :
+      {geneSelected: nucleotide_gene, positionSelected: ""};
+  }
+  componentWillReceiveProps(nextProps) {
+    if (this.props.alignmentStrip !== nextProps.alignmentStrip) {
+      const current = this.encode(this.state.geneSelected, this.state.positionSelected, nextProps.geneLength);
+      if (current !== nextProps.alignmentStrip) this.setState(this.stateFromProps(nextProps));
+    }
+  }
+  encode(gene, positionSelected, geneLength) {
+    const positions = decodePositions(positionSelected.replace(/\s/g, ""), geneLength[gene]);
+    return positions.length ? encodeColorByGenotype({gene, positions}) : "";
+  }
+  dispatchAlignmentStrip = debounce((value) => {
+    if (value !== this.props.alignmentStrip) {
+      this.props.dispatch({type: CHANGE_ALIGNMENT_STRIP, value});
+    }
+  }, 400);
+  change(newState) {
+    const {geneSelected, positionSelected} = {...this.state, ...newState};
+    this.setState(newState);
+    this.dispatchAlignmentStrip(this.encode(geneSelected, positionSelected, this.props.geneLength));
+  }
+  render() {
+    if (!this.props.geneMap) return null;
+    const geneOptions = Object.keys(this.props.geneMap).map((prot) => ({value: prot, label: prot}));
+    geneOptions.push({value: nucleotide_gene, label: "nucleotide"});
+    const geneLength = Math.floor(this.props.geneLength[this.state.geneSelected]);
+    return (
+      <div style={{paddingTop: 5}}>
+        <SidebarSubtitle>
+          {`Alignment Strip${["rect", "explode"].includes(this.props.layout) ? "" : " (rectangular layout only)"}`}
+        </SidebarSubtitle>
+        <div style={{width: controlsWidth, fontSize: 14}}>
+          <Select
+            name="selectAlignmentGene"
+            value={this.state.geneSelected}
+            options={geneOptions}
+            clearable={false}
+            searchable
+            multi={false}
+            onChange={(opt) => this.change({geneSelected: opt.value})}
+          />
+          <input
+            type="text"
+            style={sidebarField}
+            placeholder={geneLength ? `positions (1–${geneLength}), e.g. 142,144…` : "positions, e.g. 142,144…"}
+            value={this.state.positionSelected}
+            onChange={(e) => this.change({positionSelected: e.target.value})}
+          />
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ChooseAlignmentStrip;
@@ -2,6 +2,7 @@ import React from "react";
 import { connect } from "react-redux";
 import ChooseDatasetSelect from "./choose-dataset-select";
 import { SidebarHeader } from "./styles";
+import { getPathname } from "../../util/staticSite";
 
 // const DroppedFiles = withTheme((props) => {
 //   /* TODO: this shouldn't be in the auspice src, rather injected as an extension when needed */
@@ -30,7 +31,7 @@ class ChooseDataset extends React.Component {
       return null;
     }
 
-    const displayedDatasetString = window.location.pathname
+    const displayedDatasetString = getPathname()
       .replace(/^\//, '')
       .replace(/\/$/, '')
       .split(":")[0];
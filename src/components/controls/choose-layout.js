@@ -1,16 +1,22 @@
 import React from "react";
 import PropTypes from 'prop-types';
 import { connect } from "react-redux";
+import Select from "react-select";
 import styled, { withTheme } from 'styled-components';
 import * as icons from "../framework/svg-icons";
-import { CHANGE_LAYOUT } from "../../actions/types";
+import { CHANGE_LAYOUT, CHANGE_EXPLODE_ATTR, CHANGE_SCATTER_VARIABLES } from "../../actions/types";
 import { analyticsControlsEvent } from "../../util/googleAnalytics";
+import { getExplodableTraits, getScatterVariables } from "../../util/treeMiscHelpers";
+import { controlsWidth } from "../../util/globals";
 import { SidebarSubtitle, SidebarButton } from "./styles";
+import Toggle from "./toggle";
 
 const RectangularTreeIcon = withTheme(icons.RectangularTree);
 const RadialTreeIcon = withTheme(icons.RadialTree);
 const UnrootedTreeIcon = withTheme(icons.UnrootedTree);
 const ClockIcon = withTheme(icons.Clock);
+const ScatterIcon = withTheme(icons.Scatter);
+const ExplodedTreeIcon = withTheme(icons.ExplodedTree);
 
 export const RowContainer = styled.div`
   padding: 0px 5px 1px 5px;
@@ -20,7 +26,10 @@ export const RowContainer = styled.div`
   return {
     layout: state.controls.layout,
     showTreeToo: state.controls.showTreeToo,
-    branchLengthsToDisplay: state.controls.branchLengthsToDisplay
+    branchLengthsToDisplay: state.controls.branchLengthsToDisplay,
+    explodeAttr: state.controls.explodeAttr,
+    scatterVariables: state.controls.scatterVariables,
+    colorings: state.metadata.colorings
   };
 })
 class ChooseLayout extends React.Component {
@@ -28,10 +37,53 @@ class ChooseLayout extends React.Component {
     layout: PropTypes.string.isRequired,
     dispatch: PropTypes.func.isRequired
   }
+  /* the variables plotted by the scatterplot layout and the toggles for what's drawn on it (& on the clock layout) */
+  renderScatterplotOptions(scatterVariables) {
+    const changeScatterVariables = (data) => this.props.dispatch({type: CHANGE_SCATTER_VARIABLES, data});
+    return (
+      <div style={{width: controlsWidth, fontSize: 14, paddingTop: 5}}>
+        {this.props.layout === "scatter" ?
+          ["x", "y"].map((axis) => (
+            <div key={axis} style={{paddingBottom: 5}}>
+              <SidebarSubtitle>
+                {`${axis.toUpperCase()} variable`}
+              </SidebarSubtitle>
+              <Select
+                name={`selectScatter${axis.toUpperCase()}`}
+                value={this.props.scatterVariables[axis]}
+                options={scatterVariables}
+                clearable={false}
+                searchable={false}
+                multi={false}
+                onChange={(opt) => {
+                  if (opt.value !== this.props.scatterVariables[axis]) changeScatterVariables({[axis]: opt.value});
+                }}
+              />
+            </div>
+          )) :
+          null
+        }
+        <Toggle
+          display
+          on={this.props.scatterVariables.showBranches}
+          callback={() => changeScatterVariables({showBranches: !this.props.scatterVariables.showBranches})}
+          label="Show branches"
+        />
+        <Toggle
+          display
+          on={this.props.scatterVariables.showRegression}
+          callback={() => changeScatterVariables({showRegression: !this.props.scatterVariables.showRegression})}
+          label="Show regression"
+        />
+      </div>
+    );
+  }
   render() {
     if (this.props.showTreeToo) return null;
     const selected = this.props.layout;
     const loopRunning = window.NEXTSTRAIN && window.NEXTSTRAIN.animationTickReference;
+    const explodableTraits = getExplodableTraits(this.props.colorings);
+    const scatterVariables = getScatterVariables(this.props.colorings, this.props.branchLengthsToDisplay);
     return (
       <div style={{marginBottom: 15}}>
         <SidebarSubtitle>
@@ -79,6 +131,67 @@ class ChooseLayout extends React.Component {
             ) :
             null
         }
+        {
+          scatterVariables.length >= 2 ?
+            (
+              <RowContainer>
+                <ScatterIcon width={25} selected={selected === "scatter"}/>
+                <SidebarButton
+                  selected={selected === "scatter"}
+                  onClick={() => {if (!loopRunning) {analyticsControlsEvent("change-layout-scatter"); this.props.dispatch({ type: CHANGE_LAYOUT, data: "scatter" });}}}
+                >
+                  scatter
+                </SidebarButton>
+              </RowContainer>
+            ) :
+            null
+        }
+        {
+          explodableTraits.length ?
+            (
+              <RowContainer>
+                <ExplodedTreeIcon width={25} selected={selected === "explode"}/>
+                <SidebarButton
+                  selected={selected === "explode"}
+                  onClick={() => {
+                    if (!loopRunning) {
+                      analyticsControlsEvent("change-layout-explode");
+                      this.props.dispatch({
+                        type: CHANGE_LAYOUT,
+                        data: "explode",
+                        explodeAttr: explodableTraits.includes(this.props.explodeAttr) ? this.props.explodeAttr : explodableTraits[0]
+                      });
+                    }
+                  }}
+                >
+                  explode
+                </SidebarButton>
+              </RowContainer>
+            ) :
+            null
+        }
+        {
+          selected === "explode" ?
+            (
+              <div style={{width: controlsWidth, fontSize: 14, paddingTop: 5}}>
+                <Select
+                  name="selectExplodeAttr"
+                  value={this.props.explodeAttr}
+                  options={explodableTraits.map((key) => ({value: key, label: this.props.colorings[key].title || key}))}
+                  clearable={false}
+                  searchable={false}
+                  multi={false}
+                  onChange={(opt) => {
+                    if (opt.value !== this.props.explodeAttr) {
+                      this.props.dispatch({type: CHANGE_EXPLODE_ATTR, value: opt.value});
+                    }
+                  }}
+                />
+              </div>
+            ) :
+            null
+        }
+        {selected === "scatter" || selected === "clock" ? this.renderScatterplotOptions(scatterVariables) : null}
       </div>
     );
   }
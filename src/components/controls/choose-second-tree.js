@@ -4,6 +4,7 @@ import { connect } from "react-redux";
 import { loadSecondTree } from "../../actions/loadData";
 import { REMOVE_TREE_TOO } from "../../actions/types";
 import { controlsWidth } from "../../util/globals";
+import { getPathname } from "../../util/staticSite";
 import { SidebarSubtitle } from "./styles";
 
 
@@ -19,7 +20,7 @@ class ChooseSecondTree extends React.Component {
     if (!this.props.available || !this.props.available.datasets) {
       return null;
     }
-    const displayedDataset = window.location.pathname
+    const displayedDataset = getPathname()
       .replace(/^\//, '')
       .replace(/\/$/, '')
       .split(':')[0];
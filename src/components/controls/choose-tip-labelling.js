@@ -0,0 +1,65 @@
+import React from "react";
+import { connect } from "react-redux";
+import Select from "react-select";
+import { CHANGE_TIP_LABEL, CHANGE_METADATA_STRIP } from "../../actions/types";
+import { isColorByGenotype } from "../../util/getGenotype";
+import { SidebarSubtitle } from "./styles";
+import { controlsWidth } from "../../util/globals";
+
+/**
+ * Choose the trait which labels each tip (or none), and the colorings displayed as
+ * columns of the metadata strip beside the (rectangular) tree.
+ */
+@connect((state) => ({
+  tipLabelKey: state.controls.tipLabelKey,
+  metadataStrip: state.controls.metadataStrip,
+  layout: state.controls.layout,
+  colorings: state.metadata.colorings
+}))
+class ChooseTipLabelling extends React.Component {
+  constructor(props) {
+    super(props);
+    this.changeTipLabel = (value) => {this.props.dispatch({type: CHANGE_TIP_LABEL, value: value.value});};
+    this.changeMetadataStrip = (values) => {
+      this.props.dispatch({type: CHANGE_METADATA_STRIP, value: values.map((v) => v.value)});
+    };
+  }
+  render() {
+    const colorings = Object.keys(this.props.colorings || {})
+      .filter((key) => !isColorByGenotype(key))
+      .map((key) => ({value: key, label: this.props.colorings[key].title || key}));
+    return (
+      <div style={{paddingTop: 5}}>
+        <SidebarSubtitle>
+          Tip Labels
+        </SidebarSubtitle>
+        <div style={{width: controlsWidth, fontSize: 14}}>
+          <Select
+            value={this.props.tipLabelKey}
+            options={[{value: "strain", label: "strain name"}, {value: "none", label: "none"}, ...colorings]}
+            clearable={false}
+            searchable={false}
+            multi={false}
+            onChange={this.changeTipLabel}
+          />
+        </div>
+        <SidebarSubtitle spaceAbove>
+          {`Metadata Strip${["rect", "explode"].includes(this.props.layout) ? "" : " (rectangular layout only)"}`}
+        </SidebarSubtitle>
+        <div style={{width: controlsWidth, fontSize: 14}}>
+          <Select
+            value={this.props.metadataStrip}
+            options={colorings}
+            placeholder="Choose colorings..."
+            clearable
+            searchable
+            multi
+            onChange={this.changeMetadataStrip}
+          />
+        </div>
+      </div>
+    );
+  }
+}
+
+export default ChooseTipLabelling;
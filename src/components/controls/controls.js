@@ -2,6 +2,8 @@ import React from "react";
 import ColorBy from "./color-by";
 import DateRangeInputs from "./date-range-inputs";
 import ChooseBranchLabelling from "./choose-branch-labelling";
+import ChooseTipLabelling from "./choose-tip-labelling";
+import ChooseAlignmentStrip from "./choose-alignment-strip";
 import ChooseLayout from "./choose-layout";
 import ChooseDataset from "./choose-dataset";
 import ChooseSecondTree from "./choose-second-tree";
@@ -30,6 +32,8 @@ const Controls = ({mapOn}) => (
     <ChooseLayout/>
     <ChooseMetric/>
     <ChooseBranchLabelling/>
+    <ChooseTipLabelling/>
+    <ChooseAlignmentStrip/>
     <SearchStrains/>
     <ChooseSecondTree/>
     <ToggleTangle/>
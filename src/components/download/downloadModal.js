@@ -1,6 +1,7 @@
 import React from "react";
 import Mousetrap from "mousetrap";
 import { connect } from "react-redux";
+import Select from "react-select";
 import { withTheme } from 'styled-components';
 import { DISMISS_DOWNLOAD_MODAL } from "../../actions/types";
 import { materialButton, extraLightGrey, infoPanelStyles } from "../../globalStyles";
@@ -9,11 +10,17 @@ import * as helpers from "./helperFunctions";
 import * as icons from "../framework/svg-icons";
 import { getAcknowledgments} from "../framework/footer";
 import { createSummary } from "../info/info";
+import Toggle from "../controls/toggle";
+import MetadataExport from "./metadataExport";
+import { getReconstructableGenes } from "../../util/reconstructSequences";
 
 const RectangularTreeIcon = withTheme(icons.RectangularTree);
 const PanelsGridIcon = withTheme(icons.PanelsGrid);
 const MetaIcon = withTheme(icons.Meta);
 
+/* screen resolution (i.e. the size the panels are displayed) & typical print resolutions */
+const pngResolutions = [96, 150, 300, 600];
+
 const dataUsage = [
   `The data presented here is intended to rapidly disseminate analysis of important pathogens.
   Unpublished data is included with permission of the data generators, and does not impact their right to publish.`,
@@ -49,6 +56,7 @@ export const publications = {
   browserDimensions: state.browserDimensions.browserDimensions,
   show: state.controls.showDownload,
   colorBy: state.controls.colorBy,
+  geneLength: state.controls.geneLength,
   metadata: state.metadata,
   tree: state.tree,
   nodes: state.tree.nodes,
@@ -103,6 +111,12 @@ class DownloadModal extends React.Component {
         }
       };
     };
+    this.state = {
+      visibleTipsOnly: false, /* restrict the annotated (nexus) trees to the visible tips */
+      pngDpi: 300,
+      fastaGene: "nuc", /* the sequences (nucleotide or a gene) written to FASTA files */
+      showMetadataExport: false /* show the dialog to export chosen columns of metadata (see `MetadataExport`) */
+    };
     this.dismissModal = this.dismissModal.bind(this);
   }
   componentDidMount() {
@@ -161,13 +175,35 @@ class DownloadModal extends React.Component {
     const buttons = [
       ["Tree (newick)", (<RectangularTreeIcon width={iconWidth} selected />), () => helpers.newick(this.props.dispatch, filePrefix, this.props.nodes[0], false)],
       ["TimeTree (newick)", (<RectangularTreeIcon width={iconWidth} selected />), () => helpers.newick(this.props.dispatch, filePrefix, this.props.nodes[0], true)],
-      ["Strain Metadata (TSV)", (<MetaIcon width={iconWidth} selected />), () => helpers.strainTSV(this.props.dispatch, filePrefix, this.props.nodes, this.props.metadata.colorings)]
+      ["Strain Metadata (TSV)", (<MetaIcon width={iconWidth} selected />), () => helpers.strainTSV(this.props.dispatch, filePrefix, this.props.nodes, this.props.metadata.colorings)],
+      ["Annotated Tree (nexus)", (<RectangularTreeIcon width={iconWidth} selected />), () => helpers.nexus(this.props.dispatch, filePrefix, this.props.tree, this.props.metadata.colorings, false, this.state.visibleTipsOnly)],
+      ["Annotated TimeTree (nexus)", (<RectangularTreeIcon width={iconWidth} selected />), () => helpers.nexus(this.props.dispatch, filePrefix, this.props.tree, this.props.metadata.colorings, true, this.state.visibleTipsOnly)],
+      ["Customised Metadata (CSV / TSV)", (<MetaIcon width={iconWidth} selected />), () => this.setState({showMetadataExport: true})],
+      ["Dataset JSON (current view)", (<RectangularTreeIcon width={iconWidth} selected />), () => helpers.datasetJSON(this.props.dispatch, filePrefix, this.props.tree, this.props.metadata)]
     ];
+    if (helpers.areMutationsPresent(this.props.tree)) {
+      buttons.push(
+        ["Mutations per Branch (TSV)", (<MetaIcon width={iconWidth} selected />), () => helpers.branchMutationsTSV(this.props.dispatch, filePrefix, this.props.tree)],
+        ["Mutations per Tip (TSV)", (<MetaIcon width={iconWidth} selected />), () => helpers.tipMutationsTSV(this.props.dispatch, filePrefix, this.props.tree)]
+      );
+    }
     if (helpers.areAuthorsPresent(this.props.tree)) {
       buttons.push(["Author Metadata (TSV)", (<MetaIcon width={iconWidth} selected />), () => helpers.authorTSV(this.props.dispatch, filePrefix, this.props.tree)]);
     }
+    if (this.props.metadata.rootSequence) {
+      const gene = this.state.fastaGene;
+      buttons.push(["Tip Sequences (FASTA)", (<MetaIcon width={iconWidth} selected />), () => helpers.fasta(this.props.dispatch, filePrefix, this.props.tree, this.props.metadata, gene, "visible")]);
+      if (this.props.tree.idxOfInViewRootNode) {
+        buttons.push(
+          ["Clade Sequences (FASTA)", (<MetaIcon width={iconWidth} selected />), () => helpers.fasta(this.props.dispatch, filePrefix, this.props.tree, this.props.metadata, gene, "clade")],
+          ["Ancestral Sequence (FASTA)", (<MetaIcon width={iconWidth} selected />), () => helpers.fasta(this.props.dispatch, filePrefix, this.props.tree, this.props.metadata, gene, "ancestor")]
+        );
+      }
+    }
     buttons.push(
-      ["Screenshot (SVG)", (<PanelsGridIcon width={iconWidth} selected />), () => helpers.SVG(this.props.dispatch, filePrefix, this.props.panelsToDisplay, this.props.panelLayout, this.makeTextStringsForSVGExport())]
+      ["Screenshot (SVG)", (<PanelsGridIcon width={iconWidth} selected />), () => helpers.SVG(this.props.dispatch, filePrefix, this.props.panelsToDisplay, this.props.panelLayout, this.makeTextStringsForSVGExport())],
+      [`Screenshot (PNG, ${this.state.pngDpi} DPI)`, (<PanelsGridIcon width={iconWidth} selected />), () => helpers.PNG(this.props.dispatch, filePrefix, this.props.panelsToDisplay, this.props.panelLayout, this.makeTextStringsForSVGExport(), this.state.pngDpi)],
+      ["Screenshot (PDF)", (<PanelsGridIcon width={iconWidth} selected />), () => helpers.PDF(this.props.dispatch, filePrefix, this.props.panelsToDisplay, this.props.panelLayout, this.makeTextStringsForSVGExport())]
     );
     const buttonTextStyle = Object.assign({}, materialButton, {backgroundColor: "rgba(0,0,0,0)", paddingLeft: "10px", color: "white"});
     return (
@@ -183,7 +219,59 @@ class DownloadModal extends React.Component {
       </div>
     );
   }
+  downloadSection() {
+    return (
+      <div>
+        <div style={infoPanelStyles.modalSubheading}>
+          Download data:
+        </div>
+        {this.downloadButtons()}
+        <div style={infoPanelStyles.break}/>
+        <Toggle
+          display
+          on={this.state.visibleTipsOnly}
+          callback={() => this.setState({visibleTipsOnly: !this.state.visibleTipsOnly})}
+          label="Only include the visible tips in annotated (nexus) trees"
+        />
+        <div style={infoPanelStyles.break}/>
+        {"Resolution of PNG screenshots "}
+        <div style={{display: "inline-block", width: 120, verticalAlign: "middle"}}>
+          <Select
+            name="pngDpi"
+            value={this.state.pngDpi}
+            options={pngResolutions.map((dpi) => ({value: dpi, label: `${dpi} DPI`}))}
+            clearable={false}
+            searchable={false}
+            multi={false}
+            onChange={(opt) => this.setState({pngDpi: opt.value})}
+          />
+        </div>
+        {this.props.metadata.rootSequence ? (
+          <div>
+            <div style={infoPanelStyles.break}/>
+            {"Sequences (reconstructed from the root sequence) of "}
+            <div style={{display: "inline-block", width: 120, verticalAlign: "middle"}}>
+              <Select
+                name="fastaGene"
+                value={this.state.fastaGene}
+                options={getReconstructableGenes(this.props.metadata.rootSequence, this.props.metadata.genomeAnnotations)
+                  .map((gene) => ({value: gene, label: gene === "nuc" ? "nucleotides" : gene}))}
+                clearable={false}
+                searchable={false}
+                multi={false}
+                onChange={(opt) => this.setState({fastaGene: opt.value})}
+              />
+            </div>
+            <div style={infoPanelStyles.comment}>
+              {"The clade & ancestral sequences are those of the selected (i.e. clicked) branch."}
+            </div>
+          </div>
+        ) : null}
+      </div>
+    );
+  }
   dismissModal() {
+    this.setState({showMetadataExport: false});
     this.props.dispatch({ type: DISMISS_DOWNLOAD_MODAL });
   }
   createSummaryWrapper() {
@@ -237,11 +325,17 @@ class DownloadModal extends React.Component {
           {this.formatPublications(this.getRelevantPublications())}
 
 
-          <div style={infoPanelStyles.modalSubheading}>
-            Download data:
-          </div>
-          {this.downloadButtons()}
-
+          {this.state.showMetadataExport ? (
+            <MetadataExport
+              dispatch={this.props.dispatch}
+              filePrefix={this.getFilePrefix()}
+              tree={this.props.tree}
+              metadata={this.props.metadata}
+              colorBy={this.props.colorBy}
+              geneLength={this.props.geneLength}
+              onClose={() => this.setState({showMetadataExport: false})}
+            />
+          ) : this.downloadSection()}
         </div>
       </div>
     );
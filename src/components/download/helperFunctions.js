@@ -1,9 +1,16 @@
 /* eslint no-restricted-syntax: 0 */
 import React from "react";
-import { infoNotification, warningNotification } from "../../actions/notifications";
+import Papa from "papaparse";
+import { infoNotification, warningNotification, errorNotification } from "../../actions/notifications";
 import { spaceBetweenTrees } from "../tree/tree";
-import { getTraitFromNode, getDivFromNode, getFullAuthorInfoFromNode, getVaccineFromNode, getAccessionFromNode } from "../../util/treeMiscHelpers";
+import { getTraitFromNode, getDivFromNode, getFullAuthorInfoFromNode, getVaccineFromNode, getAccessionFromNode, getUrlFromNode } from "../../util/treeMiscHelpers";
 import { numericToCalendar } from "../../util/dateHelpers";
+import { NODE_VISIBLE } from "../../util/globals";
+import { isColorByGenotype } from "../../util/getGenotype";
+import { getRootSequenceOfGene, reconstructSequences } from "../../util/reconstructSequences";
+import { measureText, svgToPdf, loadImagesAsJPEG } from "./svgToPdf";
+import { treeToNexus } from "./nexus";
+import { mutationsSinceRoot, pruneTreeToVisibleTips } from "./treeTransforms";
 
 export const isPaperURLValid = (d) => {
   return (
@@ -39,7 +46,10 @@ const MIME = {
   text: "text/plain;charset=utf-8;",
   csv: 'text/csv;charset=utf-8;',
   tsv: `text/tab-separated-values;charset=utf-8;`,
-  svg: "image/svg+xml;charset=utf-8"
+  svg: "image/svg+xml;charset=utf-8",
+  json: "application/json;charset=utf-8;",
+  png: "image/png",
+  pdf: "application/pdf"
 };
 
 
@@ -195,6 +205,222 @@ export const strainTSV = (dispatch, filePrefix, nodes, colorings) => {
   dispatch(infoNotification({message: `Metadata exported to ${filename}`}));
 };
 
+/* the tips (in order) of the whole tree, those currently visible, or those of the clade in view */
+const selectTips = (tree, tips) => {
+  if (tips === "visible") {
+    return tree.nodes.filter((n) => !n.hasChildren && tree.visibility[n.arrayIdx] === NODE_VISIBLE);
+  }
+  if (tips === "clade") {
+    const selected = [];
+    const recurse = (node) => {
+      if (node.hasChildren) node.children.forEach(recurse);
+      else selected.push(node);
+    };
+    recurse(tree.nodes[tree.idxOfInViewRootNode]);
+    return selected;
+  }
+  return tree.nodes.filter((n) => !n.hasChildren);
+};
+
+const formatMutation = ({gene, position, from, to}) => `${gene}:${from}${position}${to}`;
+
+/* the confidence of a discrete trait as a string, e.g. "UK: 0.90; France: 0.10" */
+const formatConfidence = (confidence) => Object.keys(confidence)
+  .sort((a, b) => confidence[b] - confidence[a])
+  .map((value) => `${value}: ${confidence[value].toFixed(2)}`)
+  .join("; ");
+
+/**
+ * Create & write a CSV or TSV file where each row is a (chosen) tip, with the chosen columns.
+ * See `MetadataExport` for the options.
+ * @param {Object} options `{colorings, date, author, accession, confidence, mutations, genotype, tips, format}` where
+ *  `colorings` is a list of coloring keys, `genotype` (optional) is `{gene, positions}`, `tips` is one of
+ *  "all", "visible" or "clade" (i.e. in view), `format` either "csv" or "tsv", and the others are booleans.
+ */
+export const customMetadata = (dispatch, filePrefix, tree, colorings, options) => {
+  const tips = selectTips(tree, options.tips);
+  if (!tips.length) {
+    dispatch(warningNotification({message: "No tips were selected, so no metadata was written"}));
+    return;
+  }
+  const mutations = (options.mutations || options.genotype) ? mutationsSinceRoot(tree.nodes[0], options.genotype) : undefined;
+
+  /* each column is a header & a function returning the value (or undefined) for a tip */
+  const columns = [["Strain", (n) => n.name]];
+  if (options.date) {
+    columns.push(["Collection Date", (n) => {
+      const numDate = getTraitFromNode(n, "num_date");
+      return numDate === undefined ? undefined : numericToCalendar(numDate);
+    }]);
+    if (options.confidence) {
+      [0, 1].forEach((i) => columns.push([`Collection Date (${i ? "upper" : "lower"})`, (n) => {
+        const interval = getTraitFromNode(n, "num_date", {confidence: true});
+        return interval ? numericToCalendar(interval[i]) : undefined;
+      }]));
+    }
+  }
+  options.colorings.forEach((key) => {
+    const title = colorings[key] && colorings[key].title ? colorings[key].title : key;
+    columns.push([title, (n) => getTraitFromNode(n, key)]);
+    if (!options.confidence) return;
+    if (colorings[key] && colorings[key].type === "continuous") {
+      [0, 1].forEach((i) => columns.push([`${title} (${i ? "upper" : "lower"})`, (n) => {
+        const interval = getTraitFromNode(n, key, {confidence: true});
+        return Array.isArray(interval) ? interval[i] : undefined;
+      }]));
+    } else {
+      columns.push([`${title} (confidence)`, (n) => {
+        const confidence = getTraitFromNode(n, key, {confidence: true});
+        return (confidence && !Array.isArray(confidence)) ? formatConfidence(confidence) : undefined;
+      }]);
+    }
+  });
+  if (options.author) {
+    columns.push(
+      ["Author", (n) => (getFullAuthorInfoFromNode(n) || {}).value],
+      ["Publication Title", (n) => (getFullAuthorInfoFromNode(n) || {}).title],
+      ["Journal", (n) => (getFullAuthorInfoFromNode(n) || {}).journal],
+      ["Publication URL", (n) => {
+        const author = getFullAuthorInfoFromNode(n);
+        return author && isPaperURLValid(author) ? author.paper_url : undefined;
+      }]
+    );
+  }
+  if (options.accession) {
+    columns.push(["Accession", (n) => getAccessionFromNode(n)], ["URL", (n) => getUrlFromNode(n)]);
+  }
+  if (options.genotype) {
+    options.genotype.positions.forEach((position, i) => {
+      columns.push([`${options.genotype.gene} ${position}`, (n) => mutations.get(n).genotype[i]]);
+    });
+  }
+  if (options.mutations) {
+    columns.push(["Mutations since root", (n) => mutations.get(n).mutations.map(formatMutation).join(",")]);
+  }
+
+  const rows = tips.map((tip) => columns.map(([, getValue]) => {
+    const value = getValue(tip);
+    return (value === undefined || value === null) ? "" : value;
+  }));
+  const filename = `${filePrefix}_metadata.${options.format}`;
+  const content = Papa.unparse({fields: columns.map(([header]) => header), data: rows}, {delimiter: options.format === "csv" ? "," : "\t"});
+  write(filename, options.format === "csv" ? MIME.csv : MIME.tsv, content);
+  dispatch(infoNotification({message: `Metadata of ${tips.length} tips exported to ${filename}`}));
+};
+
+export const areMutationsPresent = (tree) =>
+  tree.nodes.some((n) => n.branch_attrs && n.branch_attrs.mutations && Object.keys(n.branch_attrs.mutations).length);
+
+/* the (closest) clade label of each node, indexed by `arrayIdx`, where labels are inherited from ancestral branches */
+const cladeLabels = (root) => {
+  const labels = [];
+  const recurse = (node, label) => {
+    const own = node.branch_attrs && node.branch_attrs.labels && node.branch_attrs.labels.clade;
+    labels[node.arrayIdx] = own || label;
+    if (node.hasChildren) node.children.forEach((child) => recurse(child, labels[node.arrayIdx]));
+  };
+  recurse(root, undefined);
+  return labels;
+};
+
+/**
+ * Create & write a TSV file of the mutations on each (visible) branch, one row per mutation, where
+ * nucleotide mutations have the gene "nuc". Branches are visible if they lead to a visible tip,
+ * i.e. this respects the current filters & the clade in view.
+ */
+export const branchMutationsTSV = (dispatch, filePrefix, tree) => {
+  const labels = cladeLabels(tree.nodes[0]);
+  const isVisible = (n) => !tree.visibility || tree.visibility[n.arrayIdx] === NODE_VISIBLE;
+  /* the number of visible tips descending from each node */
+  const nTips = [];
+  const countTips = (node) => {
+    nTips[node.arrayIdx] = node.hasChildren ?
+      node.children.reduce((total, child) => total + countTips(child), 0) :
+      (isVisible(node) ? 1 : 0);
+    return nTips[node.arrayIdx];
+  };
+  countTips(tree.nodes[0]);
+  const lines = [["Node", "Parent", "Branch label", "Clade", "Gene", "Position", "Ancestral", "Derived", "Mutation", "Visible tips"].join("\t")];
+  tree.nodes.forEach((n) => {
+    if (!isVisible(n) || !n.branch_attrs || !n.branch_attrs.mutations) return;
+    const mutations = n.branch_attrs.mutations;
+    const branchLabel = n.branch_attrs.labels && n.branch_attrs.labels.clade;
+    Object.keys(mutations).sort((a, b) => (a === "nuc" ? -1 : b === "nuc" ? 1 : a < b ? -1 : 1)).forEach((gene) => {
+      mutations[gene].forEach((m) => {
+        const position = m.slice(1, m.length - 1);
+        lines.push([
+          n.name, n.parent === n ? "" : n.parent.name, branchLabel || "", labels[n.arrayIdx] || "",
+          gene, position, m[0], m[m.length - 1], m, nTips[n.arrayIdx]
+        ].join("\t"));
+      });
+    });
+  });
+  if (lines.length === 1) {
+    dispatch(warningNotification({message: "There are no mutations on the visible branches, so no file was written"}));
+    return;
+  }
+  const filename = `${filePrefix}_branch_mutations.tsv`;
+  write(filename, MIME.tsv, lines.join("\n"));
+  dispatch(infoNotification({message: `${lines.length - 1} mutations on the visible branches exported to ${filename}`}));
+};
+
+/**
+ * Create & write a TSV file where each row is a visible tip, with all the nucleotide and amino acid
+ * mutations accumulated along the path from the root (see `mutationsSinceRoot`).
+ */
+export const tipMutationsTSV = (dispatch, filePrefix, tree) => {
+  const tips = selectTips(tree, "visible");
+  if (!tips.length) {
+    dispatch(warningNotification({message: "No tips are visible, so no mutations were written"}));
+    return;
+  }
+  const labels = cladeLabels(tree.nodes[0]);
+  const mutations = mutationsSinceRoot(tree.nodes[0]);
+  const lines = [["Strain", "Clade", "Nucleotide mutations (n)", "Nucleotide mutations", "Amino acid mutations (n)", "Amino acid mutations"].join("\t")];
+  tips.forEach((tip) => {
+    const nuc = mutations.get(tip).mutations.filter((m) => m.gene === "nuc");
+    const aa = mutations.get(tip).mutations.filter((m) => m.gene !== "nuc");
+    lines.push([
+      tip.name, labels[tip.arrayIdx] || "",
+      nuc.length, nuc.map((m) => `${m.from}${m.position}${m.to}`).join(","),
+      aa.length, aa.map(formatMutation).join(",")
+    ].join("\t"));
+  });
+  const filename = `${filePrefix}_tip_mutations.tsv`;
+  write(filename, MIME.tsv, lines.join("\n"));
+  dispatch(infoNotification({message: `Mutations of ${tips.length} visible tips exported to ${filename}`}));
+};
+
+/* FASTA, with the sequence wrapped at 60 characters */
+const toFASTA = (name, seq) => `>${name}\n${(seq.match(/.{1,60}/g) || []).join("\n")}`;
+
+/**
+ * Create & write a FASTA file of the sequences of `gene` (either "nuc" or a gene), reconstructed
+ * from the root sequence (see `reconstructSequences`) for either the visible tips, the tips of
+ * the clade in view or the (inferred) ancestor of the clade in view, i.e. the selected branch.
+ * @param {string} which one of "visible", "clade" or "ancestor"
+ */
+export const fasta = (dispatch, filePrefix, tree, metadata, gene, which) => {
+  const rootSequence = getRootSequenceOfGene(metadata.rootSequence, metadata.genomeAnnotations, gene);
+  if (!rootSequence) {
+    dispatch(errorNotification({message: `The root sequence of ${gene} isn't available, so sequences can't be reconstructed`}));
+    return;
+  }
+  const nodes = which === "ancestor" ? [tree.nodes[tree.idxOfInViewRootNode]] : selectTips(tree, which);
+  if (!nodes.length) {
+    dispatch(warningNotification({message: "No tips are visible, so no sequences were written"}));
+    return;
+  }
+  const sequences = reconstructSequences(tree.nodes[0], rootSequence, gene, nodes);
+  const filename = `${filePrefix}_${gene}_${which === "ancestor" ? `ancestor_${nodes[0].name}` : which}.fasta`;
+  write(filename, MIME.text, nodes.map((n) => toFASTA(n.name, sequences.get(n))).join("\n") + "\n");
+  dispatch(infoNotification({
+    message: which === "ancestor" ?
+      `The inferred ${gene} sequence of ${nodes[0].name} written to ${filename}` :
+      `${nodes.length} ${gene} sequences written to ${filename}`
+  }));
+};
+
 export const newick = (dispatch, filePrefix, root, temporal) => {
   const fName = temporal ? filePrefix + "_timetree.nwk" : filePrefix + "_tree.nwk";
   const message = temporal ? "TimeTree" : "Tree";
@@ -202,6 +428,86 @@ export const newick = (dispatch, filePrefix, root, temporal) => {
   dispatch(infoNotification({message: message + " written to " + fName}));
 };
 
+/* the `meta` section of the dataset JSON, i.e. the inverse of `createMetadataStateFromJSON` */
+const metadataToJSONMeta = (metadata) => {
+  const meta = {title: metadata.title, updated: metadata.updated};
+  if (metadata.description) meta.description = metadata.description;
+  if (metadata.maintainers) meta.maintainers = metadata.maintainers;
+  if (metadata.buildUrl) meta.build_url = metadata.buildUrl;
+  if (metadata.genomeAnnotations) meta.genome_annotations = metadata.genomeAnnotations;
+  if (metadata.geoResolutions) meta.geo_resolutions = metadata.geoResolutions;
+  if (metadata.colorings) {
+    meta.colorings = Object.keys(metadata.colorings).map((key) => ({key, ...metadata.colorings[key]}));
+  }
+  if (metadata.filters) meta.filters = metadata.filters;
+  /* tip frequencies are a separate JSON, which isn't exported */
+  if (metadata.panels) meta.panels = metadata.panels.filter((panel) => panel !== "frequencies");
+  if (metadata.displayDefaults) {
+    const auspiceKeyToJsonKey = {
+      colorBy: "color_by",
+      geoResolution: "geo_resolution",
+      distanceMeasure: "distance_measure",
+      selectedBranchLabel: "branch_label",
+      mapTriplicate: "map_triplicate",
+      layout: "layout",
+      sidebar: "sidebar"
+    };
+    meta.display_defaults = {};
+    for (const [auspiceKey, jsonKey] of Object.entries(auspiceKeyToJsonKey)) {
+      if (metadata.displayDefaults[auspiceKey] !== undefined) {
+        meta.display_defaults[jsonKey] = metadata.displayDefaults[auspiceKey];
+      }
+    }
+  }
+  return meta;
+};
+
+/**
+ * Write a (v2) dataset JSON of the current view, i.e. the tree pruned to the visible tips
+ * (see `pruneTreeToVisibleTips`), which may be viewed with auspice like any other dataset.
+ * Colorings & filters, including those of dropped metadata, are retained.
+ */
+export const datasetJSON = (dispatch, filePrefix, tree, metadata) => {
+  const root = pruneTreeToVisibleTips(tree.nodes[0], tree.visibility);
+  if (!root) {
+    dispatch(warningNotification({message: "No tips are visible, so no dataset JSON was written"}));
+    return;
+  }
+  const filename = `${filePrefix}_subset.json`;
+  write(filename, MIME.json, JSON.stringify({version: "v2", meta: metadataToJSONMeta(metadata), tree: root}, null, 1));
+  dispatch(infoNotification({message: "Dataset JSON of the current view written to " + filename}));
+};
+
+/**
+ * Write the tree as a Nexus file with each node annotated with its colorings (including their confidence)
+ * & mutations, see `treeToNexus`.
+ * @param {boolean} visibleTipsOnly restrict the tree to the tips which are currently visible
+ */
+export const nexus = (dispatch, filePrefix, tree, colorings, temporal, visibleTipsOnly) => {
+  const root = pruneTreeToVisibleTips(tree.nodes[0], visibleTipsOnly ? tree.visibility : undefined);
+  if (!root) {
+    dispatch(warningNotification({message: "No tips are visible, so no tree was written"}));
+    return;
+  }
+  const traits = Object.keys(colorings || {}).filter((trait) => !isColorByGenotype(trait));
+  const fName = filePrefix + (temporal ? "_timetree" : "_tree") + (visibleTipsOnly ? "_subset" : "") + ".nexus";
+  write(fName, MIME.text, treeToNexus(root, traits, temporal));
+  dispatch(infoNotification({message: `Annotated ${temporal ? "TimeTree" : "Tree"} written to ${fName}`}));
+};
+
+/* serialise a tree's SVG. For trees rendered on a canvas (see phyloTree/canvas.js), which
+isn't serialised, the equivalent SVG elements are substituted in its place */
+const serializeTreeSVG = (id) => {
+  const svg = document.getElementById(id);
+  const serialized = (new XMLSerializer()).serializeToString(svg);
+  const canvasContainer = svg.querySelector("foreignObject.phyloTreeCanvas");
+  if (!canvasContainer) return serialized;
+  return serialized.replace(
+    /<foreignObject[^>]*phyloTreeCanvas[\s\S]*?<\/foreignObject>/,
+    () => canvasContainer.__data__.canvasElementsAsSVG()
+  );
+};
+
 const processXMLString = (input) => {
   /* split into bounding tag, and inner paths / shapes etc */
   const parts = input.match(/^(<.+?>)(.+)<\/.+?>$/);
@@ -224,8 +530,8 @@ const processXMLString = (input) => {
 };
 
 /* take the panels (see processXMLString for struct) and calculate the overall size of the SVG
-as well as the offsets (x, y) to position panels appropriately within this */
-const createBoundingDimensionsAndPositionPanels = (panels, panelLayout, numLinesOfText) => {
+(excluding the text below the panels) as well as the offsets (x, y) to position panels appropriately within this */
+const createBoundingDimensionsAndPositionPanels = (panels, panelLayout) => {
   const padding = 50;
   let width = 0;
   let height = 0;
@@ -298,15 +604,11 @@ const createBoundingDimensionsAndPositionPanels = (panels, panelLayout, numLines
   }
   width += padding*2;
   height += padding*2;
-  const textHeight = numLinesOfText * 36 + 20;
-  height += textHeight;
 
   return {
     width,
     height,
-    padding,
-    textY: height - textHeight,
-    textHeight
+    padding
   };
 };
 
@@ -318,14 +620,72 @@ const injectAsSVGStrings = (output, key, data) => {
   output.push("</svg>");
 };
 
-/* define actual writer as a closure, because it may need to be triggered asyncronously */
-const writeSVGPossiblyIncludingMapPNG = (dispatch, filePrefix, panelsInDOM, panelLayout, textStrings, mapTiles) => {
+/* the text (e.g. title & acknowledgements) below the panels is laid out as lines of SVG text, rather than
+HTML, so that it's identical in the SVG, PNG & PDF (see `svgToPdf`) */
+const textFontSize = 14;
+const textLineHeight = 20;
+
+const escapeXML = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/* the words of some HTML, each with the `href` of the link it's within (if any) */
+const htmlToWords = (html) => {
+  const words = [];
+  const addWords = (node, href) => {
+    if (node.nodeType === 3) { /* text */
+      node.textContent.split(/\s+/).filter((word) => !!word).forEach((word) => words.push({word, href}));
+      return;
+    }
+    const linkHref = node.nodeName === "A" && node.getAttribute("href") ? node.getAttribute("href") : href;
+    node.childNodes.forEach((child) => addWords(child, linkHref));
+  };
+  addWords(new DOMParser().parseFromString(html, "text/html").body, undefined);
+  return words;
+};
+
+/* wrap each string (which may contain HTML, e.g. links) into lines no wider than `width`.
+Each line is a list of runs of words `{text, href}`, where `href` is that of the link (if any) */
+const layoutText = (textStrings, width) => {
+  const lines = [];
+  let y = 0;
+  const lineText = (runs) => runs.map((run) => run.text).join(" ");
+  textStrings.forEach((html) => {
+    let runs = [];
+    htmlToWords(html).forEach(({word, href}) => {
+      if (runs.length && measureText(`${lineText(runs)} ${word}`, textFontSize) > width) {
+        lines.push({runs, y: y += textLineHeight});
+        runs = [];
+      }
+      const lastRun = runs[runs.length - 1];
+      if (lastRun && lastRun.href === href) {
+        lastRun.text += ` ${word}`;
+      } else {
+        runs.push({text: word, href});
+      }
+    });
+    lines.push({runs, y: y += textLineHeight});
+    y += textLineHeight / 2; /* space between paragraphs */
+  });
+  return {lines, height: y};
+};
+
+/* the content of a <text> element for a line of text, where links are <a> elements (which `svgToPdf` ignores) */
+const lineToSVG = (line) => line.runs
+  .map((run) => (run.href ? `<a xlink:href="${escapeXML(run.href)}">${escapeXML(run.text)}</a>` : escapeXML(run.text)))
+  .join(" ");
+
+/**
+ * Create a single SVG of all the panels in the DOM (each as a nested <svg>) with the text below them.
+ * This is written as-is by `SVG` and converted by `PNG` & `PDF`.
+ * @returns {Object} `{svg, width, height, errors, imageHrefs}` where `errors` lists the panels which
+ *  couldn't be included and `imageHrefs` the (data URLs of) raster images in the SVG
+ */
+const createCombinedSVG = (panelsInDOM, panelLayout, textStrings, mapTiles) => {
   const errors = [];
   /* for each panel present in the DOM, create a data structure with the dimensions & the paths/shapes etc */
   const panels = {tree: undefined, mapTiles: undefined, mapD3: undefined, entropy: undefined, frequencies: undefined};
   if (panelsInDOM.indexOf("tree") !== -1) {
     try {
-      panels.tree = processXMLString((new XMLSerializer()).serializeToString(document.getElementById("MainTree")));
+      panels.tree = processXMLString(serializeTreeSVG("MainTree"));
       panels.treeLegend = processXMLString((new XMLSerializer()).serializeToString(document.getElementById("TreeLegendContainer")));
     } catch (e) {
       panels.tree = undefined;
@@ -334,7 +694,7 @@ const writeSVGPossiblyIncludingMapPNG = (dispatch, filePrefix, panelsInDOM, pane
     }
     if (panels.tree && document.getElementById('SecondTree')) {
       try {
-        panels.secondTree = processXMLString((new XMLSerializer()).serializeToString(document.getElementById("SecondTree")));
+        panels.secondTree = processXMLString(serializeTreeSVG("SecondTree"));
         if (document.getElementById('Tangle')) {
           panels.tangle = processXMLString((new XMLSerializer()).serializeToString(document.getElementById("Tangle")));
         }
@@ -387,52 +747,151 @@ const writeSVGPossiblyIncludingMapPNG = (dispatch, filePrefix, panelsInDOM, pane
     }
   }
 
-  /* collect all panels as individual <svg> elements inside a bounding <svg> tag, and write to file */
+  /* collect all panels as individual <svg> elements inside a bounding <svg> tag */
   const output = [];
   /* logic for extracting the overall width etc */
-  const overallDimensions = createBoundingDimensionsAndPositionPanels(panels, panelLayout, textStrings.length);
-  output.push(`<svg xmlns:xlink="http://www.w3.org/1999/xlink" xmlns="http://www.w3.org/2000/svg" width="${overallDimensions.width}" height="${overallDimensions.height}">`);
+  const overallDimensions = createBoundingDimensionsAndPositionPanels(panels, panelLayout);
+  const text = layoutText(textStrings, overallDimensions.width - 2*overallDimensions.padding);
+  const height = overallDimensions.height + text.height + 20;
+  output.push(`<svg xmlns:xlink="http://www.w3.org/1999/xlink" xmlns="http://www.w3.org/2000/svg" width="${overallDimensions.width}" height="${height}">`);
   for (let key in panels) { // eslint-disable-line
     if (panels[key]) {
       injectAsSVGStrings(output, key, panels[key]); // modifies output in place
     }
   }
-  /* add text to bottom of SVG in HTML format */
-  output.push(`<foreignObject x="${overallDimensions.padding}" y="${overallDimensions.height - overallDimensions.textHeight}" height="${overallDimensions.textHeight}" width="${overallDimensions.width - 2*overallDimensions.padding}">`);
-  textStrings.forEach((s) => {
-    output.push(`<p xmlns="http://www.w3.org/1999/xhtml" style="font-family:lato,sans-serif;">`);
-    output.push(s);
-    output.push("</p>");
+  /* add text to bottom of SVG */
+  output.push(`<g font-family="Helvetica, Arial, sans-serif" font-size="${textFontSize}" fill="#333">`);
+  text.lines.forEach((line) => {
+    output.push(`<text x="${overallDimensions.padding}" y="${overallDimensions.height + line.y}">${lineToSVG(line)}</text>`);
   });
-  output.push("</foreignObject>");
-
+  output.push("</g>");
   output.push("</svg>");
-  // console.log(panels)
-  // console.log(output)
-  write(filePrefix + ".svg", MIME.svg, output.join("\n"));
-
-  if (!errors.length) {
-    dispatch(infoNotification({
-      message: "Vector image saved",
-      details: filePrefix + ".svg"
-    }));
-  } else {
-    dispatch(warningNotification({
-      message: "Vector image saved",
-      details: `Saved to ${filePrefix}.svg, however there were errors with ${errors.join(", ")}`
-    }));
+  return {
+    svg: output.join("\n"),
+    width: overallDimensions.width,
+    height,
+    errors,
+    imageHrefs: panels.mapTiles ? [mapTiles.base64map] : []
+  };
+};
+
+const writeSVG = (filePrefix, {svg}) => {
+  write(filePrefix + ".svg", MIME.svg, svg);
+  return Promise.resolve({filename: filePrefix + ".svg", message: "Vector image saved"});
+};
+
+/* a CRC32 (as used by PNG chunks) */
+let crcTable;
+const crc32 = (bytes) => {
+  if (!crcTable) {
+    crcTable = Array.from({length: 256}, (_, n) => {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1); // eslint-disable-line no-bitwise
+      return c >>> 0; // eslint-disable-line no-bitwise
+    });
   }
+  let crc = 0xffffffff;
+  bytes.forEach((b) => { crc = crcTable[(crc ^ b) & 0xff] ^ (crc >>> 8); }); // eslint-disable-line no-bitwise
+  return (crc ^ 0xffffffff) >>> 0; // eslint-disable-line no-bitwise
 };
 
+/* record the resolution of a PNG by inserting a pHYs chunk after the IHDR chunk (which ends at byte 33) */
+const setPNGResolution = (png, dpi) => {
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); /* "pHYs" */
+  view.setUint32(8, pixelsPerMetre);
+  view.setUint32(12, pixelsPerMetre);
+  chunk[16] = 1; /* the unit is the metre */
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const output = new Uint8Array(png.length + chunk.length);
+  output.set(png.subarray(0, 33));
+  output.set(chunk, 33);
+  output.set(png.subarray(33), 33 + chunk.length);
+  return output;
+};
+
+/* rasterise the SVG (by drawing it onto a canvas) at the given resolution, as CSS pixels are 1/96 inch */
+const writePNG = (filePrefix, {svg, width, height}, dpi) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * dpi / 96);
+    canvas.height = Math.round(height * dpi / 96);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "white";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    canvas.toBlob((blob) => {
+      if (!blob) {
+        reject(new Error(`The image is too large at ${dpi} DPI, please try a lower resolution`));
+        return;
+      }
+      const reader = new FileReader();
+      reader.onload = () => {
+        write(`${filePrefix}.png`, MIME.png, setPNGResolution(new Uint8Array(reader.result), dpi));
+        resolve({filename: `${filePrefix}.png`, message: `Image saved at ${dpi} DPI`});
+      };
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    }, "image/png");
+  };
+  img.onerror = () => reject(new Error("The panels couldn't be rendered as an image"));
+  img.src = `data:${MIME.svg},${encodeURIComponent(svg)}`;
+});
+
+const writePDF = (filePrefix, {svg, width, height, imageHrefs}) => loadImagesAsJPEG(imageHrefs)
+  .then((images) => {
+    write(filePrefix + ".pdf", MIME.pdf, svgToPdf(svg, width, height, images));
+    return {filename: filePrefix + ".pdf", message: "Vector image saved"};
+  });
+
 const getMapTilesErrorCallback = (e) => {
   console.warn("getMapTiles errorCallback", e);
 };
 
-export const SVG = (dispatch, filePrefix, panelsInDOM, panelLayout, textStrings) => {
-  /* downloading the map tiles is an async call */
+/* export the panels via one of the writers above. Downloading the map tiles is an async call */
+const exportPanels = (writer, dispatch, filePrefix, panelsInDOM, panelLayout, textStrings) => {
+  const createAndWrite = (mapTiles) => {
+    const combined = createCombinedSVG(panelsInDOM, panelLayout, textStrings, mapTiles);
+    writer(filePrefix, combined)
+      .then(({filename, message}) => {
+        if (!combined.errors.length) {
+          dispatch(infoNotification({message, details: filename}));
+        } else {
+          dispatch(warningNotification({
+            message,
+            details: `Saved to ${filename}, however there were errors with ${combined.errors.join(", ")}`
+          }));
+        }
+      })
+      .catch((err) => {
+        console.error(err);
+        dispatch(errorNotification({message: "The image couldn't be saved", details: err.message}));
+      });
+  };
   if (panelsInDOM.indexOf("map") !== -1) {
-    window.L.getMapTiles(writeSVGPossiblyIncludingMapPNG.bind(this, dispatch, filePrefix, panelsInDOM, panelLayout, textStrings), getMapTilesErrorCallback);
+    window.L.getMapTiles(createAndWrite, getMapTilesErrorCallback);
   } else {
-    writeSVGPossiblyIncludingMapPNG(dispatch, filePrefix, panelsInDOM, panelLayout, textStrings, undefined);
+    createAndWrite(undefined);
   }
 };
+
+export const SVG = (dispatch, filePrefix, panelsInDOM, panelLayout, textStrings) => {
+  exportPanels(writeSVG, dispatch, filePrefix, panelsInDOM, panelLayout, textStrings);
+};
+
+/**
+ * As `SVG`, but rasterised as a PNG
+ * @param {number} dpi the resolution of the PNG, where the panels are printed at the size they're displayed
+ */
+export const PNG = (dispatch, filePrefix, panelsInDOM, panelLayout, textStrings, dpi) => {
+  exportPanels((prefix, combined) => writePNG(prefix, combined, dpi), dispatch, filePrefix, panelsInDOM, panelLayout, textStrings);
+};
+
+/* As `SVG`, but as a PDF where the panels remain vectors (except the map tiles), see `svgToPdf` */
+export const PDF = (dispatch, filePrefix, panelsInDOM, panelLayout, textStrings) => {
+  exportPanels(writePDF, dispatch, filePrefix, panelsInDOM, panelLayout, textStrings);
+};
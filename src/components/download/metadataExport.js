@@ -0,0 +1,161 @@
+import React from "react";
+import Select from "react-select";
+import { materialButton, infoPanelStyles } from "../../globalStyles";
+import { isColorByGenotype, decodeColorByGenotype, decodePositions } from "../../util/getGenotype";
+import { nucleotide_gene } from "../../util/globals";
+import * as helpers from "./helperFunctions";
+
+const selectStyle = {display: "inline-block", width: 200, verticalAlign: "middle", margin: "0px 5px"};
+
+/* the columns (other than colorings) which may be chosen, with whether they're initially chosen */
+const extraColumns = [
+  ["date", "Collection date", true],
+  ["author", "Author & publication", false],
+  ["accession", "Accession & URL", false],
+  ["confidence", "Confidence intervals (dates & colorings)", false],
+  ["mutations", "Mutations since the root", false]
+];
+
+/**
+ * A dialog (displayed within the download modal) to export the metadata of tips as a CSV or TSV,
+ * where the user chooses the columns, the tips (all, visible, or the clade in view) and the format.
+ * See `customMetadata` for the export itself.
+ */
+class MetadataExport extends React.Component {
+  constructor(props) {
+    super(props);
+    const colorings = Object.keys(props.metadata.colorings || {})
+      .filter((key) => !isColorByGenotype(key) && key !== "num_date");
+    /* the genotype defaults to the current coloring, if it's a genotype */
+    const currentGenotype = isColorByGenotype(props.colorBy) && props.colorBy !== "gt" ?
+      decodeColorByGenotype(props.colorBy) :
+      undefined;
+    this.state = {
+      colorings,
+      chosenColorings: new Set(colorings),
+      tips: "all",
+      format: "tsv",
+      genotypeGene: currentGenotype ? currentGenotype.gene : nucleotide_gene,
+      genotypePositions: currentGenotype ? currentGenotype.positions.join(",") : ""
+    };
+    extraColumns.forEach(([key, , initial]) => { this.state[key] = initial; });
+    this.export = this.export.bind(this);
+  }
+  toggleColoring(key) {
+    const chosenColorings = new Set(this.state.chosenColorings);
+    if (chosenColorings.has(key)) chosenColorings.delete(key);
+    else chosenColorings.add(key);
+    this.setState({chosenColorings});
+  }
+  getGenotype() {
+    if (!this.state.genotypePositions.trim()) return undefined;
+    const geneLength = this.props.geneLength ? this.props.geneLength[this.state.genotypeGene] : undefined;
+    const positions = decodePositions(this.state.genotypePositions.replace(/\s/g, ""), geneLength);
+    return positions.length ? {gene: this.state.genotypeGene, positions} : undefined;
+  }
+  export() {
+    const options = {
+      colorings: this.state.colorings.filter((key) => this.state.chosenColorings.has(key)),
+      genotype: this.getGenotype(),
+      tips: this.state.tips,
+      format: this.state.format
+    };
+    extraColumns.forEach(([key]) => { options[key] = this.state[key]; });
+    helpers.customMetadata(this.props.dispatch, this.props.filePrefix, this.props.tree, this.props.metadata.colorings, options);
+  }
+  renderCheckbox(label, checked, onChange) {
+    return (
+      <div key={label}>
+        <input type="checkbox" checked={checked} onChange={onChange}/>
+        {` ${label}`}
+      </div>
+    );
+  }
+  renderSelect(name, value, options, onChange) {
+    return (
+      <div style={selectStyle}>
+        <Select
+          name={name}
+          value={value}
+          options={options}
+          clearable={false}
+          searchable={false}
+          multi={false}
+          onChange={(opt) => onChange(opt.value)}
+        />
+      </div>
+    );
+  }
+  render() {
+    const colorings = this.props.metadata.colorings || {};
+    const tipOptions = [{value: "all", label: "all tips"}, {value: "visible", label: "visible tips"}];
+    if (this.props.tree.idxOfInViewRootNode) tipOptions.push({value: "clade", label: "tips of the selected clade"});
+    const genes = Object.keys(this.props.geneLength || {});
+    const genotype = this.getGenotype();
+    return (
+      <div>
+        <div style={infoPanelStyles.modalSubheading}>
+          Export metadata
+        </div>
+        {"Export "}
+        {this.renderSelect("metadataExportTips", this.state.tips, tipOptions, (tips) => this.setState({tips}))}
+        {" as "}
+        {this.renderSelect(
+          "metadataExportFormat",
+          this.state.format,
+          [{value: "tsv", label: "TSV"}, {value: "csv", label: "CSV"}],
+          (format) => this.setState({format})
+        )}
+        <div style={infoPanelStyles.break}/>
+        <div style={{display: "flex", flexWrap: "wrap"}}>
+          <div style={{flex: "1 1 250px"}}>
+            <div style={infoPanelStyles.comment}>Colorings</div>
+            {this.state.colorings.map((key) => this.renderCheckbox(
+              colorings[key].title || key,
+              this.state.chosenColorings.has(key),
+              () => this.toggleColoring(key)
+            ))}
+          </div>
+          <div style={{flex: "1 1 250px"}}>
+            <div style={infoPanelStyles.comment}>Other columns</div>
+            {extraColumns.map(([key, label]) => this.renderCheckbox(
+              label,
+              this.state[key],
+              () => this.setState({[key]: !this.state[key]})
+            ))}
+            {genes.length ? (
+              <div>
+                {"Genotype of "}
+                {this.renderSelect(
+                  "metadataExportGene",
+                  this.state.genotypeGene,
+                  genes.map((gene) => ({value: gene, label: gene})),
+                  (genotypeGene) => this.setState({genotypeGene})
+                )}
+                {" at positions "}
+                <input
+                  type="text"
+                  placeholder="e.g. 142,144"
+                  value={this.state.genotypePositions}
+                  onChange={(e) => this.setState({genotypePositions: e.target.value})}
+                />
+                {this.state.genotypePositions.trim() && !genotype ? (
+                  <span style={infoPanelStyles.comment}>{" (no valid positions)"}</span>
+                ) : null}
+              </div>
+            ) : null}
+          </div>
+        </div>
+        <div style={infoPanelStyles.break}/>
+        <button style={materialButton} onClick={this.export}>
+          {`Export ${this.state.format.toUpperCase()}`}
+        </button>
+        <button style={materialButton} onClick={this.props.onClose}>
+          Back
+        </button>
+      </div>
+    );
+  }
+}
+
+export default MetadataExport;
@@ -0,0 +1,82 @@
+/**
+ * Writing trees as Nexus, annotated (as per BEAST) with the colorings of each node.
+ * These can be read by FigTree, ggtree (treeio) & auspice itself (see `parseNexus`).
+ */
+import { getTraitFromNode, getDivFromNode } from "../../util/treeMiscHelpers";
+
+/* quote a label (or string annotation) if it contains characters which are special in Nexus / Newick */
+const nexusLabel = (label) => (/^[\w.|/-]+$/.test(label) ? label : `'${String(label).replace(/'/g, "''")}'`);
+
+/* a (quoted) annotation value. Double quotes are replaced, as are "]", which would end the comment */
+const annotationValue = (value) => {
+  if (typeof value === "number") return String(value);
+  return `"${String(value).replace(/"/g, "'").replace(/]/g, ")")}"`;
+};
+
+/**
+ * The BEAST-style comment of a node, e.g. `[&country="UK",rate=0.1,rate_95%_HPD={0.05,0.2}]`, for each
+ * coloring with a value on the node. Confidence is written as a 95% HPD (continuous traits) or as the
+ * set of values & their probabilities (discrete traits) as read by FigTree, ggtree (treeio) & auspice
+ * itself (see `parseNexus`). Mutations are written as a single string, e.g. `"nuc:A123G,HA1:K160T"`.
+ */
+const nodeAnnotations = (node, traits) => {
+  const annotations = [];
+  traits.forEach((trait) => {
+    const attr = node.node_attrs && node.node_attrs[trait];
+    if (!attr || attr.value === undefined || attr.value === null || typeof attr !== "object") return;
+    annotations.push(`${trait}=${annotationValue(attr.value)}`);
+    if (Array.isArray(attr.confidence) && attr.confidence.length === 2) {
+      annotations.push(`${trait}_95%_HPD={${attr.confidence.join(",")}}`);
+    } else if (attr.confidence && typeof attr.confidence === "object") {
+      const values = Object.keys(attr.confidence);
+      annotations.push(`${trait}.set={${values.map(annotationValue).join(",")}}`);
+      annotations.push(`${trait}.set.prob={${values.map((v) => attr.confidence[v]).join(",")}}`);
+    }
+  });
+  const mutations = node.branch_attrs && node.branch_attrs.mutations;
+  if (mutations) {
+    const list = [];
+    Object.keys(mutations).forEach((gene) => mutations[gene].forEach((mut) => list.push(`${gene}:${mut}`)));
+    if (list.length) annotations.push(`mutations="${list.join(",")}"`);
+  }
+  return annotations.length ? `[&${annotations.join(",")}]` : "";
+};
+
+/**
+ * Create a Nexus file of the tree where each node is annotated with its colorings (see `nodeAnnotations`).
+ * Branch lengths are either divergence or time (in years). Branches where either node lacks
+ * a divergence / date (`num_date`) are written without a length.
+ * @param {Object} root the root of the (v2 JSON) tree, see `pruneTreeToVisibleTips`
+ * @param {Array} traits the colorings to annotate
+ */
+export const treeToNexus = (root, traits, temporal) => {
+  const position = (node) => (temporal ? getTraitFromNode(node, "num_date") : getDivFromNode(node));
+  const taxa = [];
+  const recurse = (node, parentX) => {
+    let subtree = "";
+    if (node.children) {
+      subtree += "(" + node.children.map((child) => recurse(child, position(node))).join(",") + ")";
+    } else {
+      taxa.push(nexusLabel(node.name));
+    }
+    subtree += nexusLabel(node.name) + nodeAnnotations(node, traits);
+    /* the branch length is omitted (rather than written as NaN) for the root & nodes without a position */
+    const length = position(node) - parentX;
+    if (Number.isFinite(length)) subtree += ":" + length;
+    return subtree;
+  };
+  const tree = recurse(root, undefined);
+  return [
+    "#NEXUS",
+    "Begin taxa;",
+    `\tDimensions ntax=${taxa.length};`,
+    "\tTaxlabels",
+    ...taxa.map((taxon) => `\t\t${taxon}`),
+    "\t\t;",
+    "End;",
+    "Begin trees;",
+    `\ttree TREE1 = [&R] ${tree};`,
+    "End;",
+    ""
+  ].join("\n");
+};
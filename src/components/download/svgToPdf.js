@@ -0,0 +1,521 @@
+/**
+ * A minimal converter of the (combined) SVG written by the download modal into a single-page
+ * vector PDF. It handles the subset of SVG which the panels use: groups & nested <svg> elements
+ * (as translated, clipped viewports), transforms, paths, lines, rects, circles, ellipses,
+ * polylines / polygons, text (in Helvetica) and embedded raster images (e.g. the map tiles).
+ * Presentation attributes & inline styles are used, but not stylesheets.
+ */
+
+const pxToPt = 0.75; /* a CSS pixel is 1/96 of an inch, a PDF point 1/72 */
+const kappa = 0.5522847498; /* control point distance for a quarter circle of radius 1 */
+
+/* numbers in the content stream are written with (at most) 3 decimal places */
+const num = (n) => String(Math.round(n * 1000) / 1000);
+
+let measureContext;
+/* the width of text in Helvetica, as used for the PDF (& for laying out text in the SVG, see `layoutText`) */
+export const measureText = (text, fontSize, bold = false) => {
+  if (!measureContext) measureContext = document.createElement("canvas").getContext("2d");
+  measureContext.font = `${bold ? "bold " : ""}${fontSize}px Helvetica, Arial, sans-serif`;
+  return measureContext.measureText(text).width;
+};
+
+/* convert any CSS colour to [r, g, b, alpha] (r, g & b between 0 & 1) via the canvas' parser */
+const parseColour = (colour, currentColour) => {
+  if (!colour || colour === "none" || colour === "transparent") return undefined;
+  if (colour === "currentColor") return parseColour(currentColour, "black");
+  if (!measureContext) measureContext = document.createElement("canvas").getContext("2d");
+  measureContext.fillStyle = "#000000";
+  measureContext.fillStyle = colour;
+  const normalised = measureContext.fillStyle;
+  if (normalised[0] === "#") {
+    return [1, 3, 5].map((i) => parseInt(normalised.slice(i, i + 2), 16) / 255).concat(1);
+  }
+  const parts = normalised.match(/[\d.]+/g).map(Number);
+  return [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts.length > 3 ? parts[3] : 1];
+};
+
+const multiply = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+];
+
+/* the matrix [a b c d e f] of an SVG transform attribute, e.g. "translate(10,20) rotate(-90)" */
+const parseTransform = (transform) => {
+  let matrix = [1, 0, 0, 1, 0, 0];
+  if (!transform) return matrix;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match = re.exec(transform);
+  while (match !== null) {
+    const args = (match[2].match(/[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || []).map(Number);
+    let m;
+    switch (match[1]) {
+      case "matrix":
+        m = args;
+        break;
+      case "translate":
+        m = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case "scale":
+        m = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case "rotate": {
+        const a = (args[0] * Math.PI) / 180;
+        const [cx, cy] = [args[1] || 0, args[2] || 0];
+        m = multiply(
+          multiply([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]),
+          [1, 0, 0, 1, -cx, -cy]
+        );
+        break;
+      }
+      case "skewX":
+        m = [1, 0, Math.tan((args[0] * Math.PI) / 180), 1, 0, 0];
+        break;
+      default: /* skewY */
+        m = [1, Math.tan((args[0] * Math.PI) / 180), 0, 1, 0, 0];
+    }
+    matrix = multiply(matrix, m);
+    match = re.exec(transform);
+  }
+  return matrix;
+};
+
+/* bezier curves approximating an elliptical arc (see the SVG spec's implementation notes, F.6.5) */
+const arcToCurves = (x1, y1, rxIn, ryIn, angle, largeArc, sweep, x2, y2) => {
+  if (x1 === x2 && y1 === y2) return [];
+  let rx = Math.abs(rxIn);
+  let ry = Math.abs(ryIn);
+  if (!rx || !ry) return [[x1, y1, x2, y2, x2, y2]];
+  const phi = (angle * Math.PI) / 180;
+  const [cos, sin] = [Math.cos(phi), Math.sin(phi)];
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+  const vectorAngle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const alpha = (4 / 3) * Math.tan(step / 4);
+  /* a point on the (unit circle scaled to the) ellipse, rotated & translated */
+  const point = (x, y) => [cos * rx * x - sin * ry * y + cx, sin * rx * x + cos * ry * y + cy];
+  const curves = [];
+  let t = theta1;
+  for (let i = 0; i < segments; i++) {
+    const [c1, s1, c2, s2] = [Math.cos(t), Math.sin(t), Math.cos(t + step), Math.sin(t + step)];
+    curves.push([
+      ...point(c1 - alpha * s1, s1 + alpha * c1),
+      ...point(c2 + alpha * s2, s2 - alpha * c2),
+      ...point(c2, s2)
+    ]);
+    t += step;
+  }
+  curves[curves.length - 1].splice(4, 2, x2, y2); /* avoid rounding errors at the end point */
+  return curves;
+};
+
+/* the PDF path construction operators for SVG path data */
+const pathDataToOps = (d) => {
+  const tokens = d.match(/[a-df-z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:e[-+]?\d+)?/gi) || [];
+  const ops = [];
+  let i = 0;
+  let cmd;
+  let [x, y, startX, startY] = [0, 0, 0, 0];
+  let lastControl; /* the reflected control point for S / T commands */
+  let lastQuadControl;
+  const next = () => Number(tokens[i++]);
+  const curveTo = (c1x, c1y, c2x, c2y, ex, ey) => {
+    ops.push(`${num(c1x)} ${num(c1y)} ${num(c2x)} ${num(c2y)} ${num(ex)} ${num(ey)} c`);
+  };
+  while (i < tokens.length) {
+    if (/[a-z]/i.test(tokens[i])) {
+      cmd = tokens[i++];
+    } else if (!cmd) {
+      break;
+    }
+    const relative = cmd === cmd.toLowerCase();
+    const [ox, oy] = relative ? [x, y] : [0, 0];
+    let control;
+    let quadControl;
+    switch (cmd.toUpperCase()) {
+      case "M":
+        x = ox + next();
+        y = oy + next();
+        [startX, startY] = [x, y];
+        ops.push(`${num(x)} ${num(y)} m`);
+        cmd = relative ? "l" : "L"; /* subsequent pairs are line-tos */
+        break;
+      case "L":
+        x = ox + next();
+        y = oy + next();
+        ops.push(`${num(x)} ${num(y)} l`);
+        break;
+      case "H":
+        x = (relative ? x : 0) + next();
+        ops.push(`${num(x)} ${num(y)} l`);
+        break;
+      case "V":
+        y = (relative ? y : 0) + next();
+        ops.push(`${num(x)} ${num(y)} l`);
+        break;
+      case "C": {
+        const [c1x, c1y, c2x, c2y] = [ox + next(), oy + next(), ox + next(), oy + next()];
+        [x, y] = [ox + next(), oy + next()];
+        curveTo(c1x, c1y, c2x, c2y, x, y);
+        control = [c2x, c2y];
+        break;
+      }
+      case "S": {
+        const [c1x, c1y] = lastControl ? [2 * x - lastControl[0], 2 * y - lastControl[1]] : [x, y];
+        const [c2x, c2y] = [ox + next(), oy + next()];
+        [x, y] = [ox + next(), oy + next()];
+        curveTo(c1x, c1y, c2x, c2y, x, y);
+        control = [c2x, c2y];
+        break;
+      }
+      case "Q":
+      case "T": {
+        let qx;
+        let qy;
+        if (cmd.toUpperCase() === "Q") {
+          [qx, qy] = [ox + next(), oy + next()];
+        } else {
+          [qx, qy] = lastQuadControl ? [2 * x - lastQuadControl[0], 2 * y - lastQuadControl[1]] : [x, y];
+        }
+        const [ex, ey] = [ox + next(), oy + next()];
+        curveTo(x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y), ex + (2 / 3) * (qx - ex), ey + (2 / 3) * (qy - ey), ex, ey);
+        [x, y] = [ex, ey];
+        quadControl = [qx, qy];
+        break;
+      }
+      case "A": {
+        const [rx, ry, angle, largeArc, sweep] = [next(), next(), next(), next(), next()];
+        const [ex, ey] = [ox + next(), oy + next()];
+        arcToCurves(x, y, rx, ry, angle, !!largeArc, !!sweep, ex, ey).forEach((curve) => curveTo(...curve));
+        [x, y] = [ex, ey];
+        break;
+      }
+      case "Z":
+        ops.push("h");
+        [x, y] = [startX, startY];
+        break;
+      default:
+        return ops; /* unknown command: stop (as browsers do) */
+    }
+    lastControl = control;
+    lastQuadControl = quadControl;
+  }
+  return ops;
+};
+
+const ellipseOps = (cx, cy, rx, ry) => {
+  const [kx, ky] = [rx * kappa, ry * kappa];
+  return [
+    `${num(cx + rx)} ${num(cy)} m`,
+    `${num(cx + rx)} ${num(cy + ky)} ${num(cx + kx)} ${num(cy + ry)} ${num(cx)} ${num(cy + ry)} c`,
+    `${num(cx - kx)} ${num(cy + ry)} ${num(cx - rx)} ${num(cy + ky)} ${num(cx - rx)} ${num(cy)} c`,
+    `${num(cx - rx)} ${num(cy - ky)} ${num(cx - kx)} ${num(cy - ry)} ${num(cx)} ${num(cy - ry)} c`,
+    `${num(cx + kx)} ${num(cy - ry)} ${num(cx + rx)} ${num(cy - ky)} ${num(cx + rx)} ${num(cy)} c`,
+    "h"
+  ];
+};
+
+const inheritedProperties = [
+  "fill", "stroke", "stroke-width", "fill-opacity", "stroke-opacity", "fill-rule", "font-size", "font-weight",
+  "text-anchor", "dominant-baseline", "visibility", "color", "stroke-linecap", "stroke-linejoin", "stroke-dasharray"
+];
+
+/* the (presentation) style of an element, given that inherited from its parent */
+const getStyle = (el, parentStyle) => {
+  const style = {};
+  inheritedProperties.forEach((p) => { style[p] = parentStyle[p]; });
+  style.opacity = parentStyle.opacity; /* group opacity is approximated by multiplying it into the children */
+  const own = {};
+  Array.from(el.attributes).forEach((attr) => { own[attr.name] = attr.value; });
+  (own.style || "").split(";").forEach((declaration) => {
+    const idx = declaration.indexOf(":");
+    if (idx > 0) own[declaration.slice(0, idx).trim()] = declaration.slice(idx + 1).trim();
+  });
+  inheritedProperties.forEach((p) => {
+    if (own[p] !== undefined && own[p] !== "inherit") style[p] = own[p];
+  });
+  if (own["font-size"] !== undefined) {
+    const size = parseFloat(own["font-size"]);
+    style["font-size"] = /em$/.test(own["font-size"]) ? size * parentStyle["font-size"] : size;
+  }
+  if (own.opacity !== undefined) style.opacity *= parseFloat(own.opacity);
+  style.display = own.display;
+  return style;
+};
+
+/**
+ * Convert an SVG (as written by `writeSVG`) into a PDF whose page has the same dimensions.
+ * @param {string} svgString
+ * @param {number} width of the SVG (px)
+ * @param {number} height of the SVG (px)
+ * @param {Object} images raster images in the SVG, keyed by their (data URL) href, each `{width, height, jpeg}`
+ *  where `jpeg` is a Uint8Array (see `loadImagesAsJPEG`)
+ * @returns {Uint8Array} the PDF file
+ */
+export const svgToPdf = (svgString, width, height, images = {}) => {
+  const doc = new DOMParser().parseFromString(svgString, "image/svg+xml");
+  const content = [];
+  const extGStates = {}; /* name -> [fillAlpha, strokeAlpha] */
+  const xObjects = {}; /* name -> image */
+  const setAlpha = (fillAlpha, strokeAlpha) => {
+    if (fillAlpha >= 1 && strokeAlpha >= 1) return;
+    const name = `GS${num(fillAlpha).replace(".", "_")}x${num(strokeAlpha).replace(".", "_")}`;
+    extGStates[name] = [fillAlpha, strokeAlpha];
+    content.push(`/${name} gs`);
+  };
+
+  const paint = (ops, style, fillAllowed = true) => {
+    if (!ops.length) return;
+    const fill = fillAllowed ? parseColour(style.fill === undefined ? "black" : style.fill, style.color) : undefined;
+    const stroke = parseColour(style.stroke, style.color);
+    const strokeWidth = style["stroke-width"] !== undefined ? parseFloat(style["stroke-width"]) : 1;
+    const doStroke = stroke && strokeWidth > 0;
+    if (!fill && !doStroke) return;
+    content.push("q");
+    const fillAlpha = fill ? fill[3] * style.opacity * (style["fill-opacity"] !== undefined ? parseFloat(style["fill-opacity"]) : 1) : 1;
+    const strokeAlpha = doStroke ? stroke[3] * style.opacity * (style["stroke-opacity"] !== undefined ? parseFloat(style["stroke-opacity"]) : 1) : 1;
+    setAlpha(fillAlpha, strokeAlpha);
+    if (fill) content.push(`${num(fill[0])} ${num(fill[1])} ${num(fill[2])} rg`);
+    if (doStroke) {
+      content.push(`${num(stroke[0])} ${num(stroke[1])} ${num(stroke[2])} RG`, `${num(strokeWidth)} w`);
+      content.push(`${{round: 1, square: 2}[style["stroke-linecap"]] || 0} J`);
+      content.push(`${{round: 1, bevel: 2}[style["stroke-linejoin"]] || 0} j`);
+      const dashes = (style["stroke-dasharray"] || "").split(/[\s,]+/).map(parseFloat).filter((n) => !Number.isNaN(n));
+      if (dashes.length && dashes.some((n) => n > 0)) content.push(`[${dashes.map(num).join(" ")}] 0 d`);
+    }
+    content.push(...ops);
+    const evenOdd = style["fill-rule"] === "evenodd" ? "*" : "";
+    content.push(fill && doStroke ? `B${evenOdd}` : fill ? `f${evenOdd}` : "S");
+    content.push("Q");
+  };
+
+  const drawText = (el, style) => {
+    const text = el.textContent.replace(/\s+/g, " ").trim();
+    if (!text) return;
+    const fill = parseColour(style.fill === undefined ? "black" : style.fill, style.color);
+    if (!fill) return;
+    const fontSize = style["font-size"] || 16;
+    const bold = style["font-weight"] === "bold" || parseInt(style["font-weight"], 10) >= 600;
+    const length = (value) => {
+      if (!value) return 0;
+      const n = parseFloat(value);
+      return /em$/.test(value) ? n * fontSize : n;
+    };
+    let x = length(el.getAttribute("x")) + length(el.getAttribute("dx"));
+    let y = length(el.getAttribute("y")) + length(el.getAttribute("dy"));
+    /* tspans are drawn as a single string, positioned by the first tspan (e.g. as d3 axes use) */
+    const tspan = el.querySelector("tspan");
+    if (tspan) {
+      if (tspan.getAttribute("x")) x = length(tspan.getAttribute("x"));
+      if (tspan.getAttribute("y")) y = length(tspan.getAttribute("y"));
+      x += length(tspan.getAttribute("dx"));
+      y += length(tspan.getAttribute("dy"));
+    }
+    const textWidth = measureText(text, fontSize, bold);
+    if (style["text-anchor"] === "middle") x -= textWidth / 2;
+    if (style["text-anchor"] === "end") x -= textWidth;
+    const baseline = style["dominant-baseline"] || el.getAttribute("alignment-baseline");
+    if (baseline === "middle" || baseline === "central") y += 0.35 * fontSize;
+    if (baseline === "hanging" || baseline === "text-before-edge") y += 0.8 * fontSize;
+    if (baseline === "text-after-edge" || baseline === "ideographic") y -= 0.2 * fontSize;
+    /* WinAnsi (i.e. latin-1) text, with other characters replaced */
+    const escaped = text
+      .replace(/[^\x20-\xff]/g, "?")
+      .replace(/[\\()]/g, (c) => `\\${c}`);
+    content.push("q");
+    setAlpha(fill[3] * style.opacity * (style["fill-opacity"] !== undefined ? parseFloat(style["fill-opacity"]) : 1), 1);
+    content.push(
+      `${num(fill[0])} ${num(fill[1])} ${num(fill[2])} rg`,
+      "BT",
+      `/${bold ? "F2" : "F1"} ${num(fontSize)} Tf`,
+      `1 0 0 -1 ${num(x)} ${num(y)} Tm`, /* the page is flipped (see below) so the text is too */
+      `(${escaped}) Tj`,
+      "ET",
+      "Q"
+    );
+  };
+
+  const drawImage = (el) => {
+    const href = el.getAttribute("href") || el.getAttributeNS("http://www.w3.org/1999/xlink", "href");
+    const image = images[href];
+    if (!image) return;
+    const name = `Im${Object.keys(xObjects).length}`;
+    xObjects[name] = image;
+    const [x, y] = [parseFloat(el.getAttribute("x")) || 0, parseFloat(el.getAttribute("y")) || 0];
+    const [w, h] = [parseFloat(el.getAttribute("width")) || image.width, parseFloat(el.getAttribute("height")) || image.height];
+    content.push("q", `${num(w)} 0 0 ${num(-h)} ${num(x)} ${num(y + h)} cm`, `/${name} Do`, "Q");
+  };
+
+  const attr = (el, name) => parseFloat(el.getAttribute(name)) || 0;
+
+  const drawElement = (el, parentStyle) => {
+    const style = getStyle(el, parentStyle);
+    if (style.display === "none" || style.visibility === "hidden") return;
+    const tag = el.localName;
+    const transform = el.getAttribute("transform");
+    const isViewport = tag === "svg" && el !== doc.documentElement;
+    if (transform || isViewport) content.push("q");
+    if (transform) content.push(`${parseTransform(transform).map(num).join(" ")} cm`);
+    switch (tag) {
+      case "svg":
+        if (isViewport) {
+          /* nested <svg> elements (i.e. panels) are translated viewports which clip their content */
+          content.push(`1 0 0 1 ${num(attr(el, "x"))} ${num(attr(el, "y"))} cm`);
+          if (el.getAttribute("width") && el.getAttribute("height")) {
+            content.push(`0 0 ${num(attr(el, "width"))} ${num(attr(el, "height"))} re W n`);
+          }
+        }
+        /* fallthrough */
+      case "g":
+      case "a":
+        Array.from(el.children).forEach((child) => drawElement(child, style));
+        break;
+      case "path":
+        paint(pathDataToOps(el.getAttribute("d") || ""), style);
+        break;
+      case "line":
+        paint([`${num(attr(el, "x1"))} ${num(attr(el, "y1"))} m`, `${num(attr(el, "x2"))} ${num(attr(el, "y2"))} l`], style, false);
+        break;
+      case "rect":
+        if (attr(el, "width") > 0 && attr(el, "height") > 0) {
+          paint([`${num(attr(el, "x"))} ${num(attr(el, "y"))} ${num(attr(el, "width"))} ${num(attr(el, "height"))} re`], style);
+        }
+        break;
+      case "circle":
+        if (attr(el, "r") > 0) paint(ellipseOps(attr(el, "cx"), attr(el, "cy"), attr(el, "r"), attr(el, "r")), style);
+        break;
+      case "ellipse":
+        paint(ellipseOps(attr(el, "cx"), attr(el, "cy"), attr(el, "rx"), attr(el, "ry")), style);
+        break;
+      case "polyline":
+      case "polygon": {
+        const points = (el.getAttribute("points") || "").trim().split(/[\s,]+/).map(Number);
+        const ops = [];
+        for (let i = 0; i + 1 < points.length; i += 2) ops.push(`${num(points[i])} ${num(points[i + 1])} ${i ? "l" : "m"}`);
+        if (tag === "polygon") ops.push("h");
+        paint(ops, style, tag === "polygon");
+        break;
+      }
+      case "text":
+        drawText(el, style);
+        break;
+      case "image":
+        drawImage(el);
+        break;
+      default: /* e.g. <style>, <defs>, <foreignObject> */
+        break;
+    }
+    if (transform || isViewport) content.push("Q");
+  };
+
+  /* SVG coordinates (px, y down) are mapped onto the page (pt, y up) */
+  content.push(`${pxToPt} 0 0 ${-pxToPt} 0 ${num(height * pxToPt)} cm`);
+  drawElement(doc.documentElement, {"font-size": 16, opacity: 1, color: "black"});
+
+  /* assemble the PDF objects: catalog, pages, page, fonts, content, graphics states & images */
+  const objects = [];
+  const addObject = (parts) => {
+    objects.push(parts);
+    return objects.length;
+  };
+  const catalog = addObject([]);
+  const pages = addObject([]);
+  const page = addObject([]);
+  const helvetica = addObject(["<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"]);
+  const helveticaBold = addObject(["<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"]);
+  const contentStream = content.join("\n");
+  const contents = addObject([`<< /Length ${contentStream.length} >>\nstream\n${contentStream}\nendstream`]);
+  const gsRefs = Object.keys(extGStates).map((name) => {
+    const [ca, CA] = extGStates[name];
+    return `/${name} ${addObject([`<< /Type /ExtGState /ca ${num(ca)} /CA ${num(CA)} >>`])} 0 R`;
+  });
+  const imageRefs = Object.keys(xObjects).map((name) => {
+    const image = xObjects[name];
+    const header = `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`;
+    return `/${name} ${addObject([header, image.jpeg, "\nendstream"])} 0 R`;
+  });
+  objects[catalog - 1] = [`<< /Type /Catalog /Pages ${pages} 0 R >>`];
+  objects[pages - 1] = [`<< /Type /Pages /Kids [${page} 0 R] /Count 1 >>`];
+  objects[page - 1] = [
+    `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${num(width * pxToPt)} ${num(height * pxToPt)}] ` +
+    `/Contents ${contents} 0 R /Resources << /Font << /F1 ${helvetica} 0 R /F2 ${helveticaBold} 0 R >> ` +
+    `/ExtGState << ${gsRefs.join(" ")} >> /XObject << ${imageRefs.join(" ")} >> >> >>`
+  ];
+
+  /* serialise, recording the byte offset of each object for the cross-reference table */
+  const chunks = [];
+  let length = 0;
+  const append = (part) => {
+    const bytes = typeof part === "string" ? Uint8Array.from(part, (c) => c.charCodeAt(0) % 256) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  append("%PDF-1.4\n");
+  const offsets = objects.map((parts, idx) => {
+    const offset = length;
+    append(`${idx + 1} 0 obj\n`);
+    parts.forEach(append);
+    append("\nendobj\n");
+    return offset;
+  });
+  const xref = length;
+  append(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach((offset) => append(`${String(offset).padStart(10, "0")} 00000 n \n`));
+  append(`trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+};
+
+/**
+ * Load the raster images (i.e. data URLs) used in an SVG & re-encode them as JPEGs for `svgToPdf`.
+ * @param {Array} hrefs the data URLs of the images
+ * @returns {Promise} resolving to `{[href]: {width, height, jpeg}}`
+ */
+export const loadImagesAsJPEG = (hrefs) => Promise.all(hrefs.map((href) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "white"; /* JPEGs have no transparency */
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(img, 0, 0);
+    const binary = atob(canvas.toDataURL("image/jpeg", 0.95).split(",")[1]);
+    resolve([href, {width: canvas.width, height: canvas.height, jpeg: Uint8Array.from(binary, (c) => c.charCodeAt(0))}]);
+  };
+  img.onerror = () => reject(new Error("Failed to load an image embedded in the SVG"));
+  img.src = href;
+}))).then((entries) => entries.reduce((images, [href, image]) => ({...images, [href]: image}), {}));
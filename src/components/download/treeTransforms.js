@@ -0,0 +1,109 @@
+/**
+ * Transforms of the tree used when writing downloads, i.e. the mutations accumulated along the path
+ * to each tip (metadata exports) and the tree pruned to the visible tips (dataset JSON & Nexus exports).
+ */
+import { NODE_VISIBLE } from "../../util/globals";
+
+/**
+ * Traverse the tree accumulating the mutations from the root to each tip, where multiple mutations
+ * at a position are combined (e.g. A123G then G123T is A123T) and reversions removed.
+ * @param {Object} root
+ * @param {Object|undefined} genotype `{gene, positions}` whose states are also returned
+ * @returns {Map} tip -> `{mutations, genotype}` where `mutations` is a list of `{gene, position, from, to}`
+ *  (sorted by gene & position) and `genotype` the states at `genotype.positions`. As for `setGenotype`, the ancestral state of a
+ *  position is only known from the (first) mutation at that position.
+ */
+export const mutationsSinceRoot = (root, genotype) => {
+  const state = new Map(); /* "gene:position" -> [ancestral state, current state] */
+  const ancestralGenotype = {};
+  const tips = new Map();
+  const recurse = (node) => {
+    const previous = [];
+    const mutations = (node.branch_attrs && node.branch_attrs.mutations) || {};
+    Object.keys(mutations).forEach((gene) => {
+      mutations[gene].forEach((m) => {
+        const position = parseInt(m.slice(1, m.length - 1), 10);
+        const key = `${gene}:${position}`;
+        previous.push([key, state.get(key)]);
+        state.set(key, [state.has(key) ? state.get(key)[0] : m[0], m[m.length - 1]]);
+        if (genotype && gene === genotype.gene && ancestralGenotype[position] === undefined) {
+          ancestralGenotype[position] = m[0];
+        }
+      });
+    });
+    if (node.hasChildren) {
+      node.children.forEach(recurse);
+    } else {
+      const tipMutations = [];
+      state.forEach(([from, to], key) => {
+        if (from === to) return;
+        const [gene, position] = key.split(":");
+        tipMutations.push({gene, position: Number(position), from, to});
+      });
+      tipMutations.sort((a, b) => (a.gene === b.gene ? a.position - b.position : a.gene < b.gene ? -1 : 1));
+      tips.set(node, {
+        mutations: tipMutations,
+        genotype: genotype ? genotype.positions.map((p) => (state.get(`${genotype.gene}:${p}`) || [])[1]) : []
+      });
+    }
+    /* undo this branch's mutations (in reverse order) before visiting the next node */
+    previous.reverse().forEach(([key, value]) => {
+      if (value) state.set(key, value);
+      else state.delete(key);
+    });
+  };
+  recurse(root);
+  /* positions without mutations (on the path from the root) have the ancestral state */
+  if (genotype) {
+    tips.forEach((tip) => {
+      tip.genotype = tip.genotype.map((s, i) => s || ancestralGenotype[genotype.positions[i]] || "");
+    });
+  }
+  return tips;
+};
+
+/* a copy of a node with only the properties of the dataset JSON (i.e. not those added by auspice) */
+const copyNodeForJSON = (node, children) => {
+  const copy = {name: node.name};
+  if (node.node_attrs) copy.node_attrs = {...node.node_attrs};
+  copy.branch_attrs = {...node.branch_attrs};
+  if (children.length) copy.children = children;
+  return copy;
+};
+
+/* join the branch of an internal node which has a single (remaining) child onto that of the child,
+so that mutations (& labels) along the combined branch are retained */
+const joinBranchOntoChild = (node, child) => {
+  const parentAttrs = node.branch_attrs || {};
+  const childAttrs = child.branch_attrs;
+  if (parentAttrs.mutations) {
+    const mutations = {};
+    new Set([...Object.keys(parentAttrs.mutations), ...Object.keys(childAttrs.mutations || {})]).forEach((gene) => {
+      mutations[gene] = [...(parentAttrs.mutations[gene] || []), ...((childAttrs.mutations || {})[gene] || [])];
+    });
+    childAttrs.mutations = mutations;
+  }
+  if (parentAttrs.labels) {
+    childAttrs.labels = {...parentAttrs.labels, ...childAttrs.labels};
+  }
+  return child;
+};
+
+/**
+ * Prune the tree to the tips which are currently visible (i.e. in view & not filtered out),
+ * returning the (v2) JSON of the remaining tree. Internal nodes left with a single child are removed.
+ * As `div` and `num_date` are absolute values these are unchanged.
+ * @returns {Object|undefined} the root node, or undefined if no tips are visible
+ */
+export const pruneTreeToVisibleTips = (root, visibility) => {
+  const prune = (node) => {
+    if (!node.hasChildren) {
+      return (!visibility || visibility[node.arrayIdx] === NODE_VISIBLE) ? copyNodeForJSON(node, []) : undefined;
+    }
+    const children = node.children.map(prune).filter((child) => !!child);
+    if (!children.length) return undefined;
+    if (children.length === 1) return joinBranchOntoChild(node, children[0]);
+    return copyNodeForJSON(node, children);
+  };
+  return prune(root);
+};
@@ -4,7 +4,7 @@ import marked from "marked";
 import dompurify from "dompurify";
 import styled from 'styled-components';
 import { dataFont, medGrey, materialButton } from "../../globalStyles";
-import { TRIGGER_DOWNLOAD_MODAL } from "../../actions/types";
+import { TRIGGER_DOWNLOAD_MODAL, TRIGGER_MANAGE_METADATA_MODAL } from "../../actions/types";
 import Flex from "./flex";
 import { applyFilter } from "../../actions/tree";
 import { version } from "../../version";
@@ -315,6 +315,22 @@ class Footer extends React.Component {
       </button>
     );
   }
+  manageMetadataButton() {
+    const n = (this.props.metadata.droppedMetadata || []).length;
+    if (!n) return null;
+    return (
+      <span>
+        {dot}
+        <button
+          style={Object.assign({}, materialButton, {backgroundColor: "rgba(0,0,0,0)", color: medGrey, margin: 0, padding: 0})}
+          onClick={() => { this.props.dispatch({ type: TRIGGER_MANAGE_METADATA_MODAL }); }}
+        >
+          <i className="fa fa-table" aria-hidden="true"/>
+          <span style={{position: "relative"}}>{` manage added metadata (${n})`}</span>
+        </button>
+      </span>
+    );
+  }
   getCitation() {
     return (
       <span>
@@ -347,6 +363,7 @@ class Footer extends React.Component {
             {this.getUpdated()}
             {dot}
             {this.downloadDataButton()}
+            {this.manageMetadataButton()}
             {dot}
             {"Auspice v" + version}
           </Flex>
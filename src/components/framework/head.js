@@ -2,13 +2,14 @@ import React from 'react';
 import { connect } from "react-redux";
 import { Helmet } from "react-helmet";
 import { hasExtension, getExtension } from "../../util/extensions";
+import { getPathname } from "../../util/staticSite";
 
 const Head = ({metadata}) => {
   let pageTitle = "auspice";
   if (hasExtension("browserTitle")) {
     pageTitle = getExtension("browserTitle");
   }
-  const displayedDataset = window.location.pathname
+  const displayedDataset = getPathname()
     .replace(/^\//g, '')
     .replace(/\/$/g, '')
     .replace(/\//g, ' / ')
@@ -4,6 +4,7 @@ import { connect } from "react-redux";
 import _throttle from "lodash/throttle";
 import { BROWSER_DIMENSIONS, CHANGE_PANEL_LAYOUT, TOGGLE_SIDEBAR } from "../../actions/types";
 import { changePage } from "../../actions/navigation";
+import handleFilesDropped from "../../actions/filesDropped";
 import { twoColumnBreakpoint, controlsHiddenWidth} from "../../util/globals";
 
 @connect((state) => ({
@@ -35,6 +36,13 @@ class Monitor extends React.Component {
     (or calling history.back() or history.forward() in JavaScript). */
     window.addEventListener('popstate', this.onURLChanged);
     // this.onURLChanged();
+
+    /* files (trees and / or metadata) may be dropped onto any page */
+    document.addEventListener("dragover", (e) => {e.preventDefault();}, false);
+    document.addEventListener("drop", (e) => {
+      e.preventDefault();
+      return this.props.dispatch(handleFilesDropped(e.dataTransfer.files));
+    }, false);
   }
 
   onURLChanged = () => this.props.dispatch(changePage());
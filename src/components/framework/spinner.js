@@ -2,14 +2,43 @@ import React from "react";
 
 const nextstrainLogo = require("../../images/nextstrain-logo-small.png");
 
-const Spinner = ({availableHeight=false}) => {
+const formatMegabytes = (bytes) => `${(bytes / 1e6).toFixed(1)} MB`;
+
+/**
+ * A description of the progress of the dataset being loaded
+ * @param {Object} progress see `parseDatasetResponse`
+ */
+const describeProgress = (progress) => {
+  switch (progress.stage) {
+    case "downloading":
+      if (!progress.loaded) return `Downloading ${progress.name}`;
+      if (!progress.total) return `Downloading ${progress.name} (${formatMegabytes(progress.loaded)})`;
+      return `Downloading ${progress.name} (${formatMegabytes(progress.loaded)} of ${formatMegabytes(progress.total)})`;
+    case "processing":
+      return `Processing the tree of ${progress.name}`;
+    default:
+      return "";
+  }
+};
+
+const Spinner = ({availableHeight=false, progress=undefined}) => {
   if (!availableHeight) {
     availableHeight = isNaN(window.innerHeight) ? window.clientHeight : window.innerHeight; // eslint-disable-line
   }
   const style = {
     marginTop: `${availableHeight / 2 - 100}px`
   };
-  return (<img className={"spinner"} src={nextstrainLogo} alt="loading" style={style}/>);
+  if (!progress) {
+    return (<img className={"spinner"} src={nextstrainLogo} alt="loading" style={style}/>);
+  }
+  return (
+    <div>
+      <img className={"spinner"} src={nextstrainLogo} alt="loading" style={style}/>
+      <div className={"spinnerProgress"}>
+        {describeProgress(progress)}
+      </div>
+    </div>
+  );
 };
 
 export default Spinner;
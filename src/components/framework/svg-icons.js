@@ -42,6 +42,50 @@ export const Clock = ({theme, selected, width}) => {
   );
 };
 
+export const ExplodedTree = ({theme, selected, width}) => {
+  const stroke = selected ? theme.selectedColor : theme.unselectedColor;
+  return (
+    <svg width={width} height={width + 5}>
+      <g transform="translate(0,2)">
+        <svg width={width} height={width} viewBox="0 0 26 22">
+          <g id="Group" stroke="none" strokeWidth="1" fill="none" fillRule="evenodd">
+            <polyline id="Path-1" stroke={stroke} points="12 1 6 1 6 8 12 8"/>
+            <polyline id="Path-2" stroke={stroke} points="6 4.5 1 4.5"/>
+            <polyline id="Path-3" stroke={stroke} points="12 4 12 1 25 1"/>
+            <polyline id="Path-4" stroke={stroke} points="12 4 25 4"/>
+            <polyline id="Path-5" stroke={stroke} points="12 8 25 8"/>
+            <polyline id="Path-6" stroke={stroke} points="16 13 10 13 10 20 16 20"/>
+            <polyline id="Path-7" stroke={stroke} points="10 16.5 5 16.5"/>
+            <polyline id="Path-8" stroke={stroke} points="16 13 25 13"/>
+            <polyline id="Path-9" stroke={stroke} points="16 20 16 17 25 17"/>
+            <polyline id="Path-10" stroke={stroke} points="16 20 25 20"/>
+          </g>
+        </svg>
+      </g>
+    </svg>
+  );
+};
+
+export const Scatter = ({theme, selected, width}) => {
+  const stroke = selected ? theme.selectedColor : theme.unselectedColor;
+  return (
+    <svg width={width} height={width + 5}>
+      <g transform="translate(0,4)">
+        <svg width={width} height={width} viewBox="0 0 30 30 ">
+          <g id="Group" stroke="none" strokeWidth="1" fill="none" fillRule="evenodd">
+            <polyline id="Path-1" stroke={stroke} points="2 0 2 28 30 28"/>
+            <circle id="c-1" stroke={stroke} cx="8" cy="20" r="2"/>
+            <circle id="c-2" stroke={stroke} cx="13" cy="23" r="2"/>
+            <circle id="c-3" stroke={stroke} cx="15" cy="13" r="2"/>
+            <circle id="c-4" stroke={stroke} cx="21" cy="17" r="2"/>
+            <circle id="c-5" stroke={stroke} cx="24" cy="6" r="2"/>
+          </g>
+        </svg>
+      </g>
+    </svg>
+  );
+};
+
 export const RadialTree = ({theme, selected, width}) => {
   const stroke = selected ? theme.selectedColor : theme.unselectedColor;
   return (
@@ -9,8 +9,9 @@ import Map from "../map/map";
 import { controlsHiddenWidth } from "../../util/globals";
 import Footer from "../framework/footer";
 import DownloadModal from "../download/downloadModal";
+import AddMetadataModal from "../addMetadata/addMetadataModal";
+import ManageMetadataModal from "../addMetadata/manageMetadataModal";
 import { analyticsNewPage } from "../../util/googleAnalytics";
-import handleFilesDropped from "../../actions/filesDropped";
 import { TOGGLE_SIDEBAR } from "../../actions/types";
 import AnimationController from "../framework/animationController";
 import { calcUsableWidth } from "../../util/computeResponsive";
@@ -37,6 +38,7 @@ const Frequencies = lazy(() => import("../frequencies"));
   frequenciesLoaded: state.frequencies.loaded,
   metadataLoaded: state.metadata.loaded,
   treeLoaded: state.tree.loaded,
+  loadingProgress: state.general.loadingProgress,
   sidebarOpen: state.controls.sidebarOpen,
   showOnlyPanels: state.controls.showOnlyPanels
 }))
@@ -67,19 +69,12 @@ class Main extends React.Component {
       this.setState({showSpinner: false});
     }
   }
-  componentDidMount() {
-    document.addEventListener("dragover", (e) => {e.preventDefault();}, false);
-    document.addEventListener("drop", (e) => {
-      e.preventDefault();
-      return this.props.dispatch(handleFilesDropped(e.dataTransfer.files));
-    }, false);
-  }
   toggleSidebar() {
     this.props.dispatch({type: TOGGLE_SIDEBAR, value: !this.props.sidebarOpen});
   }
   render() {
     if (this.state.showSpinner) {
-      return (<Spinner/>);
+      return (<Spinner progress={this.props.loadingProgress}/>);
     }
 
     /* for mobile narratives we use a custom component as the nesting of view components is different */
@@ -110,6 +105,8 @@ class Main extends React.Component {
         <ErrorBoundary showNothing>
           <ThemeProvider theme={sidebarTheme}>
             <DownloadModal/>
+            <AddMetadataModal/>
+            <ManageMetadataModal/>
           </ThemeProvider>
         </ErrorBoundary>
         <SidebarToggle
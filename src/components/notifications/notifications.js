@@ -83,10 +83,15 @@ class Notifications extends React.Component {
                   {el}
                 </div>
               ))}
+              {d.link ? (
+                <div>
+                  <a href={d.link.href} download={d.link.download}>{d.link.label}</a>
+                </div>
+              ) : null}
             </div>
           </div>
         </div>
-        {d.notificationType === "error" ? this.closeIcon(d) : null}
+        {d.notificationType === "error" || d.link ? this.closeIcon(d) : null}
         {/* <div className="close icon icon-x"></div> */}
       </div>
     );
@@ -3,8 +3,8 @@ import { connect } from "react-redux";
 import DefaultSplashContent from "./splash";
 import { hasExtension, getExtension } from "../../util/extensions";
 import ErrorBoundary from "../../util/errorBoundry";
-import { fetchJSON } from "../../util/serverInteraction";
-import { getServerAddress, controlsHiddenWidth } from "../../util/globals";
+import { fetchJSON, getAvailableAddress } from "../../util/serverInteraction";
+import { controlsHiddenWidth } from "../../util/globals";
 import { changePage } from "../../actions/navigation";
 
 const SplashContent = hasExtension("splashComponent") ?
@@ -25,7 +25,7 @@ class Splash extends React.Component {
     this.state = {available: {}, errorMessage: undefined};
   }
   componentDidMount() {
-    fetchJSON(`${getServerAddress()}/getAvailable?prefix=${this.props.reduxPathname}`)
+    fetchJSON(getAvailableAddress(this.props.reduxPathname))
       .then((json) => {
         this.setState({available: json});
       })
@@ -2,8 +2,8 @@ import React from "react";
 import { connect } from "react-redux";
 import SingleDataset from "./single";
 import { goTo404 } from "../../actions/navigation";
-import { fetchJSON } from "../../util/serverInteraction";
-import { getServerAddress } from "../../util/globals";
+import { fetchJSON, getAvailableAddress } from "../../util/serverInteraction";
+import { getPathname } from "../../util/staticSite";
 
 @connect()
 class Status extends React.Component {
@@ -12,7 +12,7 @@ class Status extends React.Component {
     this.state = {available: undefined};
   }
   componentDidMount() {
-    fetchJSON(`${getServerAddress()}/getAvailable?prefix=${window.location.pathname}`)
+    fetchJSON(getAvailableAddress())
       .then((json) => {this.setState({available: json});})
       .catch((err) => {
         console.warn(err);
@@ -24,7 +24,7 @@ class Status extends React.Component {
       <div style={{display: "flex", flexWrap: "wrap", justifyContent: "space-between", alignItems: "center", minHeight: "50px"}}>
         <div style={{flex: 1}}/>
         <div style={{fontSize: 18}}>
-          {`Status of available datasets for URL prefix "${window.location.pathname}"`}
+          {`Status of available datasets for URL prefix "${getPathname()}"`}
         </div>
         <div style={{flex: 1}}/>
       </div>
@@ -1,5 +1,6 @@
 import React from "react";
 import { getServerAddress } from "../../util/globals";
+import { isStaticSite, staticSiteDataAddress } from "../../util/staticSite";
 import { createStateFromQueryOrJSONs } from "../../actions/recomputeReduxState";
 import { fetchJSON } from "../../util/serverInteraction";
 
@@ -20,7 +21,10 @@ class SingleDataset extends React.Component {
     };
   }
   componentDidMount() {
-    fetchJSON(`${getServerAddress()}/getDataset?prefix=${this.props.path}`)
+    const address = isStaticSite() ?
+      staticSiteDataAddress("getDataset", this.props.path) :
+      `${getServerAddress()}/getDataset?prefix=${this.props.path}`;
+    fetchJSON(address)
       .then((json) => {
         const state = createStateFromQueryOrJSONs({json, query: ""});
         this.setState({
@@ -10,6 +10,8 @@ const Tree = connect((state) => ({
   colorBy: state.controls.colorBy,
   colorByConfidence: state.controls.colorByConfidence,
   layout: state.controls.layout,
+  explodeAttr: state.controls.explodeAttr,
+  scatterVariables: state.controls.scatterVariables,
   temporalConfidence: state.controls.temporalConfidence,
   distanceMeasure: state.controls.distanceMeasure,
   mutType: state.controls.mutType,
@@ -19,6 +21,10 @@ const Tree = connect((state) => ({
   showTangle: state.controls.showTangle,
   panelsToDisplay: state.controls.panelsToDisplay,
   selectedBranchLabel: state.controls.selectedBranchLabel,
+  tipLabelKey: state.controls.tipLabelKey,
+  metadataStrip: state.controls.metadataStrip,
+  alignmentStrip: state.controls.alignmentStrip,
+  geneLength: state.controls.geneLength,
   narrativeMode: state.narrative.display,
   animationPlayPauseButton: state.controls.animationPlayPauseButton
 }))(UnconnectedTree);
@@ -1,6 +1,6 @@
 import React from "react";
 import { isValueValid } from "../../../util/globals";
-import { infoPanelStyles } from "../../../globalStyles";
+import { infoPanelStyles, tabSingle } from "../../../globalStyles";
 import { numericToCalendar } from "../../../util/dateHelpers";
 import { getTraitFromNode, getFullAuthorInfoFromNode, getVaccineFromNode, getAccessionFromNode, getUrlFromNode } from "../../../util/treeMiscHelpers";
 
@@ -205,9 +205,10 @@ const Trait = ({node, trait, colorings}) => {
  * @param  {Object}   props
  * @param  {Object}   props.tip              tip node selected
  * @param  {function} props.goAwayCallback
+ * @param  {function} props.rerootCallback   (optional) called with the tip to re-root the tree on its branch
  * @param  {object}   props.colorings
  */
-const TipClickedPanel = ({tip, goAwayCallback, colorings}) => {
+const TipClickedPanel = ({tip, goAwayCallback, rerootCallback, colorings}) => {
   if (!tip) {return null;}
   const panelStyle = { ...infoPanelStyles.panel};
   panelStyle.maxHeight = "70%";
@@ -227,6 +228,11 @@ const TipClickedPanel = ({tip, goAwayCallback, colorings}) => {
             <AccessionAndUrl node={node}/>
           </tbody>
         </table>
+        {rerootCallback ? (
+          <button style={{...tabSingle, marginTop: 10}} onClick={() => rerootCallback(tip)}>
+            Re-root tree on this tip
+          </button>
+        ) : null}
         <p style={infoPanelStyles.comment}>
           Click outside this box to go back to the tree
         </p>
@@ -339,7 +339,9 @@ const HoverInfoPanel = ({
   colorByConfidence,
   colorScale,
   panelDims,
-  colorings
+  colorings,
+  canReroot,
+  canCollapse
 }) => {
   if (!hovered) return null;
   const node = hovered.d.n;
@@ -362,6 +364,14 @@ const HoverInfoPanel = ({
           <BranchLength node={node}/>
           <ColorBy node={node} colorBy={colorBy} colorByConfidence={colorByConfidence} colorScale={colorScale} colorings={colorings}/>
           <Comment>Click to zoom into clade</Comment>
+          {canReroot ? <Comment>Shift + click to re-root the tree on this branch</Comment> : null}
+          {canCollapse ? (
+            <Comment>
+              {hovered.d.collapsed ?
+                "Click on the wedge (or Alt + click on the branch) to expand this clade" :
+                "Alt + click to collapse this clade"}
+            </Comment>
+          ) : null}
         </>
       )}
     </Container>
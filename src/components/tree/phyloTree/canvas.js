@@ -0,0 +1,273 @@
+import { event as d3event } from "d3-selection";
+import { timerStart, timerEnd } from "../../../util/perf";
+import { NODE_VISIBLE } from "../../../util/globals";
+import { getBranchVisibility, getTipVisibility } from "./renderers";
+import { isScatterplotLayout } from "./helpers";
+import { drawMetadataStripOnCanvas, metadataStripTitleAt, metadataStripCanvasElementsAsSVG } from "./metadataStrip";
+
+/**
+ * For large trees the number of SVG elements (two paths per node plus a circle per tip)
+ * makes rendering, transitions & hovering slow. Above `params.canvasTipThreshold` tips the
+ * branches & tips are instead drawn onto a <canvas>, which is placed (via a <foreignObject>)
+ * in the SVG where the branch & tip groups would otherwise be. The cells of the metadata strip (one
+ * per tip per column) are also drawn on the canvas. Everything else (grid, labels, confidence
+ * intervals, vaccines etc) remains as SVG elements.
+ * A second (overlay) canvas draws the hover emphasis, and is where mouse events are received
+ * & hit-tested to call the same callbacks (`onTipHover`, `onBranchClick` etc) as the SVG elements.
+ */
+
+const tipHitPadding = 2; /* px beyond the tip radius which count as hovering over the tip */
+const branchHitWidth = 6; /* px, the minimum stroke width used when hit-testing branches */
+
+export const shouldUseCanvas = (numberOfTips, params) =>
+  typeof window !== "undefined" && typeof window.Path2D !== "undefined" && numberOfTips >= params.canvasTipThreshold;
+
+/* Path2D objects are cached on the node, as they are expensive to create from the path string */
+const getPath = (d, idx) => {
+  const pathString = String(d.branch[idx]);
+  if (!d.canvasPaths) d.canvasPaths = [];
+  if (!d.canvasPaths[idx] || d.canvasPaths[idx].pathString !== pathString) {
+    d.canvasPaths[idx] = {pathString, path: new window.Path2D(pathString)};
+  }
+  return d.canvasPaths[idx].path;
+};
+
+const drawsBranchTees = (phylotree) => !isScatterplotLayout(phylotree.layout) && phylotree.layout !== "unrooted";
+
+const branchStrokeWidth = (d, params) => d['stroke-width'] || params.branchStrokeWidth;
+
+const strokeBranch = (ctx, d, params, stroke) => {
+  ctx.strokeStyle = stroke || d.branchStroke || params.branchStroke;
+  ctx.lineWidth = branchStrokeWidth(d, params);
+  ctx.stroke(getPath(d, 0));
+};
+
+const strokeBranchTee = (ctx, d, params, stroke) => {
+  if (d.terminal || !d.branch[1]) return;
+  ctx.strokeStyle = stroke || d.branchStroke || params.branchStroke;
+  ctx.lineWidth = branchStrokeWidth(d, params);
+  ctx.stroke(getPath(d, 1));
+};
+
+const drawTip = (ctx, d, params, r) => {
+  ctx.beginPath();
+  ctx.arc(d.xTip, d.yTip, r, 0, 2 * Math.PI);
+  ctx.fillStyle = d.fill || params.tipFill;
+  ctx.fill();
+  ctx.lineWidth = params.tipStrokeWidth;
+  ctx.strokeStyle = d.tipStroke || params.tipStroke;
+  ctx.stroke();
+};
+
+const isTipVisible = (d) => d.terminal && getTipVisibility(d) === "visible" && d.xTip !== undefined;
+
+/**
+ * Create (or resize) the canvases to match the dimensions of the SVG.
+ * Resizing a canvas clears it, so this must be followed by `drawCanvas`.
+ */
+export const setUpCanvas = function setUpCanvas() {
+  const width = parseInt(this.svg.attr("width"), 10);
+  const height = parseInt(this.svg.attr("height"), 10);
+  const ratio = window.devicePixelRatio || 1;
+
+  if (!("canvas" in this.groups)) {
+    this.groups.canvas = this.svg.append("foreignObject")
+      .attr("class", "phyloTreeCanvas")
+      .datum(this); /* allows the SVG exporter to access `canvasElementsAsSVG` */
+    const container = this.groups.canvas.append("xhtml:div")
+      .style("position", "relative");
+    this.canvas = container.append("xhtml:canvas")
+      .style("position", "absolute")
+      .style("left", "0px")
+      .style("top", "0px")
+      .node();
+    this.canvasOverlay = container.append("xhtml:canvas")
+      .style("position", "absolute")
+      .style("left", "0px")
+      .style("top", "0px")
+      .on("mousemove", () => this.onCanvasMouseMove(d3event))
+      .on("mouseleave", () => this.setCanvasHovered(undefined))
+      .on("click", () => this.onCanvasClick())
+      .node();
+    this.canvasHighlights = {};
+  }
+
+  this.groups.canvas.attr("width", width).attr("height", height);
+  [this.canvas, this.canvasOverlay].forEach((canvas) => {
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    canvas.getContext("2d").setTransform(ratio, 0, 0, ratio, 0, 0);
+  });
+  this.canvasDimensions = {width, height, ratio};
+};
+
+/**
+ * Draw the branches (Ts then stems), the visible tips and the metadata strip onto the canvas.
+ * The order matches that of the SVG groups created by `drawBranches` & `drawTips`.
+ */
+export const drawCanvas = function drawCanvas() {
+  timerStart("drawCanvas");
+  const params = this.params;
+  const ctx = this.canvas.getContext("2d");
+  ctx.clearRect(0, 0, this.canvasDimensions.width, this.canvasDimensions.height);
+
+  ctx.lineCap = "butt";
+  if (drawsBranchTees(this)) {
+    this.nodes.forEach((d) => strokeBranchTee(ctx, d, params));
+  }
+  ctx.lineCap = "round";
+  this.nodes.forEach((d) => {
+    if (getBranchVisibility(d) === "hidden") return;
+    strokeBranch(ctx, d, params);
+  });
+  this.nodes.forEach((d) => {
+    if (isTipVisible(d)) drawTip(ctx, d, params, d.r);
+  });
+  drawMetadataStripOnCanvas(this, ctx);
+
+  this.drawCanvasHighlights();
+  timerEnd("drawCanvas");
+};
+
+/**
+ * Emphasise a single tip or branch (or remove the emphasis by passing `undefined` as `d`)
+ * @param {string} type "tip" or "branch"
+ * @param {object|undefined} d the phylotree node
+ * @param {object} style for tips, `{r}`, the radius to draw; for branches, `{stroke}`, the colour
+ */
+export const setCanvasHighlight = function setCanvasHighlight(type, d, style = {}) {
+  this.canvasHighlights[type] = d ? {d, ...style} : undefined;
+  this.drawCanvasHighlights();
+};
+
+export const drawCanvasHighlights = function drawCanvasHighlights() {
+  const params = this.params;
+  const ctx = this.canvasOverlay.getContext("2d");
+  ctx.clearRect(0, 0, this.canvasDimensions.width, this.canvasDimensions.height);
+  const {branch, tip} = this.canvasHighlights;
+  if (branch && getBranchVisibility(branch.d) !== "hidden") {
+    ctx.lineCap = "butt";
+    if (drawsBranchTees(this)) strokeBranchTee(ctx, branch.d, params, branch.stroke);
+    ctx.lineCap = "round";
+    strokeBranch(ctx, branch.d, params, branch.stroke);
+  }
+  if (tip && isTipVisible(tip.d)) {
+    drawTip(ctx, tip.d, params, tip.r);
+  }
+};
+
+/* the topmost visible tip at (x, y), if any */
+const findTipAt = (nodes, x, y) => {
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const d = nodes[i];
+    if (!isTipVisible(d)) continue;
+    const r = d.r + tipHitPadding;
+    const dx = d.xTip - x;
+    const dy = d.yTip - y;
+    if (dx * dx + dy * dy <= r * r) return d;
+  }
+  return undefined;
+};
+
+/* the bounding box of a branch stem, which for rectangular trees includes the vertical line to the children */
+const branchBounds = (d) => {
+  const xs = [d.xBase, d.xTip];
+  const ys = [d.yBase, d.yTip];
+  if (d.children && d.children.length) {
+    ys.push(d.children[0].yTip, d.children[d.children.length - 1].yTip);
+  }
+  return [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+};
+
+/* the topmost (rendered) branch stem at (x, y), if any */
+const findBranchAt = (phylotree, x, y) => {
+  const params = phylotree.params;
+  const ctx = phylotree.canvasOverlay.getContext("2d");
+  const ratio = phylotree.canvasDimensions.ratio;
+  ctx.lineCap = "round";
+  for (let i = phylotree.nodes.length - 1; i >= 0; i--) {
+    const d = phylotree.nodes[i];
+    if (d.xTip === undefined || getBranchVisibility(d) === "hidden") continue;
+    const tolerance = Math.max(branchStrokeWidth(d, params), branchHitWidth) / 2;
+    const [x0, x1, y0, y1] = branchBounds(d);
+    if (x < x0 - tolerance || x > x1 + tolerance || y < y0 - tolerance || y > y1 + tolerance) continue;
+    ctx.lineWidth = tolerance * 2;
+    /* the point is in (unscaled) canvas pixels, whereas the path is subject to the context's transform */
+    if (ctx.isPointInStroke(getPath(d, 0), x * ratio, y * ratio)) return d;
+  }
+  return undefined;
+};
+
+/**
+ * Change the hovered tip / branch, calling the appropriate leave & hover callbacks
+ * @param {object|undefined} hovered `{type, d}` where type is "tip" or "branch"
+ */
+export const setCanvasHovered = function setCanvasHovered(hovered) {
+  const previous = this.canvasHovered;
+  const unchanged = previous && hovered && previous.type === hovered.type && previous.d === hovered.d;
+  if (unchanged || (!previous && !hovered)) return;
+  this.canvasHovered = hovered;
+  if (previous) {
+    previous.type === "tip" ? this.callbacks.onTipLeave(previous.d) : this.callbacks.onBranchLeave(previous.d);
+  }
+  if (hovered) {
+    hovered.type === "tip" ? this.callbacks.onTipHover(hovered.d) : this.callbacks.onBranchHover(hovered.d);
+  }
+  this.canvasOverlay.style.cursor = hovered && hovered.d.visibility === NODE_VISIBLE ? "pointer" : "default";
+};
+
+export const onCanvasMouseMove = function onCanvasMouseMove(event) {
+  const rect = this.canvasOverlay.getBoundingClientRect();
+  const x = event.clientX - rect.left;
+  const y = event.clientY - rect.top;
+  const tip = findTipAt(this.nodes, x, y);
+  if (tip) {
+    this.setCanvasHovered({type: "tip", d: tip});
+    this.canvasOverlay.title = "";
+    return;
+  }
+  const branch = findBranchAt(this, x, y);
+  this.setCanvasHovered(branch ? {type: "branch", d: branch} : undefined);
+  /* the cells of the metadata strip have no elements to hold their tooltips */
+  this.canvasOverlay.title = branch ? "" : (metadataStripTitleAt(this, x, y) || "");
+};
+
+export const onCanvasClick = function onCanvasClick() {
+  if (!this.canvasHovered) return;
+  const {type, d} = this.canvasHovered;
+  type === "tip" ? this.callbacks.onTipClick(d) : this.callbacks.onBranchClick(d);
+};
+
+/**
+ * The SVG elements equivalent to the canvas. Used when exporting the tree as an SVG,
+ * as the contents of a <canvas> aren't serialised.
+ * @return {string}
+ */
+export const canvasElementsAsSVG = function canvasElementsAsSVG() {
+  const params = this.params;
+  const elements = [];
+  if (drawsBranchTees(this)) {
+    elements.push('<g id="branchTee">');
+    this.nodes.forEach((d) => {
+      if (d.terminal || !d.branch[1]) return;
+      elements.push(`<path class="branch T" d="${d.branch[1]}" style="stroke: ${d.branchStroke || params.branchStroke}; stroke-width: ${branchStrokeWidth(d, params)}px; fill: none;"></path>`);
+    });
+    elements.push('</g>');
+  }
+  elements.push('<g id="branchStem">');
+  this.nodes.forEach((d) => {
+    if (getBranchVisibility(d) === "hidden") return;
+    elements.push(`<path class="branch S" d="${d.branch[0]}" style="stroke: ${d.branchStroke || params.branchStroke}; stroke-linecap: round; stroke-width: ${branchStrokeWidth(d, params)}px; fill: none;"></path>`);
+  });
+  elements.push('</g>');
+  elements.push('<g id="tips">');
+  this.nodes.forEach((d) => {
+    if (!isTipVisible(d)) return;
+    elements.push(`<circle class="tip" cx="${d.xTip}" cy="${d.yTip}" r="${d.r}" style="fill: ${d.fill || params.tipFill}; stroke: ${d.tipStroke || params.tipStroke}; stroke-width: ${params.tipStrokeWidth};"></circle>`);
+  });
+  elements.push('</g>');
+  elements.push(metadataStripCanvasElementsAsSVG(this));
+  return elements.join("");
+};
@@ -3,7 +3,7 @@ import { calcConfidenceWidth } from "./confidence";
 import { applyToChildren } from "./helpers";
 import { timerStart, timerEnd } from "../../../util/perf";
 import { NODE_VISIBLE } from "../../../util/globals";
-import { getBranchVisibility } from "./renderers";
+import { getBranchVisibility, getTipVisibility } from "./renderers";
 
 /* loop through the nodes and update each provided prop with the new value
  * additionally, set d.update -> whether or not the node props changed
@@ -26,6 +26,9 @@ const updateNodesWithNewData = (nodes, newNodeProps) => {
 };
 
 
+/* elements which are drawn on the canvas (rather than in the SVG) when `this.renderer` is "canvas" */
+const canvasElems = [".tip", ".branch", ".branch.S", ".branch.T"];
+
 /* svgSetters defines how attrs & styles should be applied to which class (e.g. ".tip").
  * E.g. which node attribute should be used?!?
  * Note that only the relevant functions are called on a transition.
@@ -50,7 +53,7 @@ const svgSetters = {
     ".tip": {
       fill: (d) => d.fill,
       stroke: (d) => d.tipStroke,
-      visibility: (d) => d.visibility === NODE_VISIBLE ? "visible" : "hidden"
+      visibility: getTipVisibility
     },
     ".conf": {
       stroke: (d) => d.branchStroke,
@@ -116,8 +119,19 @@ const genericSelectAndModify = (svg, treeElem, updateCall, transitionTime) => {
 export const modifySVG = function modifySVG(elemsToUpdate, svgPropsToUpdate, transitionTime, extras) {
   let updateCall;
   const classesToPotentiallyUpdate = [".tip", ".vaccineDottedLine", ".vaccineCross", ".branch"]; /* order is respected */
+  /* the wedges of collapsed clades & the metadata strip take their position (& colour) from the tips */
+  const redrawCollapsedClades = elemsToUpdate.has(".tip") || elemsToUpdate.has(".branch");
   // console.log("modifying these elems", elemsToUpdate)
 
+  /* canvas rendering: the tips & branches are redrawn in one go (without transitions) */
+  if (this.renderer === "canvas") {
+    if (canvasElems.some((el) => elemsToUpdate.has(el))) {
+      this.setUpCanvas(); /* resizes the canvas if the SVG dimensions have changed */
+      this.drawCanvas();
+    }
+    elemsToUpdate = new Set([...elemsToUpdate].filter((el) => !canvasElems.includes(el))); // eslint-disable-line no-param-reassign
+  }
+
   /* treat stem / branch specially, but use these to replace a normal .branch call if that's also to be applied */
   if (elemsToUpdate.has(".branch.S") || elemsToUpdate.has(".branch.T")) {
     const applyBranchPropsAlso = elemsToUpdate.has(".branch");
@@ -146,6 +160,10 @@ export const modifySVG = function modifySVG(elemsToUpdate, svgPropsToUpdate, tra
   });
 
   /* special cases not listed in classesToPotentiallyUpdate */
+  if (redrawCollapsedClades) {
+    this.drawCollapsedClades();
+    this.drawMetadataStrip();
+  }
   if (elemsToUpdate.has('.branchLabel')) {
     this.updateBranchLabels(transitionTime);
   }
@@ -160,7 +178,7 @@ export const modifySVG = function modifySVG(elemsToUpdate, svgPropsToUpdate, tra
   }
   if (elemsToUpdate.has('.regression')) {
     this.removeRegression();
-    if (this.layout === "clock" && this.distance === "num_date") this.drawRegression();
+    this.drawRegression();
   }
 
   /* confidence intervals */
@@ -198,7 +216,14 @@ export const modifySVG = function modifySVG(elemsToUpdate, svgPropsToUpdate, tra
  */
 export const modifySVGInStages = function modifySVGInStages(elemsToUpdate, svgPropsToUpdate, transitionTimeFadeOut, transitionTimeMoveTips) {
   elemsToUpdate.delete(".tip");
+  if (this.renderer === "canvas") {
+    /* there are no SVG tips to move, so draw the canvas in the new layout straight away */
+    this.setUpCanvas();
+    this.drawCanvas();
+  }
   this.hideGrid();
+  this.removeCollapsedClades();
+  this.hideMetadataStrip();
   let inProgress = 0; /* counter of transitions currently in progress */
 
   const step3 = () => {
@@ -206,10 +231,12 @@ export const modifySVGInStages = function modifySVGInStages(elemsToUpdate, svgPr
     if (this.params.showGrid) this.addGrid();
     this.svg.selectAll(".tip").remove();
     this.drawTips();
+    this.drawCollapsedClades();
+    this.drawMetadataStrip();
     this.updateTipLabels();
     if (this.vaccines) this.drawVaccines();
     this.addTemporalSlice();
-    if (this.layout === "clock" && this.distance === "num_date") this.drawRegression();
+    this.drawRegression();
     if (elemsToUpdate.has(".branchLabel")) this.drawBranchLabels(this.params.branchLabelKey);
   };
 
@@ -224,7 +251,13 @@ export const modifySVGInStages = function modifySVGInStages(elemsToUpdate, svgPr
 
   /* STEP 1. remove everything (via opacity) */
   this.confidencesInSVG = false;
-  this.svg.selectAll([...elemsToUpdate].join(", "))
+  const elemsToFadeOut = this.svg.selectAll([...elemsToUpdate].join(", "));
+  if (elemsToFadeOut.empty()) { /* possible for canvas rendering, as the branches aren't SVG elements */
+    this.removeTemporalSlice();
+    step3();
+    return;
+  }
+  elemsToFadeOut
     .transition().duration(transitionTimeFadeOut)
     .style("opacity", 0)
     .remove()
@@ -255,13 +288,20 @@ export const change = function change({
   newLayout = undefined,
   updateLayout = undefined,
   newBranchLabellingKey = undefined,
+  newTipLabelKey = undefined,
+  newExplodeAttr = undefined,
+  newScatterVariables = undefined,
+  /* the columns of the metadata strip (see metadataStrip.js) */
+  metadataStrip = undefined,
   /* arrays of data (the same length as nodes) */
   branchStroke = undefined,
   tipStroke = undefined,
   fill = undefined,
   visibility = undefined,
   tipRadii = undefined,
-  branchThickness = undefined
+  branchThickness = undefined,
+  /* the names of the collapsed clades */
+  collapsedClades = undefined
 }) {
   // console.log("\n** phylotree.change() (time since last run:", Date.now() - this.timeLastRenderRequested, "ms) **\n\n");
   timerStart("phylotree.change()");
@@ -304,7 +344,21 @@ export const change = function change({
     svgPropsToUpdate.add("stroke-width");
     nodePropsToModify["stroke-width"] = branchThickness;
   }
-  if (newDistance || newLayout || updateLayout || zoomIntoClade || svgHasChangedDimensions) {
+  if (newTipLabelKey) {
+    this.params.tipLabelKey = newTipLabelKey;
+  }
+  if (newExplodeAttr) {
+    this.params.explodeAttr = newExplodeAttr;
+  }
+  if (newScatterVariables) {
+    this.params.scatterVariables = newScatterVariables;
+  }
+  if (metadataStrip) {
+    this.metadataStrip = metadataStrip;
+  }
+  /* both of these change the margins of the tree (to make space for the labels / strip) */
+  const changeMargins = !!(newTipLabelKey || metadataStrip);
+  if (newDistance || newLayout || updateLayout || zoomIntoClade || svgHasChangedDimensions || changeMargins) {
     elemsToUpdate.add(".tip").add(".branch.S").add(".branch.T").add(".branch");
     elemsToUpdate.add(".vaccineCross").add(".vaccineDottedLine").add(".conf");
     elemsToUpdate.add('.branchLabel').add('.tipLabel');
@@ -326,15 +380,26 @@ export const change = function change({
     this.zoomNode = zoomIntoClade.terminal ? zoomIntoClade.parent : zoomIntoClade;
     applyToChildren(this.zoomNode, (d) => {d.inView = true;});
   }
-  if (svgHasChangedDimensions) {
+  if (svgHasChangedDimensions || changeMargins) {
     this.nodes.forEach((d) => {d.update = true;});
   }
+  /* which clades are drawn collapsed depends on the clade in view, so must happen below the zoom */
+  let collapsedCladesChanged = false;
+  if (collapsedClades || zoomIntoClade) {
+    collapsedCladesChanged = this.setCollapsedClades(collapsedClades);
+    if (collapsedCladesChanged) {
+      /* as for a change in layout (see above) */
+      [".tip", ".branch.S", ".branch.T", ".branch", ".vaccineCross", ".vaccineDottedLine", ".conf",
+        ".branchLabel", ".tipLabel", ".grid", ".regression"].forEach((el) => elemsToUpdate.add(el));
+      ["cx", "cy", "d", "opacity", "visibility"].forEach((prop) => svgPropsToUpdate.add(prop));
+    }
+  }
 
   /* run calculations as needed - these update properties on the phylotreeNodes (similar to updateNodesWithNewData) */
   /* distance */
   if (newDistance) this.setDistance(newDistance);
   /* layout (must run after distance) */
-  if (newDistance || newLayout || updateLayout) this.setLayout(newLayout || this.layout);
+  if (newDistance || newLayout || updateLayout || collapsedCladesChanged) this.setLayout(newLayout || this.layout);
   /* mapToScreen */
   if (
     svgPropsToUpdate.has(["stroke-width"]) ||
@@ -342,7 +407,9 @@ export const change = function change({
     newLayout ||
     updateLayout ||
     zoomIntoClade ||
-    svgHasChangedDimensions
+    collapsedCladesChanged ||
+    svgHasChangedDimensions ||
+    changeMargins
   ) {
     this.mapToScreen();
   }
@@ -0,0 +1,162 @@
+import { NODE_VISIBLE } from "../../../util/globals";
+import { setYValues } from "./helpers";
+
+/**
+ * Clades may be collapsed, in which case they're drawn as a single wedge (sized by the square root
+ * of the number of tips, see `collapsedCladeSpan`) rather than as their individual branches & tips. The collapsed clades are defined (by the
+ * names of their nodes) in redux (see `toggleCollapsedClade`), and here we set the following on
+ * the phylotree nodes:
+ *   `d.collapsed` -- the clade is drawn as a wedge
+ *   `d.inCollapsedClade` -- the node is within a collapsed clade, so its branch & tip aren't drawn
+ *   `d.collapsedTips` -- for collapsed nodes, the tips within the clade
+ * A clade is only drawn collapsed if it's within the clade in view (i.e. zooming into a collapsed
+ * clade expands it), and clades within collapsed clades are subsumed by them.
+ */
+
+const arcSegments = 12; /* the number of lines approximating the arc of wedges in radial & unrooted layouts */
+
+/**
+ * @param {Array|undefined} names the names of the collapsed clades. If undefined, those previously set are used.
+ * @returns {bool} whether the clades drawn as collapsed have changed, in which case the y-values have been recomputed
+ * @sideEffect sets `collapsed`, `inCollapsedClade` & `collapsedTips` on the nodes (see above)
+ */
+export const setCollapsedClades = function setCollapsedClades(names) {
+  if (names) this.collapsedCladeNames = new Set(names);
+  const collapsedCladeNames = this.collapsedCladeNames || new Set();
+  let changed = false;
+  const recurse = (d, collapsedAncestor) => {
+    const inCollapsedClade = !!collapsedAncestor;
+    const collapsed = !inCollapsedClade && !d.terminal && d.parent !== d &&
+      d.inView && d.parent.inView && collapsedCladeNames.has(d.n.name);
+    if (!!d.collapsed !== collapsed || !!d.inCollapsedClade !== inCollapsedClade) changed = true;
+    d.collapsed = collapsed;
+    d.inCollapsedClade = inCollapsedClade;
+    if (collapsed) d.collapsedTips = [];
+    if (collapsedAncestor && d.terminal) collapsedAncestor.collapsedTips.push(d);
+    if (!d.terminal) d.children.forEach((child) => recurse(child, collapsedAncestor || (collapsed ? d : undefined)));
+  };
+  recurse(this.nodes[0], undefined);
+  if (changed) {
+    this.ySpan = setYValues(this.nodes);
+    this.nodes.forEach((d) => {d.update = true;});
+  }
+  return changed;
+};
+
+/* the most common colour of the visible tips within the clade, or undefined if none are visible */
+const dominantColour = (tips) => {
+  const counts = new Map();
+  tips.forEach((t) => {
+    if (t.visibility !== NODE_VISIBLE) return;
+    counts.set(t.tipStroke, (counts.get(t.tipStroke) || 0) + 1);
+  });
+  let colour;
+  let max = 0;
+  counts.forEach((count, c) => {
+    if (count > max) [colour, max] = [c, count];
+  });
+  return colour;
+};
+
+/* points (in screen coordinates) along an arc of the given radius around (x, y) from angle a1 to a2 */
+const arcPoints = (phylotree, x, y, radius, a1, a2, polar) => {
+  const points = [];
+  for (let i = 0; i <= arcSegments; i++) {
+    const angle = a1 + ((a2 - a1) * i / arcSegments);
+    const [dx, dy] = polar(radius, angle);
+    points.push([phylotree.xScale(x + dx), phylotree.yScale(y + dy)]);
+  }
+  return points;
+};
+
+/**
+ * The outline of the wedge representing a collapsed clade, from the node to the extent of its tips
+ * @returns {Object} `{points, labelPosition}` in screen coordinates, where `labelPosition` is `[x, y, anchor]`
+ */
+const wedgeGeometry = (phylotree, d) => {
+  const tips = d.collapsedTips;
+  const maxDepth = Math.max(...tips.map((t) => t.depth));
+  let points;
+  if (phylotree.layout === "rect" || phylotree.layout === "explode") {
+    const x = phylotree.xScale(maxDepth);
+    const yRange = phylotree.layout === "explode" ? d.explodedYRange : d.yRange;
+    points = [[d.xTip, d.yTip], [x, phylotree.yScale(yRange[0])], [x, phylotree.yScale(yRange[1])]];
+    const end = phylotree.params.orientation[0] > 0 ? "start" : "end";
+    return {points, labelPosition: [x + (phylotree.params.orientation[0] * 4), phylotree.yScale(d.y), end]};
+  }
+  if (phylotree.layout === "radial") {
+    const offset = phylotree.nodes[0].depth;
+    const [a1, a2] = d.yRange.map((y) => 2.0 * 0.95 * Math.PI * y / phylotree.ySpan);
+    points = [[d.xTip, d.yTip], ...arcPoints(phylotree, 0, 0, maxDepth - offset, a1, a2, (r, a) => [r * Math.sin(a), r * Math.cos(a)])];
+  } else if (phylotree.layout === "unrooted") {
+    points = [[d.xTip, d.yTip], ...arcPoints(phylotree, d.x, d.y, maxDepth - d.depth, d.tau, d.tau + d.w, (r, a) => [r * Math.cos(a), r * Math.sin(a)])];
+  } else { /* scatterplots: the extent of the tips (with values) */
+    const tipsWithValues = tips.filter((t) => !t.missingScatterValue);
+    const xs = (tipsWithValues.length ? tipsWithValues : [d]).map((t) => t.x);
+    const ys = (tipsWithValues.length ? tipsWithValues : [d]).map((t) => t.y);
+    const x = phylotree.xScale(Math.max(...xs));
+    points = [[d.xTip, d.yTip], [x, phylotree.yScale(Math.min(...ys))], [x, phylotree.yScale(Math.max(...ys))]];
+  }
+  const centroid = [0, 1].map((i) => points.reduce((acc, p) => acc + p[i], 0) / points.length);
+  return {points, labelPosition: [...centroid, "middle"]};
+};
+
+const wedgeLabel = (d) => {
+  const label = d.n.branch_attrs && d.n.branch_attrs.labels && d.n.branch_attrs.labels.clade;
+  const nTips = d.collapsedTips.length;
+  return `${label ? `${label} ` : ""}(${nTips} tip${nTips === 1 ? "" : "s"})`;
+};
+
+/**
+ * Draw the wedges (& their labels) representing collapsed clades. These are always SVG elements
+ * (even when the tree is drawn on a canvas) and are redrawn, without transitions, whenever
+ * the positions, colours or visibility of the tips change.
+ */
+export const drawCollapsedClades = function drawCollapsedClades() {
+  if (!("collapsedClades" in this.groups)) {
+    this.groups.collapsedClades = this.svg.append("g").attr("id", "collapsedClades");
+  }
+  this.removeCollapsedClades();
+  const wedges = this.nodes
+    .filter((d) => d.collapsed && d.xTip !== undefined)
+    .map((d) => ({d, colour: dominantColour(d.collapsedTips), ...wedgeGeometry(this, d)}))
+    .filter((wedge) => wedge.colour !== undefined);
+  if (!wedges.length) return;
+  this.groups.collapsedClades
+    .selectAll(".collapsedClade")
+    .data(wedges)
+    .enter()
+      .append("path")
+        .attr("class", "collapsedClade")
+        .attr("d", (w) => `M ${w.points.map((p) => p.join(",")).join(" L ")} Z`)
+        .style("fill", (w) => w.colour)
+        .style("fill-opacity", 0.5)
+        .style("stroke", (w) => w.colour)
+        .style("stroke-width", this.params.branchStrokeWidth)
+        .style("cursor", "pointer")
+        .style("pointer-events", "auto")
+        .on("mouseover", (w) => this.callbacks.onBranchHover(w.d))
+        .on("mouseout", (w) => this.callbacks.onBranchLeave(w.d))
+        .on("click", (w) => this.callbacks.onCollapsedCladeClick(w.d));
+  this.groups.collapsedClades
+    .selectAll(".collapsedCladeLabel")
+    .data(wedges)
+    .enter()
+      .append("text")
+        .attr("class", "collapsedCladeLabel")
+        .attr("x", (w) => w.labelPosition[0])
+        .attr("y", (w) => w.labelPosition[1])
+        .attr("dy", "0.35em")
+        .style("text-anchor", (w) => w.labelPosition[2])
+        .style("font-family", this.params.tipLabelFont)
+        .style("font-size", "11px")
+        .style("fill", this.params.tipLabelFill)
+        .style("pointer-events", "none")
+        .text((w) => wedgeLabel(w.d));
+};
+
+export const removeCollapsedClades = function removeCollapsedClades() {
+  if ("collapsedClades" in this.groups) {
+    this.groups.collapsedClades.selectAll("*").remove();
+  }
+};
@@ -1,4 +1,5 @@
 import { dataFont, darkGrey } from "../../../globalStyles";
+import { hasExtension, getExtension } from "../../../util/extensions";
 
 export const createDefaultParams = () => ({
   regressionStroke: darkGrey,
@@ -21,6 +22,8 @@ export const createDefaultParams = () => ({
   tipFill: "#CCC",
   tipStrokeWidth: 1,
   tipRadius: 4,
+  /* trees with at least this many tips have their branches & tips drawn on a canvas, rather than as SVG elements */
+  canvasTipThreshold: hasExtension("treeCanvasTipThreshold") ? Number(getExtension("treeCanvasTipThreshold")) : 10000,
   fontFamily: dataFont,
   /* B R A N C H   L A B E L S */
   branchLabelKey: false,
@@ -35,11 +38,24 @@ export const createDefaultParams = () => ({
   tipLabelFill: "#555",
   tipLabelPadX: 8,
   tipLabelPadY: 2,
+  tipLabelKey: "strain",
   mapToScreenDebounceTime: 500,
   tipLabelFontSizeL1: 8,
   tipLabelFontSizeL2: 10,
   tipLabelFontSizeL3: 12,
   tipLabelBreakL1: 75,
   tipLabelBreakL2: 50,
-  tipLabelBreakL3: 25
+  tipLabelBreakL3: 25,
+  /* S C A T T E R P L O T   L A Y O U T S */
+  /* the variables plotted on each axis & their titles, and whether the branches & regression are drawn */
+  scatterVariables: {x: "num_date", xLabel: "Date", y: "div", yLabel: "Divergence", showBranches: true, showRegression: true},
+  scatterAxisTitleMargin: 20, /* extra space below & to the left of the axes for their titles */
+  /* E X P L O D E D   L A Y O U T */
+  explodeAttr: undefined, /* the trait whose changes split the tree into subtrees */
+  /* M E T A D A T A   S T R I P */
+  metadataStripCellWidth: 14,
+  metadataStripGap: 2,
+  metadataStripPadX: 8,
+  metadataStripHeaderHeight: 70,
+  metadataStripMinTextHeight: 9 /* the states of alignment columns are only displayed if the cells are at least this tall */
 });
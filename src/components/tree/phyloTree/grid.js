@@ -3,6 +3,7 @@ import { min, max } from "d3-array";
 import { timerStart, timerEnd } from "../../../util/perf";
 import { months } from "../../../util/globals";
 import { numericToCalendar } from "../../../util/dateHelpers";
+import { isScatterplotLayout } from "./helpers";
 
 export const hideGrid = function hideGrid() {
   if ("majorGrid" in this.groups) {
@@ -128,12 +129,12 @@ const createDisplayDate = (step, numDate) => {
 };
 
 
-const computeXGridPoints = (xmin, xmax, layout, distanceMeasure, minorTicks, pxAvailable) => {
+const computeXGridPoints = (xmin, xmax, layout, xVariable, minorTicks, pxAvailable) => {
   const majorGridPoints = [];
   const minorGridPoints = [];
 
   /* step is the amount (same units of xmax, xmin) of seperation between major grid lines */
-  const [step, minorStep] = distanceMeasure === "num_date" ?
+  const [step, minorStep] = xVariable === "num_date" ?
     calculateMajorGridSeperationForTime(xmax-xmin, Math.abs(pxAvailable)) :
     calculateMajorGridSeperationForDivergence(xmax-xmin, minorTicks);
   const gridMin = Math.floor(xmin/step)*step;
@@ -144,7 +145,7 @@ const computeXGridPoints = (xmin, xmax, layout, distanceMeasure, minorTicks, pxA
     const pos = gridMin + step*ii;
     majorGridPoints.push({
       position: pos,
-      name: distanceMeasure === "num_date" ?
+      name: xVariable === "num_date" ?
         createDisplayDate(step, pos) :
         pos.toFixed(Math.max(0, -Math.floor(Math.log10(step)))),
       visibility: ((pos<minVis) || (pos>maxVis)) ? "hidden" : "visible",
@@ -192,9 +193,9 @@ export const addGrid = function addGrid() {
   if (layout==="unrooted") return;
   timerStart("addGrid");
 
-  /* [xmin, xmax] is the domain of the x-axis (rectangular & clock layouts) or polar-axis (radial layouts)
+  /* [xmin, xmax] is the domain of the x-axis (rectangular & scatterplot layouts) or polar-axis (radial layouts)
      [ymin, ymax] for rectangular layouts is [1, n] where n is the number of tips (in the view)
-                      clock layouts is [min_divergence_in_view, max_divergence_in_view]
+                      scatterplot layouts is [min_y_value_in_view, max_y_value_in_view], e.g. divergence for clock layouts
                       radial layouts is the radial domain (negative means "left of north") measured in radians */
   const ymin = min(this.yScale.domain());
   const ymax = max(this.yScale.domain());
@@ -207,8 +208,9 @@ export const addGrid = function addGrid() {
   /* determine grid points (i.e. on the x/polar axis where lines/circles will be drawn through)
   Major grid points are thicker and have text
   Minor grid points have no text */
+  const xVariable = isScatterplotLayout(layout) ? this.params.scatterVariables.x : this.distance;
   const {majorGridPoints, minorGridPoints} = computeXGridPoints(
-    xmin, xmax, layout, this.distance, this.params.minorTicks, xAxisPixels
+    xmin, xmax, layout, xVariable, this.params.minorTicks, xAxisPixels
   );
 
   /* HOF, which returns the fn which constructs the SVG path string
@@ -217,7 +219,7 @@ export const addGrid = function addGrid() {
   const gridline = (xScale, yScale, layoutShadow) => (gridPoint) => {
     let svgPath="";
     if (gridPoint.axis === "x") {
-      if (layoutShadow==="rect" || layoutShadow==="clock") {
+      if (layoutShadow==="rect" || layoutShadow==="explode" || isScatterplotLayout(layoutShadow)) {
         const xPos = xScale(gridPoint.position);
         svgPath = 'M'+xPos.toString() +
           " " +
@@ -254,7 +256,7 @@ export const addGrid = function addGrid() {
     if (gridPoint.axis === "x") { // "normal" labels on the x-axis / polar-axis
       return layoutShadow==="radial" ? xScale(0) : xScale(gridPoint.position);
     }
-    // clock layout y positions (which display divergence)
+    // scatterplot layout y positions (e.g. divergence for clock layouts)
     return xScale.range()[0]-15;
   };
 
@@ -274,9 +276,9 @@ export const addGrid = function addGrid() {
     return "start";
   };
 
-  /* for clock layouts, add y-points to the majorGridPoints array
+  /* for scatterplot layouts, add y-points to the majorGridPoints array
   Note that these don't have lines drawn, only text */
-  if (this.layout==="clock") {
+  if (isScatterplotLayout(this.layout)) {
     majorGridPoints.push(...computeYGridPoints(ymin, ymax).majorGridPoints);
   }
 
@@ -330,6 +332,24 @@ export const addGrid = function addGrid() {
         .attr("x", xTextPos(this.xScale, layout))
         .attr("y", yTextPos(this.yScale, layout));
 
+  /* the titles of the axes of scatterplots, in the margins reserved by `mapToScreen` */
+  if (isScatterplotLayout(layout)) {
+    const {xLabel, yLabel} = this.params.scatterVariables;
+    const xTitlePos = [(this.xScale.range()[0] + this.xScale.range()[1]) / 2, this.yScale.range()[1] + 18 + this.params.scatterAxisTitleMargin];
+    const yTitlePos = [this.xScale.range()[0] - 8 - this.params.scatterAxisTitleMargin, (this.yScale.range()[0] + this.yScale.range()[1]) / 2];
+    [[xLabel, xTitlePos, 0], [yLabel, yTitlePos, -90]].forEach(([label, [x, y], rotation]) => {
+      this.groups.gridText
+        .append("text")
+        .text(label)
+        .attr("class", "gridText axisTitle")
+        .attr("transform", `translate(${x},${y}) rotate(${rotation})`)
+        .style("font-size", this.params.tickLabelSize)
+        .style("font-family", this.params.fontFamily)
+        .style("fill", this.params.tickLabelFill)
+        .style("text-anchor", "middle");
+    });
+  }
+
   this.grid=true;
   timerEnd("addGrid");
 };
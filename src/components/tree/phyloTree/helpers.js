@@ -8,6 +8,17 @@ export const getDomId = (type, strain) => {
   return `${type}_${name}`;
 };
 
+/* the layouts which plot (the nodes of) the tree as a scatterplot, i.e. which don't have branch "Ts" */
+export const isScatterplotLayout = (layout) => layout === "clock" || layout === "scatter";
+
+/** collapsedCladeSpan
+ * The number of y-values (i.e. tips) which a collapsed clade with nTips tips occupies.
+ * This grows with the square root of nTips (with a minimum of 2), so that large clades are
+ * still drawn larger than small ones without a collapsed clade taking up as much space as it
+ * would expanded, e.g. clades of 10, 100 & 1000 tips span 4, 10 & 32 tips respectively.
+ */
+export const collapsedCladeSpan = (nTips) => Math.min(nTips, Math.max(2, Math.ceil(Math.sqrt(nTips))));
+
 /**
  * computes a measure of the total number of leaves for each node in
  * the tree, weighting leaves differently if they are inView.
@@ -17,7 +28,10 @@ export const getDomId = (type, strain) => {
  * @sideEffects sets `node.leafCount` {number} for all nodes
  */
 export const addLeafCount = (node) => {
-  if (node.terminal && node.inView) {
+  if (node.collapsed) {
+    node.children.forEach(addLeafCount);
+    node.leafCount = collapsedCladeSpan(node.collapsedTips.length) * (node.inView ? 1 : 0.15);
+  } else if (node.terminal && node.inView) {
     node.leafCount = 1;
   } else if (node.terminal && !node.inView) {
     node.leafCount = 0.15;
@@ -72,9 +86,22 @@ export const createChildrenAndParentsReturnNumTips = (nodes) => {
   return numTips;
 };
 
+/* set the y-values of all nodes within a (collapsed) clade to the given value */
+const setCladeYValues = (node, yvalue, yRange) => {
+  node.n.yvalue = yvalue;
+  node.yRange = yRange;
+  if (node.children) node.children.forEach((child) => setCladeYValues(child, yvalue, yRange));
+};
+
 /** setYValuesRecursively
+ * Collapsed clades (see collapse.js) occupy `collapsedCladeSpan` y-values, with all their nodes placed at the centre
  */
 export const setYValuesRecursively = (node, yCounter) => {
+  if (node.collapsed) {
+    const span = collapsedCladeSpan(node.collapsedTips.length);
+    setCladeYValues(node, yCounter + ((span + 1) / 2), [yCounter + 1, yCounter + span]);
+    return yCounter + span;
+  }
   if (node.children) {
     for (let i = node.children.length - 1; i >= 0; i--) {
       yCounter = setYValuesRecursively(node.children[i], yCounter);
@@ -97,6 +124,7 @@ export const setYValuesRecursively = (node, yCounter) => {
  * PhyloTree can subsequently use this information. Accessed by prototypes
  * rectangularLayout, radialLayout, createChildrenAndParents
  * side effects: node.n.yvalue (i.e. in the redux node) and node.yRange (i.e. in the phyloTree node)
+ * returns the number of y-values used (i.e. the number of tips, with collapsed clades counted by their span)
  */
 export const setYValues = (nodes) => setYValuesRecursively(nodes[0], 0);
 
@@ -1,5 +1,21 @@
 import { timerFlush } from "d3-timer";
-import { NODE_VISIBLE } from "../../../util/globals";
+import { getTipVisibility } from "./renderers";
+import { getTraitFromNode } from "../../../util/treeMiscHelpers";
+import { numericToCalendar } from "../../../util/dateHelpers";
+
+/** tipLabelText
+ * @param {obj} d phylotree node
+ * @param {str} key "strain" (i.e. the name of the tip), "none", or a coloring, e.g. "country"
+ * @return {str} the text of the tip's label. Empty if there's no label or the value is unknown.
+ */
+export const tipLabelText = (d, key) => {
+  if (key === "strain") return d.n.name;
+  if (key === "none") return "";
+  const value = getTraitFromNode(d.n, key);
+  if (value === undefined) return "";
+  if (key === "num_date") return numericToCalendar(value);
+  return String(value);
+};
 
 export const updateTipLabels = function updateTipLabels(dt) {
   if ("tipLabels" in this.groups) {
@@ -7,13 +23,14 @@ export const updateTipLabels = function updateTipLabels(dt) {
   } else {
     this.groups.tipLabels = this.svg.append("g").attr("id", "tipLabels");
   }
+  if (this.params.tipLabelKey === "none") return;
 
-  const tLFunc = this.callbacks.tipLabel;
+  const tipLabelKey = this.params.tipLabelKey;
   const xPad = this.params.tipLabelPadX;
   const yPad = this.params.tipLabelPadY;
   const inViewTerminalNodes = this.nodes
     .filter((d) => d.terminal)
-    .filter((d) => d.inView);
+    .filter((d) => d.inView && !d.inCollapsedClade);
   // console.log(`there are ${inViewTerminalNodes.length} nodes in view`)
   if (inViewTerminalNodes.length < this.params.tipLabelBreakL1) {
 
@@ -33,10 +50,10 @@ export const updateTipLabels = function updateTipLabels(dt) {
         .append("text")
         .attr("x", (d) => d.xTip + xPad)
         .attr("y", (d) => d.yTip + yPad)
-        .text((d) => tLFunc(d))
+        .text((d) => tipLabelText(d, tipLabelKey))
         .attr("class", "tipLabel")
         .style("font-size", fontSize.toString()+"px")
-        .style('visibility', (d) => d.visibility === NODE_VISIBLE ? "visible" : "hidden");
+        .style('visibility', getTipVisibility);
     }, dt);
   }
 };
@@ -69,18 +86,20 @@ const branchLabelFontWeight = (key) => {
  * @param {str} key e.g. "aa" or "clade"
  * @param {str} layout
  * @param {int} totalTipsInView visible tips also in view
- * @return {func||str}
+ * @return {func}
  */
 const createBranchLabelVisibility = (key, layout, totalTipsInView) => {
-  if (key === "clade") return "visible";
   const magicTipFractionToShowBranchLabel = 0.05;
   return (d) => {
+    /* labels within collapsed clades are hidden, as their branches aren't drawn */
+    if (d.inCollapsedClade) return "hidden";
+    if (key === "clade") return "visible";
     /* if the number of _visible_ tips descending from this node are over the
     magicTipFractionToShowBranchLabel (c/w the total numer of _visible_ and
     _inView_ tips then display the label */
     if (
       d.n.tipCount > magicTipFractionToShowBranchLabel * totalTipsInView &&
-      layout === "rect"
+      (layout === "rect" || layout === "explode")
     ) {
       return "visible";
     }
@@ -1,15 +1,17 @@
 /* eslint-disable no-multi-spaces */
 /* eslint-disable space-infix-ops */
 import { min, max, sum } from "d3-array";
-import { addLeafCount } from "./helpers";
+import { addLeafCount, collapsedCladeSpan, isScatterplotLayout } from "./helpers";
+import { tipLabelText } from "./labels";
+import { showMetadataStrip, metadataStripWidth } from "./metadataStrip";
 import { timerStart, timerEnd } from "../../../util/perf";
-import { getTraitFromNode, getDivFromNode } from "../../../util/treeMiscHelpers";
+import { getTraitFromNode, getDivFromNode, getScatterValueFromNode } from "../../../util/treeMiscHelpers";
 
 /**
  * assigns the attribute this.layout and calls the function that
  * calculates the x,y coordinates for the respective layouts
  * @param layout -- the layout to be used, has to be one of
- *                  ["rect", "radial", "unrooted", "clock"]
+ *                  ["rect", "radial", "unrooted", "clock", "scatter", "explode"]
  */
 export const setLayout = function setLayout(layout) {
   // console.log("set layout");
@@ -22,14 +24,20 @@ export const setLayout = function setLayout(layout) {
   } else {
     this.layout = layout;
   }
+  /* only the scatterplot layouts have nodes which aren't drawn as they're missing values */
+  if (!isScatterplotLayout(this.layout)) {
+    this.nodes.forEach((d) => {d.missingScatterValue = false;});
+  }
   if (this.layout === "rect") {
     this.rectangularLayout();
-  } else if (this.layout === "clock") {
-    this.timeVsRootToTip();
+  } else if (isScatterplotLayout(this.layout)) {
+    this.scatterplotLayout();
   } else if (this.layout === "radial") {
     this.radialLayout();
   } else if (this.layout === "unrooted") {
     this.unrootedLayout();
+  } else if (this.layout === "explode") {
+    this.explodeLayout();
   }
   timerEnd("setLayout");
 };
@@ -56,46 +64,150 @@ export const rectangularLayout = function rectangularLayout() {
 };
 
 /**
- * assign x,y coordinates fro the root-to-tip regression layout
- * this requires a time tree with `num_date` info set
- * in addition, this function calculates a regression between
- * num_date and div which is saved as this.regression
+ * assigns x,y coordinates for the "exploded" layout, where the tree is split into subtrees wherever the value of
+ * the trait `this.params.explodeAttr` changes along a branch. Each subtree is drawn as a rectangular tree, with the
+ * branch leading to it starting at the divergence / date of its parent, and the subtrees are placed one above the
+ * other (those in view first, then by their number of tips). Clades within collapsed clades aren't split.
+ * The y-values used by the other layouts (`d.n.yvalue`, `d.yRange`) aren't modified, instead
+ * `d.explodedYRange` is set (the extent of the children within the same subtree).
  * @return {null}
  */
-export const timeVsRootToTip = function timeVsRootToTip() {
+export const explodeLayout = function explodeLayout() {
+  const attr = this.params.explodeAttr;
+  /* the root of the clade in view starts a subtree, so that the subtrees in view are contiguous */
+  const zoomNode = this.nodes.find((d) => d.inView && (d.parent === d || !d.parent.inView));
+  const startsSubtree = (d) =>
+    d.parent === d ||
+    d === zoomNode ||
+    (!d.inCollapsedClade && getTraitFromNode(d.n, attr) !== getTraitFromNode(d.parent.n, attr));
+  const childrenInSubtree = (d) => (d.terminal || d.collapsed ? [] : d.children.filter((c) => !startsSubtree(c)));
+  const subtrees = this.nodes.filter((d) => startsSubtree(d)).map((root) => {
+    let nTips = 0;
+    const countTips = (d) => {
+      const children = childrenInSubtree(d);
+      if (!children.length) nTips++;
+      children.forEach(countTips);
+    };
+    countTips(root);
+    return {root, nTips};
+  });
+  subtrees.sort((a, b) => (b.root.inView - a.root.inView) || (b.nTips - a.nTips));
+
+  /* place the nodes of each subtree, as per `setYValuesRecursively`, with a gap between subtrees */
+  const gap = Math.max(2, Math.ceil(0.02 * this.numberOfTips));
+  const setCladeY = (d, y) => {
+    d.y = y;
+    if (!d.terminal) d.children.forEach((c) => setCladeY(c, y));
+  };
+  const place = (d, yCounter) => {
+    const children = childrenInSubtree(d);
+    if (d.collapsed) {
+      const span = collapsedCladeSpan(d.collapsedTips.length);
+      setCladeY(d, yCounter + ((span + 1) / 2));
+      d.explodedYRange = [yCounter + 1, yCounter + span];
+      return yCounter + span;
+    }
+    if (!children.length) {
+      d.y = yCounter + 1;
+      d.explodedYRange = [d.y, d.y];
+      return yCounter + 1;
+    }
+    for (let i = children.length - 1; i >= 0; i--) {
+      yCounter = place(children[i], yCounter); // eslint-disable-line no-param-reassign
+    }
+    d.y = children.reduce((acc, c) => acc + c.y, 0) / children.length;
+    d.explodedYRange = [children[0].y, children[children.length - 1].y];
+    return yCounter;
+  };
+  let yCounter = 0;
+  subtrees.forEach(({root}) => {
+    yCounter = place(root, yCounter) + gap;
+  });
+
   this.nodes.forEach((d) => {
-    d.y = getDivFromNode(d.n);
-    d.x = getTraitFromNode(d.n, "num_date");
-    d.px = getTraitFromNode(d.n.parent, "num_date");
-    d.py = getDivFromNode(d.n.parent);
+    d.x = d.depth;
+    d.px = d.pDepth;
+    d.py = d.y;
   });
-  if (this.vaccines) { /* overlay vaccine cross on tip */
+  if (this.vaccines) {
     this.vaccines.forEach((d) => {
-      d.xCross = d.x;
+      d.xCross = d.crossDepth;
       d.yCross = d.y;
     });
   }
-  const nTips = this.numberOfTips;
-  // REGRESSION WITH FREE INTERCEPT
-  // const meanDiv = d3.sum(this.nodes.filter((d)=>d.terminal).map((d)=>d.y))/nTips;
-  // const meanTime = d3.sum(this.nodes.filter((d)=>d.terminal).map((d)=>d.depth))/nTips;
-  // const covarTimeDiv = d3.sum(this.nodes.filter((d)=>d.terminal).map((d)=>(d.y-meanDiv)*(d.depth-meanTime)))/nTips;
-  // const varTime = d3.sum(this.nodes.filter((d)=>d.terminal).map((d)=>(d.depth-meanTime)*(d.depth-meanTime)))/nTips;
-  // const slope = covarTimeDiv/varTime;
-  // const intercept = meanDiv-meanTime*slope;
-  // REGRESSION THROUGH ROOT
-  const offset = this.nodes[0].depth;
-  const XY = sum(
-    this.nodes.filter((d) => d.terminal)
-      .map((d) => (d.y) * (d.depth - offset))
-  ) / nTips;
-  const secondMomentTime = sum(
-    this.nodes.filter((d) => d.terminal)
-      .map((d) => (d.depth - offset) * (d.depth - offset))
-  ) / nTips;
+};
+
+/* the proportion of the variance in y explained by the regression.
+Undefined if there's no variance in y (e.g. all tips have the same value) */
+const coefficientOfDetermination = (tips, slope, intercept) => {
+  const meanY = sum(tips.map((d) => d.y)) / tips.length;
+  const residualSS = sum(tips.map((d) => (d.y - intercept - slope * d.x) * (d.y - intercept - slope * d.x)));
+  const totalSS = sum(tips.map((d) => (d.y - meanY) * (d.y - meanY)));
+  if (totalSS === 0) return undefined;
+  return 1 - (residualSS / totalSS);
+};
+
+/* regression (of divergence on date) through the root, i.e. the root is taken to have a divergence of zero */
+const regressionThroughRoot = (tips, offset) => {
+  if (tips.length < 2) return undefined;
+  const XY = sum(tips.map((d) => (d.y) * (d.x - offset))) / tips.length;
+  const secondMomentTime = sum(tips.map((d) => (d.x - offset) * (d.x - offset))) / tips.length;
   const slope = XY / secondMomentTime;
   const intercept = -offset * slope;
-  this.regression = {slope: slope, intercept: intercept};
+  if (!Number.isFinite(slope)) return undefined;
+  return {slope, intercept, r2: coefficientOfDetermination(tips, slope, intercept)};
+};
+
+/* least-squares regression with a free intercept */
+const regressionWithFreeIntercept = (tips) => {
+  if (tips.length < 2) return undefined;
+  const meanX = sum(tips.map((d) => d.x)) / tips.length;
+  const meanY = sum(tips.map((d) => d.y)) / tips.length;
+  const covarXY = sum(tips.map((d) => (d.x - meanX) * (d.y - meanY))) / tips.length;
+  const varX = sum(tips.map((d) => (d.x - meanX) * (d.x - meanX))) / tips.length;
+  const slope = covarXY / varX;
+  const intercept = meanY - (meanX * slope);
+  if (!Number.isFinite(slope)) return undefined;
+  return {slope, intercept, r2: coefficientOfDetermination(tips, slope, intercept)};
+};
+
+/**
+ * assign x,y coordinates for the scatterplot layouts, where the variables on each axis are given by
+ * `this.params.scatterVariables` (see `getScatterVariables`). The "clock" layout is a scatterplot of
+ * divergence against sampling date, i.e. a root-to-tip regression.
+ * Nodes without a value for either variable are flagged via `d.missingScatterValue` and aren't drawn.
+ * In addition, this function calculates a regression of y on x (across the tips) which is saved as this.regression
+ * @return {null}
+ */
+export const scatterplotLayout = function scatterplotLayout() {
+  const {x, y} = this.params.scatterVariables;
+  this.nodes.forEach((d) => {
+    d.x = getScatterValueFromNode(d.n, x);
+    d.y = getScatterValueFromNode(d.n, y);
+    d.missingScatterValue = d.x === undefined || d.y === undefined;
+  });
+  /* nodes without values are (invisibly) placed at the minimum values, so that their SVG elements remain valid */
+  const nodesWithValues = this.nodes.filter((d) => !d.missingScatterValue);
+  const minX = nodesWithValues.length ? min(nodesWithValues, (d) => d.x) : 0;
+  const minY = nodesWithValues.length ? min(nodesWithValues, (d) => d.y) : 0;
+  this.nodes.filter((d) => d.missingScatterValue).forEach((d) => {
+    d.x = minX;
+    d.y = minY;
+  });
+  this.nodes.forEach((d) => {
+    d.px = d.parent.x;
+    d.py = d.parent.y;
+  });
+  if (this.vaccines) { /* overlay vaccine cross on tip */
+    this.vaccines.forEach((d) => {
+      d.xCross = d.x;
+      d.yCross = d.y;
+    });
+  }
+  const tips = this.nodes.filter((d) => d.terminal && !d.missingScatterValue);
+  this.regression = this.layout === "clock" ?
+    regressionThroughRoot(tips, this.nodes[0].x) :
+    regressionWithFreeIntercept(tips);
 };
 
 /*
@@ -168,7 +280,7 @@ export const unrootedLayout = function unrootedLayout() {
  * @return {null}
  */
 export const radialLayout = function radialLayout() {
-  const nTips = this.numberOfTips;
+  const nTips = this.ySpan; /* the number of tips, with collapsed clades counted by their span */
   const offset = this.nodes[0].depth;
   this.nodes.forEach((d) => {
     const angleCBar1 = 2.0 * 0.95 * Math.PI * d.yRange[0] / nTips;
@@ -279,7 +391,7 @@ export const mapToScreen = function mapToScreen() {
     right: this.params.margins.right,
     top: this.params.margins.top,
     bottom: this.params.margins.bottom};
-  const inViewTerminalNodes = this.nodes.filter((d) => d.terminal).filter((d) => d.inView);
+  const inViewTerminalNodes = this.nodes.filter((d) => d.terminal).filter((d) => d.inView && !d.inCollapsedClade);
   if (inViewTerminalNodes.length < this.params.tipLabelBreakL1) {
 
     let fontSize = this.params.tipLabelFontSizeL1;
@@ -292,25 +404,46 @@ export const mapToScreen = function mapToScreen() {
 
     let padBy = 0;
     inViewTerminalNodes.forEach((d) => {
-      if (padBy < d.n.name.length) {
-        padBy = 0.65 * d.n.name.length * fontSize;
+      const labelLength = tipLabelText(d, this.params.tipLabelKey).length;
+      if (padBy < 0.65 * labelLength * fontSize) {
+        padBy = 0.65 * labelLength * fontSize;
       }
     });
     tmpMargins.right += padBy;
   }
+  /* reserve space for the metadata strip to the right of the tree (& tip labels) */
+  const labelMarginRight = tmpMargins.right;
+  if (showMetadataStrip(this)) {
+    tmpMargins.right += this.params.metadataStripPadX + metadataStripWidth(this);
+    tmpMargins.top += this.params.metadataStripHeaderHeight;
+  }
+  /* reserve space for the axis titles of scatterplots (see `addGrid`) */
+  if (isScatterplotLayout(this.layout)) {
+    tmpMargins.left += this.params.scatterAxisTitleMargin;
+    tmpMargins.bottom += this.params.scatterAxisTitleMargin;
+  }
 
   /* set the range of the x & y scales */
   this.setScales(tmpMargins);
+  this.metadataStripX = this.xScale.range()[1] + (labelMarginRight - this.params.margins.right) + this.params.metadataStripPadX;
 
   /* find minimum & maximum x & y values */
   let [minY, maxY, minX, maxX] = [1000000, 0, 1000000, 0];
-  this.nodes.filter((d) => d.inView).forEach((d) => {
+  if (isScatterplotLayout(this.layout)) { /* the values of scatterplot variables may be negative */
+    [minY, maxY, minX, maxX] = [Infinity, -Infinity, Infinity, -Infinity];
+  }
+  this.nodes.filter((d) => d.inView && !d.missingScatterValue).forEach((d) => {
     if (d.x > maxX) maxX = d.x;
     if (d.y > maxY) maxY = d.y;
     if (d.x < minX) minX = d.x;
     if (d.y < minY) minY = d.y;
   });
 
+  /* fixes state of no nodes in view having values (scatterplots only) */
+  if (minX > maxX || minY > maxY) {
+    [minY, maxY, minX, maxX] = [0, 1, 0, 1];
+  }
+
   /* fixes state of 0 length domain */
   if (minX === maxX) {
     minX -= 0.005;
@@ -344,7 +477,7 @@ export const mapToScreen = function mapToScreen() {
     const xSlack = (spanX<spanY) ? (spanY-spanX)*0.5 : 0.0;
     this.xScale.domain([minX-xSlack, minX+maxSpan-xSlack]);
     this.yScale.domain([minY-ySlack, minY+maxSpan-ySlack]);
-  } else if (this.layout==="clock") {
+  } else if (isScatterplotLayout(this.layout)) {
     // same as rectangular, but flipped yscale
     this.xScale.domain([minX, maxX]);
     this.yScale.domain([maxY, minY]);
@@ -370,15 +503,18 @@ export const mapToScreen = function mapToScreen() {
   }
 
   // assign the branches as path to each node for the different layouts
-  if (this.layout==="clock" || this.layout==="unrooted") {
+  if (isScatterplotLayout(this.layout) || this.layout==="unrooted") {
     this.nodes.forEach((d) => {
       d.branch = [" M "+d.xBase.toString()+","+d.yBase.toString()+" L "+d.xTip.toString()+","+d.yTip.toString(), ""];
     });
-  } else if (this.layout==="rect") {
+  } else if (this.layout==="rect" || this.layout==="explode") {
     this.nodes.forEach((d) => {
       const stem_offset = 0.5*(d.parent["stroke-width"] - d["stroke-width"]) || 0.0;
-      const childrenY = [this.yScale(d.yRange[0]), this.yScale(d.yRange[1])];
-      d.branch =[` M ${d.xBase - stem_offset},${d.yBase} L ${d.xTip},${d.yTip} M ${d.xTip},${childrenY[0]} L ${d.xTip},${childrenY[1]}`];
+      const yRange = this.layout==="explode" ? d.explodedYRange : d.yRange;
+      const childrenY = [this.yScale(yRange[0]), this.yScale(yRange[1])];
+      d.branch = d.collapsed ? /* the wedge replaces the vertical line */
+        [` M ${d.xBase - stem_offset},${d.yBase} L ${d.xTip},${d.yTip}`] :
+        [` M ${d.xBase - stem_offset},${d.yBase} L ${d.xTip},${d.yTip} M ${d.xTip},${childrenY[0]} L ${d.xTip},${childrenY[1]}`];
       if (this.params.confidence) {
         d.confLine =` M ${this.xScale(d.conf[0])},${d.yBase} L ${this.xScale(d.conf[1])},${d.yTip}`;
       }
@@ -394,7 +530,7 @@ export const mapToScreen = function mapToScreen() {
         + " "+(d.yBase-stem_offset_radial[i]*Math.cos(d.angle)).toString()
         + " L "+d.xTip.toString()+" "+d.yTip.toString(), ""
       ];
-      if (!d.terminal) {
+      if (!d.terminal && !d.collapsed) {
         d.branch[1] =[" M "+this.xScale(d.xCBarStart).toString()+" "+this.yScale(d.yCBarStart).toString()+
         " A "+(this.xScale(d.depth)-this.xScale(offset)).toString()+" "
         +(this.yScale(d.depth)-this.yScale(offset)).toString()
@@ -403,5 +539,13 @@ export const mapToScreen = function mapToScreen() {
       }
     });
   }
+  /* nodes within collapsed clades are represented by the clade's wedge (see collapse.js) */
+  this.nodes.filter((d) => d.inCollapsedClade).forEach((d) => {
+    d.branch = ["", ""];
+    if (d.confLine !== undefined) d.confLine = "";
+  });
+  if (this.vaccines) {
+    this.vaccines.filter((d) => d.inCollapsedClade).forEach((d) => {d.vaccineCross = "";});
+  }
   timerEnd("mapToScreen");
 };
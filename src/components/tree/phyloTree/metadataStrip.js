@@ -0,0 +1,220 @@
+import { NODE_VISIBLE } from "../../../util/globals";
+import { tipLabelText } from "./labels";
+
+/**
+ * The metadata strip is a set of columns drawn to the right of the (rectangular) tree, one per
+ * chosen coloring, where each tip has a cell coloured by its value (akin to ggtree's `gheatmap`).
+ * `this.metadataStrip` is a list of `{key, title, colors}`, where `colors` has the colour of
+ * each node (indexed by `arrayIdx`, i.e. in the same order as `this.nodes`). Space for the strip is reserved by `mapToScreen`,
+ * which sets `this.metadataStripX` (the x position of the first column).
+ * The columns of the alignment strip (see `calcAlignmentStrip`) follow those of the metadata, and additionally
+ * have the state of each node (`values`) & are flagged as `alignment`. The states are displayed if there's room.
+ */
+
+/* is the metadata strip to be drawn? It's only displayed for the rectangular (& exploded) layouts */
+export const showMetadataStrip = (phylotree) =>
+  (phylotree.layout === "rect" || phylotree.layout === "explode") && !!phylotree.metadataStrip && phylotree.metadataStrip.length > 0;
+
+/* the x offset of each column (relative to the first), where the alignment columns are separated from the metadata */
+const columnOffsets = (phylotree) => {
+  const offsets = [];
+  let x = 0;
+  phylotree.metadataStrip.forEach((column, i) => {
+    if (i > 0 && column.alignment && !phylotree.metadataStrip[i - 1].alignment) x += phylotree.params.metadataStripPadX;
+    offsets.push(x);
+    x += phylotree.params.metadataStripCellWidth + phylotree.params.metadataStripGap;
+  });
+  return offsets;
+};
+
+/* the width (in pixels) taken up by the strip, excluding its padding */
+export const metadataStripWidth = (phylotree) => {
+  const offsets = columnOffsets(phylotree);
+  return offsets[offsets.length - 1] + phylotree.params.metadataStripCellWidth;
+};
+
+const truncate = (str, n) => (str.length > n ? `${str.slice(0, n - 1)}…` : str);
+
+/* the value of the tip represented by a cell */
+const cellValue = (c) => (c.column.values ? c.column.values[c.d.n.arrayIdx] : tipLabelText(c.d, c.column.key));
+
+/* the title (tooltip) of a cell */
+const cellTitle = (c) => `${c.d.n.name}\n${c.column.title}: ${cellValue(c) || "unknown"}`;
+
+const isCellVisible = (c) => c.d.visibility === NODE_VISIBLE;
+
+/* a key which identifies a cell across redraws, so that existing elements are updated rather than recreated */
+const cellKey = (c) => `${c.column.key}|${c.d.n.arrayIdx}`;
+
+/**
+ * The cells of the strip, one per (in view) tip per column
+ * @returns {Object} `{cells, cellWidth, cellHeight}` where each cell is `{d, column, x, colour}`
+ */
+const calcCells = (phylotree) => {
+  const cellWidth = phylotree.params.metadataStripCellWidth;
+  const offsets = columnOffsets(phylotree);
+  /* adjacent tips are one y-value apart */
+  const cellHeight = Math.max(1, Math.abs(phylotree.yScale(1) - phylotree.yScale(0)));
+  const tips = phylotree.nodes.filter((d) => d.terminal && d.inView && !d.inCollapsedClade);
+  const cells = [];
+  phylotree.metadataStrip.forEach((column, i) => {
+    tips.forEach((d) => {
+      cells.push({d, column, x: phylotree.metadataStripX + offsets[i], colour: column.colors[d.n.arrayIdx]});
+    });
+  });
+  return {cells, cellWidth, cellHeight};
+};
+
+/* the cells of the alignment columns which display their state, if the cells are large enough to display them */
+const stateCells = (phylotree, cells, cellHeight) => (cellHeight >= phylotree.params.metadataStripMinTextHeight ?
+  cells.filter((c) => c.column.alignment && cellValue(c)) :
+  []);
+
+const stateFontSize = (cellWidth, cellHeight) => Math.min(cellHeight - 2, cellWidth);
+
+/**
+ * Draw the cells (& alignment states) of the strip onto a canvas (see canvas.js), in place of SVG elements
+ * per cell. The area of the strip is cleared first, so this may be called whenever the strip changes.
+ * @param {CanvasRenderingContext2D} ctx
+ */
+export const drawMetadataStripOnCanvas = (phylotree, ctx) => {
+  if (!showMetadataStrip(phylotree)) return;
+  const {cells, cellWidth, cellHeight} = calcCells(phylotree);
+  ctx.clearRect(phylotree.metadataStripX, 0, metadataStripWidth(phylotree), phylotree.canvasDimensions.height);
+  cells.forEach((c) => {
+    if (!isCellVisible(c)) return;
+    ctx.fillStyle = c.colour;
+    ctx.fillRect(c.x, c.d.yTip - (cellHeight / 2), cellWidth, cellHeight);
+  });
+  ctx.font = `${stateFontSize(cellWidth, cellHeight)}px ${phylotree.params.tipLabelFont}`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = phylotree.params.tipLabelFill;
+  stateCells(phylotree, cells, cellHeight).forEach((c) => {
+    if (isCellVisible(c)) ctx.fillText(cellValue(c), c.x + (cellWidth / 2), c.d.yTip);
+  });
+};
+
+/**
+ * The cell at (x, y), if any. Used for the tooltips of cells drawn on a canvas.
+ * @returns {string|undefined} the title of the cell
+ */
+export const metadataStripTitleAt = (phylotree, x, y) => {
+  if (!showMetadataStrip(phylotree)) return undefined;
+  const cellWidth = phylotree.params.metadataStripCellWidth;
+  const columnIdx = columnOffsets(phylotree).findIndex((offset) =>
+    x >= phylotree.metadataStripX + offset && x <= phylotree.metadataStripX + offset + cellWidth);
+  if (columnIdx === -1) return undefined;
+  const cellHeight = Math.max(1, Math.abs(phylotree.yScale(1) - phylotree.yScale(0)));
+  const d = phylotree.nodes.find((n) => n.terminal && n.inView && !n.inCollapsedClade &&
+    n.visibility === NODE_VISIBLE && Math.abs(y - n.yTip) <= cellHeight / 2);
+  return d ? cellTitle({d, column: phylotree.metadataStrip[columnIdx]}) : undefined;
+};
+
+/**
+ * The SVG elements equivalent to the cells drawn on the canvas, for exporting the tree as an SVG
+ * @returns {string}
+ */
+export const metadataStripCanvasElementsAsSVG = (phylotree) => {
+  if (!showMetadataStrip(phylotree)) return "";
+  const {cells, cellWidth, cellHeight} = calcCells(phylotree);
+  const elements = cells.filter(isCellVisible).map((c) =>
+    `<rect class="metadataStripCell" x="${c.x}" y="${c.d.yTip - (cellHeight / 2)}" width="${cellWidth}" height="${cellHeight}" style="fill: ${c.colour};"></rect>`
+  );
+  const fontSize = stateFontSize(cellWidth, cellHeight);
+  stateCells(phylotree, cells, cellHeight).filter(isCellVisible).forEach((c) => {
+    elements.push(`<text class="metadataStripState" x="${c.x + (cellWidth / 2)}" y="${c.d.yTip}" dy="0.35em" style="text-anchor: middle; font-family: ${phylotree.params.tipLabelFont}; font-size: ${fontSize}px; fill: ${phylotree.params.tipLabelFill};">${cellValue(c)}</text>`);
+  });
+  return `<g id="metadataStripCells">${elements.join("")}</g>`;
+};
+
+/**
+ * Draw (or update) the strip. Existing elements are updated, rather than removed & recreated.
+ * For canvas rendering the cells are drawn onto the canvas, with only the column headers as SVG elements.
+ */
+export const drawMetadataStrip = function drawMetadataStrip() {
+  if (!showMetadataStrip(this)) {
+    this.removeMetadataStrip();
+    return;
+  }
+  if (!("metadataStrip" in this.groups)) {
+    this.groups.metadataStrip = this.svg.append("g").attr("id", "metadataStrip");
+    /* separate groups, so that the states are always drawn over the cells, however the elements are added */
+    ["metadataStripCells", "metadataStripStates", "metadataStripHeaders"].forEach((name) => {
+      this.groups.metadataStrip.append("g").attr("class", name);
+    });
+  }
+  this.groups.metadataStrip.style("display", null); /* see `hideMetadataStrip` */
+  const {cells, cellWidth, cellHeight} = calcCells(this);
+  if (this.renderer === "canvas") {
+    drawMetadataStripOnCanvas(this, this.canvas.getContext("2d"));
+  } else {
+    const rects = this.groups.metadataStrip.select(".metadataStripCells")
+      .selectAll(".metadataStripCell")
+      .data(cells, cellKey);
+    rects.exit().remove();
+    rects.enter()
+      .append("rect")
+        .attr("class", "metadataStripCell")
+        .attr("width", cellWidth)
+        .call((entered) => entered.append("title"))
+      .merge(rects)
+        .attr("x", (c) => c.x)
+        .attr("y", (c) => c.d.yTip - (cellHeight / 2))
+        .attr("height", cellHeight)
+        .style("fill", (c) => c.colour)
+        .style("visibility", (c) => isCellVisible(c) ? "visible" : "hidden")
+      .select("title")
+        .text(cellTitle);
+    /* the states of the alignment columns */
+    const states = this.groups.metadataStrip.select(".metadataStripStates")
+      .selectAll(".metadataStripState")
+      .data(stateCells(this, cells, cellHeight), cellKey);
+    states.exit().remove();
+    states.enter()
+      .append("text")
+        .attr("class", "metadataStripState")
+        .attr("dy", "0.35em")
+        .style("text-anchor", "middle")
+        .style("font-family", this.params.tipLabelFont)
+        .style("fill", this.params.tipLabelFill)
+        .style("pointer-events", "none")
+      .merge(states)
+        .attr("x", (c) => c.x + (cellWidth / 2))
+        .attr("y", (c) => c.d.yTip)
+        .style("font-size", `${stateFontSize(cellWidth, cellHeight)}px`)
+        .style("visibility", (c) => isCellVisible(c) ? "visible" : "hidden")
+        .text(cellValue);
+  }
+  /* column headers (vertical) above the tree */
+  const offsets = columnOffsets(this);
+  const top = this.yScale.range()[0] - 4;
+  const headers = this.groups.metadataStrip.select(".metadataStripHeaders")
+    .selectAll(".metadataStripHeader")
+    .data(this.metadataStrip, (column) => column.key);
+  headers.exit().remove();
+  headers.enter()
+    .append("text")
+      .attr("class", "metadataStripHeader")
+      .attr("dy", "0.35em")
+      .style("text-anchor", "start")
+      .style("font-family", this.params.tipLabelFont)
+      .style("font-size", "11px")
+      .style("fill", this.params.tipLabelFill)
+    .merge(headers)
+      .attr("transform", (column, i) => `translate(${this.metadataStripX + offsets[i] + (cellWidth / 2)},${top}) rotate(-90)`)
+      .text((column) => truncate(column.title, 12));
+};
+
+export const removeMetadataStrip = function removeMetadataStrip() {
+  if ("metadataStrip" in this.groups) {
+    this.groups.metadataStrip.selectAll(".metadataStripCell, .metadataStripState, .metadataStripHeader").remove();
+  }
+};
+
+/* hide the strip while the tree is being rearranged, such that its elements can then be updated by `drawMetadataStrip` */
+export const hideMetadataStrip = function hideMetadataStrip() {
+  if ("metadataStrip" in this.groups) {
+    this.groups.metadataStrip.style("display", "none");
+  }
+};
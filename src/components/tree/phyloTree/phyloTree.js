@@ -9,6 +9,9 @@ import * as layouts from "./layouts";
 import * as grid from "./grid";
 import * as confidence from "./confidence";
 import * as labels from "./labels";
+import * as canvas from "./canvas";
+import * as collapse from "./collapse";
+import * as metadataStrip from "./metadataStrip";
 
 /* phylogenetic tree drawing function - the actual tree is rendered by the render prototype */
 const PhyloTree = function PhyloTree(reduxNodes, debugId) {
@@ -37,7 +40,9 @@ const PhyloTree = function PhyloTree(reduxNodes, debugId) {
     return phyloNode;
   });
   this.numberOfTips = createChildrenAndParentsReturnNumTips(this.nodes);
-  setYValues(this.nodes);
+  this.ySpan = setYValues(this.nodes);
+  /* large trees draw their branches & tips onto a canvas rather than as SVG elements (see ./canvas.js) */
+  this.renderer = canvas.shouldUseCanvas(this.numberOfTips, this.params) ? "canvas" : "svg";
   this.xScale = scaleLinear();
   this.yScale = scaleLinear();
   this.zoomNode = this.nodes[0];
@@ -64,13 +69,24 @@ PhyloTree.prototype.drawVaccines = renderers.drawVaccines;
 PhyloTree.prototype.drawRegression = renderers.drawRegression;
 PhyloTree.prototype.removeRegression = renderers.removeRegression;
 
+/* C A N V A S    R E N D E R I N G    ( L A R G E    T R E E S ) */
+PhyloTree.prototype.setUpCanvas = canvas.setUpCanvas;
+PhyloTree.prototype.drawCanvas = canvas.drawCanvas;
+PhyloTree.prototype.setCanvasHighlight = canvas.setCanvasHighlight;
+PhyloTree.prototype.drawCanvasHighlights = canvas.drawCanvasHighlights;
+PhyloTree.prototype.setCanvasHovered = canvas.setCanvasHovered;
+PhyloTree.prototype.onCanvasMouseMove = canvas.onCanvasMouseMove;
+PhyloTree.prototype.onCanvasClick = canvas.onCanvasClick;
+PhyloTree.prototype.canvasElementsAsSVG = canvas.canvasElementsAsSVG;
+
 /* C A L C U L A T E    G E O M E T R I E S  E T C   ( M O D I F I E S    N O D E S ,    N O T    S V G ) */
 PhyloTree.prototype.setDistance = layouts.setDistance;
 PhyloTree.prototype.setLayout = layouts.setLayout;
 PhyloTree.prototype.rectangularLayout = layouts.rectangularLayout;
-PhyloTree.prototype.timeVsRootToTip = layouts.timeVsRootToTip;
+PhyloTree.prototype.scatterplotLayout = layouts.scatterplotLayout;
 PhyloTree.prototype.unrootedLayout = layouts.unrootedLayout;
 PhyloTree.prototype.radialLayout = layouts.radialLayout;
+PhyloTree.prototype.explodeLayout = layouts.explodeLayout;
 PhyloTree.prototype.setScales = layouts.setScales;
 PhyloTree.prototype.mapToScreen = layouts.mapToScreen;
 
@@ -86,6 +102,16 @@ PhyloTree.prototype.updateBranchLabels = labels.updateBranchLabels;
 PhyloTree.prototype.updateTipLabels = labels.updateTipLabels;
 PhyloTree.prototype.removeTipLabels = labels.removeTipLabels;
 
+/* C O L L A P S E D   C L A D E S */
+PhyloTree.prototype.setCollapsedClades = collapse.setCollapsedClades;
+PhyloTree.prototype.drawCollapsedClades = collapse.drawCollapsedClades;
+PhyloTree.prototype.removeCollapsedClades = collapse.removeCollapsedClades;
+
+/* M E T A D A T A   S T R I P */
+PhyloTree.prototype.drawMetadataStrip = metadataStrip.drawMetadataStrip;
+PhyloTree.prototype.removeMetadataStrip = metadataStrip.removeMetadataStrip;
+PhyloTree.prototype.hideMetadataStrip = metadataStrip.hideMetadataStrip;
+
 /* G R I D */
 PhyloTree.prototype.hideGrid = grid.hideGrid;
 PhyloTree.prototype.addGrid = grid.addGrid;
@@ -1,6 +1,6 @@
 import { timerStart, timerEnd } from "../../../util/perf";
 import { NODE_VISIBLE } from "../../../util/globals";
-import { getDomId, formatDivergence } from "./helpers";
+import { getDomId, formatDivergence, isScatterplotLayout } from "./helpers";
 /**
  * @param {d3 selection} svg      -- the svg into which the tree is drawn
  * @param {string} layout         -- the layout to be used, e.g. "rect"
@@ -15,15 +15,18 @@ import { getDomId, formatDivergence } from "./helpers";
  * @param {array} tipStroke       -- tip stroke colour for each node (set onto each node)
  * @param {array} tipFill         -- tip fill colour for each node (set onto each node)
  * @param {array|null} tipRadii   -- array of tip radius'
+ * @param {array} dateRange
+ * @param {array} metadataStrip   -- columns of the metadata strip, if any (see metadataStrip.js)
  * @return {null}
  */
-export const render = function render(svg, layout, distance, parameters, callbacks, branchThickness, visibility, drawConfidence, vaccines, branchStroke, tipStroke, tipFill, tipRadii, dateRange) {
+export const render = function render(svg, layout, distance, parameters, callbacks, branchThickness, visibility, drawConfidence, vaccines, branchStroke, tipStroke, tipFill, tipRadii, dateRange, metadataStrip) {
   timerStart("phyloTree render()");
   this.svg = svg;
   this.params = Object.assign(this.params, parameters);
   this.callbacks = callbacks;
   this.vaccines = vaccines ? vaccines.map((d) => d.shell) : undefined;
   this.dateRange = dateRange;
+  this.metadataStrip = metadataStrip;
 
   /* set x, y values & scale them to the screen */
   this.setDistance(distance);
@@ -47,9 +50,11 @@ export const render = function render(svg, layout, distance, parameters, callbac
   }
   this.drawBranches();
   this.drawTips();
+  this.drawCollapsedClades();
+  this.drawMetadataStrip();
   if (this.params.branchLabelKey) this.drawBranchLabels(this.params.branchLabelKey);
   if (this.vaccines) this.drawVaccines();
-  if (this.layout === "clock" && this.distance === "num_date") this.drawRegression();
+  this.drawRegression();
   this.confidencesInSVG = false;
   if (drawConfidence) this.drawConfidence();
   this.updateTipLabels();
@@ -86,11 +91,20 @@ export const drawVaccines = function drawVaccines() {
 };
 
 
+/**
+ * given a tree node, decide whether the tip should be rendered
+ * Tips which are filtered out, within a collapsed clade or (in scatterplots) without values aren't.
+ * @return {string}
+ */
+export const getTipVisibility = (d) =>
+  d.visibility === NODE_VISIBLE && !d.inCollapsedClade && !d.missingScatterValue ? "visible" : "hidden";
+
 /**
  * adds all the tip circles to the svg, they have class tip
  * @return {null}
  */
 export const drawTips = function drawTips() {
+  if (this.renderer === "canvas") return; /* drawn by `drawCanvas` (see `drawBranches`) */
   timerStart("drawTips");
   const params = this.params;
 
@@ -111,7 +125,7 @@ export const drawTips = function drawTips() {
         .on("mouseout", this.callbacks.onTipLeave)
         .on("click", this.callbacks.onTipClick)
         .style("pointer-events", "auto")
-        .style("visibility", (d) => d.visibility === NODE_VISIBLE ? "visible" : "hidden")
+        .style("visibility", getTipVisibility)
         .style("fill", (d) => d.fill || params.tipFill)
         .style("stroke", (d) => d.tipStroke || params.tipStroke)
         .style("stroke-width", () => params.tipStrokeWidth) /* don't want branch thicknesses applied */
@@ -123,10 +137,16 @@ export const drawTips = function drawTips() {
 /**
  * given a tree node, decide whether the branch should be rendered
  * This enforces the "hidden" property set on `node.node_attrs.hidden`
- * in the dataset JSON
+ * in the dataset JSON, as well as the scatterplot layouts' option to hide branches
  * @return {string}
  */
 export const getBranchVisibility = (d) => {
+  if (
+    isScatterplotLayout(d.that.layout) &&
+    (!d.that.params.scatterVariables.showBranches || d.missingScatterValue || d.parent.missingScatterValue)
+  ) {
+    return "hidden";
+  }
   const hiddenSetting = d.n.node_attrs && d.n.node_attrs.hidden;
   if (hiddenSetting &&
     (
@@ -142,18 +162,24 @@ export const getBranchVisibility = (d) => {
 
 /**
  * adds all branches to the svg, these are paths with class branch, which comprise two groups
+ * For canvas rendering the branches & tips are drawn together, in place of these groups.
  * @return {null}
  */
 export const drawBranches = function drawBranches() {
+  if (this.renderer === "canvas") {
+    this.setUpCanvas();
+    this.drawCanvas();
+    return;
+  }
   timerStart("drawBranches");
   const params = this.params;
 
   /* PART 1: draw the branch Ts (i.e. the bit connecting nodes parent branch ends to child branch beginnings)
-  Only rectangular & radial trees have this, so we remove it for clock / unrooted layouts */
+  Only rectangular & radial trees have this, so we remove it for scatterplot / unrooted layouts */
   if (!("branchTee" in this.groups)) {
     this.groups.branchTee = this.svg.append("g").attr("id", "branchTee");
   }
-  if (this.layout === "clock" || this.layout === "unrooted") {
+  if (isScatterplotLayout(this.layout) || this.layout === "unrooted") {
     this.groups.branchTee.selectAll("*").remove();
   } else {
     this.groups.branchTee
@@ -198,10 +224,12 @@ export const drawBranches = function drawBranches() {
 
 
 /**
- * draws the regression line in the svg and adds a text with the rate estimate
+ * draws the regression line in the svg (for scatterplot layouts, if requested)
+ * and adds a text with the rate estimate (clock layout) or the slope & intercept, as well as R² (if defined)
  * @return {null}
  */
 export const drawRegression = function drawRegression() {
+  if (!isScatterplotLayout(this.layout) || !this.params.scatterVariables.showRegression || !this.regression) return;
   const leftY = this.yScale(this.regression.intercept + this.xScale.domain()[0] * this.regression.slope);
   const rightY = this.yScale(this.regression.intercept + this.xScale.domain()[1] * this.regression.slope);
 
@@ -220,16 +248,20 @@ export const drawRegression = function drawRegression() {
     .style("visibility", "visible")
     .style("stroke", this.params.regressionStroke)
     .style("stroke-width", this.params.regressionWidth);
+  const estimate = this.layout === "clock" ?
+    getRateEstimate(this.regression, this.yScale.domain()[0]) :
+    `slope: ${formatRegressionValue(this.regression.slope)}, intercept: ${formatRegressionValue(this.regression.intercept)}`;
   this.groups.clockRegression
     .append("text")
-    .text(getRateEstimate(this.regression, this.yScale.domain()[0]))
+    .text(this.regression.r2 === undefined ? estimate : `${estimate}, R²: ${this.regression.r2.toFixed(2)}`)
     .attr("class", "regression")
-    .attr("x", this.xScale.range()[1] / 2 - 75)
+    .attr("x", (this.xScale.range()[0] + this.xScale.range()[1]) / 2)
     .attr("y", this.yScale.range()[0] + 50)
     .style("fill", this.params.regressionStroke)
     .style("font-size", this.params.tickLabelSize + 8)
     .style("font-weight", 400)
-    .style("font-family", this.params.fontFamily);
+    .style("font-family", this.params.fontFamily)
+    .style("text-anchor", "middle");
 };
 
 export const removeRegression = function removeRegression() {
@@ -256,3 +288,8 @@ function getRateEstimate(regression, maxDivergence) {
   }
   return `rate estimate: ${regression.slope.toExponential(2)} subs per site per year`;
 }
+
+function formatRegressionValue(value) {
+  const magnitude = Math.abs(value);
+  return magnitude !== 0 && (magnitude < 0.01 || magnitude >= 10000) ? value.toExponential(2) : value.toPrecision(3);
+}
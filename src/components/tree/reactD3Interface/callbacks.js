@@ -1,20 +1,45 @@
 import { rgb } from "d3-color";
+import { event as d3event } from "d3-selection";
 import { interpolateRgb } from "d3-interpolate";
-import { updateVisibleTipsAndBranchThicknesses} from "../../../actions/tree";
+import { updateVisibleTipsAndBranchThicknesses, rerootMainTree, toggleCollapsedClade } from "../../../actions/tree";
 import { branchOpacityFunction } from "../../../util/colorHelpers";
 import { NODE_VISIBLE } from "../../../util/globals";
 import { getDomId } from "../phyloTree/helpers";
-import { getTraitFromNode } from "../../../util/treeMiscHelpers";
+import { getTraitFromNode, getDivFromNode } from "../../../util/treeMiscHelpers";
 
 /* Callbacks used by the tips / branches when hovered / selected */
 
+/**
+ * Can the (main) tree be re-rooted on the branch leading to `d`?
+ * This requires divergence values & isn't available in narratives.
+ */
+export const canRerootOn = (d, props) =>
+  d.that.params.orientation[0] === 1 &&
+  !props.narrativeMode &&
+  d.n.parent !== d.n &&
+  getDivFromNode(d.n) !== undefined;
+
+/**
+ * Can the clade defined by `d` be collapsed (or expanded)?
+ * This is only possible for internal (non-root) nodes of the main tree & isn't available in narratives.
+ */
+export const canCollapse = (d, props) =>
+  d.that.params.orientation[0] === 1 &&
+  !props.narrativeMode &&
+  !d.terminal &&
+  d.n.parent !== d.n;
+
 export const onTipHover = function onTipHover(d) {
   if (d.visibility !== NODE_VISIBLE) return;
   const phylotree = d.that.params.orientation[0] === 1 ?
     this.state.tree :
     this.state.treeToo;
-  phylotree.svg.select(getDomId("#tip", d.n.name))
-    .attr("r", (e) => e["r"] + 4);
+  if (phylotree.renderer === "canvas") {
+    phylotree.setCanvasHighlight("tip", d, {r: d.r + 4});
+  } else {
+    phylotree.svg.select(getDomId("#tip", d.n.name))
+      .attr("r", (e) => e["r"] + 4);
+  }
   this.setState({
     hovered: {d, type: ".tip"}
   });
@@ -39,19 +64,21 @@ export const onTipClick = function onTipClick(d) {
 export const onBranchHover = function onBranchHover(d) {
   if (d.visibility !== NODE_VISIBLE) return;
   /* emphasize the color of the branch */
-  for (const id of [getDomId("#branchS", d.n.name), getDomId("#branchT", d.n.name)]) {
-    if (this.props.colorByConfidence) {
-      this.state.tree.svg.select(id)
-        .style("stroke", (el) => { // eslint-disable-line no-loop-func
-          const entropyValue = getTraitFromNode(this.props.tree.nodes[el.n.arrayIdx], this.props.colorBy, {entropy: true});
-          const ramp = branchOpacityFunction(entropyValue);
-          const raw = this.props.tree.nodeColors[el.n.arrayIdx];
-          const base = el.branchStroke;
-          return rgb(interpolateRgb(raw, base)(ramp)).toString();
-        });
-    } else {
+  const emphasizedStroke = this.props.colorByConfidence ?
+    (el) => {
+      const entropyValue = getTraitFromNode(this.props.tree.nodes[el.n.arrayIdx], this.props.colorBy, {entropy: true});
+      const ramp = branchOpacityFunction(entropyValue);
+      const raw = this.props.tree.nodeColors[el.n.arrayIdx];
+      const base = el.branchStroke;
+      return rgb(interpolateRgb(raw, base)(ramp)).toString();
+    } :
+    (el) => this.props.tree.nodeColors[el.n.arrayIdx];
+  if (d.that.renderer === "canvas") {
+    d.that.setCanvasHighlight("branch", d, {stroke: emphasizedStroke(d)});
+  } else {
+    for (const id of [getDomId("#branchS", d.n.name), getDomId("#branchT", d.n.name)]) {
       this.state.tree.svg.select(id)
-        .style("stroke", (el) => this.props.tree.nodeColors[el.n.arrayIdx]);
+        .style("stroke", emphasizedStroke);
     }
   }
   if (this.props.temporalConfidence.exists && this.props.temporalConfidence.display && !this.props.temporalConfidence.on) {
@@ -73,6 +100,14 @@ export const onBranchHover = function onBranchHover(d) {
 export const onBranchClick = function onBranchClick(d) {
   if (d.visibility !== NODE_VISIBLE) return;
   if (this.props.narrativeMode) return;
+  if (d3event && d3event.shiftKey && canRerootOn(d, this.props)) {
+    this.props.dispatch(rerootMainTree(d.n.arrayIdx));
+    return;
+  }
+  if (d3event && d3event.altKey && canCollapse(d, this.props)) {
+    this.props.dispatch(toggleCollapsedClade(d.n.arrayIdx));
+    return;
+  }
   const root = [undefined, undefined];
   let cladeSelected;
   // Branches with multiple labels will be used in the order specified by this.props.tree.availableBranchLabels
@@ -102,9 +137,13 @@ export const onBranchClick = function onBranchClick(d) {
 
 /* onBranchLeave called when mouse-off, i.e. anti-hover */
 export const onBranchLeave = function onBranchLeave(d) {
-  for (const id of [getDomId("#branchT", d.n.name), getDomId("#branchS", d.n.name)]) {
-    this.state.tree.svg.select(id)
-      .style("stroke", (el) => el.branchStroke);
+  if (d.that.renderer === "canvas") {
+    d.that.setCanvasHighlight("branch", undefined);
+  } else {
+    for (const id of [getDomId("#branchT", d.n.name), getDomId("#branchS", d.n.name)]) {
+      this.state.tree.svg.select(id)
+        .style("stroke", (el) => el.branchStroke);
+    }
   }
   if (this.props.temporalConfidence.exists && this.props.temporalConfidence.display && !this.props.temporalConfidence.on) {
     const tree = d.that.params.orientation[0] === 1 ? this.state.tree : this.state.treeToo;
@@ -115,13 +154,24 @@ export const onBranchLeave = function onBranchLeave(d) {
   }
 };
 
+/* clicking on the wedge of a collapsed clade expands it */
+export const onCollapsedCladeClick = function onCollapsedCladeClick(d) {
+  if (!canCollapse(d, this.props)) return;
+  onBranchLeave.call(this, d);
+  this.props.dispatch(toggleCollapsedClade(d.n.arrayIdx));
+};
+
 export const onTipLeave = function onTipLeave(d) {
   const phylotree = d.that.params.orientation[0] === 1 ?
     this.state.tree :
     this.state.treeToo;
   if (!this.state.selectedTip) {
-    phylotree.svg.select(getDomId("#tip", d.n.name))
-      .attr("r", (dd) => dd["r"]);
+    if (phylotree.renderer === "canvas") {
+      phylotree.setCanvasHighlight("tip", undefined);
+    } else {
+      phylotree.svg.select(getDomId("#tip", d.n.name))
+        .attr("r", (dd) => dd["r"]);
+    }
   }
   if (this.state.hovered) {
     this.setState({hovered: null});
@@ -133,8 +183,12 @@ export const clearSelectedTip = function clearSelectedTip(d) {
   const phylotree = d.that.params.orientation[0] === 1 ?
     this.state.tree :
     this.state.treeToo;
-  phylotree.svg.select(getDomId("#tip", d.n.name))
-    .attr("r", (dd) => dd["r"]);
+  if (phylotree.renderer === "canvas") {
+    phylotree.setCanvasHighlight("tip", undefined);
+  } else {
+    phylotree.svg.select(getDomId("#tip", d.n.name))
+      .attr("r", (dd) => dd["r"]);
+  }
   this.setState({selectedTip: null, hovered: null});
   /* restore the tip visibility! */
   this.props.dispatch(updateVisibleTipsAndBranchThicknesses(
@@ -1,5 +1,7 @@
 import { rgb } from "d3-color";
 import { calcBranchStrokeCols } from "../../../util/colorHelpers";
+import { calcStripColumns, calcScatterVariables } from "./initialRender";
+import { isScatterplotLayout } from "../phyloTree/helpers";
 
 export const changePhyloTreeViaPropsComparison = (mainTree, phylotree, oldProps, newProps) => {
   const args = {};
@@ -77,11 +79,48 @@ export const changePhyloTreeViaPropsComparison = (mainTree, phylotree, oldProps,
     newState.selectedBranch = newTreeRedux.idxOfInViewRootNode === 0 ? null : rootNode;
     newState.selectedTip = null;
     newState.hovered = null;
-    if (newProps.layout === "unrooted") {
+    if (newProps.layout === "unrooted" || newProps.layout === "explode") {
       args.updateLayout = true;
     }
   }
 
+  /* the trait used to explode the tree */
+  if (oldProps.explodeAttr !== newProps.explodeAttr) {
+    args.newExplodeAttr = newProps.explodeAttr;
+    if (newProps.layout === "explode") args.updateLayout = true;
+  }
+
+  /* the variables of the scatterplot layouts (whose values & titles may change if metadata is added to the tree) */
+  if (
+    oldProps.layout !== newProps.layout ||
+    oldProps.scatterVariables !== newProps.scatterVariables ||
+    oldProps.metadata.colorings !== newProps.metadata.colorings
+  ) {
+    args.newScatterVariables = calcScatterVariables(newProps);
+    if (isScatterplotLayout(newProps.layout) && !args.newLayout) args.updateLayout = true;
+  }
+
+  /* tip labels */
+  if (oldProps.tipLabelKey !== newProps.tipLabelKey) {
+    args.newTipLabelKey = newProps.tipLabelKey;
+  }
+
+  /* metadata & alignment strip (only beside the main tree). The colours change if metadata is added to the tree,
+  and the alignment depends on the root sequence (which may be loaded after the tree) */
+  if (mainTree && (
+    oldProps.metadataStrip !== newProps.metadataStrip ||
+    oldProps.alignmentStrip !== newProps.alignmentStrip ||
+    (newProps.metadataStrip.length && oldProps.metadata.colorings !== newProps.metadata.colorings) ||
+    (newProps.alignmentStrip && oldProps.metadata.rootSequence !== newProps.metadata.rootSequence)
+  )) {
+    args.metadataStrip = calcStripColumns(newProps, newTreeRedux);
+  }
+
+  /* collapsed clades (only in the main tree) */
+  if (mainTree && oldTreeRedux.collapsedClades !== newTreeRedux.collapsedClades) {
+    args.collapsedClades = newTreeRedux.collapsedClades;
+  }
+
   if (oldProps.width !== newProps.width || oldProps.height !== newProps.height) {
     args.svgHasChangedDimensions = true;
   }
@@ -2,8 +2,31 @@ import { select } from "d3-selection";
 import 'd3-transition';
 import { rgb } from "d3-color";
 import { calcBranchStrokeCols } from "../../../util/colorHelpers";
+import { calcMetadataStrip } from "../../../util/colorScale";
+import { calcAlignmentStrip } from "../../../util/setGenotype";
+import { getScatterVariables } from "../../../util/treeMiscHelpers";
 import * as callbacks from "./callbacks";
 
+/**
+ * The columns of the metadata strip beside the main tree: the chosen colorings followed by the alignment strip
+ * (see metadataStrip.js)
+ */
+export const calcStripColumns = (props, treeState) => [
+  ...calcMetadataStrip(props.metadataStrip, treeState, props.treeToo, props.metadata),
+  ...calcAlignmentStrip(props.alignmentStrip, treeState, props.metadata, props.geneLength)
+];
+
+/**
+ * The variables plotted by the scatterplot layouts, with the titles of the axes.
+ * The clock layout always plots divergence against sampling date.
+ */
+export const calcScatterVariables = (props) => {
+  const {x, y} = props.layout === "clock" ? {x: "num_date", y: "div"} : props.scatterVariables;
+  const labels = {};
+  getScatterVariables(props.metadata.colorings).forEach((v) => {labels[v.value] = v.label;});
+  return Object.assign({}, props.scatterVariables, {x, xLabel: labels[x] || x, y, yLabel: labels[y] || y});
+};
+
 export const renderTree = (that, main, phylotree, props) => {
   const ref = main ? that.domRefs.mainTree : that.domRefs.secondTree;
   const treeState = main ? props.tree : props.treeToo;
@@ -11,6 +34,8 @@ export const renderTree = (that, main, phylotree, props) => {
     console.warn("can't run renderTree (not loaded)");
     return;
   }
+  /* clades may only be collapsed in the main tree */
+  if (main) phylotree.setCollapsedClades(treeState.collapsedClades);
   /* simply the call to phylotree.render */
   phylotree.render(
     select(ref),
@@ -20,6 +45,9 @@ export const renderTree = (that, main, phylotree, props) => {
       grid: true,
       confidence: props.temporalConfidence.display,
       branchLabelKey: props.selectedBranchLabel,
+      tipLabelKey: props.tipLabelKey,
+      explodeAttr: props.explodeAttr,
+      scatterVariables: calcScatterVariables(props),
       orientation: main ? [1, 1] : [-1, 1],
       tipLabels: true,
       showTipLabels: true
@@ -31,7 +59,7 @@ export const renderTree = (that, main, phylotree, props) => {
       onBranchClick: callbacks.onBranchClick.bind(that),
       onBranchLeave: callbacks.onBranchLeave.bind(that),
       onTipLeave: callbacks.onTipLeave.bind(that),
-      tipLabel: (d) => d.n.name
+      onCollapsedCladeClick: callbacks.onCollapsedCladeClick.bind(that)
     },
     treeState.branchThickness, /* guarenteed to be in redux by now */
     treeState.visibility,
@@ -41,6 +69,7 @@ export const renderTree = (that, main, phylotree, props) => {
     treeState.nodeColors,
     treeState.nodeColors.map((col) => rgb(col).brighter([0.65]).toString()),
     treeState.tipRadii, /* might be null */
-    [props.dateMinNumeric, props.dateMaxNumeric]
+    [props.dateMinNumeric, props.dateMaxNumeric],
+    main ? calcStripColumns(props, treeState) : [] /* only beside the main tree */
   );
 };
@@ -1,5 +1,5 @@
 import React from "react";
-import { updateVisibleTipsAndBranchThicknesses } from "../../actions/tree";
+import { updateVisibleTipsAndBranchThicknesses, rerootMainTree, toggleCollapsedClade } from "../../actions/tree";
 import Card from "../framework/card";
 import Legend from "./legend/legend";
 import PhyloTree from "./phyloTree/phyloTree";
@@ -39,6 +39,16 @@ class Tree extends React.Component {
         root: [0, 0]
       }));
     };
+    this.restoreRoot = () => {
+      this.props.dispatch(rerootMainTree(undefined));
+    };
+    this.expandAllClades = () => {
+      this.props.dispatch(toggleCollapsedClade(undefined));
+    };
+    this.rerootOnTip = (d) => {
+      this.setState({selectedTip: null, hovered: null});
+      this.props.dispatch(rerootMainTree(d.n.arrayIdx));
+    };
   }
   setUpAndRenderTreeToo(props, newState) {
     /* this.setState(newState) will be run sometime after this returns */
@@ -64,9 +74,20 @@ class Tree extends React.Component {
     let newState = {};
     let rightTreeUpdated = false;
 
-    /* potentially change the (main / left hand) tree */
-    const [potentialNewState, leftTreeUpdated] = changePhyloTreeViaPropsComparison(true, this.state.tree, prevProps, this.props);
-    if (potentialNewState) newState = potentialNewState;
+    /* potentially change the (main / left hand) tree. If the nodes themselves have changed
+    (i.e. the tree has been re-rooted) then it's drawn afresh */
+    let leftTreeUpdated;
+    if (this.state.tree && prevProps.tree.nodes !== this.props.tree.nodes) {
+      this.state.tree.clearSVG();
+      newState = {selectedTip: null, hovered: null};
+      newState.tree = new PhyloTree(this.props.tree.nodes, "LEFT");
+      renderTree(this, true, newState.tree, this.props);
+      leftTreeUpdated = true;
+    } else {
+      let potentialNewState;
+      [potentialNewState, leftTreeUpdated] = changePhyloTreeViaPropsComparison(true, this.state.tree, prevProps, this.props);
+      if (potentialNewState) newState = potentialNewState;
+    }
 
     /* has the 2nd (right hand) tree just been turned on, off or swapped? */
     if (prevProps.showTreeToo !== this.props.showTreeToo) {
@@ -104,6 +125,20 @@ class Tree extends React.Component {
         top: 0,
         cursor: activeResetTreeButton ? "pointer" : "auto",
         color: activeResetTreeButton ? darkGrey : lightGrey
+      },
+      restoreRootButton: {
+        zIndex: 100,
+        position: "absolute",
+        right: 110,
+        top: 0,
+        cursor: "pointer"
+      },
+      expandAllCladesButton: {
+        zIndex: 100,
+        position: "absolute",
+        right: this.props.tree.reroot ? 270 : 110, /* to the left of the "restore original root" button */
+        top: 0,
+        cursor: "pointer"
       }
     };
   };
@@ -134,10 +169,13 @@ class Tree extends React.Component {
           colorByConfidence={this.props.colorByConfidence}
           colorScale={this.props.colorScale}
           colorings={this.props.metadata.colorings}
+          canReroot={!!this.state.hovered && callbacks.canRerootOn(this.state.hovered.d, this.props)}
+          canCollapse={!!this.state.hovered && callbacks.canCollapse(this.state.hovered.d, this.props)}
           panelDims={{width: this.props.width, height: this.props.height, spaceBetweenTrees}}
         />
         <TipClickedPanel
           goAwayCallback={this.clearSelectedTip}
+          rerootCallback={this.state.selectedTip && callbacks.canRerootOn(this.state.selectedTip, this.props) ? this.rerootOnTip : undefined}
           tip={this.state.selectedTip}
           colorings={this.props.metadata.colorings}
         />
@@ -172,6 +210,22 @@ class Tree extends React.Component {
             reset layout
           </button>
         )}
+        {this.props.narrativeMode || !this.props.tree.reroot ? null : (
+          <button
+            style={{...tabSingle, ...styles.restoreRootButton}}
+            onClick={this.restoreRoot}
+          >
+            restore original root
+          </button>
+        )}
+        {this.props.narrativeMode || !this.props.tree.collapsedClades.length ? null : (
+          <button
+            style={{...tabSingle, ...styles.expandAllCladesButton}}
+            onClick={this.expandAllClades}
+          >
+            expand all clades
+          </button>
+        )}
       </Card>
     );
   }
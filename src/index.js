@@ -1,5 +1,7 @@
 /* eslint-disable import/first */
 
+/* P U B L I C   P A T H (must be first, see publicPath.js) */
+import "./publicPath";
 /* P O L Y F I L L S */
 import "./util/polyfills"; // eslint-disable-line
 /* L I B R A R I E S */
@@ -1,8 +1,18 @@
 import queryString from "query-string";
 import * as types from "../actions/types";
 import { numericToCalendar } from "../util/dateHelpers";
+import { getPathname, pathnameToURL } from "../util/staticSite";
 
 
+/* the scatterplot variables are only stored in the URL for the layouts which use them */
+const setScatterplotQuery = (query, layout, scatterVariables) => {
+  const isScatterplot = layout === "scatter" || layout === "clock";
+  query.scatterX = layout === "scatter" ? scatterVariables.x : undefined;
+  query.scatterY = layout === "scatter" ? scatterVariables.y : undefined;
+  query.branches = isScatterplot && !scatterVariables.showBranches ? "hide" : undefined;
+  query.regression = isScatterplot && !scatterVariables.showRegression ? "hide" : undefined;
+};
+
 /**
  * This middleware acts to keep the app state and the URL query state in sync by
  * intercepting actions and updating the URL accordingly. Thus, in theory, this
@@ -28,7 +38,7 @@ export const changeURLMiddleware = (store) => (next) => (action) => {
 
   /* starting URL values & flags */
   let query = queryString.parse(window.location.search);
-  let pathname = window.location.pathname;
+  let pathname = getPathname();
 
   /* first switch: query change */
   switch (action.type) {
@@ -44,6 +54,17 @@ export const changeURLMiddleware = (store) => (next) => (action) => {
         undefined :
         action.value;
       break;
+    case types.CHANGE_TIP_LABEL:
+      query.tipLabel = state.controls.defaults.tipLabelKey === action.value ?
+        undefined :
+        action.value;
+      break;
+    case types.CHANGE_METADATA_STRIP:
+      query.strip = action.value.length ? action.value.join(",") : undefined;
+      break;
+    case types.CHANGE_ALIGNMENT_STRIP:
+      query.aln = action.value || undefined;
+      break;
     case types.CHANGE_ZOOM:
       /* entropy panel genome zoom coordinates */ 
       query.gmin = action.zoomc[0] === state.controls.absoluteZoomMin ? undefined : action.zoomc[0];
@@ -58,8 +79,16 @@ export const changeURLMiddleware = (store) => (next) => (action) => {
     }
     case types.CHANGE_LAYOUT: {
       query.l = action.data === state.controls.defaults.layout ? undefined : action.data;
+      query.explode = action.data === "explode" ? (action.explodeAttr || state.controls.explodeAttr) : undefined;
+      setScatterplotQuery(query, action.data, state.controls.scatterVariables);
       break;
     }
+    case types.CHANGE_EXPLODE_ATTR:
+      query.explode = action.value;
+      break;
+    case types.CHANGE_SCATTER_VARIABLES:
+      setScatterplotQuery(query, state.controls.layout, Object.assign({}, state.controls.scatterVariables, action.data));
+      break;
     case types.CHANGE_GEO_RESOLUTION: {
       query.r = action.data === state.controls.defaults.geoResolution ? undefined : action.data;
       break;
@@ -105,6 +134,10 @@ export const changeURLMiddleware = (store) => (next) => (action) => {
       query.label = action.cladeName ? action.cladeName : undefined;
       break;
     }
+    case types.UPDATE_COLLAPSED_CLADES: {
+      query.collapse = action.collapsedClades.length ? action.collapsedClades.join(",") : undefined;
+      break;
+    }
     case types.MAP_ANIMATION_PLAY_PAUSE_BUTTON:
       if (action.data === "Play") { // animation stopping - restore dates in URL
         query.animate = undefined;
@@ -148,7 +181,7 @@ export const changeURLMiddleware = (store) => (next) => (action) => {
       in the URL */
       if (action.tree.name && action.treeToo && action.treeToo.name) {
         const treeUrlShouldBe = `${action.tree.name}:${action.treeToo.name}`;
-        if (!window.location.pathname.includes(treeUrlShouldBe)) {
+        if (!getPathname().includes(treeUrlShouldBe)) {
           pathname = treeUrlShouldBe;
         }
       }
@@ -194,8 +227,8 @@ export const changeURLMiddleware = (store) => (next) => (action) => {
   if (!pathname.startsWith("/")) {pathname = "/" + pathname;}
 
   /* now that we have determined our desired pathname & query we modify the URL */
-  if (pathname !== window.location.pathname || search !== window.location.search) {
-    let newURLString = pathname;
+  if (pathname !== getPathname() || search !== window.location.search) {
+    let newURLString = pathnameToURL(pathname);
     if (search) {newURLString += search;}
     if (action.pushState) {
       window.history.pushState({}, "", newURLString);
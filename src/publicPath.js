@@ -0,0 +1,10 @@
+/**
+ * Static sites may be hosted under a sub-path, so the location of the bundle's assets (fonts, images etc)
+ * and (lazily loaded) chunks must be set at runtime. This must be the first import of the entry point,
+ * as modules such as the stylesheets resolve the URLs of their assets when they're evaluated.
+ */
+import { isStaticSite, getStaticSiteRoot } from "./util/staticSite";
+
+if (isStaticSite()) {
+  __webpack_public_path__ = `${getStaticSiteRoot()}dist/`; // eslint-disable-line
+}
@@ -21,7 +21,12 @@ export const getDefaultControlsState = () => {
     geoResolution: defaultGeoResolution,
     filters: {},
     colorBy: defaultColorBy,
-    selectedBranchLabel: "none"
+    selectedBranchLabel: "none",
+    tipLabelKey: "strain",
+    metadataStrip: [],
+    alignmentStrip: "",
+    explodeAttr: "",
+    scatterVariables: {x: "num_date", y: "div", showBranches: true, showRegression: true}
   };
   // a default sidebarOpen status is only set via JSON, URL query
   // _or_ if certain URL keywords are triggered
@@ -47,6 +52,8 @@ export const getDefaultControlsState = () => {
     mutType: defaultMutType,
     temporalConfidence: {exists: false, display: false, on: false},
     layout: defaults.layout,
+    explodeAttr: defaults.explodeAttr, // the trait used to split the tree into subtrees for the "explode" layout
+    scatterVariables: defaults.scatterVariables, // the axes of the "scatter" layout (see `getScatterVariables`) & what's drawn on it
     distanceMeasure: defaults.distanceMeasure,
     dateMin,
     dateMinNumeric,
@@ -60,10 +67,15 @@ export const getDefaultControlsState = () => {
     colorByConfidence: {display: false, on: false},
     colorScale: undefined,
     selectedBranchLabel: "none",
+    tipLabelKey: defaults.tipLabelKey, // "strain" (the name of the tip), "none", or a coloring
+    metadataStrip: [], // the colorings displayed as columns beside the (rectangular) tree
+    alignmentStrip: "", // the positions displayed as columns of the alignment strip (encoded as per colorBy), if any
     analysisSlider: false,
     geoResolution: defaults.geoResolution,
     filters: {},
     showDownload: false,
+    pendingMetadata: undefined, // metadata dropped onto the tree, awaiting the user's choices (see `handleMetadata`)
+    showManageMetadata: false, // the modal listing the metadata dropped onto the dataset
     quickdraw: false, // if true, components may skip expensive computes.
     mapAnimationDurationInMilliseconds: 30000, // in milliseconds
     mapAnimationStartDate: null, // Null so it can pull the absoluteDateMin as the default
@@ -108,6 +120,12 @@ const Controls = (state = getDefaultControlsState(), action) => {
       });
     case types.CHANGE_BRANCH_LABEL:
       return Object.assign({}, state, {selectedBranchLabel: action.value});
+    case types.CHANGE_TIP_LABEL:
+      return Object.assign({}, state, {tipLabelKey: action.value});
+    case types.CHANGE_METADATA_STRIP:
+      return Object.assign({}, state, {metadataStrip: action.value});
+    case types.CHANGE_ALIGNMENT_STRIP:
+      return Object.assign({}, state, {alignmentStrip: action.value});
     case types.CHANGE_LAYOUT: {
       const layout = action.data;
       /* temporal confidence can only be displayed for rectangular trees */
@@ -118,9 +136,14 @@ const Controls = (state = getDefaultControlsState(), action) => {
       };
       return Object.assign({}, state, {
         layout,
-        temporalConfidence
+        temporalConfidence,
+        explodeAttr: action.explodeAttr || state.explodeAttr
       });
     }
+    case types.CHANGE_EXPLODE_ATTR:
+      return Object.assign({}, state, {explodeAttr: action.value});
+    case types.CHANGE_SCATTER_VARIABLES:
+      return Object.assign({}, state, {scatterVariables: Object.assign({}, state.scatterVariables, action.data)});
     case types.CHANGE_DISTANCE_MEASURE:
       /* while this may change, div currently doesn't have CIs,
       so they shouldn't be displayed. */
@@ -236,6 +259,22 @@ const Controls = (state = getDefaultControlsState(), action) => {
       return Object.assign({}, state, {
         showDownload: false
       });
+    case types.TRIGGER_ADD_METADATA_MODAL:
+      return Object.assign({}, state, {
+        pendingMetadata: action.data
+      });
+    case types.DISMISS_ADD_METADATA_MODAL:
+      return Object.assign({}, state, {
+        pendingMetadata: undefined
+      });
+    case types.TRIGGER_MANAGE_METADATA_MODAL:
+      return Object.assign({}, state, {
+        showManageMetadata: true
+      });
+    case types.DISMISS_MANAGE_METADATA_MODAL:
+      return Object.assign({}, state, {
+        showManageMetadata: false
+      });
     case types.REMOVE_TREE_TOO:
       return Object.assign({}, state, {
         showTreeToo: undefined,
@@ -254,7 +293,39 @@ const Controls = (state = getDefaultControlsState(), action) => {
       for (const colorBy of Object.keys(action.newColorings)) {
         state.coloringsPresentOnTree.add(colorBy);
       }
+      if (action.filters && action.filters.length) {
+        const filters = Object.assign({}, state.filters);
+        const defaultFilters = Object.assign({}, state.defaults.filters);
+        action.filters.forEach((trait) => {
+          if (!filters[trait]) filters[trait] = [];
+          if (!defaultFilters[trait]) defaultFilters[trait] = [];
+        });
+        return Object.assign({}, state, {
+          coloringsPresentOnTree: state.coloringsPresentOnTree,
+          filters,
+          defaults: Object.assign({}, state.defaults, {filters: defaultFilters})
+        });
+      }
       return Object.assign({}, state, {coloringsPresentOnTree: state.coloringsPresentOnTree});
+    case types.REMOVE_COLOR_BYS: {
+      const filters = Object.assign({}, state.filters);
+      const defaultFilters = Object.assign({}, state.defaults.filters);
+      action.keys.forEach((key) => {
+        if ((action.restoredKeys || []).includes(key)) {
+          /* the coloring of the dataset is restored, but the selected values may not exist in it */
+          if (filters[key]) filters[key] = [];
+          return;
+        }
+        state.coloringsPresentOnTree.delete(key);
+        delete filters[key];
+        delete defaultFilters[key];
+      });
+      return Object.assign({}, state, {
+        coloringsPresentOnTree: state.coloringsPresentOnTree,
+        filters,
+        defaults: Object.assign({}, state.defaults, {filters: defaultFilters})
+      });
+    }
     default:
       return state;
   }
@@ -1,6 +1,7 @@
 import * as types from "../actions/types";
 import { chooseDisplayComponentFromURL } from "../actions/navigation";
 import { hasExtension, getExtension } from "../util/extensions";
+import { getPathname } from "../util/staticSite";
 
 /* the store for cross-cutting state -- that is, state
 not limited to <App>
@@ -10,24 +11,34 @@ const getFirstPageToDisplay = () => {
   if (hasExtension("entryPage")) {
     return getExtension("entryPage");
   }
-  return chooseDisplayComponentFromURL(window.location.pathname);
+  return chooseDisplayComponentFromURL(getPathname());
 };
 
 const general = (state = {
   displayComponent: getFirstPageToDisplay(),
   errorMessage: undefined,
-  pathname: window.location.pathname // keep a copy of what the app "thinks" the pathname is
+  pathname: getPathname(), // keep a copy of what the app "thinks" the pathname is
+  loadingProgress: undefined // progress of the dataset currently being loaded (see `parseDatasetResponse`)
 }, action) => {
   switch (action.type) {
     case types.PAGE_CHANGE:
       const stateUpdate = {
         displayComponent: action.displayComponent,
-        errorMessage: action.errorMessage
+        errorMessage: action.errorMessage,
+        loadingProgress: undefined
       };
       if (action.path) {
         stateUpdate.pathname = action.path;
       }
       return Object.assign({}, state, stateUpdate);
+    case types.DATA_LOADING_PROGRESS:
+      return Object.assign({}, state, {
+        loadingProgress: action.progress
+      });
+    case types.CLEAN_START:
+      return Object.assign({}, state, {
+        loadingProgress: undefined
+      });
     case types.UPDATE_PATHNAME:
       return Object.assign({}, state, {
         pathname: action.pathname
@@ -1,5 +1,6 @@
 import { colorOptions } from "../util/globals";
 import * as types from "../actions/types";
+import { getPathname } from "../util/staticSite";
 
 /* The metdata reducer holds data that is
  * (a) mostly derived from the dataset JSON
@@ -20,7 +21,31 @@ const Metadata = (state = {
       return action.metadata;
     case types.ADD_COLOR_BYS:
       const colorings = Object.assign({}, state.colorings, action.newColorings);
-      return Object.assign({}, state, {colorings});
+      const filters = [...(state.filters || [])];
+      (action.filters || []).forEach((trait) => {
+        if (!filters.includes(trait)) filters.push(trait);
+      });
+      return Object.assign({}, state, {colorings, filters});
+    case types.REMOVE_COLOR_BYS: { /* colorings of the dataset (`action.restoredKeys`) are restored */
+      const remainingColorings = Object.assign({}, state.colorings);
+      const restoredKeys = action.restoredKeys || [];
+      action.keys.forEach((key) => {
+        if (restoredKeys.includes(key)) {
+          remainingColorings[key] = state.datasetColorings[key];
+        } else {
+          delete remainingColorings[key];
+        }
+      });
+      const isDatasetFilter = (trait) => restoredKeys.includes(trait) && (state.datasetFilters || []).includes(trait);
+      return Object.assign({}, state, {
+        colorings: remainingColorings,
+        filters: (state.filters || []).filter((trait) => !action.keys.includes(trait) || isDatasetFilter(trait))
+      });
+    }
+    case types.UPDATE_DROPPED_METADATA:
+      return Object.assign({}, state, {droppedMetadata: action.droppedMetadata});
+    case types.LOAD_ROOT_SEQUENCE:
+      return Object.assign({}, state, {rootSequence: action.rootSequence});
     case types.SET_AVAILABLE:
       if (state.buildUrl) {
         return state; // do not use data from getAvailable to overwrite a buildUrl set from a dataset JSON
@@ -40,7 +65,7 @@ function getBuildUrlFromGetAvailableJson(availableData) {
   /* check if the current dataset is present in the getAvailable data
   We currently parse the URL (pathname) for the current dataset but this
   really should be stored somewhere in redux */
-  const displayedDatasetString = window.location.pathname
+  const displayedDatasetString = getPathname()
     .replace(/^\//, '')
     .replace(/\/$/, '')
     .split(":")[0];
@@ -1,4 +1,5 @@
 import * as types from "../actions/types";
+import { getPathname } from "../util/staticSite";
 
 const narrative = (state = {
   loaded: false,
@@ -22,7 +23,7 @@ const narrative = (state = {
           display: true,
           blocks,
           title: blocks[0].__html.match(/>(.+?)</)[1],
-          pathname: window.location.pathname,
+          pathname: getPathname(),
           blockIdx: action.query.n || 0
         };
       }
@@ -13,6 +13,7 @@ const makeNotification = (action) => {
   return {
     message: action.message || "",
     details: action.details || "",
+    link: action.link,
     notificationType: action.notificationType,
     classes: ["notification", action.notificationType],
     id: action.id
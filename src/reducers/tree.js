@@ -1,5 +1,6 @@
 import { countTraitsAcrossTree } from "../util/treeCountingHelpers";
 import * as types from "../actions/types";
+import { setJoinedTraitsOnNodes, restoreOriginalTraitsOnNodes } from "../actions/filesDropped/joinMetadata";
 
 /* A version increase (i.e. props.version !== nextProps.version) necessarily implies
 that the tree is loaded as they are set on the same action */
@@ -24,11 +25,53 @@ export const getDefaultTreeState = () => {
     totalStateCounts: {},
     availableBranchLabels: [],
     selectedStrain: undefined,
-    selectedClade: undefined
+    selectedClade: undefined,
+    reroot: undefined, /* the name of the node whose branch the tree is re-rooted on (see `rerootTreeState`) */
+    originalNodes: undefined, /* if re-rooted, the nodes of the tree as defined in the JSON */
+    collapsedClades: [] /* the names of the nodes whose clades are collapsed (see `toggleCollapsedClade`) */
   };
 };
 
 
+/**
+ * Add the traits of dropped metadata (see `addMetadata`) to the nodes of a tree.
+ * Used for both the main tree & the second tree, as `action.traits` is keyed by node name.
+ */
+export const addColorBysToTree = (state, action) => {
+  if (!state.nodes) return state;
+  // modify the node data in place, which will not trigger any redux updates
+  setJoinedTraitsOnNodes(state.nodes, action);
+  /* filters (new or replaced) require the trait counts to be recalculated */
+  const stateCountAttrs = [...new Set([...(state.stateCountAttrs || []), ...(action.filters || [])])];
+  if (!stateCountAttrs.length) return state;
+  return Object.assign({}, state, {
+    stateCountAttrs,
+    visibleStateCounts: countTraitsAcrossTree(state.nodes, stateCountAttrs, state.visibility, true),
+    totalStateCounts: countTraitsAcrossTree(state.nodes, stateCountAttrs, false, true)
+  });
+};
+
+/**
+ * Remove the traits of dropped metadata (see `removeDroppedMetadata`) from the nodes of a tree,
+ * restoring the values of the dataset for those traits it replaced (`action.restoredKeys`).
+ * The nodes of the tree as defined in the JSON (if re-rooted) are also modified so that the
+ * dropped traits don't return when the tree is re-rooted.
+ */
+export const removeColorBysFromTree = (state, action) => {
+  if (!state.nodes) return state;
+  [state.nodes, state.originalNodes].filter((nodes) => !!nodes).forEach((nodes) => {
+    restoreOriginalTraitsOnNodes(nodes, action.keys);
+  });
+  if (!state.stateCountAttrs) return state;
+  const restoredKeys = action.restoredKeys || [];
+  const stateCountAttrs = state.stateCountAttrs.filter((attr) => !action.keys.includes(attr) || restoredKeys.includes(attr));
+  return Object.assign({}, state, {
+    stateCountAttrs,
+    visibleStateCounts: countTraitsAcrossTree(state.nodes, stateCountAttrs, state.visibility, true),
+    totalStateCounts: countTraitsAcrossTree(state.nodes, stateCountAttrs, false, true)
+  });
+};
+
 const Tree = (state = getDefaultTreeState(), action) => {
   switch (action.type) {
     case types.URL_QUERY_CHANGE_WITH_COMPUTED_STATE: /* fallthrough */
@@ -64,17 +107,12 @@ const Tree = (state = getDefaultTreeState(), action) => {
       });
     case types.TREE_TOO_DATA:
       return action.tree;
+    case types.UPDATE_COLLAPSED_CLADES:
+      return Object.assign({}, state, {collapsedClades: action.collapsedClades});
+    case types.REMOVE_COLOR_BYS:
+      return removeColorBysFromTree(state, action);
     case types.ADD_COLOR_BYS:
-      // modify the node data in place, which will not trigger any redux updates
-      state.nodes.forEach((node) => {
-        if (action.strains.has(node.name)) {
-          if (!node.node_attrs) node.node_attrs = {};
-          for (const [trait, obj] of Object.entries(action.traits[node.name])) {
-            node.node_attrs[trait] = obj;
-          }
-        }
-      });
-      return state;
+      return addColorBysToTree(state, action);
     default:
       return state;
   }
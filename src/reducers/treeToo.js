@@ -1,5 +1,5 @@
 import * as types from "../actions/types";
-import { getDefaultTreeState } from "./tree";
+import { getDefaultTreeState, addColorBysToTree, removeColorBysFromTree } from "./tree";
 /* A version increase (i.e. props.version !== nextProps.version) necessarily implies
 that the tree is loaded as they are set on the same action */
 
@@ -41,6 +41,10 @@ const treeToo = (state = getDefaultTreeState(), action) => {
         tipRadii: action.dataToo,
         tipRadiiVersion: action.version
       });
+    case types.REMOVE_COLOR_BYS:
+      return removeColorBysFromTree(state, action);
+    case types.ADD_COLOR_BYS:
+      return addColorBysToTree(state, action);
     case types.NEW_COLORS:
       if (action.nodeColorsToo) {
         return Object.assign({}, state, {
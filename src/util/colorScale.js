@@ -4,7 +4,7 @@ import { rgb } from "d3-color";
 import { interpolateHcl } from "d3-interpolate";
 import { genericDomain, colors, genotypeColors, isValueValid } from "./globals";
 import { countTraitsAcrossTree } from "./treeCountingHelpers";
-import { getExtraVals } from "./colorHelpers";
+import { getExtraVals, calcNodeColor } from "./colorHelpers";
 import { isColorByGenotype, decodeColorByGenotype } from "./getGenotype";
 import { setGenotype, orderOfGenotypeAppearance } from "./setGenotype";
 import { getTraitFromNode } from "./treeMiscHelpers";
@@ -288,3 +288,18 @@ export const calcColorScale = (colorBy, controls, tree, treeToo, metadata) => {
     genotype
   };
 };
+
+/**
+ * The columns of the metadata strip drawn beside the tree, i.e. the colour of each node for each of the given
+ * colorings, using the same colour scales as if the tree were coloured by them.
+ * Genotype colorings aren't available, as these require the genotypes to be set on the nodes.
+ * @param {Array} keys the colorings, e.g. ["country", "host"]
+ * @returns {Array} list of `{key, title, colors}` (see `drawMetadataStrip`)
+ */
+export const calcMetadataStrip = (keys, tree, treeToo, metadata) => keys
+  .filter((key) => !isColorByGenotype(key) && metadata.colorings[key])
+  .map((key) => {
+    /* the controls are only used for genotype colorings & the version of the scale */
+    const colorScale = calcColorScale(key, {}, tree, treeToo, metadata);
+    return {key, title: metadata.colorings[key].title || key, colors: calcNodeColor(tree, colorScale)};
+  });
@@ -0,0 +1,205 @@
+/**
+ * A persistent, in-browser cache of the responses to data requests (datasets,
+ * narratives etc), backed by IndexedDB.
+ *
+ * Cached responses are always revalidated against the server via a conditional
+ * request (using the ETag / Last-Modified validators of the cached response), so
+ * an unchanged dataset costs a round-trip but not the transfer of the data itself.
+ * Switching to a cached dataset therefore still waits on the server's (304) response,
+ * and the JSON must still be parsed -- it's faster, not instant.
+ * Responses without validators, or larger than `maxEntrySize`, are never cached.
+ * Bodies are stored as Blobs, and the time each entry was last accessed is stored separately
+ * so that it may be updated without rewriting the body. If the browser's storage quota is
+ * exceeded, older entries are removed to make space. If IndexedDB isn't available (e.g. some private browsing
+ * modes) requests are made as normal.
+ */
+
+const dbName = "auspice";
+const dbVersion = 2;
+const storeName = "responses";
+const accessStoreName = "accessed"; /* {address, accessed} of each entry of `storeName` */
+const maxEntries = 20; /* the least recently used entries beyond this are removed */
+const maxEntrySize = 50e6; /* bytes. Larger responses aren't cached */
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise;
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+      const request = window.indexedDB.open(dbName, dbVersion);
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        /* entries of version 1 included the access time, so they're discarded rather than migrated */
+        if (event.oldVersion >= 1) db.deleteObjectStore(storeName);
+        db.createObjectStore(storeName, {keyPath: "address"});
+        db.createObjectStore(accessStoreName, {keyPath: "address"}).createIndex("accessed", "accessed");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((err) => {
+      console.warn("Dataset caching is disabled:", err.message);
+      return undefined;
+    });
+  }
+  return dbPromise;
+};
+
+const readEntry = async (address) => {
+  const db = await openDatabase();
+  if (!db) return undefined;
+  try {
+    return await promisifyRequest(db.transaction(storeName, "readonly").objectStore(storeName).get(address));
+  } catch (err) {
+    console.warn(`Failed to read ${address} from the dataset cache:`, err.message);
+    return undefined;
+  }
+};
+
+/* remove the least recently accessed entries such that at most `nToKeep` remain */
+const pruneEntries = (db, nToKeep) => new Promise((resolve, reject) => {
+  const transaction = db.transaction([storeName, accessStoreName], "readwrite");
+  const accessStore = transaction.objectStore(accessStoreName);
+  transaction.oncomplete = () => resolve();
+  transaction.onabort = () => reject(transaction.error);
+  promisifyRequest(accessStore.count())
+    .then((count) => {
+      let nToRemove = count - nToKeep;
+      if (nToRemove <= 0) return;
+      accessStore.index("accessed").openKeyCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor || nToRemove <= 0) return;
+        transaction.objectStore(storeName).delete(cursor.primaryKey);
+        accessStore.delete(cursor.primaryKey);
+        nToRemove--;
+        cursor.continue();
+      };
+    })
+    .catch(reject);
+});
+
+/* quota errors may only surface when the transaction commits, so resolve once it has */
+const putEntry = (db, entry) => new Promise((resolve, reject) => {
+  const transaction = db.transaction([storeName, accessStoreName], "readwrite");
+  transaction.oncomplete = () => resolve();
+  transaction.onabort = () => reject(transaction.error);
+  transaction.objectStore(storeName).put(entry);
+  transaction.objectStore(accessStoreName).put({address: entry.address, accessed: Date.now()});
+});
+
+/* update the access time of an entry, leaving the (possibly large) entry itself untouched */
+const recordAccess = async (address) => {
+  const db = await openDatabase();
+  if (!db) return;
+  try {
+    await promisifyRequest(db.transaction(accessStoreName, "readwrite").objectStore(accessStoreName).put({address, accessed: Date.now()}));
+  } catch (err) {
+    console.warn(`Failed to update ${address} in the dataset cache:`, err.message);
+  }
+};
+
+const writeEntry = async (entry) => {
+  const db = await openDatabase();
+  if (!db) return;
+  try {
+    try {
+      await putEntry(db, entry);
+    } catch (err) {
+      if (err.name !== "QuotaExceededError") throw err;
+      /* make space by removing (at least) half of the entries & try again */
+      console.warn(`The dataset cache has exceeded the storage quota -- removing older entries to cache ${entry.address}.`);
+      const count = await promisifyRequest(db.transaction(accessStoreName, "readonly").objectStore(accessStoreName).count());
+      await pruneEntries(db, Math.floor(count / 2));
+      await putEntry(db, entry);
+    }
+    await pruneEntries(db, maxEntries);
+  } catch (err) {
+    console.warn(`Failed to write ${entry.address} to the dataset cache:`, err.message);
+  }
+};
+
+/**
+ * Read the body of a response, giving up (& cancelling the read) once it exceeds `maxBytes`.
+ * This is needed as the size of (e.g. compressed or chunked) responses may not be known in advance.
+ * @returns {Promise} resolves to a Blob, or `undefined` if the body is too large
+ */
+const readBodyUpTo = async (res, maxBytes) => {
+  const reader = res.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const {done, value} = await reader.read(); // eslint-disable-line no-await-in-loop
+    if (done) break;
+    size += value.length;
+    if (size > maxBytes) {
+      reader.cancel();
+      return undefined;
+    }
+    chunks.push(value);
+  }
+  return new Blob(chunks);
+};
+
+/**
+ * Create a `Response` from a cache entry. The `url` is that of the original
+ * response, as (e.g.) `fetchDataAndDispatch` reads the redirected URL from it.
+ */
+const responseFromEntry = (entry) => {
+  const response = new Response(entry.body, {
+    status: 200,
+    statusText: "OK",
+    headers: {"Content-Type": entry.contentType || "application/json"}
+  });
+  Object.defineProperty(response, "url", {value: entry.url});
+  return response;
+};
+
+/**
+ * A drop-in replacement for `fetch(address)` which uses (and populates) the cache.
+ * If the network request fails then a cached response, if present, is used.
+ * @param {string} address
+ * @returns {Promise} resolves to a `Response`
+ */
+export const cachedFetch = async (address) => {
+  const entry = await readEntry(address);
+  const headers = {};
+  if (entry && entry.etag) headers["If-None-Match"] = entry.etag;
+  if (entry && entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+
+  let res;
+  try {
+    res = await fetch(address, {headers});
+  } catch (err) {
+    if (!entry) throw err;
+    console.warn(`Request for ${address} failed -- using the cached response.`);
+    return responseFromEntry(entry);
+  }
+
+  if (res.status === 304 && entry) {
+    recordAccess(address);
+    return responseFromEntry(entry);
+  }
+  const etag = res.headers.get("ETag");
+  const lastModified = res.headers.get("Last-Modified");
+  const contentLength = Number(res.headers.get("Content-Length"));
+  if (res.status === 200 && (etag || lastModified) && !(contentLength > maxEntrySize)) {
+    readBodyUpTo(res.clone(), maxEntrySize)
+      .then((body) => body && writeEntry({
+        address,
+        url: res.url,
+        body,
+        etag,
+        lastModified,
+        contentType: res.headers.get("Content-Type")
+      }))
+      .catch((err) => console.warn(`Failed to cache ${address}:`, err.message));
+  }
+  return res;
+};
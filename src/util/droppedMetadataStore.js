@@ -0,0 +1,54 @@
+/**
+ * A persistent, in-browser store of the metadata dropped onto each dataset (see
+ * `addMetadata`), backed by localStorage. This is synchronous (unlike IndexedDB), as the
+ * metadata is restored while the redux state is created (see `createStateFromQueryOrJSONs`).
+ * Each dataset has a list of entries, in the order they were added.
+ *
+ * localStorage is limited to (typically) 5 MB per origin, shared between all datasets, so the
+ * entries of a dataset are only stored if they're below `maxStoredLength` characters.
+ */
+
+const keyPrefix = "auspice:droppedMetadata:";
+const maxStoredLength = 1e6; /* characters of JSON, which most browsers store as 2 bytes each */
+
+const storageKey = (datasetKey) => `${keyPrefix}${datasetKey.replace(/^\/+|\/+$/g, "")}`;
+
+/**
+ * @param {string} datasetKey the (main) dataset, e.g. "flu/seasonal/h3n2/ha/2y"
+ * @returns {Array} the stored entries (empty if there are none or storage isn't available)
+ */
+export const loadDroppedMetadata = (datasetKey) => {
+  try {
+    const entries = JSON.parse(window.localStorage.getItem(storageKey(datasetKey)));
+    return Array.isArray(entries) ? entries : [];
+  } catch (err) {
+    console.warn(`Failed to read the dropped metadata of ${datasetKey}:`, err.message);
+    return [];
+  }
+};
+
+/**
+ * @param {string} datasetKey
+ * @param {Array} entries which replace those currently stored. An empty list removes the dataset from the store.
+ * @returns {boolean} whether the entries were stored. This fails if they're too large (see `maxStoredLength`),
+ *  in which case any previously stored entries are removed, or if e.g. the storage quota is exceeded.
+ */
+export const storeDroppedMetadata = (datasetKey, entries) => {
+  try {
+    const serialised = JSON.stringify(entries);
+    if (serialised.length > maxStoredLength) {
+      console.warn(`The dropped metadata of ${datasetKey} is too large to store (${serialised.length} characters)`);
+      window.localStorage.removeItem(storageKey(datasetKey));
+      return false;
+    }
+    if (entries.length) {
+      window.localStorage.setItem(storageKey(datasetKey), serialised);
+    } else {
+      window.localStorage.removeItem(storageKey(datasetKey));
+    }
+    return true;
+  } catch (err) {
+    console.warn(`Failed to store the dropped metadata of ${datasetKey}:`, err.message);
+    return false;
+  }
+};
@@ -1,4 +1,5 @@
 import { genotypeColors, NODE_VISIBLE, nucleotide_gene } from "./globals";
+import { createWorker } from "./workers";
 
 const intersectGenes = function intersectGenes(geneMap, pos) {
   for (const gene of Object.keys(geneMap)) {
@@ -225,3 +226,112 @@ export const calcEntropyInView = (nodes, visibility, mutType, geneMap, showCount
     calcMutationCounts(nodes, visibility, geneMap, mutType === "aa") :
     calcEntropy(nodes, visibility, geneMap, mutType === "aa");
 };
+
+/* --- Web worker -----
+Entropy & mutation counts are computed in a web worker (see `src/workers/entropy.worker.js`)
+which keeps a (minimal) copy of the tree, so that only the visibility need be sent for each computation.
+Only the most recent request is of interest. The worker runs one computation at a time: a request
+made while a computation is running supersedes any request waiting to be sent, and the result of
+the running computation is discarded (by request id) once it arrives.
+*/
+let worker;
+let workerUnavailable = false;
+let workerNodes; /* the nodes of which the worker has a copy */
+let latestRequestId = 0;
+let running; /* the id of the computation currently running in the worker */
+let waiting; /* the request to send to the worker once the running computation has finished */
+const pending = new Map(); /* request id -> {resolve, fallback} for requests which haven't been superseded */
+
+/**
+ * Create a copy of the nodes with only the properties used by `calcEntropyInView`,
+ * which is much cheaper to send to the worker
+ */
+const makeWorkerNodes = (nodes) => {
+  const workerCopy = nodes.map((n) => ({
+    arrayIdx: n.arrayIdx,
+    hasChildren: n.hasChildren,
+    branch_attrs: getNodeMutations(n) ? {mutations: n.branch_attrs.mutations} : undefined
+  }));
+  nodes.forEach((n, idx) => {
+    if (n.hasChildren) workerCopy[idx].children = n.children.map((child) => workerCopy[child.arrayIdx]);
+  });
+  return workerCopy;
+};
+
+/* resolve all requests other than the latest to `undefined` */
+const resolveSupersededRequests = () => {
+  pending.forEach(({resolve}, id) => {
+    if (id === latestRequestId) return;
+    resolve(undefined);
+    pending.delete(id);
+  });
+};
+
+const sendRequest = ({id, nodes, args}) => {
+  running = id;
+  if (workerNodes !== nodes) {
+    worker.postMessage({type: "tree", nodes: makeWorkerNodes(nodes)});
+    workerNodes = nodes;
+  }
+  worker.postMessage({type: "compute", id, ...args});
+};
+
+const onWorkerMessage = (event) => {
+  const {id, error, data, maxYVal} = event.data;
+  running = undefined;
+  const request = pending.get(id);
+  pending.delete(id);
+  if (request && error) {
+    console.error("Entropy computation failed in the web worker:", error);
+    request.resolve(request.fallback());
+  } else if (request) {
+    request.resolve([data, maxYVal]);
+  }
+  if (waiting) {
+    sendRequest(waiting);
+    waiting = undefined;
+  }
+};
+
+const onWorkerError = (event) => {
+  console.warn("Failed to run the entropy web worker, falling back to the main thread:", event.message);
+  worker.terminate();
+  worker = undefined;
+  workerUnavailable = true;
+  running = undefined;
+  waiting = undefined;
+  pending.forEach((request) => request.resolve(request.fallback()));
+  pending.clear();
+};
+
+/**
+ * As for `calcEntropyInView` but computed in a web worker (falling back to
+ * the main thread if web workers aren't available).
+ * @return {Promise} resolves to `[data, maxYVal]` or `undefined` if the computation
+ * was superseded by a subsequent call
+ */
+export const calcEntropyInViewAsync = (nodes, visibility, mutType, geneMap, showCounts) => {
+  const id = ++latestRequestId;
+  resolveSupersededRequests();
+  const fallback = () => calcEntropyInView(nodes, visibility, mutType, geneMap, showCounts);
+  if (!worker && !workerUnavailable) {
+    worker = createWorker("entropy");
+    workerNodes = undefined;
+    if (worker) {
+      worker.onmessage = onWorkerMessage;
+      worker.onerror = onWorkerError;
+    } else {
+      workerUnavailable = true;
+    }
+  }
+  if (workerUnavailable) return Promise.resolve(fallback());
+  return new Promise((resolve) => {
+    pending.set(id, {resolve, fallback});
+    const request = {id, nodes, args: {visibility, mutType, geneMap, showCounts}};
+    if (running) {
+      waiting = request;
+    } else {
+      sendRequest(request);
+    }
+  });
+};
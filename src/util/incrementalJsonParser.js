@@ -0,0 +1,132 @@
+/**
+ * An incremental JSON parser, which builds the parsed value as the text arrives (e.g. as a
+ * response body is streamed) rather than requiring the entire text. Only an incomplete token
+ * at the end of each piece of text is retained, so the peak memory use is that of the parsed
+ * value, rather than the text + the parsed value.
+ * Strings & numbers are converted via `JSON.parse`, so the result matches that of `JSON.parse(text)`.
+ *
+ * Usage: `const parser = createIncrementalJsonParser(); parser.write(a); parser.write(b); parser.end()`
+ * where `end` returns the parsed value. Both `write` & `end` throw for invalid JSON.
+ */
+
+const whitespace = new Set([" ", "\t", "\n", "\r"]);
+const numberOrLiteral = /^(?:-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)$/;
+const tokenCharacters = /[\w.+-]*/y;
+
+/* the index of the quote which closes the string starting at `start`, or -1 if it's not (yet) in the text */
+const indexOfClosingQuote = (text, start) => {
+  let i = text.indexOf('"', start + 1);
+  while (i !== -1) {
+    let backslashes = 0;
+    while (text[i - 1 - backslashes] === "\\") backslashes++;
+    if (backslashes % 2 === 0) return i;
+    i = text.indexOf('"', i + 1);
+  }
+  return -1;
+};
+
+export const createIncrementalJsonParser = () => {
+  let buffer = ""; /* the text which hasn't yet been consumed */
+  let consumed = 0; /* the number of characters consumed before `buffer`, for error messages */
+  let expect = "value"; /* value, valueOrEnd, key, keyOrEnd, colon, commaOrEnd or done */
+  const stack = []; /* the containers (objects / arrays) being parsed, with the current key for objects */
+  let result;
+
+  const fail = (pos) => {
+    throw new Error(`Invalid JSON at character ${consumed + pos}`);
+  };
+
+  const addValue = (value, isContainer) => {
+    const parent = stack[stack.length - 1];
+    if (!parent) {
+      result = value;
+    } else if (Array.isArray(parent.value)) {
+      parent.value.push(value);
+    } else if (parent.key === "__proto__") { /* as per JSON.parse, this is an own property */
+      Object.defineProperty(parent.value, parent.key, {value, writable: true, enumerable: true, configurable: true});
+    } else {
+      parent.value[parent.key] = value;
+    }
+    if (isContainer) {
+      stack.push({value});
+      expect = Array.isArray(value) ? "valueOrEnd" : "keyOrEnd";
+    } else {
+      expect = stack.length ? "commaOrEnd" : "done";
+    }
+  };
+
+  const closeContainer = () => {
+    stack.pop();
+    expect = stack.length ? "commaOrEnd" : "done";
+  };
+
+  /* consume as many tokens of the buffer as possible. If `final` then there's no more text to come */
+  const consume = (final) => {
+    let pos = 0;
+    const text = buffer;
+    while (pos < text.length) {
+      const c = text[pos];
+      if (whitespace.has(c)) {
+        pos++;
+        continue; // eslint-disable-line no-continue
+      }
+      if (expect === "done") fail(pos);
+      if (expect === "colon") {
+        if (c !== ":") fail(pos);
+        expect = "value";
+        pos++;
+      } else if (expect === "commaOrEnd") {
+        const isArray = Array.isArray(stack[stack.length - 1].value);
+        if (c === ",") {
+          expect = isArray ? "value" : "key";
+        } else if (c === (isArray ? "]" : "}")) {
+          closeContainer();
+        } else {
+          fail(pos);
+        }
+        pos++;
+      } else if ((expect === "keyOrEnd" && c === "}") || (expect === "valueOrEnd" && c === "]")) {
+        closeContainer();
+        pos++;
+      } else if (c === '"') {
+        const end = indexOfClosingQuote(text, pos);
+        if (end === -1) break; /* the rest of the string is yet to arrive */
+        const string = JSON.parse(text.slice(pos, end + 1));
+        if (expect === "key" || expect === "keyOrEnd") {
+          stack[stack.length - 1].key = string;
+          expect = "colon";
+        } else {
+          addValue(string, false);
+        }
+        pos = end + 1;
+      } else if (expect === "key" || expect === "keyOrEnd") {
+        fail(pos);
+      } else if (c === "{" || c === "[") {
+        addValue(c === "{" ? {} : [], true);
+        pos++;
+      } else {
+        tokenCharacters.lastIndex = pos;
+        const token = tokenCharacters.exec(text)[0];
+        /* a token at the end of the text may be incomplete, e.g. "12" of "123" or "tr" of "true" */
+        if (!final && pos + token.length === text.length) break;
+        if (!numberOrLiteral.test(token)) fail(pos);
+        addValue(JSON.parse(token), false);
+        pos += token.length;
+      }
+    }
+    buffer = text.slice(pos);
+    consumed += pos;
+  };
+
+  return {
+    write: (text) => {
+      buffer += text;
+      consume(false);
+    },
+    end: () => {
+      consume(true);
+      if (buffer.length || expect !== "done") fail(buffer.length);
+      return result;
+    }
+  };
+};
@@ -0,0 +1,88 @@
+import { createWorker } from "./workers";
+import { prepareTreeNodes } from "./treeStructureHelpers";
+
+const progressInterval = 200; /* ms between successive download progress reports */
+
+/* resolves to the worker once it has loaded, or to `undefined` if it fails to load */
+const startWorker = () => new Promise((resolve) => {
+  const worker = createWorker("parseDataset");
+  if (!worker) {
+    resolve(undefined);
+    return;
+  }
+  worker.onmessage = (event) => {
+    if (event.data.type === "ready") resolve(worker);
+  };
+  worker.onerror = (event) => {
+    console.warn("Failed to load the parseDataset web worker:", event.message);
+    worker.terminate();
+    resolve(undefined);
+  };
+});
+
+const parseOnMainThread = async (response, onProgress) => {
+  onProgress({stage: "downloading"});
+  const json = await response.json();
+  onProgress({stage: "processing"});
+  return {json, nodes: json.tree ? prepareTreeNodes(json.tree) : undefined};
+};
+
+/**
+ * Read the body of a dataset response, parse the JSON & prepare the tree nodes.
+ * Where possible this is done in a web worker (see `src/workers/parseDataset.worker.js`)
+ * to which the body is streamed, and in which it's parsed, as it downloads.
+ * @param {Response} response
+ * @param {function} onProgress called with an object containing `stage` ("downloading"
+ *  or "processing"), and for downloads, `loaded` & `total` (in bytes). `total` is
+ *  undefined if the size of the download is unknown (e.g. the response is compressed).
+ * @returns {Promise} resolves to `{json, nodes}`, where `nodes` are the result of
+ *  `prepareTreeNodes(json.tree)`
+ */
+export const parseDatasetResponse = async (response, onProgress = () => {}) => {
+  const worker = response.body && response.body.getReader ? await startWorker() : undefined;
+  if (!worker) return parseOnMainThread(response, onProgress);
+
+  const total = response.headers.get("Content-Encoding") ?
+    undefined :
+    (Number(response.headers.get("Content-Length")) || undefined);
+  let loaded = 0;
+
+  const result = new Promise((resolve, reject) => {
+    worker.onmessage = (event) => {
+      const {type} = event.data;
+      if (type === "progress") {
+        onProgress({stage: event.data.stage, loaded, total});
+      } else if (type === "result") {
+        worker.terminate();
+        resolve({json: event.data.json, nodes: event.data.nodes});
+      } else if (type === "error") {
+        worker.terminate();
+        reject(new Error(event.data.message));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message));
+    };
+  });
+
+  const reader = response.body.getReader();
+  let lastReported = 0;
+  try {
+    for (;;) {
+      const {done, value} = await reader.read(); // eslint-disable-line no-await-in-loop
+      if (done) break;
+      loaded += value.byteLength;
+      if (Date.now() - lastReported > progressInterval) {
+        lastReported = Date.now();
+        onProgress({stage: "downloading", loaded, total});
+      }
+      worker.postMessage({type: "chunk", chunk: value}, [value.buffer]);
+    }
+  } catch (err) {
+    worker.terminate();
+    throw err;
+  }
+  worker.postMessage({type: "end"});
+  return result;
+};
@@ -0,0 +1,314 @@
+/**
+ * Parsers for Newick & Nexus trees, as produced by (e.g.) IQ-TREE, RAxML or BEAST, which
+ * convert them into the (nested) tree structure of v2 dataset JSONs, i.e. nodes of the form
+ * `{name, node_attrs: {div, ...}, branch_attrs: {}, children}`, as consumed by `treeJsonToState`.
+ *
+ * Annotations in (BEAST-style) comments, e.g. `[&rate=0.1,country="UK",height_95%_HPD={1.2,3.4}]`,
+ * become node attributes. Numeric internal node labels (e.g. bootstrap values) become `support`.
+ */
+
+const labelTerminators = new Set(["(", ")", ",", ":", ";", "["]);
+
+const isNumeric = (value) => value !== "" && !Number.isNaN(Number(value));
+
+/* split a string on top-level occurrences of `separator`, i.e. not within quotes, braces or brackets */
+const splitTopLevel = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let quote;
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = undefined;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === "{" || c === "[" || c === "(") {
+      depth++;
+    } else if (c === "}" || c === "]" || c === ")") {
+      depth--;
+    } else if (c === separator && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(text.slice(start));
+  return parts;
+};
+
+const unquote = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.length > 1 && (trimmed[0] === "'" || trimmed[0] === '"') && trimmed[trimmed.length - 1] === trimmed[0]) {
+    return trimmed.slice(1, -1).replace(trimmed[0] === "'" ? /''/g : /""/g, trimmed[0]);
+  }
+  return trimmed;
+};
+
+const parseAnnotationValue = (text) => {
+  const trimmed = text.trim();
+  if (trimmed[0] === "{" && trimmed[trimmed.length - 1] === "}") {
+    return splitTopLevel(trimmed.slice(1, -1), ",").map(parseAnnotationValue);
+  }
+  const value = unquote(trimmed);
+  return (value === trimmed && isNumeric(value)) ? Number(value) : value;
+};
+
+/* the key-value pairs of a BEAST-style comment, e.g. "&rate=0.1,country=UK", or `{}` for other comments */
+const parseComment = (comment) => {
+  const annotations = {};
+  if (comment[0] !== "&") return annotations;
+  splitTopLevel(comment.slice(1), ",").forEach((pair) => {
+    const idx = pair.indexOf("=");
+    if (idx === -1) return;
+    annotations[pair.slice(0, idx).trim()] = parseAnnotationValue(pair.slice(idx + 1));
+  });
+  return annotations;
+};
+
+/**
+ * Convert BEAST annotations into v2 node attributes. Continuous traits may have a 95% HPD,
+ * e.g. `height=2,height_95%_HPD={1,3}` -> `{height: {value: 2, confidence: [1, 3]}}`, and discrete
+ * traits may have a set of values & their probabilities, e.g. `country=UK,country.set={UK,FR},
+ * country.set.prob={0.9,0.1}` -> `{country: {value: "UK", confidence: {UK: 0.9, FR: 0.1}}}`.
+ * Other summaries (medians, ranges etc) are ignored.
+ */
+const annotationsToNodeAttrs = (annotations) => {
+  const attrs = {};
+  Object.keys(annotations).forEach((key) => {
+    if (/(_95%_HPD|_median|_range|\.prob|\.set)$/.test(key)) return;
+    const value = annotations[key];
+    if (typeof value !== "number" && typeof value !== "string") return;
+    attrs[key] = {value};
+    const hpd = annotations[`${key}_95%_HPD`];
+    if (Array.isArray(hpd) && hpd.length === 2 && hpd.every((v) => typeof v === "number")) {
+      attrs[key].confidence = hpd;
+    }
+    const set = annotations[`${key}.set`];
+    const probs = annotations[`${key}.set.prob`];
+    if (Array.isArray(set) && Array.isArray(probs) && set.length === probs.length) {
+      attrs[key].confidence = {};
+      set.forEach((v, i) => {attrs[key].confidence[v] = probs[i];});
+    }
+  });
+  return attrs;
+};
+
+/**
+ * Parse the newick string into a nested structure of `{label, length, annotations, children}`
+ * using a recursive descent parser.
+ */
+const parseNewickStructure = (newick) => {
+  let pos = 0;
+  const error = (message) => new Error(`${message} (at character ${pos} of the newick string)`);
+  const skipWhitespace = () => {
+    while (pos < newick.length && /\s/.test(newick[pos])) pos++;
+  };
+  const readComments = (annotations) => {
+    skipWhitespace();
+    while (newick[pos] === "[") {
+      const end = newick.indexOf("]", pos);
+      if (end === -1) throw error("Unterminated comment");
+      Object.assign(annotations, parseComment(newick.slice(pos + 1, end)));
+      pos = end + 1;
+      skipWhitespace();
+    }
+  };
+  const readLabel = () => {
+    skipWhitespace();
+    const quote = newick[pos];
+    if (quote === "'" || quote === '"') {
+      let label = "";
+      pos++;
+      for (;;) {
+        if (pos >= newick.length) throw error("Unterminated quoted label");
+        if (newick[pos] === quote) {
+          if (newick[pos + 1] !== quote) break;
+          pos++; /* a doubled quote is an escaped quote */
+        }
+        label += newick[pos];
+        pos++;
+      }
+      pos++;
+      return label;
+    }
+    const start = pos;
+    while (pos < newick.length && !labelTerminators.has(newick[pos])) pos++;
+    return newick.slice(start, pos).trim();
+  };
+  const parseSubtree = () => {
+    const node = {annotations: {}};
+    readComments(node.annotations);
+    if (newick[pos] === "(") {
+      pos++;
+      node.children = [];
+      for (;;) {
+        node.children.push(parseSubtree());
+        skipWhitespace();
+        if (newick[pos] === ",") {
+          pos++;
+        } else if (newick[pos] === ")") {
+          pos++;
+          break;
+        } else {
+          throw error(`Expected "," or ")" but found "${newick[pos] || "the end of the tree"}"`);
+        }
+      }
+    }
+    node.label = readLabel();
+    readComments(node.annotations);
+    if (newick[pos] === ":") {
+      pos++;
+      readComments(node.annotations);
+      const length = readLabel();
+      if (length !== "") {
+        if (!isNumeric(length)) throw error(`Invalid branch length "${length}"`);
+        node.length = Number(length);
+      }
+      readComments(node.annotations);
+    }
+    return node;
+  };
+
+  const root = parseSubtree();
+  skipWhitespace();
+  if (newick[pos] === ";") pos++;
+  skipWhitespace();
+  if (pos !== newick.length) throw error("Unexpected characters after the end of the tree");
+  return root;
+};
+
+/* internal node labels such as "95", "0.98" or "80.5/95" (e.g. IQ-TREE's SH-aLRT/UFboot) are support values */
+const parseSupport = (label) => {
+  const values = label.split("/");
+  if (!values.every(isNumeric)) return undefined;
+  const attrs = {support: {value: Number(values[0])}};
+  values.slice(1).forEach((v, i) => {attrs[`support_${i + 2}`] = {value: Number(v)};});
+  return attrs;
+};
+
+/**
+ * Convert the parsed structure into v2 nodes, computing divergences (cumulative branch lengths)
+ * and ensuring node names are unique. If the tree has no branch lengths then each branch is
+ * given a length of one.
+ */
+const toV2Tree = (root, translate = {}) => {
+  const names = new Set();
+  let hasLengths = false;
+  const checkLengths = (node) => {
+    if (node.length !== undefined) hasLengths = true;
+    if (node.children) node.children.forEach(checkLengths);
+  };
+  checkLengths(root);
+
+  let internalCount = 0;
+  const uniqueName = (name) => {
+    let unique = name;
+    for (let i = 1; names.has(unique); i++) unique = `${name}_${i}`;
+    names.add(unique);
+    return unique;
+  };
+  const convert = (node, parentDiv, isRoot) => {
+    const length = isRoot ? 0 : (hasLengths ? (node.length || 0) : 1);
+    const div = parentDiv + length;
+    const nodeAttrs = {...annotationsToNodeAttrs(node.annotations), div};
+    let name = translate[node.label] || node.label;
+    if (node.children) {
+      const support = name ? parseSupport(name) : undefined;
+      if (support) {
+        Object.assign(nodeAttrs, support);
+        name = "";
+      }
+      if (!name) {
+        internalCount++;
+        name = `NODE_${String(internalCount).padStart(7, "0")}`;
+      }
+    }
+    const v2Node = {name: uniqueName(name || "unnamed"), node_attrs: nodeAttrs, branch_attrs: {}};
+    if (node.children) {
+      v2Node.children = node.children.map((child) => convert(child, div, false));
+    }
+    return v2Node;
+  };
+  return convert(root, 0, true);
+};
+
+/**
+ * @param {string} newick
+ * @returns {Object} the root node of the (v2) tree
+ * @throws if the newick string can't be parsed
+ */
+export const parseNewick = (newick) => toV2Tree(parseNewickStructure(newick.trim()));
+
+/* calls `fn(c, i)` for each character of (nexus) text which is outside quotes & comments, stopping if it returns true */
+const scanOutsideQuotesAndComments = (text, fn) => {
+  let quote;
+  let inComment = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quote) {
+      if (c === quote) quote = undefined;
+    } else if (inComment) {
+      if (c === "]") inComment = false;
+    } else if (c === "'" || c === '"') {
+      quote = c;
+    } else if (c === "[") {
+      inComment = true;
+    } else if (fn(c, i)) {
+      return;
+    }
+  }
+};
+
+/* the statements (separated by ";") of a nexus block, ignoring semicolons within quotes & comments */
+const splitNexusStatements = (text) => {
+  const statements = [];
+  let start = 0;
+  scanOutsideQuotesAndComments(text, (c, i) => {
+    if (c === ";") {
+      statements.push(text.slice(start, i).trim());
+      start = i + 1;
+    }
+  });
+  return statements;
+};
+
+/* the tree of a TREE statement, i.e. what follows the first "=" outside quotes & comments
+(BEAST trees have comments such as [&lnP=-1234.5] before the "=") */
+const treeOfStatement = (statement) => {
+  let equals = -1;
+  scanOutsideQuotesAndComments(statement, (c, i) => {
+    if (c === "=") equals = i;
+    return equals !== -1;
+  });
+  return statement.slice(equals + 1);
+};
+
+/**
+ * Parse the first tree of the TREES block of a nexus file, applying any TRANSLATE table.
+ * @param {string} nexus
+ * @returns {Object} `{tree, treeCount}` where `tree` is the root node of the (v2) tree
+ *  and `treeCount` the number of trees in the file
+ * @throws if there is no (parseable) tree
+ */
+export const parseNexus = (nexus) => {
+  if (!/^\s*#nexus/i.test(nexus)) throw new Error("Not a nexus file (it must start with #NEXUS)");
+  const blockStart = nexus.search(/begin\s+trees\s*;/i);
+  if (blockStart === -1) throw new Error("No TREES block found in the nexus file");
+  const statements = splitNexusStatements(nexus.slice(nexus.indexOf(";", blockStart) + 1));
+  const translate = {};
+  const trees = [];
+  for (const statement of statements) {
+    if (/^end$|^endblock$/i.test(statement)) break;
+    if (/^translate\s/i.test(statement)) {
+      splitTopLevel(statement.replace(/^translate\s+/i, ""), ",").forEach((entry) => {
+        const [key, ...name] = entry.trim().split(/\s+/);
+        if (key) translate[key] = unquote(name.join(" "));
+      });
+    } else if (/^u?tree\s/i.test(statement)) {
+      trees.push(treeOfStatement(statement));
+    }
+  }
+  if (!trees.length) throw new Error("No trees found in the TREES block of the nexus file");
+  /* a leading rooting comment, e.g. [&R], is ignored by the newick parser */
+  return {tree: toV2Tree(parseNewickStructure(trees[0].trim()), translate), treeCount: trees.length};
+};
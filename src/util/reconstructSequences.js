@@ -0,0 +1,89 @@
+/**
+ * Reconstruction of the (nucleotide & protein) sequences of nodes from the root sequence
+ * (either the dataset's `root_sequence` or the `_root-sequence.json` sidecar) by applying
+ * the `branch_attrs.mutations` along the path from the root.
+ * Only substitutions (incl. gaps) are represented, as mutations don't encode insertions.
+ */
+
+const bases = "TCAG";
+/* the amino acids of each codon, ordered as per `bases` (TTT, TTC, TTA, TTG, TCT, ...) */
+const codonTable = "FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG";
+const complement = {A: "T", T: "A", C: "G", G: "C", N: "N", "-": "-"};
+
+const translateCodon = (codon) => {
+  if (codon === "---") return "-";
+  const idxs = codon.split("").map((b) => bases.indexOf(b));
+  if (idxs.some((i) => i === -1)) return "X";
+  return codonTable[(idxs[0] * 16) + (idxs[1] * 4) + idxs[2]];
+};
+
+const translate = (seq) => {
+  let protein = "";
+  for (let i = 0; i + 3 <= seq.length; i += 3) {
+    protein += translateCodon(seq.slice(i, i + 3));
+  }
+  return protein;
+};
+
+/**
+ * @param {Object} rootSequence gene -> sequence, with the nucleotide sequence as `nuc`
+ * @param {Object} genomeAnnotations (optional) the dataset's `genome_annotations`
+ * @param {string} gene
+ * @returns {string|undefined} the root sequence of the gene, translated from the nucleotide
+ *  sequence (using the annotation of the gene) if the root sequence only has `nuc`
+ */
+export const getRootSequenceOfGene = (rootSequence, genomeAnnotations, gene) => {
+  if (!rootSequence) return undefined;
+  if (typeof rootSequence[gene] === "string") return rootSequence[gene].toUpperCase();
+  const annotation = genomeAnnotations && genomeAnnotations[gene];
+  if (gene === "nuc" || typeof rootSequence.nuc !== "string" || !annotation) return undefined;
+  let cds = rootSequence.nuc.slice(annotation.start - 1, annotation.end).toUpperCase();
+  if (annotation.strand === "-") {
+    cds = cds.split("").reverse().map((b) => complement[b] || "N").join("");
+  }
+  return translate(cds);
+};
+
+/**
+ * @returns {Array} the genes for which a sequence may be reconstructed, starting with "nuc"
+ */
+export const getReconstructableGenes = (rootSequence, genomeAnnotations) => {
+  if (!rootSequence) return [];
+  const genes = new Set(Object.keys(rootSequence).filter((gene) => typeof rootSequence[gene] === "string"));
+  if (typeof rootSequence.nuc === "string") {
+    Object.keys(genomeAnnotations || {}).forEach((gene) => genes.add(gene));
+  }
+  return [...genes].sort((a, b) => (a === "nuc" ? -1 : b === "nuc" ? 1 : a < b ? -1 : 1));
+};
+
+/**
+ * Reconstruct the sequences of the given nodes via a (single) traversal of the tree, where the
+ * mutations of each branch are applied on the way down & reverted on the way back up.
+ * @param {Object} root the root node of the tree
+ * @param {string} rootSequence the sequence of `gene` at the root
+ * @param {string} gene e.g. "nuc" or "HA1"
+ * @param {Array} nodes the nodes whose sequences are returned
+ * @returns {Map} node -> sequence
+ */
+export const reconstructSequences = (root, rootSequence, gene, nodes) => {
+  const wanted = new Set(nodes);
+  const sequences = new Map();
+  const seq = rootSequence.split("");
+  const recurse = (node) => {
+    const previous = [];
+    const mutations = node.branch_attrs && node.branch_attrs.mutations && node.branch_attrs.mutations[gene];
+    if (mutations) {
+      mutations.forEach((m) => {
+        const idx = parseInt(m.slice(1, m.length - 1), 10) - 1;
+        if (idx < 0 || idx >= seq.length) return;
+        previous.push([idx, seq[idx]]);
+        seq[idx] = m[m.length - 1];
+      });
+    }
+    if (wanted.has(node)) sequences.set(node, seq.join(""));
+    if (node.hasChildren) node.children.forEach(recurse);
+    previous.reverse().forEach(([idx, state]) => { seq[idx] = state; });
+  };
+  recurse(root);
+  return sequences;
+};
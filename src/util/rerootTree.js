@@ -0,0 +1,132 @@
+import { getDivFromNode, getTraitFromNode } from "./treeMiscHelpers";
+
+/**
+ * Functions to re-root a tree on an arbitrary branch. The tree (as defined by the
+ * dataset JSON) is never modified -- re-rooting creates a (nested) copy of it, which
+ * is then processed like any other tree JSON (see `treeJsonToState`). As such, a
+ * re-rooting is always defined relative to the original tree, which means it may be
+ * represented in the URL query by a single node name (`?reroot=<name>`).
+ */
+
+const branchLength = (node) => getDivFromNode(node) - getDivFromNode(node.parent);
+
+/* mutations (e.g. "A123T") on a branch which is now traversed in the opposite direction */
+const reverseMutations = (mutations) => {
+  const reversed = {};
+  Object.keys(mutations).forEach((gene) => {
+    reversed[gene] = mutations[gene].map((mut) => {
+      const parts = mut.match(/^(.)(\d+)(.)$/);
+      return parts ? `${parts[3]}${parts[2]}${parts[1]}` : mut;
+    });
+  });
+  return reversed;
+};
+
+/* branch labels (e.g. clades) don't apply to reversed branches, so only mutations are kept */
+const reverseBranchAttrs = (branchAttrs) =>
+  (branchAttrs && branchAttrs.mutations) ? {mutations: reverseMutations(branchAttrs.mutations)} : {};
+
+/* combine the attrs of two consecutive branches, e.g. when a (bifurcating) root is removed */
+const mergeBranchAttrs = (first, second) => {
+  const mutations = {};
+  [first, second].forEach((branchAttrs) => {
+    if (!branchAttrs || !branchAttrs.mutations) return;
+    Object.keys(branchAttrs.mutations).forEach((gene) => {
+      mutations[gene] = [...(mutations[gene] || []), ...branchAttrs.mutations[gene]];
+    });
+  });
+  return {...first, ...second, mutations};
+};
+
+/* a copy of a single node (without its links to other nodes) at the given divergence */
+const copyNode = (node, div, branchAttrs) => {
+  const {children, parent, shell, ...props} = node; // eslint-disable-line no-unused-vars
+  return {...props, node_attrs: {...node.node_attrs, div}, branch_attrs: branchAttrs};
+};
+
+/* copy a clade, whose orientation is unchanged by the re-rooting */
+const copyClade = (node, parentDiv, length, branchAttrs) => {
+  const copy = copyNode(node, parentDiv + length, branchAttrs);
+  if (node.children) {
+    copy.children = node.children.map((child) =>
+      copyClade(child, copy.node_attrs.div, branchLength(child), child.branch_attrs)
+    );
+  }
+  return copy;
+};
+
+/**
+ * Copy a node which was an ancestor of the new root in the original tree. Its (original)
+ * parent becomes a child, and the (original) child on the path to the new root is removed.
+ * The original root is removed if it's left with a single child.
+ */
+const copyAncestor = (node, pathChild, parentDiv, length, branchAttrs) => {
+  const isOriginalRoot = node.parent === node;
+  const children = node.children.filter((child) => child !== pathChild);
+  if (isOriginalRoot && children.length === 1) {
+    const child = children[0];
+    return copyClade(child, parentDiv, length + branchLength(child), mergeBranchAttrs(branchAttrs, child.branch_attrs));
+  }
+  const copy = copyNode(node, parentDiv + length, branchAttrs);
+  copy.children = children.map((child) =>
+    copyClade(child, copy.node_attrs.div, branchLength(child), child.branch_attrs)
+  );
+  if (!isOriginalRoot) {
+    copy.children.push(copyAncestor(node.parent, node, copy.node_attrs.div, branchLength(node), reverseBranchAttrs(node.branch_attrs)));
+  }
+  return copy;
+};
+
+/**
+ * Re-root the tree at the midpoint of the branch leading to `node`, such that the new root
+ * has two children: (a copy of) the clade defined by `node`, and the remainder of the tree.
+ * Divergences are recomputed from the new root. Dates are not, as they're inferred for the
+ * original rooting, however the new root is given the earliest date in the tree.
+ * @param {Object} node a node of the original tree (with `parent` & `children` links)
+ * @param {Array} nodes all nodes of the original tree
+ * @returns {Object|undefined} the root of the re-rooted (nested) tree, or `undefined` if
+ *  the tree can't be re-rooted on this node
+ */
+export const rerootTree = (node, nodes) => {
+  if (node.parent === node) return undefined; /* it's already the root */
+  if (getDivFromNode(node) === undefined || getDivFromNode(node.parent) === undefined) return undefined;
+  const halfLength = branchLength(node) / 2;
+  const root = {
+    name: `reroot_${node.name}`,
+    node_attrs: {div: 0},
+    branch_attrs: {},
+    children: [
+      copyClade(node, 0, halfLength, node.branch_attrs),
+      copyAncestor(node.parent, node, 0, halfLength, {})
+    ]
+  };
+  const dates = nodes.map((n) => getTraitFromNode(n, "num_date")).filter((date) => date !== undefined);
+  if (dates.length) root.node_attrs.num_date = {value: Math.min(...dates)};
+  return root;
+};
+
+const isAncestorOf = (ancestor, node) => {
+  let n = node;
+  while (n.parent !== n) {
+    n = n.parent;
+    if (n === ancestor) return true;
+  }
+  return false;
+};
+
+/**
+ * Given a node of the (possibly re-rooted) tree, find the node of the original tree
+ * on which to re-root such that the root is placed on the branch leading to `node`.
+ * @param {Object} node a node of the tree as currently displayed
+ * @param {Array} originalNodes
+ * @param {string|undefined} currentReroot the name of the node the current tree is re-rooted on
+ * @returns {string|undefined} the name of the node (in the original tree) to re-root on
+ */
+export const getOriginalRerootNodeName = (node, originalNodes, currentReroot) => {
+  if (node.parent === node) return currentReroot; /* the root has no branch to re-root on */
+  const original = originalNodes.find((n) => n.name === node.name);
+  const originalParent = originalNodes.find((n) => n.name === node.parent.name);
+  if (!originalParent) return currentReroot; /* the parent is the current root, so the rooting is unchanged */
+  /* if the branch was reversed by the current re-rooting then it leads to the parent in the original tree */
+  return isAncestorOf(original, originalParent) ? originalParent.name : original.name;
+};
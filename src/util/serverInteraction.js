@@ -1,5 +1,13 @@
-export const fetchJSON = (path) => {
-  const p = fetch(path)
+import { getServerAddress } from "./globals";
+import { isStaticSite, staticSiteDataAddress, getPathname } from "./staticSite";
+import { cachedFetch } from "./datasetCache";
+
+/**
+ * @param {string} path
+ * @param {Object} options `cache` {bool} use the in-browser cache (see `datasetCache.js`)
+ */
+export const fetchJSON = (path, {cache=false}={}) => {
+  const p = (cache ? cachedFetch(path) : fetch(path))
     .then((res) => {
       if (res.status !== 200) {
         throw new Error(res.statusText);
@@ -9,3 +17,11 @@ export const fetchJSON = (path) => {
     .then((res) => res.json());
   return p;
 };
+
+/**
+ * The address from which to fetch the available datasets & narratives.
+ * Note that static sites don't use the "/charon" API (see `staticSite.js`)
+ */
+export const getAvailableAddress = (pathname = getPathname()) => isStaticSite() ?
+  staticSiteDataAddress("getAvailable") :
+  `${getServerAddress()}/getAvailable?prefix=${pathname}`;
@@ -1,10 +1,19 @@
 import { getTraitFromNode } from "./treeMiscHelpers";
+import { genotypeColors, nucleotide_gene } from "./globals";
+import { decodeColorByGenotype } from "./getGenotype";
+import { getRootSequenceOfGene } from "./reconstructSequences";
 
-export const setGenotype = (nodes, prot, positions) => {
-  // console.time("setGenotype")
+/**
+ * Calculate the genotype of each node at the given positions by traversing the tree & applying the mutations.
+ * Nodes whose state isn't changed by any mutation at a position take the ancestral (root) state, which is
+ * inferred from the first mutation seen at that position (and is therefore undefined if there are none).
+ * @returns {Object} `{genotypes, ancestralStates}` where `genotypes` is a Map of node -> list of states (one per position)
+ */
+export const calcGenotypes = (nodes, prot, positions) => {
   const nPositions = positions.length;
   const ancState = positions.map(() => undefined);
   const ancNodes = positions.map(() => []);
+  const genotypes = new Map();
   const recurse = (node, state) => {
     const newState = state; /* reference. cheap */
     let data; // any potential mutations that would result in a state change
@@ -25,7 +34,7 @@ export const setGenotype = (nodes, prot, positions) => {
       }
     }
     /* set for all nodes. will be undefined if ancestral */
-    node.currentGt = [...newState];
+    genotypes.set(node, [...newState]);
     for (let j = 0; j < nPositions; j++) {
       if (!newState[j]) {
         ancNodes[j].push(node);
@@ -40,12 +49,59 @@ export const setGenotype = (nodes, prot, positions) => {
   recurse(nodes[0], positions.map(() => undefined), positions);
   for (let j = 0; j < nPositions; j++) {
     for (const node of ancNodes[j]) {
-      node.currentGt[j] = ancState[j];
+      genotypes.get(node)[j] = ancState[j];
     }
   }
-  nodes.forEach((n) => {n.currentGt = n.currentGt.join(' / ');});
+  return {genotypes, ancestralStates: ancState};
+};
+
+export const setGenotype = (nodes, prot, positions) => {
+  // console.time("setGenotype")
+  const { genotypes } = calcGenotypes(nodes, prot, positions);
+  nodes.forEach((n) => {n.currentGt = genotypes.get(n).join(' / ');});
   // console.timeEnd("setGenotype")
-  // console.log(`set ${ancNodes.length} nodes to the ancestral state: ${ancState}`)
+};
+
+const nucleotideColors = {A: genotypeColors[0], C: genotypeColors[2], G: genotypeColors[1], T: genotypeColors[3]};
+const aminoAcids = "ACDEFGHIKLMNPQRSTVWY*";
+const sameAsRootColor = "#E8E8E8";
+const ambiguousColor = "#999999";
+const unknownColor = "#FFFFFF";
+
+/* the colour of a cell of the alignment strip, where only differences from the root are coloured */
+const alignmentColor = (state, rootState, aa) => {
+  if (!state) return unknownColor;
+  if (state === rootState) return sameAsRootColor;
+  if (state === "-" || state === "X" || (!aa && state === "N")) return ambiguousColor;
+  if (!aa) return nucleotideColors[state] || ambiguousColor;
+  const idx = aminoAcids.indexOf(state);
+  return idx === -1 ? ambiguousColor : genotypeColors[idx % genotypeColors.length];
+};
+
+/**
+ * The columns of the alignment strip drawn beside the tree (after the metadata strip), one per position
+ * of the genotype, where each node's cell is coloured if its state differs from the root.
+ * The root state is taken from the dataset's root sequence, if available, and otherwise inferred from the mutations.
+ * @param {string} genotype the positions, encoded as per colorBy, e.g. "gt-HA1_160,161"
+ * @returns {Array} list of `{key, title, colors, values}` (see `drawMetadataStrip`)
+ */
+export const calcAlignmentStrip = (genotype, tree, metadata, geneLength) => {
+  const decoded = genotype ? decodeColorByGenotype(genotype, geneLength) : null;
+  if (!decoded) return [];
+  const { gene, positions, aa } = decoded;
+  const { genotypes, ancestralStates } = calcGenotypes(tree.nodes, gene, positions);
+  const rootSequence = getRootSequenceOfGene(metadata.rootSequence, metadata.genomeAnnotations, gene);
+  return positions.map((position, j) => {
+    const rootState = (rootSequence && rootSequence[position - 1]) || ancestralStates[j];
+    const values = tree.nodes.map((n) => genotypes.get(n)[j] || rootState);
+    return {
+      key: `${gene}:${position}`,
+      title: `${gene === nucleotide_gene ? "" : `${gene} `}${position}`,
+      colors: values.map((state) => alignmentColor(state, rootState, aa)),
+      values,
+      alignment: true
+    };
+  });
 };
 
 export const orderOfGenotypeAppearance = (nodes, mutType) => {
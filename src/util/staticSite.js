@@ -0,0 +1,57 @@
+/**
+ * Auspice may be exported as a static site (see `auspice export-static`), which can
+ * be served from any (static) host, possibly under a sub-path (e.g. GitHub pages).
+ * In this case each index.html defines `window.AUSPICE_STATIC_SITE.root` -- the
+ * location of the site root relative to that page -- and the data (normally served
+ * via the "/charon" API) is read from JSON files under `<root>/charon/`.
+ *
+ * The functions here allow the rest of auspice to work with pathnames as if
+ * the site were served from "/" (e.g. "/zika"), regardless of where it's hosted.
+ */
+
+/* The pathname of the site root, always ending in "/", or `undefined` if we're not a static site */
+const staticSiteRoot = (() => {
+  if (!window.AUSPICE_STATIC_SITE) return undefined;
+  const a = document.createElement("a"); /* resolves a relative href against the current page */
+  a.href = window.AUSPICE_STATIC_SITE.root || "./";
+  const pathname = a.pathname.startsWith("/") ? a.pathname : `/${a.pathname}`; /* IE omits the leading slash */
+  return pathname.endsWith("/") ? pathname : `${pathname}/`;
+})();
+
+export const isStaticSite = () => staticSiteRoot !== undefined;
+
+export const getStaticSiteRoot = () => staticSiteRoot;
+
+/**
+ * The current pathname, as auspice understands it. For static sites this
+ * doesn't include the path to the site root.
+ */
+export const getPathname = () => {
+  const pathname = window.location.pathname;
+  if (!isStaticSite() || !pathname.startsWith(staticSiteRoot)) return pathname;
+  return `/${pathname.slice(staticSiteRoot.length)}`;
+};
+
+/**
+ * The inverse of `getPathname` -- converts an auspice pathname (e.g. "/zika")
+ * into the pathname to display in the browser.
+ */
+export const pathnameToURL = (pathname) => {
+  if (!isStaticSite()) return pathname;
+  return `${staticSiteRoot}${pathname.replace(/^\//, "")}`;
+};
+
+/**
+ * The address of the JSON file which, for static sites, replaces a request to
+ * the "/charon" API. Note that this layout must match that written by `auspice export-static`.
+ * @param {string} endpoint "getAvailable", "getDataset" or "getNarrative"
+ * @param {string} prefix e.g. "/flu/seasonal/h3n2/ha/2y"
+ * @param {string} type (optional) the additional file type, e.g. "tip-frequencies"
+ */
+export const staticSiteDataAddress = (endpoint, prefix = "", type = undefined) => {
+  if (endpoint === "getAvailable") {
+    return `${staticSiteRoot}charon/getAvailable.json`;
+  }
+  const request = prefix.replace(/^\//, "").replace(/\/$/, "");
+  return `${staticSiteRoot}charon/${endpoint}/${request}${type ? `_${type}` : ""}.json`;
+};
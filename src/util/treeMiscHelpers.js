@@ -74,3 +74,40 @@ export const getAccessionFromNode = (node) => {
 /* see comment at top of this file */
 export const getUrlFromNode = (node) =>
   (node.node_attrs && node.node_attrs.url) ? node.node_attrs.url : undefined;
+
+/**
+ * The traits which may be used to "explode" the tree into subtrees, i.e. the discrete (non-genotype) colorings
+ * @param {Object} colorings the colorings of the dataset (metadata.colorings)
+ * @returns {Array} list of coloring keys
+ */
+export const getExplodableTraits = (colorings) => Object.keys(colorings || {})
+  .filter((key) => key !== "gt" && !key.startsWith("gt-"))
+  .filter((key) => ["categorical", "ordinal", "boolean"].includes(colorings[key].type));
+
+/**
+ * The variables which may be plotted against each other in the scatterplot layout:
+ * divergence, sampling date & any continuous coloring (e.g. LBI).
+ * @param {Object} colorings the colorings of the dataset (metadata.colorings)
+ * @param {string} branchLengthsToDisplay "divOnly", "dateOnly" or "divAndDate"
+ * @returns {Array} list of `{value, label}` objects, where `value` is the key of the variable
+ */
+export const getScatterVariables = (colorings, branchLengthsToDisplay) => {
+  const variables = [];
+  if (branchLengthsToDisplay !== "dateOnly") variables.push({value: "div", label: "Divergence"});
+  if (branchLengthsToDisplay !== "divOnly") {
+    variables.push({value: "num_date", label: (colorings && colorings.num_date && colorings.num_date.title) || "Sampling date"});
+  }
+  Object.keys(colorings || {})
+    .filter((key) => key !== "num_date" && colorings[key].type === "continuous")
+    .forEach((key) => variables.push({value: key, label: colorings[key].title || key}));
+  return variables;
+};
+
+/**
+ * Extract the value of a scatterplot variable (see `getScatterVariables`) from a node.
+ * Returns `undefined` if the node doesn't have a numeric value.
+ */
+export const getScatterValueFromNode = (node, key) => {
+  const value = key === "div" ? getDivFromNode(node) : getTraitFromNode(node, key);
+  return typeof value === "number" ? value : undefined;
+};
@@ -0,0 +1,112 @@
+/**
+ * Functions to convert the (nested) tree of a dataset JSON into the flat array
+ * of nodes used by auspice. These have no dependencies on the rest of auspice so
+ * that they may be used in web workers (see `src/workers/parseDataset.worker.js`).
+ */
+
+/**
+* for each node, calculate the number of subtending tips (alive or dead)
+* side effects: n.fullTipCount for each node
+*  @param root - deserialized JSON root to begin traversal
+*/
+const calcFullTipCounts = (node) => {
+  node.fullTipCount = 0;
+  if (typeof node.children !== "undefined") {
+    for (let i = 0; i < node.children.length; i++) {
+      calcFullTipCounts(node.children[i]);
+      node.fullTipCount += node.children[i].fullTipCount;
+    }
+  } else {
+    node.fullTipCount = 1;
+  }
+};
+
+/**
+ * Adds certain properties to the nodes array - for each node in nodes it adds
+ * node.fullTipCount - see calcFullTipCounts() description
+ * node.hasChildren {bool}
+ * node.arrayIdx  {integer} - the index of the node in the nodes array
+ * @param  {array} nodes redux tree nodes
+ * @return {array} input array (kinda unneccessary)
+ * side-effects: node.hasChildren (bool) and node.arrayIdx (INT) for each node in nodes
+ */
+const processNodes = (nodes) => {
+  calcFullTipCounts(nodes[0]); /* recursive. Uses d.children */
+  nodes.forEach((d, idx) => {
+    d.arrayIdx = idx; /* set an index so that we can access visibility / nodeColors if needed */
+    d.hasChildren = typeof d.children !== "undefined";
+  });
+  return nodes;
+};
+
+/**
+*  For each node visit if node not a hashMap key, insert
+*  into array.  Then append node into end of the array.
+*  @params node - object to check
+*  @param hashMap - object literal used for deduping
+*  @param array - final array that nodes are inserted
+*/
+const visitNode = (node, hashMap, array) => {
+  if (!hashMap[node.name]) {
+    hashMap[node.name] = true;
+    array.push(node);
+  }
+};
+
+/**
+*  Pre-order tree traversal visits each node using stack.
+*  Checks if leaf node based on node.children
+*  pushes all children into stack and continues traversal.
+*  hashMap object literal used for deduping.
+*  @param root - deserialized JSON root to begin traversal
+*  @returns array  - final array of nodes in order with no dups
+*/
+const flattenTree = (root) => {
+  const stack = [], array = [], hashMap = {};
+  stack.push(root);
+  while (stack.length !== 0) {
+    const node = stack.pop();
+    visitNode(node, hashMap, array);
+    if (node.children) {
+      for (let i = node.children.length - 1; i >= 0; i -= 1) {
+        stack.push(node.children[i]);
+      }
+    }
+  }
+  return array;
+};
+
+/**
+*  Add reference to node.parent for each node in tree
+*  For root add root.parent = root
+*  Pre-order tree traversal visits each node using stack.
+*  Checks if leaf node based on node.children
+*  pushes all children into stack and continues traversal.
+*  @param root - deserialized JSON root to begin traversal
+*/
+const appendParentsToTree = (root) => {
+  root.parent = root;
+  const stack = [];
+  stack.push(root);
+
+  while (stack.length !== 0) {
+    const node = stack.pop();
+    if (node.children) {
+      for (let i = node.children.length - 1; i >= 0; i -= 1) {
+        node.children[i].parent = node;
+        stack.push(node.children[i]);
+      }
+    }
+  }
+};
+
+/**
+ * Prepare the (nested) tree JSON for use in auspice. The JSON is modified in place
+ * (see `appendParentsToTree` & `processNodes`) and flattened into an array of nodes.
+ * @param {Object} treeJSON
+ * @returns {Array} nodes, where nodes[0] is the root (i.e. `treeJSON`)
+ */
+export const prepareTreeNodes = (treeJSON) => {
+  appendParentsToTree(treeJSON);
+  return processNodes(flattenTree(treeJSON));
+};
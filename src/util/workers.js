@@ -0,0 +1,15 @@
+/**
+ * Web workers are built by webpack as separate bundles (see `webpack.config.js`)
+ * which live alongside the main bundle.
+ * @param {string} name e.g. "parseDataset" for `src/workers/parseDataset.worker.js`
+ * @returns {Worker|undefined} `undefined` if web workers aren't available
+ */
+export const createWorker = (name) => {
+  if (typeof window.Worker === "undefined") return undefined;
+  try {
+    return new window.Worker(`${__webpack_public_path__}auspice.worker.${name}.bundle.js`); // eslint-disable-line no-undef, camelcase
+  } catch (err) {
+    console.warn(`Failed to create the ${name} web worker:`, err.message);
+    return undefined;
+  }
+};
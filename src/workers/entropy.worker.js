@@ -0,0 +1,29 @@
+/**
+ * A web worker which computes the entropy (or mutation counts) of the tree,
+ * so that this work is done off the main thread (see `calcEntropyInViewAsync`).
+ * Only one computation is requested at a time, & results are matched to requests via their id.
+ *
+ * Messages received:
+ *  {type: "tree", nodes} -- the (minimal) nodes of the tree, replacing any previous tree
+ *  {type: "compute", id, visibility, mutType, geneMap, showCounts} -- see `calcEntropyInView`
+ * Messages sent:
+ *  {id, data, maxYVal} -- the result of `calcEntropyInView`
+ *  {id, error} -- the error message if the computation failed
+ */
+import { calcEntropyInView } from "../util/entropy";
+
+let nodes;
+
+self.onmessage = (event) => {
+  if (event.data.type === "tree") {
+    nodes = event.data.nodes;
+  } else if (event.data.type === "compute") {
+    const {id, visibility, mutType, geneMap, showCounts} = event.data;
+    try {
+      const [data, maxYVal] = calcEntropyInView(nodes, visibility, mutType, geneMap, showCounts);
+      self.postMessage({id, data, maxYVal});
+    } catch (err) {
+      self.postMessage({id, error: err.message});
+    }
+  }
+};
@@ -0,0 +1,49 @@
+/**
+ * A web worker which parses a dataset JSON & prepares the tree nodes, so that
+ * this work is done off the main thread (see `src/util/parseDataset.js`).
+ *
+ * The JSON is parsed incrementally as each chunk of the response body arrives, so the
+ * (decoded) text of the entire response is never held in memory. Note that the result is
+ * still structured-cloned to the main thread, which therefore deserialises the full dataset.
+ *
+ * Messages received:
+ *  {type: "chunk", chunk: Uint8Array} -- part of the (streamed) response body
+ *  {type: "end"} -- the response body is complete
+ * Messages sent:
+ *  {type: "ready"} -- the worker has loaded
+ *  {type: "progress", stage: "processing"}
+ *  {type: "result", json, nodes} -- `nodes` as returned by `prepareTreeNodes(json.tree)`
+ *  {type: "error", message} -- sent once, after which further messages are ignored
+ */
+import { prepareTreeNodes } from "../util/treeStructureHelpers";
+import { createIncrementalJsonParser } from "../util/incrementalJsonParser";
+
+const decoder = new TextDecoder();
+const parser = createIncrementalJsonParser();
+let failed = false;
+
+const finish = () => {
+  parser.write(decoder.decode());
+  const json = parser.end();
+  self.postMessage({type: "progress", stage: "processing"});
+  const nodes = json.tree ? prepareTreeNodes(json.tree) : undefined;
+  /* the nodes are cloned (not copied as JSON) so the circular references created
+  by `prepareTreeNodes` (e.g. `node.parent`), and nodes[0] === json.tree, are preserved */
+  self.postMessage({type: "result", json, nodes});
+};
+
+self.onmessage = (event) => {
+  if (failed) return;
+  try {
+    if (event.data.type === "chunk") {
+      parser.write(decoder.decode(event.data.chunk, {stream: true}));
+    } else if (event.data.type === "end") {
+      finish();
+    }
+  } catch (err) {
+    failed = true;
+    self.postMessage({type: "error", message: err.message});
+  }
+};
+
+self.postMessage({type: "ready"});
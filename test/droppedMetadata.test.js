@@ -0,0 +1,94 @@
+import { expect } from "chai";
+import { inferColumnType, analyseColumns } from "../src/actions/filesDropped/columns";
+import { joinMetadataToTrees } from "../src/actions/filesDropped/joinMetadata";
+
+describe("inferColumnType", () => {
+  it("infers the type from the values, ignoring missing values", () => {
+    expect(inferColumnType(["yes", "No", "?", ""])).to.equal("boolean");
+    expect(inferColumnType(["2020-01-31", "unknown", "2021-12-01"])).to.equal("date");
+    expect(inferColumnType(["1", "2", "2", "NA"])).to.equal("ordinal");
+    expect(inferColumnType(["1.5", "2", "-3e2"])).to.equal("continuous");
+    expect(inferColumnType(["UK", "1"])).to.equal("categorical");
+    expect(inferColumnType(["", "?"])).to.equal("categorical");
+  });
+
+  it("treats integer columns with many distinct values as continuous", () => {
+    expect(inferColumnType(Array.from({length: 1000}, (_, i) => String(i)))).to.equal("continuous");
+  });
+});
+
+describe("analyseColumns", () => {
+  const data = [
+    {strain: "A", country: "UK", country__colour: "#ff0000", age__ordinal: "1", value: "0.5"},
+    {strain: "B", country: "FR", country__colour: "not a colour", age__ordinal: "3", value: "1.5"},
+    {strain: "C", country: "UK", country__colour: "#00ff00", age__ordinal: "", value: "2.5"}
+  ];
+
+  it("uses annotated types, infers the others & reads colours from colour columns", () => {
+    const {columns, colours} = analyseColumns(data, ["strain", "country", "country__colour", "age__ordinal", "value"]);
+    expect(columns).to.deep.equal([
+      {field: "strain", key: "strain", type: "categorical", annotated: false},
+      {field: "country", key: "country", type: "categorical", annotated: false},
+      {field: "age__ordinal", key: "age", type: "ordinal", annotated: true},
+      {field: "value", key: "value", type: "continuous", annotated: false}
+    ]);
+    /* the first (valid) colour of each value is used */
+    expect(colours).to.deep.equal({country: {UK: "#ff0000"}});
+  });
+
+  it("ignores colour columns without a corresponding trait column", () => {
+    const {columns, colours} = analyseColumns(data, ["strain", "country__colour"]);
+    expect(columns.map((c) => c.key)).to.deep.equal(["strain"]);
+    expect(colours).to.deep.equal({country: {}});
+  });
+});
+
+describe("joinMetadataToTrees", () => {
+  const tree = {
+    nodes: [
+      {name: "root", node_attrs: {}},
+      {name: "hCoV-19/England/1", node_attrs: {accession: {value: "EPI_1"}}},
+      {name: "Strain Two", node_attrs: {accession: "EPI_2"}}
+    ]
+  };
+  const entry = {
+    join: {field: "strain", property: "name"},
+    columns: [
+      {field: "country", key: "country", type: "categorical", filter: true},
+      {field: "date", key: "date", type: "date", filter: false}
+    ],
+    colours: {country: {UK: "#ff0000", "?": "#000000"}},
+    rows: [
+      {strain: " hcov-19/england/1 ", country: "UK", date: "2020-07-02"},
+      {strain: "strain_two", country: "?", date: "2020-01-01"},
+      {strain: "missing", country: "FR", date: "2020-01-01"}
+    ]
+  };
+
+  it("matches rows to nodes via normalised names & parses the values", () => {
+    const {strains, traits, unmatchedRows} = joinMetadataToTrees(entry, [tree, {}]);
+    expect([...strains]).to.deep.equal(["hCoV-19/England/1", "Strain Two"]);
+    expect(traits["hCoV-19/England/1"].country).to.deep.equal({value: "UK"});
+    expect(traits["hCoV-19/England/1"].date.value).to.be.closeTo(2020.5, 0.01);
+    /* invalid values aren't set */
+    expect(traits["Strain Two"].country).to.equal(undefined);
+    expect(unmatchedRows).to.deep.equal([entry.rows[2]]);
+  });
+
+  it("creates colorings (keeping existing titles), scales & filters", () => {
+    const {newColorings, filters} = joinMetadataToTrees(entry, [tree], {country: {title: "Country", type: "categorical"}});
+    expect(newColorings).to.deep.equal({
+      country: {title: "Country", type: "categorical", scale: [["UK", "#ff0000"]]},
+      date: {title: "date", type: "continuous"}
+    });
+    expect(filters).to.deep.equal(["country"]);
+  });
+
+  it("matches rows via a node attribute", () => {
+    const {strains} = joinMetadataToTrees(
+      {...entry, join: {field: "id", property: "accession"}, rows: [{id: "epi_1"}, {id: "EPI_2"}]},
+      [tree]
+    );
+    expect([...strains]).to.deep.equal(["hCoV-19/England/1", "Strain Two"]);
+  });
+});
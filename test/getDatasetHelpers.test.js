@@ -0,0 +1,44 @@
+import { expect } from "chai";
+import { extendDataPathsToMatchAvailable } from "../cli/server/getDatasetHelpers";
+
+const availableDatasets = [
+  "zika",
+  "flu/seasonal/h3n2/ha/2y",
+  "flu/seasonal/h3n2/ha/12y",
+  "flu/seasonal/h1n1pdm/ha/2y",
+  "flu/avian/h5n1"
+].map((request) => ({request}));
+
+const extend = (request, defaults) => {
+  const info = {parts: request.split("/")};
+  extendDataPathsToMatchAvailable(info, availableDatasets, defaults);
+  return info;
+};
+
+describe("extendDataPathsToMatchAvailable", () => {
+  it("leaves requests which match an available dataset unchanged", () => {
+    expect(extend("zika")).to.deep.equal({parts: ["zika"], extended: false});
+    expect(extend("flu/seasonal/h3n2/ha/12y").extended).to.equal(false);
+  });
+
+  it("extends partial requests to the available dataset with the fewest parts", () => {
+    expect(extend("flu")).to.deep.equal({parts: ["flu", "avian", "h5n1"], extended: true});
+    /* ties are broken alphabetically */
+    expect(extend("flu/seasonal/h3n2").parts).to.deep.equal(["flu", "seasonal", "h3n2", "ha", "12y"]);
+  });
+
+  it("prefers the defaults, which may themselves be partial", () => {
+    const defaults = {flu: "flu/seasonal", "flu/seasonal": "flu/seasonal/h3n2/ha/2y"};
+    expect(extend("flu", defaults).parts).to.deep.equal(["flu", "seasonal", "h3n2", "ha", "2y"]);
+  });
+
+  it("throws, rather than looping forever, if the defaults are circular", () => {
+    expect(() => extend("flu/seasonal", {"flu/seasonal": "flu/seasonal"})).to.throw(/not in available datasets/);
+  });
+
+  it("throws if no available dataset matches the request", () => {
+    expect(() => extend("ebola")).to.throw(/not in available datasets/);
+    /* only whole parts of the request are matched */
+    expect(() => extend("flu/seas")).to.throw(/not in available datasets/);
+  });
+});
@@ -0,0 +1,61 @@
+import { expect } from "chai";
+import { createIncrementalJsonParser } from "../src/util/incrementalJsonParser";
+
+/* parse `text`, written in pieces of (at most) `size` characters */
+const parseInPieces = (text, size) => {
+  const parser = createIncrementalJsonParser();
+  for (let i = 0; i < text.length; i += size) {
+    parser.write(text.slice(i, i + size));
+  }
+  return parser.end();
+};
+
+const dataset = JSON.stringify({
+  version: "v2",
+  meta: {title: "A \"quoted\" title\\ with \\\\ backslashes é 🦠", panels: ["tree", "map"], empty: {}, none: []},
+  tree: {
+    name: "root",
+    node_attrs: {div: 0, num_date: {value: 2019.5, confidence: [2019.1, 2019.9]}},
+    children: [
+      {name: "A", node_attrs: {div: 1.5e-3, negative: -12, big: 12345678901, flag: true, other: false, missing: null}},
+      {name: "B\nC\t", node_attrs: {div: 0.25}}
+    ]
+  }
+}, null, 2);
+
+describe("createIncrementalJsonParser", () => {
+  it("matches JSON.parse however the text is split", () => {
+    const expected = JSON.parse(dataset);
+    [1, 2, 3, 7, 64, dataset.length].forEach((size) => {
+      expect(parseInPieces(dataset, size)).to.deep.equal(expected);
+    });
+  });
+
+  it("parses top-level numbers, literals & strings", () => {
+    expect(parseInPieces("123", 1)).to.equal(123);
+    expect(parseInPieces(" -0.5e2 ", 2)).to.equal(-50);
+    expect(parseInPieces("false", 2)).to.equal(false);
+    expect(parseInPieces("null", 1)).to.equal(null);
+    expect(parseInPieces("\"a\\\"b\"", 1)).to.equal("a\"b");
+  });
+
+  it("creates an own property for a __proto__ key", () => {
+    const parsed = parseInPieces("{\"__proto__\": {\"x\": 1}}", 3);
+    expect(Object.keys(parsed)).to.deep.equal(["__proto__"]);
+    expect(parsed.x).to.equal(undefined);
+  });
+
+  it("throws for invalid JSON, reporting the position", () => {
+    expect(() => parseInPieces("{\"a\": tru}", 2)).to.throw("Invalid JSON at character 6");
+    expect(() => parseInPieces("[1, 2,]", 1)).to.throw("Invalid JSON at character 6");
+    expect(() => parseInPieces("{\"a\" 1}", 4)).to.throw("Invalid JSON at character 5");
+    expect(() => parseInPieces("01", 1)).to.throw("Invalid JSON at character 0");
+    expect(() => parseInPieces("{} {}", 1)).to.throw("Invalid JSON at character 3");
+  });
+
+  it("throws for incomplete JSON", () => {
+    expect(() => parseInPieces("{\"a\": [1, 2", 3)).to.throw("Invalid JSON");
+    expect(() => parseInPieces("\"unterminated", 3)).to.throw("Invalid JSON");
+    expect(() => parseInPieces("", 1)).to.throw("Invalid JSON");
+  });
+});
@@ -0,0 +1,56 @@
+import { expect } from "chai";
+import { treeToNexus } from "../src/components/download/nexus";
+import { parseNexus } from "../src/util/parseTreeFile";
+
+const tree = {
+  name: "root",
+  node_attrs: {div: 0, country: {value: "UK"}},
+  children: [
+    {
+      name: "A/one",
+      node_attrs: {div: 0.5, country: {value: "a \"quoted\" [bracketed], {braced} = value"}, age: {value: 42}}
+    },
+    {
+      name: "B two",
+      node_attrs: {
+        div: 1,
+        country: {value: "FR", confidence: {FR: 0.75, "Côte d'Ivoire": 0.25}},
+        rate: {value: 0.1, confidence: [0.05, 0.2]}
+      }
+    }
+  ]
+};
+
+describe("treeToNexus", () => {
+  it("writes trees which parseNexus reads back, including awkward annotations", () => {
+    const {tree: parsed, treeCount} = parseNexus(treeToNexus(tree, ["country", "age", "rate"], false));
+    expect(treeCount).to.equal(1);
+    expect(parsed.name).to.equal("root");
+    expect(parsed.node_attrs.country.value).to.equal("UK");
+    const [A, B] = parsed.children;
+    expect(A.name).to.equal("A/one");
+    expect(A.node_attrs.div).to.be.closeTo(0.5, 1e-9);
+    /* double quotes & "]" can't be written within an annotation, so are replaced */
+    expect(A.node_attrs.country.value).to.equal("a 'quoted' [bracketed), {braced} = value");
+    expect(A.node_attrs.age.value).to.equal(42);
+    expect(B.name).to.equal("B two");
+    expect(B.node_attrs.div).to.be.closeTo(1, 1e-9);
+    expect(B.node_attrs.country).to.deep.equal({value: "FR", confidence: {FR: 0.75, "Côte d'Ivoire": 0.25}});
+    expect(B.node_attrs.rate).to.deep.equal({value: 0.1, confidence: [0.05, 0.2]});
+  });
+
+  it("omits the lengths of branches to nodes without a date when writing a time tree", () => {
+    const timeTree = {
+      name: "root",
+      node_attrs: {num_date: {value: 2000}},
+      children: [
+        {name: "A/one", node_attrs: {num_date: {value: 2001.5}}},
+        {name: "B two", node_attrs: {}}
+      ]
+    };
+    const nexus = treeToNexus(timeTree, [], true);
+    expect(nexus).to.not.include("NaN");
+    expect(nexus).to.include("(A/one:1.5,'B two')root;");
+    expect(parseNexus(nexus).tree.children[0].node_attrs.div).to.be.closeTo(1.5, 1e-9);
+  });
+});
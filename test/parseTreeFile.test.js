@@ -0,0 +1,90 @@
+/* eslint no-unused-expressions: off */
+import { expect } from "chai";
+import { parseNewick, parseNexus } from "../src/util/parseTreeFile";
+
+const tipNames = (node) => (node.children ? [].concat(...node.children.map(tipNames)) : [node.name]);
+
+describe("parseNewick", () => {
+  it("computes divergences from the branch lengths", () => {
+    const root = parseNewick("((A:0.1,B:0.2):0.3,C:0.4);");
+    expect(tipNames(root)).to.deep.equal(["A", "B", "C"]);
+    expect(root.node_attrs.div).to.equal(0);
+    const [clade, C] = root.children;
+    expect(clade.node_attrs.div).to.be.closeTo(0.3, 1e-9);
+    expect(clade.children[1].node_attrs.div).to.be.closeTo(0.5, 1e-9);
+    expect(C.node_attrs.div).to.be.closeTo(0.4, 1e-9);
+  });
+
+  it("gives each branch a length of one if there are no branch lengths", () => {
+    const root = parseNewick("((A,B),C);");
+    expect(root.children[0].children[0].node_attrs.div).to.equal(2);
+  });
+
+  it("names internal nodes & converts numeric internal labels into support values", () => {
+    const root = parseNewick("((A:1,B:1)95/80:1,C:1)clade;");
+    expect(root.name).to.equal("clade");
+    const internal = root.children[0];
+    expect(internal.name).to.match(/^NODE_\d{7}$/);
+    expect(internal.node_attrs.support).to.deep.equal({value: 95});
+    expect(internal.node_attrs.support_2).to.deep.equal({value: 80});
+  });
+
+  it("makes duplicate names unique & unquotes names", () => {
+    const root = parseNewick("('A B':1,A:1,A:1);");
+    expect(tipNames(root)).to.deep.equal(["A B", "A", "A_1"]);
+  });
+
+  it("converts BEAST annotations into node attributes with confidences", () => {
+    const root = parseNewick(
+      '(A[&country="UK",country.set={"UK","FR"},country.set.prob={0.9,0.1}]:1,B[&rate=0.5,rate_95%_HPD={0.1,0.9}]:1);'
+    );
+    expect(root.children[0].node_attrs.country).to.deep.equal({value: "UK", confidence: {UK: 0.9, FR: 0.1}});
+    expect(root.children[1].node_attrs.rate).to.deep.equal({value: 0.5, confidence: [0.1, 0.9]});
+  });
+
+  it("throws for malformed trees", () => {
+    expect(() => parseNewick("((A,B);")).to.throw();
+  });
+});
+
+describe("parseNexus", () => {
+  it("applies the TRANSLATE table and counts the trees", () => {
+    const {tree, treeCount} = parseNexus(`#NEXUS
+begin trees;
+  translate 1 'Strain A', 2 strainB;
+  tree one = [&R] (1:1,2:2);
+  tree two = [&R] (2:1,1:2);
+end;`);
+    expect(treeCount).to.equal(2);
+    expect(tipNames(tree)).to.deep.equal(["Strain A", "strainB"]);
+  });
+
+  it("parses BEAST trees, where the tree's comment contains '=' before the tree itself", () => {
+    const {tree} = parseNexus(`#NEXUS
+
+Begin taxa;
+	Dimensions ntax=2;
+		Taxlabels
+			A_2001.5
+			B_2002.0
+			;
+End;
+Begin trees;
+	Translate
+		1 A_2001.5,
+		2 B_2002.0
+		;
+tree STATE_0 [&lnP=-1234.5,posterior=-1234.5] = [&R] (1[&rate=1.0E-3]:0.5,2[&rate=2.0E-3]:1.0)[&rate=1.5E-3];
+tree STATE_1000 [&lnP=-1200.1,posterior=-1200.1] = [&R] (2[&rate=1.0E-3]:0.5,1[&rate=2.0E-3]:1.0);
+End;
+`);
+    expect(tipNames(tree)).to.deep.equal(["A_2001.5", "B_2002.0"]);
+    expect(tree.children[0].node_attrs.rate.value).to.equal(0.001);
+    expect(tree.children[1].node_attrs.div).to.equal(1);
+  });
+
+  it("throws if there are no trees", () => {
+    expect(() => parseNexus("#NEXUS\nbegin trees;\nend;")).to.throw(/No trees/);
+    expect(() => parseNexus("(A,B);")).to.throw(/Not a nexus file/);
+  });
+});
@@ -0,0 +1,49 @@
+import { expect } from "chai";
+import { prepareTreeNodes } from "../src/util/treeStructureHelpers";
+import { reconstructSequences, getRootSequenceOfGene } from "../src/util/reconstructSequences";
+
+const makeTree = () => prepareTreeNodes({
+  name: "root",
+  children: [
+    {
+      name: "X",
+      branch_attrs: {mutations: {nuc: ["A1G"], S: ["M1K"]}},
+      children: [
+        {name: "A", branch_attrs: {mutations: {nuc: ["T5-", "G1C"]}}},
+        {name: "B", branch_attrs: {mutations: {nuc: ["C99A"]}}}
+      ]
+    },
+    {name: "C"}
+  ]
+});
+
+describe("reconstructSequences", () => {
+  it("applies the mutations along the path from the root", () => {
+    const nodes = makeTree();
+    const [root, X, A, B, C] = ["root", "X", "A", "B", "C"].map((name) => nodes.find((n) => n.name === name));
+    const sequences = reconstructSequences(root, "ATGTTCTAA", "nuc", [A, B, C, X]);
+    expect(sequences.get(X)).to.equal("GTGTTCTAA");
+    expect(sequences.get(A)).to.equal("CTGT-CTAA");
+    /* mutations outside the sequence are ignored */
+    expect(sequences.get(B)).to.equal("GTGTTCTAA");
+    expect(sequences.get(C)).to.equal("ATGTTCTAA");
+    expect(sequences.has(root)).to.equal(false);
+  });
+
+  it("only applies the mutations of the given gene", () => {
+    const nodes = makeTree();
+    const A = nodes.find((n) => n.name === "A");
+    expect(reconstructSequences(nodes[0], "MF*", "S", [A]).get(A)).to.equal("KF*");
+  });
+});
+
+describe("getRootSequenceOfGene", () => {
+  it("translates genes from the nucleotide sequence, incl. those on the reverse strand", () => {
+    const rootSequence = {nuc: "ATGTTCTAACAT"};
+    const annotations = {S: {start: 1, end: 9, strand: "+"}, R: {start: 7, end: 12, strand: "-"}};
+    expect(getRootSequenceOfGene(rootSequence, annotations, "S")).to.equal("MF*");
+    expect(getRootSequenceOfGene(rootSequence, annotations, "R")).to.equal("ML");
+    expect(getRootSequenceOfGene({...rootSequence, S: "mfx"}, annotations, "S")).to.equal("MFX");
+    expect(getRootSequenceOfGene(rootSequence, annotations, "missing")).to.equal(undefined);
+  });
+});
@@ -0,0 +1,66 @@
+import { expect } from "chai";
+import { prepareTreeNodes } from "../src/util/treeStructureHelpers";
+import { rerootTree } from "../src/util/rerootTree";
+
+/* ((A:1,B:1)X:2,C:3) with a mutation on the branch leading to X */
+const makeTree = () => prepareTreeNodes({
+  name: "root",
+  node_attrs: {div: 0, num_date: {value: 2000}},
+  children: [
+    {
+      name: "X",
+      node_attrs: {div: 2, num_date: {value: 2001}},
+      branch_attrs: {mutations: {nuc: ["A10G"]}, labels: {clade: "X"}},
+      children: [
+        {name: "A", node_attrs: {div: 3, num_date: {value: 2002}}},
+        {name: "B", node_attrs: {div: 3, num_date: {value: 2003}}}
+      ]
+    },
+    {name: "C", node_attrs: {div: 3, num_date: {value: 2004}}, branch_attrs: {mutations: {nuc: ["C5T"]}}}
+  ]
+});
+
+const byName = (node, name) => {
+  if (node.name === name) return node;
+  return (node.children || []).map((child) => byName(child, name)).find((n) => !!n);
+};
+
+describe("rerootTree", () => {
+  it("places the root at the midpoint of the branch & recomputes divergences", () => {
+    const nodes = makeTree();
+    const root = rerootTree(nodes.find((n) => n.name === "A"), nodes);
+    expect(root.name).to.equal("reroot_A");
+    expect(root.node_attrs.div).to.equal(0);
+    expect(root.children.map((n) => n.name)).to.deep.equal(["A", "X"]);
+    expect(byName(root, "A").node_attrs.div).to.equal(0.5);
+    expect(byName(root, "X").node_attrs.div).to.equal(0.5);
+    expect(byName(root, "B").node_attrs.div).to.equal(1.5);
+    /* the original root is removed as it's left with a single child, so the path A->C is unchanged */
+    expect(byName(root, "root")).to.equal(undefined);
+    expect(byName(root, "C").node_attrs.div).to.equal(6 - 0.5);
+  });
+
+  it("reverses the mutations of branches which are traversed in the opposite direction", () => {
+    const nodes = makeTree();
+    const root = rerootTree(nodes.find((n) => n.name === "A"), nodes);
+    /* the branch X->root is reversed (dropping its labels) & joined onto the branch root->C */
+    expect(byName(root, "C").branch_attrs.mutations).to.deep.equal({nuc: ["G10A", "C5T"]});
+    expect(byName(root, "C").branch_attrs.labels).to.equal(undefined);
+    expect(byName(root, "X").branch_attrs).to.deep.equal({});
+  });
+
+  it("gives the new root the earliest date & doesn't modify the original tree", () => {
+    const nodes = makeTree();
+    const root = rerootTree(nodes.find((n) => n.name === "A"), nodes);
+    expect(root.node_attrs.num_date).to.deep.equal({value: 2000});
+    expect(nodes.find((n) => n.name === "C").node_attrs.div).to.equal(3);
+    expect(nodes[0].children.map((n) => n.name)).to.deep.equal(["X", "C"]);
+  });
+
+  it("returns undefined for the root, or if divergences are missing", () => {
+    const nodes = makeTree();
+    expect(rerootTree(nodes[0], nodes)).to.equal(undefined);
+    const noDivs = prepareTreeNodes({name: "root", children: [{name: "A"}, {name: "B"}]});
+    expect(rerootTree(noDivs[1], noDivs)).to.equal(undefined);
+  });
+});
@@ -0,0 +1,81 @@
+import { expect } from "chai";
+import { prepareTreeNodes } from "../src/util/treeStructureHelpers";
+import { NODE_VISIBLE, NODE_NOT_VISIBLE } from "../src/util/globals";
+import { mutationsSinceRoot, pruneTreeToVisibleTips } from "../src/components/download/treeTransforms";
+
+/* (X:(A,B),C) with mutations on each branch */
+const makeTree = () => prepareTreeNodes({
+  name: "root",
+  node_attrs: {div: 0},
+  children: [
+    {
+      name: "X",
+      node_attrs: {div: 1},
+      branch_attrs: {mutations: {nuc: ["A10G"], HA1: ["K160T"]}, labels: {clade: "X"}},
+      children: [
+        {name: "A", node_attrs: {div: 2, country: {value: "UK"}}, branch_attrs: {mutations: {nuc: ["G10T", "C5A"]}}},
+        {name: "B", node_attrs: {div: 3}, branch_attrs: {mutations: {nuc: ["T10A"]}}}
+      ]
+    },
+    {name: "C", node_attrs: {div: 4}, branch_attrs: {mutations: {nuc: ["A20C"]}}}
+  ]
+});
+
+describe("mutationsSinceRoot", () => {
+  it("combines the mutations at each position & removes reversions", () => {
+    const nodes = makeTree();
+    const tips = mutationsSinceRoot(nodes[0]);
+    const [A, B, C] = ["A", "B", "C"].map((name) => tips.get(nodes.find((n) => n.name === name)).mutations);
+    expect(A).to.deep.equal([
+      {gene: "HA1", position: 160, from: "K", to: "T"},
+      {gene: "nuc", position: 5, from: "C", to: "A"},
+      {gene: "nuc", position: 10, from: "A", to: "T"}
+    ]);
+    expect(B).to.deep.equal([{gene: "HA1", position: 160, from: "K", to: "T"}]);
+    expect(C).to.deep.equal([{gene: "nuc", position: 20, from: "A", to: "C"}]);
+    expect(tips.size).to.equal(3);
+  });
+
+  it("returns the genotype at the given positions, using the ancestral state of unmutated tips", () => {
+    const nodes = makeTree();
+    const tips = mutationsSinceRoot(nodes[0], {gene: "nuc", positions: [10, 20, 30]});
+    const genotype = (name) => tips.get(nodes.find((n) => n.name === name)).genotype;
+    expect(genotype("A")).to.deep.equal(["T", "A", ""]);
+    expect(genotype("B")).to.deep.equal(["A", "A", ""]);
+    expect(genotype("C")).to.deep.equal(["A", "C", ""]);
+  });
+});
+
+describe("pruneTreeToVisibleTips", () => {
+  it("copies the tree without the properties added by auspice", () => {
+    const nodes = makeTree();
+    const root = pruneTreeToVisibleTips(nodes[0]);
+    expect(root.children.map((n) => n.name)).to.deep.equal(["X", "C"]);
+    expect(root.parent).to.equal(undefined);
+    expect(root.children[0].children[0]).to.deep.equal({
+      name: "A",
+      node_attrs: {div: 2, country: {value: "UK"}},
+      branch_attrs: {mutations: {nuc: ["G10T", "C5A"]}}
+    });
+  });
+
+  it("removes hidden tips & joins the branches of nodes left with a single child", () => {
+    const nodes = makeTree();
+    const visibility = nodes.map((n) => (n.name === "B" ? NODE_NOT_VISIBLE : NODE_VISIBLE));
+    const root = pruneTreeToVisibleTips(nodes[0], visibility);
+    expect(root.children.map((n) => n.name)).to.deep.equal(["A", "C"]);
+    const A = root.children[0];
+    expect(A.node_attrs.div).to.equal(2);
+    expect(A.branch_attrs).to.deep.equal({
+      mutations: {nuc: ["A10G", "G10T", "C5A"], HA1: ["K160T"]},
+      labels: {clade: "X"}
+    });
+    /* the tree itself is unchanged */
+    expect(nodes.find((n) => n.name === "A").branch_attrs.mutations).to.deep.equal({nuc: ["G10T", "C5A"]});
+  });
+
+  it("returns undefined if no tips are visible", () => {
+    const nodes = makeTree();
+    expect(pruneTreeToVisibleTips(nodes[0], nodes.map(() => NODE_NOT_VISIBLE))).to.equal(undefined);
+  });
+});
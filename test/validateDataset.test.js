@@ -0,0 +1,91 @@
+import { expect } from "chai";
+import { validateDataset } from "../cli/server/validateDataset";
+
+const files = {main: "datasets/test.json", tipFrequencies: "datasets/test_tip-frequencies.json"};
+
+const makeDataset = () => ({
+  version: "v2",
+  meta: {
+    updated: "2020-01-01",
+    panels: ["tree", "map"],
+    colorings: [
+      {key: "country", type: "categorical", scale: [["UK", "#ff0000"]]},
+      {key: "num_date", type: "continuous"}
+    ],
+    filters: ["country"],
+    geo_resolutions: [{key: "country", demes: {UK: {latitude: 51.5, longitude: -0.1}}}],
+    display_defaults: {color_by: "country", layout: "explode", distance_measure: "num_date"}
+  },
+  tree: {
+    name: "root",
+    node_attrs: {div: 0, num_date: {value: 2000}},
+    children: [
+      {name: "A", node_attrs: {div: 1, num_date: {value: 2001}, country: {value: "UK"}}},
+      {name: "B", node_attrs: {div: 2, num_date: {value: 2002}, country: {value: "UK"}}}
+    ]
+  }
+});
+
+const messages = (problems) => problems.map((p) => `${p.location}: ${p.message}`);
+
+describe("validateDataset", () => {
+  it("reports nothing for a valid dataset", () => {
+    const report = validateDataset({main: makeDataset()}, files);
+    expect(report.errors).to.deep.equal([]);
+    expect(report.warnings).to.deep.equal([]);
+    /* the report is serialised as-is by `auspice validate --report` */
+    expect(Object.keys(report)).to.deep.equal(["files", "errors", "warnings"]);
+  });
+
+  it("reports v1 JSONs & datasets which aren't objects", () => {
+    expect(messages(validateDataset({main: []}, files).errors)).to.deep.equal([": the dataset must be a JSON object"]);
+    const v1 = validateDataset({main: {name: "root", children: []}}, files);
+    expect(v1.errors[0].message).to.match(/v1 JSON/);
+  });
+
+  it("reports schema errors in the meta & tree", () => {
+    const dataset = makeDataset();
+    delete dataset.meta.updated;
+    dataset.meta.colorings.push({key: "country", type: "discrete"});
+    dataset.tree.children[1].name = "A";
+    const {errors} = validateDataset({main: dataset}, files);
+    expect(errors.every((e) => e.file === files.main)).to.equal(true);
+    expect(messages(errors)).to.include.members([
+      "meta.updated: `updated` is required and must be a string",
+      'meta.colorings[2].type: coloring "country" has type "discrete" (must be one of continuous, ordinal, categorical, boolean)',
+      'meta.colorings: coloring "country" is defined more than once',
+      'tree.children[1]: node name "A" is not unique (the client will drop this node)'
+    ]);
+  });
+
+  it("reports display defaults & panels which the client can't use", () => {
+    const dataset = makeDataset();
+    dataset.meta.display_defaults = {color_by: "region", layout: "circle", sidebar: "open", unknown: true};
+    dataset.meta.panels.push("frequencies");
+    dataset.meta.geo_resolutions[0].demes = {};
+    const {errors, warnings} = validateDataset({main: dataset}, files);
+    expect(messages(errors)).to.include.members([
+      'meta.display_defaults.color_by: "region" is not one of the defined colorings',
+      'meta.display_defaults.layout: "circle" must be one of rect, radial, unrooted, clock, scatter, explode',
+      "meta.panels: the frequencies panel is requested but there is no tip-frequencies file"
+    ]);
+    expect(messages(warnings)).to.include.members([
+      'meta.display_defaults.unknown: unknown display default "unknown" will be ignored',
+      "meta.geo_resolutions: geo resolution \"country\" has values on the tree without lat/longs (these won't be shown on the map): UK"
+    ]);
+  });
+
+  it("checks the tip frequencies against the tree", () => {
+    const dataset = makeDataset();
+    dataset.meta.panels.push("frequencies");
+    const tipFrequencies = {pivots: [2000, 2001], A: {frequencies: [0.5]}, C: {frequencies: [0.1, 0.2]}};
+    const {errors, warnings} = validateDataset({main: dataset, tipFrequencies}, files);
+    expect(errors).to.deep.equal([
+      {file: files.tipFrequencies, location: "A", message: '"A" must have a `frequencies` array of length 2 (one per pivot)'}
+    ]);
+    expect(messages(warnings)).to.deep.equal([
+      'C: "C" is not a tip in the tree',
+      ': 1 (of 2) tips have no frequency information (e.g. "B")'
+    ]);
+  });
+});
@@ -63,13 +63,20 @@ const generateConfig = ({extensionPath, devMode=false, customOutputPath, analyze
     plugins.push(new BundleAnalyzerPlugin());
   }
 
-  const entry = [
+  const mainEntry = [
     "babel-polyfill",
     "./src/index"
   ];
   if (devMode) {
-    entry.splice(1, 0, "webpack-hot-middleware/client");
+    mainEntry.splice(1, 0, "webpack-hot-middleware/client");
   }
+  /* web workers are built as separate bundles, e.g. "auspice.worker.parseDataset.bundle.js"
+  (see `src/util/workers.js`) */
+  const workers = ["parseDataset", "entropy"];
+  const entry = {auspice: mainEntry};
+  workers.forEach((name) => {
+    entry[`auspice.worker.${name}`] = `./src/workers/${name}.worker`;
+  });
 
   /* Where do we want the output to be saved?
    * For development we use the (virtual) "devel" directory
@@ -88,9 +95,10 @@ const generateConfig = ({extensionPath, devMode=false, customOutputPath, analyze
     entry,
     output: {
       path: outputPath,
-      filename: "auspice.bundle.js",
+      filename: "[name].bundle.js",
       chunkFilename: 'auspice.chunk.[name].bundle.js',
-      publicPath: "/dist/"
+      publicPath: "/dist/",
+      globalObject: "this" /* the bundles are run in both the window & web workers */
     },
     resolve: {
       alias: aliasesToResolve